@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const AgreementTemplate = require('../models/AgreementTemplate');
+const {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  findUnknownPlaceholders,
+  verifyAgreementIntegrity,
+  findAgreement,
+  generateAgreement,
+  requestAcceptanceOtp,
+  acceptAgreement,
+  getAgreementDocument
+} = require('../services/agreementService');
+const { sendStoredDocument } = require('../services/documentStorageService');
+
+/**
+ * Check template text and property scope, returning an error message if invalid
+ */
+const validateTemplateInput = ({ title, body, propertyIds }) => {
+  const unknown = findUnknownPlaceholders(`${title || ''}\n${body || ''}`);
+  if (unknown.length > 0) {
+    return `Unknown placeholders: ${unknown.join(', ')}`;
+  }
+  if (propertyIds !== undefined &&
+      (!Array.isArray(propertyIds) || propertyIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    return 'propertyIds must be a list of property IDs';
+  }
+  return null;
+};
+
+/**
+ * Only one default template per scope: clear the flag on the landlord's other defaults
+ * for the same properties (or the other general default)
+ */
+const clearOtherDefaults = (template) => AgreementTemplate.updateMany(
+  {
+    landlordId: template.landlordId,
+    templateId: { $ne: template.templateId },
+    isDefault: true,
+    propertyIds: template.propertyIds.length > 0 ? { $in: template.propertyIds } : { $size: 0 }
+  },
+  { $set: { isDefault: false } }
+);
+
+/**
+ * List the landlord's agreement templates with the placeholders they can use
+ * @route GET /api/landlord/agreement-templates
+ */
+const getAgreementTemplates = async (req, res) => {
+  try {
+    const templates = await AgreementTemplate.find({ landlordId: req.user.id, isActive: true })
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates,
+      defaultTemplate: DEFAULT_TEMPLATE,
+      placeholders: Object.keys(PLACEHOLDERS).map(key => `{{${key}}}`)
+    });
+  } catch (error) {
+    console.error('Error in getAgreementTemplates:', error);
+    res.status(500).json({ message: 'Error fetching agreement templates', error: error.message });
+  }
+};
+
+/**
+ * Create an agreement template
+ * @route POST /api/landlord/agreement-templates
+ * @body {string} name
+ * @body {string} title - Optional, defaults to 'Rental Agreement'
+ * @body {string} body - Agreement text with {{placeholders}}, paragraphs separated by blank lines
+ * @body {string[]} propertyIds - Optional, properties the template is for
+ * @body {boolean} isDefault - Use it when no template is picked
+ */
+const createAgreementTemplate = async (req, res) => {
+  try {
+    const { name, title, body, propertyIds, isDefault } = req.body;
+
+    if (!name || !body) {
+      return res.status(400).json({ message: 'Template name and body are required' });
+    }
+    const invalid = validateTemplateInput(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const template = await AgreementTemplate.create({
+      landlordId: req.user.id,
+      name,
+      title: title || undefined,
+      body,
+      propertyIds: propertyIds || [],
+      isDefault: !!isDefault
+    });
+    if (template.isDefault) {
+      await clearOtherDefaults(template);
+    }
+
+    res.status(201).json({ success: true, message: 'Agreement template created', template });
+  } catch (error) {
+    console.error('Error in createAgreementTemplate:', error);
+    res.status(500).json({ message: 'Error creating agreement template', error: error.message });
+  }
+};
+
+/**
+ * Update an agreement template
+ * Agreements already generated keep the text they were generated with.
+ * @route PUT /api/landlord/agreement-templates/:templateId
+ */
+const updateAgreementTemplate = async (req, res) => {
+  try {
+    const template = await AgreementTemplate.findOne({
+      templateId: req.params.templateId,
+      landlordId: req.user.id,
+      isActive: true
+    });
+    if (!template) {
+      return res.status(404).json({ message: 'Agreement template not found' });
+    }
+
+    const invalid = validateTemplateInput({
+      title: req.body.title !== undefined ? req.body.title : template.title,
+      body: req.body.body !== undefined ? req.body.body : template.body,
+      propertyIds: req.body.propertyIds
+    });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const { name, title, body, propertyIds, isDefault } = req.body;
+    const textChanged = (title !== undefined && title !== template.title) ||
+      (body !== undefined && body !== template.body);
+
+    if (name !== undefined) template.name = name;
+    if (title !== undefined) template.title = title;
+    if (body !== undefined) template.body = body;
+    if (propertyIds !== undefined) template.propertyIds = propertyIds;
+    if (isDefault !== undefined) template.isDefault = !!isDefault;
+    if (textChanged) template.version += 1;
+
+    await template.save();
+    if (template.isDefault) {
+      await clearOtherDefaults(template);
+    }
+
+    res.status(200).json({ success: true, message: 'Agreement template updated', template });
+  } catch (error) {
+    console.error('Error in updateAgreementTemplate:', error);
+    res.status(500).json({ message: 'Error updating agreement template', error: error.message });
+  }
+};
+
+/**
+ * Remove an agreement template (generated agreements are kept)
+ * @route DELETE /api/landlord/agreement-templates/:templateId
+ */
+const deleteAgreementTemplate = async (req, res) => {
+  try {
+    const result = await AgreementTemplate.updateOne(
+      { templateId: req.params.templateId, landlordId: req.user.id, isActive: true },
+      { $set: { isActive: false, isDefault: false } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: 'Agreement template not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Agreement template deleted' });
+  } catch (error) {
+    console.error('Error in deleteAgreementTemplate:', error);
+    res.status(500).json({ message: 'Error deleting agreement template', error: error.message });
+  }
+};
+
+/**
+ * Generate the rental agreement for a tenant's accommodation
+ * Regenerating replaces an agreement the tenant has not accepted yet.
+ * @route POST /api/landlord/tenant/agreements
+ * @body {string} tenantId - Tenant ID or local tenant ID
+ * @body {string} propertyId, roomId, bedId - Optional, pick the accommodation
+ * @body {string} templateId - Optional, 'default' for the built-in template
+ */
+const createTenantAgreement = async (req, res) => {
+  try {
+    const { tenantId, propertyId, roomId, bedId, templateId } = req.body;
+    if (!tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+
+    const isLocalId = tenantId.startsWith('L-');
+    const tenant = await Tenant.findOne(isLocalId
+      ? { accommodations: { $elemMatch: { localTenantId: tenantId, landlordId: req.user.id } } }
+      : { tenantId, 'accommodations.landlordId': req.user.id });
+    const accommodation = tenant && tenant.accommodations.find(acc =>
+      acc.isActive &&
+      acc.landlordId.toString() === req.user.id.toString() &&
+      (isLocalId ? acc.localTenantId === tenantId : true) &&
+      (propertyId ? acc.propertyId.toString() === propertyId.toString() : true) &&
+      (roomId ? acc.roomId === roomId : true) &&
+      (bedId ? acc.bedId === bedId : true)
+    );
+    if (!accommodation) {
+      return res.status(404).json({ message: 'Active accommodation not found for this tenant' });
+    }
+
+    const result = await generateAgreement(tenant, accommodation, { templateId, generatedBy: req.user.id });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Agreement generated and sent to the tenant for acceptance',
+      tenantId: tenant.tenantId,
+      localTenantId: accommodation.localTenantId,
+      agreement: result.agreement
+    });
+  } catch (error) {
+    console.error('Error in createTenantAgreement:', error);
+    res.status(500).json({ message: 'Error generating agreement', error: error.message });
+  }
+};
+
+/**
+ * Get an agreement with its integrity check (landlord)
+ * @route GET /api/landlord/tenant/agreements/:agreementId
+ */
+const getTenantAgreement = async (req, res) => {
+  try {
+    const { tenant, accommodation } = await findAgreement(req.params.agreementId, {
+      'accommodations.landlordId': req.user.id
+    });
+    if (!tenant || accommodation.landlordId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ message: 'Agreement not found or you do not have access' });
+    }
+
+    res.status(200).json({
+      success: true,
+      tenantId: tenant.tenantId,
+      tenantName: tenant.name,
+      localTenantId: accommodation.localTenantId,
+      propertyName: accommodation.propertyName,
+      roomId: accommodation.roomId,
+      bedId: accommodation.bedId,
+      agreement: accommodation.agreement,
+      integrity: verifyAgreementIntegrity(tenant, accommodation.agreement)
+    });
+  } catch (error) {
+    console.error('Error in getTenantAgreement:', error);
+    res.status(500).json({ message: 'Error fetching agreement', error: error.message });
+  }
+};
+
+/**
+ * Download an agreement PDF (landlord)
+ * @route GET /api/landlord/tenant/agreements/:agreementId/pdf
+ */
+const downloadAgreement = async (req, res) => {
+  try {
+    const { tenant, accommodation } = await findAgreement(req.params.agreementId, {
+      'accommodations.landlordId': req.user.id
+    });
+    if (!tenant || accommodation.landlordId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ message: 'Agreement not found or you do not have access' });
+    }
+
+    const document = getAgreementDocument(accommodation.agreement);
+    return sendStoredDocument(res, document, `${document.number}.pdf`);
+  } catch (error) {
+    console.error('Error in downloadAgreement:', error);
+    return res.status(500).json({ message: 'Error downloading agreement', error: error.message });
+  }
+};
+
+/**
+ * List the tenant's rental agreements
+ * @route GET /api/tenant/agreements
+ */
+const getMyAgreements = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.user.id }).select('tenantId accommodations');
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const agreements = tenant.accommodations
+      .filter(acc => acc.agreement && acc.agreement.agreementId)
+      .map(acc => ({
+        propertyId: acc.propertyId,
+        propertyName: acc.propertyName,
+        roomId: acc.roomId,
+        bedId: acc.bedId,
+        isActive: acc.isActive,
+        agreement: acc.agreement
+      }));
+
+    res.status(200).json({ success: true, count: agreements.length, agreements });
+  } catch (error) {
+    console.error('Error in getMyAgreements:', error);
+    res.status(500).json({ message: 'Error fetching agreements', error: error.message });
+  }
+};
+
+/**
+ * Download one of the tenant's agreement PDFs
+ * @route GET /api/tenant/agreements/:agreementId/pdf
+ */
+const downloadMyAgreement = async (req, res) => {
+  try {
+    const { tenant, accommodation } = await findAgreement(req.params.agreementId, { tenantId: req.user.id });
+    if (!tenant) {
+      return res.status(404).json({ message: 'Agreement not found' });
+    }
+
+    const document = getAgreementDocument(accommodation.agreement);
+    return sendStoredDocument(res, document, `${document.number}.pdf`);
+  } catch (error) {
+    console.error('Error in downloadMyAgreement:', error);
+    return res.status(500).json({ message: 'Error downloading agreement', error: error.message });
+  }
+};
+
+/**
+ * Send an OTP to the tenant's mobile to accept an agreement
+ * @route POST /api/tenant/agreements/:agreementId/otp
+ */
+const sendAgreementOtp = async (req, res) => {
+  try {
+    const result = await requestAcceptanceOtp(req.user.id, req.params.agreementId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: `OTP sent to ${result.mobile}` });
+  } catch (error) {
+    console.error('Error in sendAgreementOtp:', error);
+    res.status(500).json({ message: 'Error sending OTP', error: error.message });
+  }
+};
+
+/**
+ * Accept an agreement with the OTP
+ * @route POST /api/tenant/agreements/:agreementId/accept
+ * @body {string} otp
+ */
+const acceptMyAgreement = async (req, res) => {
+  try {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const result = await acceptAgreement(req.user.id, req.params.agreementId, {
+      otp: req.body.otp,
+      ip: forwardedFor ? forwardedFor.split(',')[0].trim() : req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Agreement accepted', agreement: result.agreement });
+  } catch (error) {
+    console.error('Error in acceptMyAgreement:', error);
+    res.status(500).json({ message: 'Error accepting agreement', error: error.message });
+  }
+};
+
+module.exports = {
+  getAgreementTemplates,
+  createAgreementTemplate,
+  updateAgreementTemplate,
+  deleteAgreementTemplate,
+  createTenantAgreement,
+  getTenantAgreement,
+  downloadAgreement,
+  getMyAgreements,
+  downloadMyAgreement,
+  sendAgreementOtp,
+  acceptMyAgreement
+};
@@ -2,6 +2,11 @@ const Tenant = require('../models/Tenant');
 const Property = require('../models/Property');
 const mongoose = require('mongoose');
 const { setCache, getCache } = require('../utils/redis');
+const {
+  getBillOutstanding,
+  getBillPaymentStatus,
+  buildLandlordStatement
+} = require('../services/paymentLedgerService');
 
 /**
  * Get all tenant dues for a landlord
@@ -36,6 +41,7 @@ const getAllTenantDues = async (req, res) => {
 
     // Prepare response object
     let totalDueAmount = 0;
+    let totalLateFees = 0;
     const duesByProperty = {};
     const duesByType = {};
     const duesByMonth = {};
@@ -97,32 +103,29 @@ const getAllTenantDues = async (req, res) => {
           };
         }
 
-        // Update total due amount
+        // Update total due amount (bill amounts already include accrued late fees)
         totalDueAmount += bill.amount;
+        const lateFees = (bill.billDetails && bill.billDetails.lateFees) || 0;
+        if (!bill.paid) {
+          totalLateFees += lateFees;
+        }
+        const outstanding = getBillOutstanding(bill);
+        const paidPortion = (bill.amount || 0) - outstanding;
         
         // Update property dues
         duesByProperty[propId].totalDue += bill.amount;
-        if (bill.paid) {
-          duesByProperty[propId].paidDue += bill.amount;
-        } else {
-          duesByProperty[propId].unpaidDue += bill.amount;
-        }
+        duesByProperty[propId].paidDue += paidPortion;
+        duesByProperty[propId].unpaidDue += outstanding;
         
         // Update type dues
         duesByType[billType].totalDue += bill.amount;
-        if (bill.paid) {
-          duesByType[billType].paidDue += bill.amount;
-        } else {
-          duesByType[billType].unpaidDue += bill.amount;
-        }
+        duesByType[billType].paidDue += paidPortion;
+        duesByType[billType].unpaidDue += outstanding;
         
         // Update month dues
         duesByMonth[billMonth].totalDue += bill.amount;
-        if (bill.paid) {
-          duesByMonth[billMonth].paidDue += bill.amount;
-        } else {
-          duesByMonth[billMonth].unpaidDue += bill.amount;
-        }
+        duesByMonth[billMonth].paidDue += paidPortion;
+        duesByMonth[billMonth].unpaidDue += outstanding;
 
         // Add bill to array with tenant info
         const tenantAccommodation = tenant.accommodations.find(
@@ -141,8 +144,14 @@ const getAllTenantDues = async (req, res) => {
           month: bill.month,
           year: bill.year,
           amount: bill.amount,
+          lateFees,
+          penaltyAmount: (bill.billDetails && bill.billDetails.penaltyAmount) || 0,
+          lateFeesWaived: (bill.billDetails && bill.billDetails.lateFeesWaived) || 0,
           dueDate: bill.dueDate,
           paid: bill.paid,
+          paidAmount: paidPortion,
+          outstanding,
+          paymentStatus: getBillPaymentStatus(bill),
           paidDate: bill.paidDate,
           billNumber: bill.billNumber,
           description: bill.description
@@ -164,6 +173,7 @@ const getAllTenantDues = async (req, res) => {
 
     return res.status(200).json({
       totalDueAmount,
+      totalLateFees,
       duesByProperty: Object.values(duesByProperty),
       duesByType: Object.values(duesByType),
       duesByMonth: Object.values(duesByMonth),
@@ -324,7 +334,34 @@ const getMonthlyCollections = async (req, res) => {
   }
 };
 
+/**
+ * Get the landlord statement: billed vs collected per month and property, from the payment ledger
+ * Can be filtered by property and date range
+ */
+const getLandlordStatement = async (req, res) => {
+  const { propertyId, from, to } = req.query;
+
+  try {
+    if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const statement = await buildLandlordStatement({
+      landlordId: req.user.id,
+      propertyId,
+      from,
+      to
+    });
+
+    return res.status(200).json(statement);
+  } catch (error) {
+    console.error('Error in getLandlordStatement:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   getAllTenantDues,
-  getMonthlyCollections
+  getMonthlyCollections,
+  getLandlordStatement
 };
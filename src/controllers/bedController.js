@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const { setCache } = require('../utils/redis');
 const idGenerator = require('../services/idGenerator');
 const statusManagement = require('../services/statusManagement');
+const { notifyWaitlist } = require('../services/waitlistService');
 
 /**
  * Enhanced controller for adding a bed to a room
@@ -143,6 +144,7 @@ const updateBed = async (req, res) => {
     
     // Update bed fields if provided
     const bed = property.rooms[roomIndex].beds[bedIndex];
+    const previousStatus = bed.status;
     const updatableFields = ['price', 'status', 'monthlyCollection', 'pendingDues'];
     
     // Track what was updated
@@ -177,6 +179,11 @@ const updateBed = async (req, res) => {
     property.updatedAt = new Date();
     await property.save();
     
+    // A bed put back into use goes to the waitlist first
+    if (bed.status === 'Available' && previousStatus !== 'Available') {
+      await notifyWaitlist(property._id, { roomId, bedId });
+    }
+    
     // Clear cache
     await setCache(`properties:${landlordId}`, null);
     
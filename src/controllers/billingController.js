@@ -2,6 +2,14 @@ const Tenant = require('../models/Tenant');
 const Property = require('../models/Property');
 const mongoose = require('mongoose');
 const { setCache, getCache } = require('../utils/redis');
+const { previewNextRentBills } = require('../services/rentBillingService');
+const {
+  recordPayment,
+  getBillOutstanding,
+  buildTenantStatement,
+  applyCreditToNewBills
+} = require('../services/paymentLedgerService');
+const { getCreditBalance, summarizeOpeningBalances } = require('../services/tenantCreditService');
 
 /**
  * Add an electricity bill for a tenant
@@ -82,6 +90,10 @@ const addElectricityBill = async (req, res) => {
       }
     }
     
+    // Penalties are charged on top of the bill amount
+    const penalty = Number(penaltyAmount) || 0;
+    const totalAmount = (Number(amount) || 0) + penalty;
+    
     // Create bill object
     const newBill = {
       landlordId: req.user.id,
@@ -92,7 +104,7 @@ const addElectricityBill = async (req, res) => {
       type: 'Electricity',
       month: month || new Date().toLocaleString('default', { month: 'long' }),
       year: year || new Date().getFullYear().toString(),
-      amount: amount || 0,
+      amount: totalAmount,
       dueDate: dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Default: 7 days from now
       paid: false,
       description: description || `Electricity Bill for ${month || new Date().toLocaleString('default', { month: 'long' })} ${year || new Date().getFullYear()}`,
@@ -111,7 +123,7 @@ const addElectricityBill = async (req, res) => {
         maintenanceCharges: maintenanceCharges || 0,
         otherCharges: otherCharges || 0,
         remarks: remarks || '',
-        penaltyAmount: penaltyAmount || 0,
+        penaltyAmount: penalty,
         penaltyReason: penaltyReason || ''
       }
     };
@@ -129,16 +141,21 @@ const addElectricityBill = async (req, res) => {
     );
     
     if (accommodationIndex !== -1) {
-      tenant.accommodations[accommodationIndex].pendingDues += amount;
+      tenant.accommodations[accommodationIndex].pendingDues += totalAmount;
       await tenant.save();
     }
     
+    // Pay it from the tenant's credit balance, if any
+    const createdBill = tenant.bills[tenant.bills.length - 1];
+    const creditApplied = await applyCreditToNewBills(tenant.tenantId, req.user.id, [createdBill._id]);
+    
     // Clear cache
     await setCache(`landlord:tenants:${req.user.id}`, null, 1);
     
     return res.status(201).json({
       message: 'Electricity bill added successfully',
-      bill: newBill
+      bill: newBill,
+      creditApplied
     });
   } catch (error) {
     console.error('Error in addElectricityBill:', error);
@@ -226,6 +243,10 @@ const addTenantBill = async (req, res) => {
       return res.status(404).json({ message: 'No active accommodation found for this tenant' });
     }
     
+    // Penalties are charged on top of the bill amount
+    const penalty = Number(penaltyAmount || (billDetails && billDetails.penaltyAmount)) || 0;
+    const totalAmount = (Number(amount) || 0) + penalty;
+    
     // Create bill object
     const newBill = {
       landlordId: req.user.id,
@@ -236,13 +257,13 @@ const addTenantBill = async (req, res) => {
       type,
       month: month || new Date().toLocaleString('default', { month: 'long' }),
       year: year || new Date().getFullYear().toString(),
-      amount: amount || 0,
+      amount: totalAmount,
       dueDate: dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Default: 7 days from now
       paid: false,
       description: description || `${type} Bill`,
       billDate: billDate || new Date(),
       billNumber: billNumber || `${type.substring(0,2).toUpperCase()}-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
-      billDetails: billDetails || {
+      billDetails: billDetails ? { ...billDetails, penaltyAmount: penalty } : {
         previousReading,
         currentReading,
         units: units || (currentReading && previousReading ? currentReading - previousReading : null),
@@ -255,7 +276,7 @@ const addTenantBill = async (req, res) => {
         maintenanceCharges: maintenanceCharges || 0,
         otherCharges: otherCharges || 0,
         remarks: remarks || '',
-        penaltyAmount: penaltyAmount || 0,
+        penaltyAmount: penalty,
         penaltyReason: penaltyReason || ''
       }
     };
@@ -272,17 +293,22 @@ const addTenantBill = async (req, res) => {
     );
     
     if (accommodationIndex !== -1) {
-      tenant.accommodations[accommodationIndex].pendingDues += amount;
+      tenant.accommodations[accommodationIndex].pendingDues += totalAmount;
     }
     
     await tenant.save();
     
+    // Pay it from the tenant's credit balance, if any
+    const createdBill = tenant.bills[tenant.bills.length - 1];
+    const creditApplied = await applyCreditToNewBills(tenant.tenantId, req.user.id, [createdBill._id]);
+    
     // Clear cache
     await setCache(`landlord:tenants:${req.user.id}`, null, 1);
     
     return res.status(201).json({
       message: 'Bill added successfully',
-      bill: newBill
+      bill: newBill,
+      creditApplied
     });
   } catch (error) {
     console.error('Error in addTenantBill:', error);
@@ -357,6 +383,8 @@ const getTenantBills = async (req, res) => {
 
 /**
  * Get all outstanding dues for a tenant
+ * Opening balances not yet brought forward count towards the dues (or as credit when
+ * negative) and the tenant's credit balance is netted off in netPayable.
  */
 const getTenantDues = async (req, res) => {
   const { tenantId } = req.params;
@@ -393,17 +421,19 @@ const getTenantDues = async (req, res) => {
       unpaidBills = unpaidBills.filter(bill => bill.propertyId.toString() === propertyId);
     }
     
-    // Group dues by type
+    // Group dues by type (outstanding amount, net of partial payments)
     const duesByType = {};
     unpaidBills.forEach(bill => {
       if (!duesByType[bill.type]) {
         duesByType[bill.type] = 0;
       }
-      duesByType[bill.type] += bill.amount;
+      duesByType[bill.type] += getBillOutstanding(bill);
     });
     
-    // Calculate total dues
-    const totalDues = unpaidBills.reduce((sum, bill) => sum + bill.amount, 0);
+    // Calculate total dues (bill amounts already include accrued late fees and penalties)
+    const totalDues = unpaidBills.reduce((sum, bill) => sum + getBillOutstanding(bill), 0);
+    const totalLateFees = unpaidBills.reduce((sum, bill) => sum + ((bill.billDetails && bill.billDetails.lateFees) || 0), 0);
+    const totalPenalties = unpaidBills.reduce((sum, bill) => sum + ((bill.billDetails && bill.billDetails.penaltyAmount) || 0), 0);
     
     // Get accommodations for this tenant under this landlord
     let accommodations = tenant.accommodations.filter(acc => 
@@ -436,10 +466,23 @@ const getTenantDues = async (req, res) => {
       });
     }
     
+    // Opening balances not yet posted as a bill or credit, and the credit already held
+    const openingBalance = summarizeOpeningBalances(accommodations);
+    const creditBalance = await getCreditBalance(tenant.tenantId, req.user.id);
+    const openingBalanceDue = Math.max(0, openingBalance.unposted);
+    const totalCredit = creditBalance + Math.max(0, -openingBalance.unposted);
+    const grossDues = totalDues + openingBalanceDue;
+    
     return res.status(200).json({
       totalDues,
+      totalLateFees,
+      totalPenalties,
       duesByType,
       unpaidBills,
+      openingBalance,
+      creditBalance,
+      netPayable: Math.max(0, Math.round((grossDues - totalCredit) * 100) / 100),
+      creditRemaining: Math.max(0, Math.round((totalCredit - grossDues) * 100) / 100),
       accommodations: Object.values(groupedAccommodations)
     });
   } catch (error) {
@@ -449,13 +492,30 @@ const getTenantDues = async (req, res) => {
 };
 
 /**
- * Record payment for a bill
+ * Record a payment against a tenant's bills
+ * The amount is allocated oldest-first across the open bills (optionally limited to billIds),
+ * or as given in allocations. Bills become partial or paid and a Payment is written to the ledger.
+ * Anything paid beyond the bills is kept as tenant credit and applied to the next bills.
+ * @body {string} tenantId - Tenant ID or local tenant ID (L-...)
+ * @body {number} paidAmount - Amount received
+ * @body {string[]} billIds - Optional, bills to pay (oldest-first)
+ * @body {Object[]} allocations - Optional, explicit [{ billId, amount }]
+ * @body {string} propertyId - Optional, limit oldest-first allocation to one property
+ * @body {string} paymentMethod - Cash | Bank Transfer | UPI | Cheque | Card | Other
+ * @body {string} paymentDate - Optional
+ * @body {string} transactionId - Optional
+ * @body {string} note - Optional
+ * @body {boolean} creditExcess - Optional, true adds any amount above the outstanding to the tenant's credit
+ *   instead of refusing the payment
  */
 const recordBillPayment = async (req, res) => {
-  const { tenantId, billIds, paidAmount, paymentDate } = req.body;
+  const {
+    tenantId, billIds, allocations, propertyId, paidAmount, paymentDate,
+    paymentMethod, transactionId, note, creditExcess
+  } = req.body;
   
-  if (!tenantId || !billIds || !paidAmount) {
-    return res.status(400).json({ message: 'Tenant ID, Bill IDs, and Paid Amount are required' });
+  if (!tenantId || !paidAmount) {
+    return res.status(400).json({ message: 'Tenant ID and Paid Amount are required' });
   }
   
   try {
@@ -479,72 +539,50 @@ const recordBillPayment = async (req, res) => {
       return res.status(404).json({ message: 'Tenant not found or you do not have access' });
     }
     
-    // Convert billIds to array if it's a single value
-    const billIdArray = Array.isArray(billIds) ? billIds : [billIds];
-    
-    // Update bills
-    const updatedBills = [];
-    let totalPaidAmount = 0;
-    let propertyAccommodations = new Map();
-    
-    for (const billId of billIdArray) {
-      const billIndex = tenant.bills.findIndex(
-        bill => bill._id.toString() === billId &&
-               bill.landlordId.toString() === req.user.id.toString()
-      );
-      
-      if (billIndex !== -1) {
-        const bill = tenant.bills[billIndex];
-        const billAmount = bill.amount;
-        
-        // Update bill
-        bill.paid = true;
-        bill.paidDate = paymentDate || new Date();
-        bill.paidAmount = billAmount;
-        
-        totalPaidAmount += billAmount;
-        updatedBills.push(bill);
-        
-        // Track which properties need accommodation updates
-        const key = `${bill.propertyId}-${bill.roomId}-${bill.bedId || ''}`;
-        if (!propertyAccommodations.has(key)) {
-          propertyAccommodations.set(key, {
-            propertyId: bill.propertyId,
-            roomId: bill.roomId,
-            bedId: bill.bedId,
-            amount: billAmount
-          });
-        } else {
-          propertyAccommodations.get(key).amount += billAmount;
-        }
-      }
-    }
+    const result = await recordPayment(tenant, {
+      landlordId: req.user.id,
+      amount: paidAmount,
+      billIds: billIds && (Array.isArray(billIds) ? billIds : [billIds]),
+      allocations,
+      propertyId,
+      method: paymentMethod,
+      paymentDate,
+      transactionId,
+      note,
+      collectedBy: req.user.id,
+      creditExcess: creditExcess === true || creditExcess === 'true'
+    });
     
-    // Update accommodations
-    for (const [_, details] of propertyAccommodations) {
-      const accIndex = tenant.accommodations.findIndex(
-        acc => acc.propertyId.toString() === details.propertyId.toString() &&
-               acc.roomId === details.roomId &&
-               (details.bedId ? acc.bedId === details.bedId : true) &&
-               acc.isActive
-      );
-      
-      if (accIndex !== -1) {
-        tenant.accommodations[accIndex].pendingDues -= details.amount;
-        tenant.accommodations[accIndex].monthlyCollection += details.amount;
-      }
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        message: result.error,
+        ...(result.outstanding !== undefined && { outstanding: result.outstanding })
+      });
     }
     
-    await tenant.save();
-    
     // Clear cache
     await setCache(`landlord:tenants:${req.user.id}`, null, 1);
     
     return res.status(200).json({
-      message: 'Payment recorded successfully',
-      paidAmount: totalPaidAmount,
-      paidBills: updatedBills.length,
-      paymentDate: paymentDate || new Date()
+      message: result.creditedAmount > 0
+        ? `Payment recorded successfully, ${result.creditedAmount} kept as tenant credit`
+        : 'Payment recorded successfully',
+      paidAmount: result.payment.amount,
+      creditedAmount: result.creditedAmount,
+      creditBalance: result.creditBalance,
+      paidBills: result.allocations.filter(a => a.bill.paid).length,
+      partiallyPaidBills: result.allocations.filter(a => !a.bill.paid).length,
+      paymentDate: result.payment.paymentDate,
+      payment: result.payment,
+      allocations: result.allocations.map(({ bill, amount }) => ({
+        billId: bill._id,
+        billNumber: bill.billNumber,
+        type: bill.type,
+        allocated: amount,
+        paidAmount: bill.paidAmount,
+        outstanding: getBillOutstanding(bill),
+        paymentStatus: bill.paymentStatus
+      }))
     });
   } catch (error) {
     console.error('Error in recordBillPayment:', error);
@@ -552,10 +590,77 @@ const recordBillPayment = async (req, res) => {
   }
 };
 
+/**
+ * Get a tenant's account statement computed from the payment ledger
+ * @query {string} propertyId - Optional
+ * @query {string} from - Optional start date
+ * @query {string} to - Optional end date
+ */
+const getTenantStatement = async (req, res) => {
+  const { tenantId } = req.params;
+  const { propertyId, from, to } = req.query;
+  
+  try {
+    const tenant = await Tenant.findOne({
+      [tenantId.startsWith('L-') ? 'accommodations.localTenantId' : 'tenantId']: tenantId,
+      'accommodations.landlordId': req.user.id
+    });
+    
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found or you do not have access' });
+    }
+    
+    const statement = await buildTenantStatement(tenant, {
+      landlordId: req.user.id,
+      propertyId,
+      from,
+      to
+    });
+    
+    return res.status(200).json(statement);
+  } catch (error) {
+    console.error('Error in getTenantStatement:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Preview the Rent bills the next billing cycle will generate (dry run, nothing is saved)
+ */
+const previewRentBills = async (req, res) => {
+  const { propertyId, fromDate } = req.query;
+
+  try {
+    if (propertyId) {
+      const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id });
+      if (!property) {
+        return res.status(404).json({ message: 'Property not found or you do not have access' });
+      }
+    }
+
+    const preview = await previewNextRentBills({
+      landlordId: req.user.id,
+      propertyId,
+      fromDate: fromDate ? new Date(fromDate) : new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      ...preview
+    });
+  } catch (error) {
+    console.error('Error in previewRentBills:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   addElectricityBill,
   addTenantBill,
   getTenantBills,
   getTenantDues,
-  recordBillPayment
+  recordBillPayment,
+  getTenantStatement,
+  previewRentBills
 };
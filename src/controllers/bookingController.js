@@ -2,6 +2,29 @@ const mongoose = require('mongoose');
 const Tenant = require('../models/Tenant');
 const Property = require('../models/Property');
 const { setCache, getCache } = require('../utils/redis');
+const {
+  getStayRange,
+  reserveBed,
+  releaseReservations,
+  markBedReserved,
+  clearBedReserved
+} = require('../services/bedReservationService');
+const {
+  MAX_HOLD_HOURS,
+  getHoldPolicy,
+  describeHold,
+  startBookingHold,
+  confirmBookingHold,
+  releaseBookingHold
+} = require('../services/bookingHoldService');
+const { convertBookingToStay } = require('../services/bookingConversionService');
+const { claimWaitlistOffer } = require('../services/waitlistService');
+const {
+  MAX_EXPIRY_HOURS,
+  MAX_REMINDERS,
+  getRequestPolicy,
+  scheduleRequestExpiry
+} = require('../services/bookingRequestExpiryService');
 
 /**
  * Get all tenants who have been added but not assigned to any property
@@ -72,7 +95,9 @@ const getBookingRequests = async (req, res) => {
             message: request.message,
             requestDate: request.requestDate,
             responseDate: request.responseDate,
-            responseMessage: request.responseMessage
+            responseMessage: request.responseMessage,
+            expiresAt: request.status === 'Pending' ? request.expiresAt : undefined,
+            hold: describeHold(request)
           });
         }
       });
@@ -97,8 +122,11 @@ const getBookingRequests = async (req, res) => {
 
 /**
  * Submit a booking request for a property
+ * When the property's booking hold policy is on, the bed is held for the tenant for a few
+ * hours (or, with a token required, once the token is paid); see bookingHoldService.
  */
 const submitBookingRequest = async (req, res) => {
+  let heldRequest = null;
   try {
     const { 
       tenantId, propertyId, roomId, bedId, moveInDate, duration, message,
@@ -185,10 +213,32 @@ const submitBookingRequest = async (req, res) => {
 
     // Add the booking request to the tenant's bookingRequests array
     tenant.bookingRequests.push(bookingRequest);
-    await tenant.save();
-    
+
     // Get the latest booking request (the one we just added)
     const newRequest = tenant.bookingRequests[tenant.bookingRequests.length - 1];
+    scheduleRequestExpiry(newRequest, property);
+
+    // Hold the bed before the request is saved
+    const held = await startBookingHold(tenant.tenantId, newRequest, property);
+    if (held.error) {
+      return res.status(held.statusCode).json({
+        message: held.error,
+        nextAvailableFrom: held.nextAvailableFrom
+      });
+    }
+    if (held.hold && held.hold.status === 'Active') {
+      heldRequest = newRequest;
+    }
+
+    await tenant.save();
+
+    // A bed offered from the waitlist is now held for this request
+    const fromWaitlist = await claimWaitlistOffer(tenant.tenantId, {
+      propertyId: property._id,
+      roomId,
+      bedId,
+      requestId: newRequest.requestId
+    });
 
     return res.status(201).json({
       success: true,
@@ -200,10 +250,16 @@ const submitBookingRequest = async (req, res) => {
         roomName: newRequest.roomName,
         status: newRequest.status,
         moveInDate: newRequest.moveInDate,
-        requestDate: newRequest.requestDate
+        requestDate: newRequest.requestDate,
+        expiresAt: newRequest.expiresAt,
+        hold: describeHold(newRequest),
+        fromWaitlist
       }
     });
   } catch (error) {
+    if (heldRequest) {
+      await releaseBookingHold(heldRequest, 'Booking request not saved').catch(() => {});
+    }
     console.error('Error in submitBookingRequest:', error);
     return res.status(500).json({
       message: 'Error submitting booking request',
@@ -214,10 +270,23 @@ const submitBookingRequest = async (req, res) => {
 
 /**
  * Update a booking request status (approve/reject)
+ * Approving a request for a bed holds it on the bed's calendar from the move-in date for the
+ * requested duration; the approval fails if those dates are already taken. A live soft hold
+ * from the request is kept and made firm; rejecting the request frees the bed.
+ * With createAccommodation, approval also moves the tenant in (see bookingConversionService); a
+ * request already approved with a hold is moved in the same way. Fails with 409 when the request
+ * changed meanwhile, e.g. it expired while the landlord was responding.
+ * @body {string} requestId
+ * @body {string} status - 'Approved' | 'Rejected'
+ * @body {string} responseMessage
+ * @body {boolean} createAccommodation - Approve and create the stay with its first bills
+ * @body {number} rentAmount - Agreed rent for the stay, defaults to the bed (or room) price
+ * @body {number} securityDeposit - Defaults to the room's security deposit
  */
 const updateBookingRequest = async (req, res) => {
+  let hold = null;
   try {
-    const { requestId, status, responseMessage } = req.body;
+    const { requestId, status, responseMessage, createAccommodation, rentAmount, securityDeposit } = req.body;
     const landlordId = req.user.id;
 
     // Validate inputs
@@ -248,21 +317,158 @@ const updateBookingRequest = async (req, res) => {
       return res.status(404).json({ message: 'Booking request not found' });
     }
 
+    const bookingRequest = tenant.bookingRequests[bookingRequestIndex];
+    const previousStatus = bookingRequest.status;
+    if (bookingRequest.convertedAt) {
+      return res.status(409).json({ message: 'The tenant has already moved in from this booking request; manage the stay instead' });
+    }
+    // A request approved with a hold on the bed can still be converted to a stay
+    if (previousStatus === status && !(status === 'Approved' && createAccommodation)) {
+      return res.status(400).json({ message: `Booking request is already ${status}` });
+    }
+    if (previousStatus === 'Cancelled') {
+      return res.status(400).json({ message: 'Booking request was cancelled by the tenant' });
+    }
+    if (previousStatus === 'Expired') {
+      return res.status(400).json({ message: 'Booking request expired without a response, the tenant needs to send a new one' });
+    }
+
+    if (status === 'Approved' && createAccommodation) {
+      const converted = await convertBookingToStay({
+        tenantId: tenant.tenantId,
+        requestId,
+        landlordId,
+        rentAmount,
+        securityDeposit,
+        responseMessage
+      });
+      if (converted.error) {
+        return res.status(converted.statusCode).json({
+          message: converted.error,
+          nextAvailableFrom: converted.nextAvailableFrom
+        });
+      }
+
+      return res.status(200).json({
+        message: 'Booking request approved and tenant moved in successfully',
+        bookingRequest: converted.bookingRequest,
+        accommodation: converted.accommodation,
+        bills: converted.bills,
+        reservation: converted.reservation,
+        creditApplied: converted.creditApplied,
+        hold: describeHold(converted.bookingRequest)
+      });
+    }
+
+    // Hold the bed for the requested stay before the approval is saved
+    let holdConfirmed = status === 'Approved' && bookingRequest.roomId && bookingRequest.bedId &&
+      await confirmBookingHold(bookingRequest);
+    if (status === 'Approved' && bookingRequest.roomId && bookingRequest.bedId && !holdConfirmed) {
+      const stay = getStayRange({ moveInDate: bookingRequest.moveInDate, duration: bookingRequest.duration || 1 });
+      if (stay.error) {
+        return res.status(stay.statusCode).json({ message: stay.error });
+      }
+
+      const claim = await reserveBed({
+        propertyId: bookingRequest.propertyId,
+        roomId: bookingRequest.roomId,
+        bedId: bookingRequest.bedId,
+        type: 'Hold',
+        startDate: stay.startDate,
+        endDate: stay.endDate,
+        tenantId: tenant.tenantId,
+        bookingRequestId: requestId,
+        createdBy: landlordId,
+        ignoreHoldsOf: tenant.tenantId
+      });
+      if (claim.error) {
+        return res.status(claim.statusCode).json({
+          message: claim.error,
+          nextAvailableFrom: claim.nextAvailableFrom
+        });
+      }
+      hold = {
+        bed: { propertyId: bookingRequest.propertyId, roomId: bookingRequest.roomId, bedId: bookingRequest.bedId },
+        reservation: claim.reservation
+      };
+
+      // The soft hold ran out or was waiting for a token; the new hold replaces it
+      if (bookingRequest.hold && bookingRequest.hold.status) {
+        await markBedReserved(hold.bed.propertyId, hold.bed.roomId, hold.bed.bedId);
+        bookingRequest.hold.status = 'Confirmed';
+        bookingRequest.hold.reservationId = claim.reservation.reservationId;
+        bookingRequest.hold.expiresAt = undefined;
+        holdConfirmed = true;
+      }
+    }
+
     // Update the booking request
-    tenant.bookingRequests[bookingRequestIndex].status = status;
-    tenant.bookingRequests[bookingRequestIndex].responseDate = new Date();
-    tenant.bookingRequests[bookingRequestIndex].responseMessage = responseMessage || '';
+    bookingRequest.status = status;
+    bookingRequest.responseDate = new Date();
+    bookingRequest.responseMessage = responseMessage || '';
 
-    // If approved, we could automatically assign the tenant to the property
-    // But for now, we'll leave that as a separate step
-    
-    await tenant.save();
+    // Only while the request is as it was read: the expiry job or the tenant may have changed it meanwhile
+    const set = {
+      'bookingRequests.$[req].status': bookingRequest.status,
+      'bookingRequests.$[req].responseDate': bookingRequest.responseDate,
+      'bookingRequests.$[req].responseMessage': bookingRequest.responseMessage
+    };
+    const update = { $set: set };
+    if (holdConfirmed) {
+      set['bookingRequests.$[req].hold.status'] = 'Confirmed';
+      set['bookingRequests.$[req].hold.reservationId'] = bookingRequest.hold.reservationId;
+      update.$unset = { 'bookingRequests.$[req].hold.expiresAt': '' };
+    }
+    const saved = await Tenant.updateOne(
+      {
+        tenantId: tenant.tenantId,
+        bookingRequests: { $elemMatch: { requestId, status: previousStatus, convertedAt: null } }
+      },
+      update,
+      { arrayFilters: [{ 'req.requestId': requestId }] }
+    );
+    if (saved.modifiedCount === 0) {
+      if (hold) {
+        await releaseReservations({ ...hold.bed, reservationId: hold.reservation.reservationId, reason: 'Approval failed' });
+        await clearBedReserved(hold.bed.propertyId, hold.bed.roomId, hold.bed.bedId);
+        hold = null;
+      }
+      return res.status(409).json({ message: 'Booking request was changed meanwhile, reload it and try again' });
+    }
+
+    // Rejecting a request frees its hold
+    if (status === 'Rejected') {
+      await releaseBookingHold(bookingRequest, 'Booking rejected');
+      if (bookingRequest.hold && bookingRequest.hold.status === 'Released') {
+        await Tenant.updateOne(
+          {
+            tenantId: tenant.tenantId,
+            bookingRequests: { $elemMatch: { requestId, 'hold.status': { $in: ['Awaiting Token', 'Active', 'Confirmed'] } } }
+          },
+          {
+            $set: {
+              'bookingRequests.$[req].hold.status': 'Released',
+              'bookingRequests.$[req].hold.releasedAt': bookingRequest.hold.releasedAt,
+              'bookingRequests.$[req].hold.releaseReason': bookingRequest.hold.releaseReason
+            }
+          },
+          { arrayFilters: [{ 'req.requestId': requestId }] }
+        );
+      }
+    }
 
     return res.status(200).json({
       message: `Booking request ${status.toLowerCase()} successfully`,
-      bookingRequest: tenant.bookingRequests[bookingRequestIndex]
+      bookingRequest,
+      reservation: hold ? hold.reservation : undefined,
+      hold: describeHold(bookingRequest)
     });
   } catch (error) {
+    if (hold) {
+      await releaseReservations({ ...hold.bed, reservationId: hold.reservation.reservationId, reason: 'Approval failed' })
+        .then(() => clearBedReserved(hold.bed.propertyId, hold.bed.roomId, hold.bed.bedId))
+        .catch(() => {});
+    }
     console.error('Error in updateBookingRequest:', error);
     return res.status(500).json({
       message: 'Error updating booking request',
@@ -271,10 +477,187 @@ const updateBookingRequest = async (req, res) => {
   }
 };
 
+/**
+ * Get the booking hold policy of a property
+ * @route GET /api/landlord/property/:propertyId/booking-hold-policy
+ */
+const getBookingHoldPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id })
+      .select('name bookingHoldPolicy');
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    res.status(200).json({
+      propertyId: property._id,
+      propertyName: property.name,
+      bookingHoldPolicy: getHoldPolicy(property)
+    });
+  } catch (error) {
+    console.error('Error in getBookingHoldPolicy:', error);
+    res.status(500).json({ message: 'Error fetching booking hold policy', error: error.message });
+  }
+};
+
+/**
+ * Create or update the booking hold policy of a property
+ * Changes apply to booking requests submitted afterwards.
+ * @route PUT /api/landlord/property/:propertyId/booking-hold-policy
+ * @body {boolean} enabled
+ * @body {number} holdHours - How long a bed stays Reserved for a new request
+ * @body {boolean} requireToken - Hold the bed only once a token advance is paid
+ * @body {number} tokenAmount - Token advance, kept as tenant credit
+ */
+const updateBookingHoldPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { enabled, holdHours, requireToken, tokenAmount } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    if (holdHours !== undefined &&
+        (isNaN(Number(holdHours)) || Number(holdHours) < 1 || Number(holdHours) > MAX_HOLD_HOURS)) {
+      return res.status(400).json({ message: `holdHours must be between 1 and ${MAX_HOLD_HOURS}` });
+    }
+
+    if (tokenAmount !== undefined && (isNaN(Number(tokenAmount)) || Number(tokenAmount) < 0)) {
+      return res.status(400).json({ message: 'tokenAmount must be a non-negative number' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id });
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const policy = property.bookingHoldPolicy || {};
+    if (enabled !== undefined) policy.enabled = Boolean(enabled);
+    if (holdHours !== undefined) policy.holdHours = Number(holdHours);
+    if (requireToken !== undefined) policy.requireToken = Boolean(requireToken);
+    if (tokenAmount !== undefined) policy.tokenAmount = Number(tokenAmount);
+    policy.updatedAt = new Date();
+
+    if (policy.requireToken && !(policy.tokenAmount > 0)) {
+      return res.status(400).json({ message: 'tokenAmount must be more than 0 when a token is required' });
+    }
+
+    property.bookingHoldPolicy = policy;
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.status(200).json({
+      message: 'Booking hold policy updated successfully',
+      bookingHoldPolicy: getHoldPolicy(property)
+    });
+  } catch (error) {
+    console.error('Error in updateBookingHoldPolicy:', error);
+    res.status(500).json({ message: 'Error updating booking hold policy', error: error.message });
+  }
+};
+
+/**
+ * Get the booking request policy of a property
+ * @route GET /api/landlord/property/:propertyId/booking-request-policy
+ */
+const getBookingRequestPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id })
+      .select('name bookingRequestPolicy');
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    res.status(200).json({
+      propertyId: property._id,
+      propertyName: property.name,
+      bookingRequestPolicy: getRequestPolicy(property)
+    });
+  } catch (error) {
+    console.error('Error in getBookingRequestPolicy:', error);
+    res.status(500).json({ message: 'Error fetching booking request policy', error: error.message });
+  }
+};
+
+/**
+ * Create or update the booking request policy of a property
+ * Changes apply to booking requests submitted afterwards.
+ * @route PUT /api/landlord/property/:propertyId/booking-request-policy
+ * @body {number} expiryHours - How long a request waits for a response before it expires
+ * @body {number[]} reminderHoursBefore - When to remind the landlord, in hours before expiry
+ */
+const updateBookingRequestPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { expiryHours, reminderHoursBefore } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    if (expiryHours !== undefined &&
+        (isNaN(Number(expiryHours)) || Number(expiryHours) < 1 || Number(expiryHours) > MAX_EXPIRY_HOURS)) {
+      return res.status(400).json({ message: `expiryHours must be between 1 and ${MAX_EXPIRY_HOURS}` });
+    }
+
+    if (reminderHoursBefore !== undefined &&
+        (!Array.isArray(reminderHoursBefore) || reminderHoursBefore.length > MAX_REMINDERS ||
+         reminderHoursBefore.some(hours => isNaN(Number(hours)) || Number(hours) <= 0))) {
+      return res.status(400).json({ message: `reminderHoursBefore must be a list of up to ${MAX_REMINDERS} positive numbers` });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id });
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const policy = getRequestPolicy(property);
+    if (expiryHours !== undefined) policy.expiryHours = Number(expiryHours);
+    if (reminderHoursBefore !== undefined) {
+      policy.reminderHoursBefore = [...new Set(reminderHoursBefore.map(Number))].sort((a, b) => b - a);
+    }
+
+    if (policy.reminderHoursBefore.some(hours => hours >= policy.expiryHours)) {
+      return res.status(400).json({ message: 'Reminders must be sent less than expiryHours before expiry' });
+    }
+
+    property.bookingRequestPolicy = { ...policy, updatedAt: new Date() };
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.status(200).json({
+      message: 'Booking request policy updated successfully',
+      bookingRequestPolicy: getRequestPolicy(property)
+    });
+  } catch (error) {
+    console.error('Error in updateBookingRequestPolicy:', error);
+    res.status(500).json({ message: 'Error updating booking request policy', error: error.message });
+  }
+};
+
 module.exports = {
   getPendingTenants,
   getBookingRequests,
   submitBookingRequest,
-  updateBookingRequest
+  updateBookingRequest,
+  getBookingHoldPolicy,
+  updateBookingHoldPolicy,
+  getBookingRequestPolicy,
+  updateBookingRequestPolicy
 };
 ``
\ No newline at end of file
@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
 const Property = require('../models/Property');
-const Payment = require('../models/Payment');
 const Tenant = require('../models/Tenant');
 const { setCache, getCache } = require('../utils/redis');
 const moment = require('moment');
+const { getCycleDueDate } = require('../services/rentBillingService');
+const { getRentForDate } = require('../services/rentRevisionService');
+const { findCollectionEntries } = require('../services/paymentLedgerService');
 
 /**
  * Get collection summary for all properties
@@ -22,28 +24,18 @@ const getCollectionSummary = async (req, res) => {
       return res.status(200).json(JSON.parse(cachedData));
     }
     
-    // Build date filter
-    let dateFilter = {};
+    // Build the reporting period
+    let period = {};
     if (month && year) {
       const startDate = moment(`${year}-${month}-01`, 'YYYY-MM-DD').startOf('month').toDate();
       const endDate = moment(startDate).endOf('month').toDate();
       
-      dateFilter = {
-        paymentDate: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      };
+      period = { from: startDate, to: endDate };
     } else if (year) {
       const startDate = moment(`${year}-01-01`, 'YYYY-MM-DD').startOf('year').toDate();
       const endDate = moment(startDate).endOf('year').toDate();
       
-      dateFilter = {
-        paymentDate: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      };
+      period = { from: startDate, to: endDate };
     }
     
     // Query properties owned by the landlord
@@ -61,14 +53,8 @@ const getCollectionSummary = async (req, res) => {
     // Get property IDs
     const propertyIds = properties.map(p => p._id);
     
-    // Query all payments for these properties with optional date filter
-    const paymentsQuery = {
-      propertyId: { $in: propertyIds },
-      status: 'Completed',
-      ...dateFilter
-    };
-    
-    const payments = await Payment.find(paymentsQuery).lean();
+    // Payments for these properties and their refunds, each in its own month
+    const entries = await findCollectionEntries({ propertyId: { $in: propertyIds } }, period);
     
     // Prepare summary data
     const summary = {
@@ -87,13 +73,12 @@ const getCollectionSummary = async (req, res) => {
       recentPayments: []
     };
     
-    // Process payments data
-    for (const payment of payments) {
-      const amount = payment.amount || 0;
+    // Process payments data, refunds count negative
+    for (const { payment, amount, date, refund } of entries) {
       const propertyId = payment.propertyId.toString();
       const property = properties.find(p => p._id.toString() === propertyId);
       const propertyName = property ? property.name : 'Unknown Property';
-      const paymentMonth = moment(payment.paymentDate).format('YYYY-MM');
+      const paymentMonth = moment(date).format('YYYY-MM');
       const paymentCategory = payment.category?.toLowerCase() || 'other';
       
       // Add to total
@@ -109,7 +94,7 @@ const getCollectionSummary = async (req, res) => {
         };
       }
       summary.collectionByProperty[propertyId].totalAmount += amount;
-      summary.collectionByProperty[propertyId].paymentCount += 1;
+      if (!refund) summary.collectionByProperty[propertyId].paymentCount += 1;
       
       // Add to category collections
       if (paymentCategory === 'rent') {
@@ -133,6 +118,7 @@ const getCollectionSummary = async (req, res) => {
       summary.collectionByMonth[paymentMonth] += amount;
       
       // Add to recent payments (include only necessary info)
+      if (refund) continue;
       summary.recentPayments.push({
         paymentId: payment.paymentId,
         tenantId: payment.tenantId,
@@ -188,45 +174,29 @@ const getPropertyCollectionReport = async (req, res) => {
       return res.status(404).json({ message: 'Property not found or unauthorized' });
     }
     
-    // Build date filter
-    let dateFilter = {};
+    // Build the reporting period
+    let period = {};
     let reportPeriod = 'All Time';
     
     if (month && year) {
       const startDate = moment(`${year}-${month}-01`, 'YYYY-MM-DD').startOf('month').toDate();
       const endDate = moment(startDate).endOf('month').toDate();
       
-      dateFilter = {
-        paymentDate: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      };
+      period = { from: startDate, to: endDate };
       reportPeriod = moment(startDate).format('MMMM YYYY');
     } else if (year) {
       const startDate = moment(`${year}-01-01`, 'YYYY-MM-DD').startOf('year').toDate();
       const endDate = moment(startDate).endOf('year').toDate();
       
-      dateFilter = {
-        paymentDate: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      };
+      period = { from: startDate, to: endDate };
       reportPeriod = year;
     }
     
-    // Find all payments for this property with optional date filter
-    const paymentsQuery = {
-      propertyId,
-      status: 'Completed',
-      ...dateFilter
-    };
-    
-    const payments = await Payment.find(paymentsQuery).lean();
+    // Payments for this property and their refunds, each in its own month
+    const entries = await findCollectionEntries({ propertyId: property._id }, period);
     
     // Get all tenants who made payments
-    const tenantIds = [...new Set(payments.map(p => p.tenantId))];
+    const tenantIds = [...new Set(entries.map(entry => entry.payment.tenantId))];
     const tenants = await Tenant.find({ tenantId: { $in: tenantIds } }, 'tenantId name mobile email').lean();
     
     // Create tenant lookup map
@@ -245,7 +215,7 @@ const getPropertyCollectionReport = async (req, res) => {
       propertyName: property.name,
       reportPeriod,
       totalCollected: 0,
-      paymentCount: payments.length,
+      paymentCount: entries.filter(entry => !entry.refund).length,
       collectionByCategory: {
         rent: 0,
         maintenance: 0,
@@ -261,12 +231,11 @@ const getPropertyCollectionReport = async (req, res) => {
       allPayments: detailed === 'true' ? [] : undefined
     };
     
-    // Process payments data
-    for (const payment of payments) {
-      const amount = payment.amount || 0;
+    // Process payments data, refunds count negative
+    for (const { payment, amount, date, refund } of entries) {
       const tenantId = payment.tenantId;
       const roomId = payment.roomId || 'unspecified';
-      const paymentMonth = moment(payment.paymentDate).format('YYYY-MM');
+      const paymentMonth = moment(date).format('YYYY-MM');
       const paymentCategory = payment.category?.toLowerCase() || 'other';
       const paymentMethod = payment.paymentMethod || 'other';
       const tenantInfo = tenantMap[tenantId] || { name: 'Unknown Tenant' };
@@ -301,7 +270,7 @@ const getPropertyCollectionReport = async (req, res) => {
         };
       }
       report.collectionByTenant[tenantId].totalAmount += amount;
-      report.collectionByTenant[tenantId].paymentCount += 1;
+      if (!refund) report.collectionByTenant[tenantId].paymentCount += 1;
       
       // Add to room collections
       if (!report.collectionByRoom[roomId]) {
@@ -312,7 +281,7 @@ const getPropertyCollectionReport = async (req, res) => {
         };
       }
       report.collectionByRoom[roomId].totalAmount += amount;
-      report.collectionByRoom[roomId].paymentCount += 1;
+      if (!refund) report.collectionByRoom[roomId].paymentCount += 1;
       
       // Add to monthly collections
       if (!report.collectionByMonth[paymentMonth]) {
@@ -330,12 +299,13 @@ const getPropertyCollectionReport = async (req, res) => {
       if (detailed === 'true') {
         report.allPayments.push({
           paymentId: payment.paymentId,
+          refundId: refund ? refund.refundId : undefined,
           tenantId: payment.tenantId,
           tenantName: tenantInfo.name,
           amount,
           category: payment.category,
           description: payment.description,
-          paymentDate: payment.paymentDate,
+          paymentDate: date,
           paymentMethod,
           roomId
         });
@@ -465,24 +435,32 @@ const getCollectionForecast = async (req, res) => {
         const propId = accommodation.propertyId.toString();
         if (!propertyIds.some(id => id.toString() === propId)) continue;
         
-        // Calculate total monthly dues for this tenant at this property
-        const rent = accommodation.rentAmount || 0;
+        // Calculate total monthly dues for this tenant at this property,
+        // with the rent in force on each month's due date (revisions and escalations)
+        const rentFor = (offset) => getRentForDate(
+          accommodation,
+          getCycleDueDate(accommodation, moment(currentMonth).add(offset, 'months'))
+        );
+        const rent = rentFor(0);
         const maintenance = accommodation.maintenanceFee || 0;
         const electricity = accommodation.electricityFee || 0;
         const water = accommodation.waterFee || 0;
         const other = accommodation.otherCharges || 0;
         
-        const totalMonthlyDue = rent + maintenance + electricity + water + other;
+        const otherMonthlyDue = maintenance + electricity + water + other;
+        const totalMonthlyDue = rent + otherMonthlyDue;
+        const nextMonthDue = rentFor(1) + otherMonthlyDue;
+        const twoMonthsAheadDue = rentFor(2) + otherMonthlyDue;
         
         // Add to forecast
         forecast.currentMonth.expected += totalMonthlyDue;
         forecast.currentMonth.byProperty[propId].expected += totalMonthlyDue;
         
-        forecast.nextMonth.expected += totalMonthlyDue;
-        forecast.nextMonth.byProperty[propId].expected += totalMonthlyDue;
+        forecast.nextMonth.expected += nextMonthDue;
+        forecast.nextMonth.byProperty[propId].expected += nextMonthDue;
         
-        forecast.twoMonthsAhead.expected += totalMonthlyDue;
-        forecast.twoMonthsAhead.byProperty[propId].expected += totalMonthlyDue;
+        forecast.twoMonthsAhead.expected += twoMonthsAheadDue;
+        forecast.twoMonthsAhead.byProperty[propId].expected += twoMonthsAheadDue;
         
         // Add to breakdown
         forecast.breakdown[propId].rentAmount += rent;
@@ -504,11 +482,7 @@ const getCollectionForecast = async (req, res) => {
     // Get past collection efficiency (payments received vs expected)
     // For the past 3 months
     const threeMonthsAgo = moment().subtract(3, 'months').startOf('month').toDate();
-    const pastPayments = await Payment.find({
-      propertyId: { $in: propertyIds },
-      status: 'Completed',
-      paymentDate: { $gte: threeMonthsAgo }
-    }).lean();
+    const pastPayments = await findCollectionEntries({ propertyId: { $in: propertyIds } }, { from: threeMonthsAgo });
     
     // Calculate collection efficiency
     const pastMonths = [];
@@ -519,10 +493,10 @@ const getCollectionForecast = async (req, res) => {
       const endDate = month.endOf('month').toDate();
       
       const monthlyPayments = pastPayments.filter(
-        p => p.paymentDate >= startDate && p.paymentDate <= endDate
+        entry => entry.date >= startDate && entry.date <= endDate
       );
       
-      const collected = monthlyPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
+      const collected = monthlyPayments.reduce((sum, entry) => sum + entry.amount, 0);
       
       pastMonths.push({
         month: month.format('MMMM YYYY'),
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { normalizeCode, getCouponUsage } = require('../services/couponService');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discount_type', 'discount_value', 'max_discount', 'min_amount',
+  'valid_from', 'valid_until', 'max_redemptions', 'max_redemptions_per_landlord',
+  'plan_ids', 'billing_cycles', 'landlord_ids', 'applies_to', 'is_active'
+];
+
+/**
+ * Check coupon fields after an update is merged in
+ * @returns {String|null} - Validation message or null
+ */
+const validateCouponFields = (coupon) => {
+  if (!coupon.code || !/^[A-Z0-9_-]{3,30}$/.test(coupon.code)) {
+    return 'code must be 3-30 letters, digits, - or _';
+  }
+  if (!['percentage', 'flat'].includes(coupon.discount_type)) {
+    return "discount_type must be 'percentage' or 'flat'";
+  }
+  if (!(Number(coupon.discount_value) > 0)) {
+    return 'discount_value must be a positive number';
+  }
+  if (coupon.discount_type === 'percentage' && Number(coupon.discount_value) > 100) {
+    return 'A percentage discount cannot exceed 100';
+  }
+  if (coupon.valid_from && coupon.valid_until && new Date(coupon.valid_until) <= new Date(coupon.valid_from)) {
+    return 'valid_until must be after valid_from';
+  }
+  for (const field of ['max_redemptions', 'max_redemptions_per_landlord']) {
+    if (coupon[field] !== undefined && coupon[field] !== null &&
+        (!Number.isInteger(Number(coupon[field])) || Number(coupon[field]) < 0)) {
+      return `${field} must be a whole number (0 for unlimited)`;
+    }
+  }
+  for (const field of ['plan_ids', 'landlord_ids']) {
+    if (coupon[field] && !coupon[field].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return `${field} must be a list of valid IDs`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Pick the editable coupon fields from a request body
+ */
+const pickCouponFields = (body = {}) => {
+  const fields = {};
+  COUPON_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (fields.code !== undefined) fields.code = normalizeCode(fields.code);
+  return fields;
+};
+
+/**
+ * Create a coupon
+ * @route POST /api/admin/coupons
+ * @body {string} code, discount_type ('percentage' | 'flat'), discount_value
+ * @body {number} max_discount, min_amount - Optional
+ * @body {Date} valid_from, valid_until - Optional validity window
+ * @body {number} max_redemptions - Optional global cap
+ * @body {number} max_redemptions_per_landlord - Default 1
+ * @body {string[]} plan_ids, billing_cycles, landlord_ids, applies_to - Optional restrictions
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    const message = validateCouponFields(fields);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const existing = await Coupon.findOne({ code: fields.code });
+    if (existing) {
+      return res.status(409).json({ message: 'A coupon with this code already exists' });
+    }
+
+    const coupon = await Coupon.create({
+      ...fields,
+      created_by: req.admin && req.admin._id ? req.admin._id.toString() : undefined
+    });
+
+    res.status(201).json({ success: true, message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    console.error('Error in createCoupon:', error);
+    res.status(500).json({ message: 'Error creating coupon', error: error.message });
+  }
+};
+
+/**
+ * List coupons
+ * @route GET /api/admin/coupons
+ * @query {string} search - Match on code
+ * @query {boolean} is_active
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+
+    const filter = {};
+    if (req.query.is_active !== undefined) filter.is_active = req.query.is_active === 'true';
+    if (req.query.search) filter.code = { $regex: normalizeCode(req.query.search), $options: 'i' };
+
+    const [total, coupons] = await Promise.all([
+      Coupon.countDocuments(filter),
+      Coupon.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+    ]);
+
+    res.status(200).json({ success: true, total, page, limit, coupons });
+  } catch (error) {
+    console.error('Error in getCoupons:', error);
+    res.status(500).json({ message: 'Error fetching coupons', error: error.message });
+  }
+};
+
+/**
+ * Get a coupon with its usage and latest redemptions
+ * @route GET /api/admin/coupons/:couponId
+ */
+const getCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.couponId)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const [usage, redemptions] = await Promise.all([
+      getCouponUsage(coupon._id),
+      CouponRedemption.find({ coupon_id: coupon._id }).sort({ createdAt: -1 }).limit(100)
+    ]);
+
+    res.status(200).json({ success: true, coupon, usage, redemptions });
+  } catch (error) {
+    console.error('Error in getCoupon:', error);
+    res.status(500).json({ message: 'Error fetching coupon', error: error.message });
+  }
+};
+
+/**
+ * Update a coupon; the code cannot change once it has been redeemed
+ * @route PATCH /api/admin/coupons/:couponId
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.couponId)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const updates = pickCouponFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No valid fields provided for update' });
+    }
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    if (updates.code && updates.code !== coupon.code) {
+      if (coupon.redemption_count > 0) {
+        return res.status(400).json({ message: 'The code of a redeemed coupon cannot be changed' });
+      }
+      if (await Coupon.exists({ code: updates.code })) {
+        return res.status(409).json({ message: 'A coupon with this code already exists' });
+      }
+    }
+
+    const message = validateCouponFields({ ...coupon.toObject(), ...updates });
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    coupon.set(updates);
+    await coupon.save();
+
+    res.status(200).json({ success: true, message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    console.error('Error in updateCoupon:', error);
+    res.status(500).json({ message: 'Error updating coupon', error: error.message });
+  }
+};
+
+/**
+ * Stop a coupon from being redeemed; past redemptions are kept
+ * @route POST /api/admin/coupons/:couponId/deactivate
+ */
+const deactivateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.couponId)) {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.couponId, { is_active: false }, { new: true });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Coupon deactivated', coupon });
+  } catch (error) {
+    console.error('Error in deactivateCoupon:', error);
+    res.status(500).json({ message: 'Error deactivating coupon', error: error.message });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deactivateCoupon
+};
@@ -0,0 +1,157 @@
+const Tenant = require('../models/Tenant');
+const { setCache } = require('../utils/redis');
+const { applyTenantCredit, getBillOutstanding } = require('../services/paymentLedgerService');
+const { creditTenant, debitTenant, getCreditLedger } = require('../services/tenantCreditService');
+
+/**
+ * Find a tenant of the landlord by tenant ID or local tenant ID (L-...)
+ */
+const findLandlordTenant = (tenantId, landlordId) => {
+  return Tenant.findOne(tenantId.startsWith('L-')
+    ? { accommodations: { $elemMatch: { localTenantId: tenantId, landlordId } } }
+    : { tenantId, 'accommodations.landlordId': landlordId });
+};
+
+/**
+ * Credit balance and ledger of a tenant with the landlord
+ * @route GET /api/landlord/tenant/:tenantId/credit
+ * @query {string} from, to - Optional date range for entries
+ * @query {number} limit - Max entries, default 100
+ */
+const getTenantCredit = async (req, res) => {
+  try {
+    const tenant = await findLandlordTenant(req.params.tenantId, req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found or you do not have access' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const ledger = await getCreditLedger(tenant.tenantId, req.user.id, {
+      from: req.query.from,
+      to: req.query.to,
+      limit
+    });
+
+    res.status(200).json({ success: true, tenantName: tenant.name, ...ledger });
+  } catch (error) {
+    console.error('Error in getTenantCredit:', error);
+    res.status(500).json({ message: 'Error fetching tenant credit', error: error.message });
+  }
+};
+
+/**
+ * Manually add to or take from a tenant's credit balance
+ * @route POST /api/landlord/tenant/:tenantId/credit/adjust
+ * @body {string} type - 'Credit' | 'Debit'
+ * @body {number} amount
+ * @body {string} note - Reason, required for the audit trail
+ */
+const adjustTenantCredit = async (req, res) => {
+  try {
+    const { type, amount, note } = req.body;
+
+    if (!['Credit', 'Debit'].includes(type)) {
+      return res.status(400).json({ message: "type must be 'Credit' or 'Debit'" });
+    }
+    if (isNaN(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    if (!note || !note.trim()) {
+      return res.status(400).json({ message: 'A note explaining the adjustment is required' });
+    }
+
+    const tenant = await findLandlordTenant(req.params.tenantId, req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found or you do not have access' });
+    }
+
+    const move = type === 'Credit' ? creditTenant : debitTenant;
+    const result = await move({
+      tenantId: tenant.tenantId,
+      landlordId: req.user.id,
+      amount,
+      source: 'Adjustment',
+      note: note.trim(),
+      createdBy: req.user.id.toString()
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error, balance: result.balance });
+    }
+
+    await setCache(`tenant:${tenant.tenantId}`, null, 1);
+
+    res.status(200).json({
+      success: true,
+      message: `Credit ${type === 'Credit' ? 'added' : 'deducted'} successfully`,
+      balance: result.balance,
+      entry: result.entry
+    });
+  } catch (error) {
+    console.error('Error in adjustTenantCredit:', error);
+    res.status(500).json({ message: 'Error adjusting tenant credit', error: error.message });
+  }
+};
+
+/**
+ * Pay a tenant's open bills from their credit balance (oldest-first)
+ * New bills are paid from credit automatically; this settles bills that were already open.
+ * @route POST /api/landlord/tenant/:tenantId/credit/apply
+ * @body {string[]} billIds - Optional, limit to these bills
+ * @body {number} amount - Optional, apply at most this much
+ */
+const applyCreditToBills = async (req, res) => {
+  try {
+    const { billIds, amount } = req.body;
+
+    if (billIds !== undefined && !Array.isArray(billIds)) {
+      return res.status(400).json({ message: 'billIds must be an array' });
+    }
+    if (amount !== undefined && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+
+    const tenant = await findLandlordTenant(req.params.tenantId, req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found or you do not have access' });
+    }
+
+    const result = await applyTenantCredit(tenant, req.user.id, { billIds, amount, createdBy: req.user.id });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    if (result.applied === 0) {
+      return res.status(400).json({
+        message: result.creditBalance > 0 ? 'No open bills to apply credit to' : 'Tenant has no credit balance',
+        creditBalance: result.creditBalance
+      });
+    }
+
+    await setCache(`landlord:tenants:${req.user.id}`, null, 1);
+    await setCache(`tenant:${tenant.tenantId}`, null, 1);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.applied} applied from credit`,
+      applied: result.applied,
+      creditBalance: result.creditBalance,
+      allocations: result.allocations.map(({ bill, amount: allocated, entryId }) => ({
+        billId: bill._id,
+        billNumber: bill.billNumber,
+        type: bill.type,
+        allocated,
+        outstanding: getBillOutstanding(bill),
+        paymentStatus: bill.paymentStatus,
+        entryId
+      }))
+    });
+  } catch (error) {
+    console.error('Error in applyCreditToBills:', error);
+    res.status(500).json({ message: 'Error applying credit', error: error.message });
+  }
+};
+
+module.exports = {
+  getTenantCredit,
+  adjustTenantCredit,
+  applyCreditToBills
+};
@@ -0,0 +1,469 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Property = require('../models/Property');
+const Expense = require('../models/Expense');
+const s3Upload = require('../utils/s3Upload');
+const {
+  EXPENSE_CATEGORIES,
+  RECURRENCE_FREQUENCIES,
+  getNextOccurrence,
+  buildProfitAndLoss,
+  resolveReportPeriod
+} = require('../services/expenseService');
+
+const PAYMENT_METHODS = Expense.schema.path('paymentMethod').enumValues;
+const EDITABLE_TEXT_FIELDS = ['description', 'vendor', 'transactionId', 'notes'];
+
+/**
+ * Validate expense fields from a request body
+ * @param {Object} body
+ * @param {Boolean} partial - Only validate the fields present (updates)
+ * @returns {Object} - { values } or { error }
+ */
+const parseExpenseInput = (body, partial = false) => {
+  const values = {};
+
+  if (!partial || body.category !== undefined) {
+    if (!EXPENSE_CATEGORIES.includes(body.category)) {
+      return { error: `category must be one of: ${EXPENSE_CATEGORIES.join(', ')}` };
+    }
+    values.category = body.category;
+  }
+
+  if (!partial || body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (Number.isNaN(amount) || amount <= 0) {
+      return { error: 'amount must be a positive number' };
+    }
+    values.amount = Math.round(amount * 100) / 100;
+  }
+
+  if (!partial || body.expenseDate !== undefined) {
+    const expenseDate = body.expenseDate ? moment(body.expenseDate) : moment();
+    if (!expenseDate.isValid()) {
+      return { error: 'Invalid expense date' };
+    }
+    values.expenseDate = expenseDate.startOf('day').toDate();
+  }
+
+  if (body.paymentMethod !== undefined) {
+    if (body.paymentMethod && !PAYMENT_METHODS.includes(body.paymentMethod)) {
+      return { error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+    values.paymentMethod = body.paymentMethod || undefined;
+  }
+
+  EDITABLE_TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+
+  if (body.roomId !== undefined) values.roomId = body.roomId || undefined;
+
+  if (body.recurrence && body.recurrence.frequency) {
+    if (!RECURRENCE_FREQUENCIES.includes(body.recurrence.frequency)) {
+      return { error: `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+    }
+    const endDate = body.recurrence.endDate ? moment(body.recurrence.endDate) : null;
+    if (endDate && !endDate.isValid()) {
+      return { error: 'Invalid recurrence end date' };
+    }
+    values.recurrence = {
+      frequency: body.recurrence.frequency,
+      endDate: endDate ? endDate.endOf('day').toDate() : undefined
+    };
+  }
+
+  return { values };
+};
+
+/**
+ * Find a property owned by the landlord, checking the room when one is given
+ * @returns {Object} - { property } or { statusCode, error }
+ */
+const findLandlordProperty = async (landlordId, propertyId, roomId) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    return { statusCode: 400, error: 'Invalid property ID' };
+  }
+  const property = await Property.findOne({ _id: propertyId, landlordId })
+    .select('name landlordId rooms.roomId');
+  if (!property) {
+    return { statusCode: 404, error: 'Property not found or you do not have access' };
+  }
+  if (roomId && !property.rooms.some(r => r.roomId === roomId)) {
+    return { statusCode: 404, error: 'Room not found in this property' };
+  }
+  return { property };
+};
+
+// Private S3 receipts are returned with short-lived signed links
+const withReceiptLinks = (expense) => {
+  const data = expense.toObject ? expense.toObject() : expense;
+  data.receipts = (data.receipts || []).map(receipt => ({
+    ...receipt,
+    signedUrl: receipt.key ? s3Upload.getSignedUrl(receipt.key) : receipt.url
+  }));
+  return data;
+};
+
+const uploadReceipts = async (files, landlordId) => {
+  const uploaded = await s3Upload.uploadMultipleFiles(files, `expenses/${landlordId}`);
+  return uploaded.map(file => ({
+    url: file.url,
+    key: file.key,
+    fileName: file.originalName,
+    uploadedAt: new Date()
+  }));
+};
+
+/**
+ * Record an expense against a property, optionally recurring and with receipts
+ * @route POST /api/landlord/expenses
+ * @body {string} propertyId
+ * @body {string} roomId - Optional
+ * @body {string} category - See GET /api/landlord/expenses/categories
+ * @body {number} amount
+ * @body {date} expenseDate - Defaults to today
+ * @body {string} description, vendor, paymentMethod, transactionId, notes
+ * @body {Object} recurrence - Optional { frequency: Monthly | Quarterly | Half-Yearly | Yearly, endDate }
+ * @files receipts - Up to 5 images or PDFs
+ */
+const addExpense = async (req, res) => {
+  try {
+    const landlordId = req.user.id;
+    const parsed = parseExpenseInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const found = await findLandlordProperty(landlordId, req.body.propertyId, parsed.values.roomId);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+
+    const expense = new Expense({
+      ...parsed.values,
+      landlordId,
+      propertyId: found.property._id,
+      propertyName: found.property.name,
+      createdBy: landlordId
+    });
+
+    if (parsed.values.recurrence) {
+      // Missed occurrences between the expense date and today are filled in by the scheduler
+      expense.recurrence.nextDate = getNextOccurrence(expense.expenseDate, parsed.values.recurrence.frequency);
+      expense.recurrence.isActive = true;
+    }
+
+    if (req.files && req.files.length > 0) {
+      expense.receipts = await uploadReceipts(req.files, landlordId);
+    }
+
+    await expense.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense recorded successfully',
+      expense: withReceiptLinks(expense)
+    });
+  } catch (error) {
+    console.error('Error in addExpense:', error);
+    res.status(500).json({ message: 'Error recording expense', error: error.message });
+  }
+};
+
+/**
+ * List expenses, newest first
+ * @route GET /api/landlord/expenses?propertyId=&category=&from=&to=&recurring=true&page=&limit=
+ */
+const getExpenses = async (req, res) => {
+  try {
+    const { propertyId, category, from, to, recurring } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = { landlordId: req.user.id };
+    if (propertyId) {
+      if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({ message: 'Invalid property ID' });
+      }
+      query.propertyId = propertyId;
+    }
+    if (category) query.category = category;
+    if (from || to) {
+      query.expenseDate = {};
+      if (from) query.expenseDate.$gte = moment(from).startOf('day').toDate();
+      if (to) query.expenseDate.$lte = moment(to).endOf('day').toDate();
+    }
+    if (recurring === 'true') query['recurrence.isActive'] = true;
+
+    // Aggregation does not cast ids the way find does
+    const aggregateQuery = { ...query, landlordId: new mongoose.Types.ObjectId(req.user.id) };
+    if (propertyId) aggregateQuery.propertyId = new mongoose.Types.ObjectId(propertyId);
+
+    const [expenses, total, totals] = await Promise.all([
+      Expense.find(query).sort({ expenseDate: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Expense.countDocuments(query),
+      Expense.aggregate([
+        { $match: aggregateQuery },
+        { $group: { _id: '$category', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+        { $sort: { amount: -1 } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      totalAmount: Math.round(totals.reduce((sum, t) => sum + t.amount, 0) * 100) / 100,
+      byCategory: totals.map(t => ({ category: t._id, amount: t.amount, count: t.count })),
+      expenses: expenses.map(withReceiptLinks)
+    });
+  } catch (error) {
+    console.error('Error in getExpenses:', error);
+    res.status(500).json({ message: 'Error fetching expenses', error: error.message });
+  }
+};
+
+/**
+ * Expense categories and recurrence frequencies for forms
+ * @route GET /api/landlord/expenses/categories
+ */
+const getExpenseCategories = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    categories: EXPENSE_CATEGORIES,
+    frequencies: RECURRENCE_FREQUENCIES,
+    paymentMethods: PAYMENT_METHODS
+  });
+};
+
+/**
+ * Get one expense
+ * @route GET /api/landlord/expenses/:expenseId
+ */
+const getExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ expenseId: req.params.expenseId, landlordId: req.user.id });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    res.status(200).json({ success: true, expense: withReceiptLinks(expense) });
+  } catch (error) {
+    console.error('Error in getExpense:', error);
+    res.status(500).json({ message: 'Error fetching expense', error: error.message });
+  }
+};
+
+/**
+ * Update an expense
+ * Changing a recurring expense affects future copies only; copies already made are left as they are.
+ * @route PUT /api/landlord/expenses/:expenseId
+ * @body Any of the fields accepted by addExpense except propertyId
+ */
+const updateExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ expenseId: req.params.expenseId, landlordId: req.user.id });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const parsed = parseExpenseInput(req.body, true);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    if (parsed.values.roomId) {
+      const found = await findLandlordProperty(req.user.id, expense.propertyId, parsed.values.roomId);
+      if (found.error) {
+        return res.status(found.statusCode).json({ message: found.error });
+      }
+    }
+
+    const { recurrence, ...fields } = parsed.values;
+    expense.set(fields);
+
+    if (recurrence) {
+      if (expense.recurringSourceId) {
+        return res.status(400).json({ message: 'A copy of a recurring expense cannot itself recur' });
+      }
+      const frequencyChanged = expense.recurrence.frequency !== recurrence.frequency;
+      expense.recurrence.frequency = recurrence.frequency;
+      expense.recurrence.endDate = recurrence.endDate;
+      if (!expense.recurrence.isActive || frequencyChanged || !expense.recurrence.nextDate) {
+        expense.recurrence.nextDate = getNextOccurrence(expense.expenseDate, recurrence.frequency);
+      }
+      expense.recurrence.isActive = true;
+    }
+
+    await expense.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense updated successfully',
+      expense: withReceiptLinks(expense)
+    });
+  } catch (error) {
+    console.error('Error in updateExpense:', error);
+    res.status(500).json({ message: 'Error updating expense', error: error.message });
+  }
+};
+
+/**
+ * Stop a recurring expense; copies already made are kept
+ * @route POST /api/landlord/expenses/:expenseId/stop-recurring
+ */
+const stopRecurringExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOneAndUpdate(
+      { expenseId: req.params.expenseId, landlordId: req.user.id, 'recurrence.isActive': true },
+      { $set: { 'recurrence.isActive': false } },
+      { new: true }
+    );
+    if (!expense) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense stopped',
+      expense: withReceiptLinks(expense)
+    });
+  } catch (error) {
+    console.error('Error in stopRecurringExpense:', error);
+    res.status(500).json({ message: 'Error stopping recurring expense', error: error.message });
+  }
+};
+
+/**
+ * Delete an expense and its receipts
+ * Deleting a recurring expense stops further copies; copies already made are kept.
+ * @route DELETE /api/landlord/expenses/:expenseId
+ */
+const deleteExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOneAndDelete({ expenseId: req.params.expenseId, landlordId: req.user.id });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const keys = expense.receipts.map(r => r.key).filter(Boolean);
+    if (keys.length > 0) {
+      s3Upload.deleteMultipleFiles(keys).catch(err =>
+        console.error(`Failed to delete receipts of expense ${expense.expenseId}:`, err.message));
+    }
+
+    res.status(200).json({ success: true, message: 'Expense deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteExpense:', error);
+    res.status(500).json({ message: 'Error deleting expense', error: error.message });
+  }
+};
+
+/**
+ * Attach receipts to an expense
+ * @route POST /api/landlord/expenses/:expenseId/receipts
+ * @files receipts - Up to 5 images or PDFs
+ */
+const uploadExpenseReceipts = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No receipt files uploaded' });
+    }
+
+    const expense = await Expense.findOne({ expenseId: req.params.expenseId, landlordId: req.user.id })
+      .select('_id');
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const receipts = await uploadReceipts(req.files, req.user.id);
+    const updated = await Expense.findByIdAndUpdate(
+      expense._id,
+      { $push: { receipts: { $each: receipts } } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${receipts.length} receipt(s) uploaded`,
+      expense: withReceiptLinks(updated)
+    });
+  } catch (error) {
+    console.error('Error in uploadExpenseReceipts:', error);
+    res.status(500).json({ message: 'Error uploading receipts', error: error.message });
+  }
+};
+
+/**
+ * Remove a receipt from an expense
+ * @route DELETE /api/landlord/expenses/:expenseId/receipts/:receiptId
+ */
+const deleteExpenseReceipt = async (req, res) => {
+  try {
+    const { expenseId, receiptId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(receiptId)) {
+      return res.status(400).json({ message: 'Invalid receipt ID' });
+    }
+
+    const expense = await Expense.findOneAndUpdate(
+      { expenseId, landlordId: req.user.id, 'receipts._id': receiptId },
+      { $pull: { receipts: { _id: receiptId } } }
+    );
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense or receipt not found' });
+    }
+
+    const receipt = expense.receipts.find(r => r._id.toString() === receiptId);
+    if (receipt && receipt.key) {
+      s3Upload.deleteFile(receipt.key).catch(err =>
+        console.error(`Failed to delete receipt ${receipt.key}:`, err.message));
+    }
+
+    res.status(200).json({ success: true, message: 'Receipt removed' });
+  } catch (error) {
+    console.error('Error in deleteExpenseReceipt:', error);
+    res.status(500).json({ message: 'Error removing receipt', error: error.message });
+  }
+};
+
+/**
+ * Monthly profit and loss for a property: collected income less expenses, with net operating
+ * income, margin and their month-on-month trend. Security deposits and advances are shown separately.
+ * @route GET /api/landlord/analytics/property/:propertyId/profit-loss?month=&year= | ?from=YYYY-MM&to=YYYY-MM
+ */
+const getPropertyProfitAndLoss = async (req, res) => {
+  try {
+    const found = await findLandlordProperty(req.user.id, req.params.propertyId);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+
+    const period = resolveReportPeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+
+    const report = await buildProfitAndLoss(found.property, period.from, period.to);
+
+    res.status(200).json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error in getPropertyProfitAndLoss:', error);
+    res.status(500).json({ message: 'Error generating profit and loss', error: error.message });
+  }
+};
+
+module.exports = {
+  addExpense,
+  getExpenses,
+  getExpenseCategories,
+  getExpense,
+  updateExpense,
+  stopRecurringExpense,
+  deleteExpense,
+  uploadExpenseReceipts,
+  deleteExpenseReceipt,
+  getPropertyProfitAndLoss
+};
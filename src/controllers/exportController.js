@@ -0,0 +1,155 @@
+const ExportJob = require('../models/ExportJob');
+const {
+  EXPORT_FORMATS,
+  EXPORT_REPORTS,
+  EXPORT_SYNC_ROW_LIMIT,
+  parseExportFilters,
+  countExportRows,
+  writeExport,
+  getExportFileName,
+  queueExportJob
+} = require('../services/exportService');
+const { documentExists, sendStoredDocument } = require('../services/documentStorageService');
+
+const formatExportJob = (job) => ({
+  exportId: job.exportId,
+  report: job.report,
+  format: job.format,
+  filters: job.filters,
+  status: job.status,
+  rowCount: job.rowCount,
+  fileName: job.fileName,
+  error: job.status === 'Failed' ? job.error : undefined,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  statusUrl: `/api/landlord/exports/jobs/${job.exportId}`,
+  downloadUrl: job.status === 'Completed' && job.fileKey
+    ? `/api/landlord/exports/jobs/${job.exportId}/download`
+    : null
+});
+
+/**
+ * Export a report as CSV or XLSX
+ * Small exports are streamed in the response. Larger ones (or background=true) are queued and
+ * answered with 202 and a job to poll; the landlord is notified when the file is ready.
+ * @route GET /api/landlord/exports/:report - tenants | dues | collections | payments
+ * @query {string} format - csv (default) | xlsx
+ * @query {boolean} background - Always run as a background job
+ * @query tenants: propertyId, status (active | inactive | all), from, to (move-in date)
+ * @query dues: propertyId, tenantId, dueType, month, year, isPaid, status (paid | partial | unpaid), from, to (due date)
+ * @query collections: propertyId, month, year, from, to
+ * @query payments: propertyId, tenantId, status, method, category, month, year, from, to
+ */
+const exportReport = async (req, res) => {
+  try {
+    const landlordId = req.user.id;
+    const { report } = req.params;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_REPORTS[report]) {
+      return res.status(404).json({ message: `Unknown report. Available: ${Object.keys(EXPORT_REPORTS).join(', ')}` });
+    }
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const parsed = parseExportFilters(report, req.query);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const runInBackground = req.query.background === 'true'
+      || await countExportRows(report, landlordId, parsed.filters) > EXPORT_SYNC_ROW_LIMIT;
+
+    if (runInBackground) {
+      const job = await queueExportJob(landlordId, report, format, parsed.filters);
+      return res.status(202).json({
+        success: true,
+        message: 'Export is being prepared, you will be notified when it is ready to download',
+        job: formatExportJob(job)
+      });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${getExportFileName(report, format)}"`);
+    await writeExport(res, report, format, landlordId, parsed.filters);
+  } catch (error) {
+    console.error('Error in exportReport:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the connection so it is not taken as complete
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting report', error: error.message });
+  }
+};
+
+/**
+ * List the landlord's background exports, newest first
+ * @route GET /api/landlord/exports
+ */
+const getExportJobs = async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ landlordId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map(formatExportJob)
+    });
+  } catch (error) {
+    console.error('Error in getExportJobs:', error);
+    res.status(500).json({ message: 'Error fetching exports', error: error.message });
+  }
+};
+
+/**
+ * Status of a background export
+ * @route GET /api/landlord/exports/jobs/:exportId
+ */
+const getExportJob = async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ exportId: req.params.exportId, landlordId: req.user.id });
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.status(200).json({ success: true, job: formatExportJob(job) });
+  } catch (error) {
+    console.error('Error in getExportJob:', error);
+    res.status(500).json({ message: 'Error fetching export', error: error.message });
+  }
+};
+
+/**
+ * Download a finished background export
+ * @route GET /api/landlord/exports/jobs/:exportId/download
+ */
+const downloadExportJob = async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ exportId: req.params.exportId, landlordId: req.user.id });
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    if (job.status !== 'Completed') {
+      return res.status(409).json({ message: `Export is ${job.status.toLowerCase()}`, job: formatExportJob(job) });
+    }
+    if (!job.fileKey || !(await documentExists({ url: job.fileUrl, key: job.fileKey }))) {
+      return res.status(410).json({ message: 'Export file has expired, please export again' });
+    }
+
+    return sendStoredDocument(res, { url: job.fileUrl, key: job.fileKey }, job.fileName);
+  } catch (error) {
+    console.error('Error in downloadExportJob:', error);
+    res.status(500).json({ message: 'Error downloading export', error: error.message });
+  }
+};
+
+module.exports = {
+  exportReport,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob
+};
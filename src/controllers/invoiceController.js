@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const {
+  getDocumentFileName,
+  generateBillInvoice,
+  generatePaymentReceipt,
+  generateSubscriptionInvoice
+} = require('../services/invoiceService');
+const { sendStoredDocument, sendDocumentBuffer } = require('../services/documentStorageService');
+
+/**
+ * Send a generated document, streaming fresh renders and serving stored copies
+ */
+const sendDocument = (res, result) => {
+  const fileName = getDocumentFileName(result.number);
+  if (result.buffer) {
+    return sendDocumentBuffer(res, result.buffer, fileName);
+  }
+  return sendStoredDocument(res, result, fileName);
+};
+
+/**
+ * Find a payment by paymentId (PAY-...) or Mongo _id
+ */
+const findPayment = (paymentId, filter) => Payment.findOne({
+  ...filter,
+  ...(mongoose.Types.ObjectId.isValid(paymentId) ? { _id: paymentId } : { paymentId })
+});
+
+/**
+ * Download the invoice PDF of a bill (landlord)
+ * @route GET /api/landlord/tenant/bills/:billId/invoice
+ */
+const downloadBillInvoice = async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(billId)) {
+      return res.status(400).json({ message: 'Invalid bill ID' });
+    }
+
+    const tenant = await Tenant.findOne({
+      bills: { $elemMatch: { _id: billId, landlordId: req.user.id } }
+    });
+    if (!tenant) {
+      return res.status(404).json({ message: 'Bill not found or you do not have access' });
+    }
+
+    const result = await generateBillInvoice(tenant, tenant.bills.id(billId));
+    return sendDocument(res, result);
+  } catch (error) {
+    console.error('Error in downloadBillInvoice:', error);
+    return res.status(500).json({ message: 'Error generating invoice', error: error.message });
+  }
+};
+
+/**
+ * Download the receipt PDF of a payment (landlord)
+ * @route GET /api/landlord/tenant/payments/:paymentId/receipt
+ */
+const downloadPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await findPayment(req.params.paymentId, { landlordId: req.user.id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found or you do not have access' });
+    }
+    if (payment.status !== 'Completed') {
+      return res.status(400).json({ message: `Receipts are only issued for completed payments (this one is ${payment.status})` });
+    }
+
+    const result = await generatePaymentReceipt(payment);
+    return sendDocument(res, result);
+  } catch (error) {
+    console.error('Error in downloadPaymentReceipt:', error);
+    return res.status(500).json({ message: 'Error generating receipt', error: error.message });
+  }
+};
+
+/**
+ * Download the invoice PDF of one of the tenant's own bills
+ * @route GET /api/tenant/bills/:billId/invoice
+ */
+const downloadTenantBillInvoice = async (req, res) => {
+  try {
+    const { billId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(billId)) {
+      return res.status(400).json({ message: 'Invalid bill ID' });
+    }
+
+    const tenant = await Tenant.findOne({ tenantId: req.user.id, 'bills._id': billId });
+    if (!tenant) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const result = await generateBillInvoice(tenant, tenant.bills.id(billId));
+    return sendDocument(res, result);
+  } catch (error) {
+    console.error('Error in downloadTenantBillInvoice:', error);
+    return res.status(500).json({ message: 'Error generating invoice', error: error.message });
+  }
+};
+
+/**
+ * Download the receipt PDF of one of the tenant's own payments
+ * @route GET /api/tenant/payments/:paymentId/receipt
+ */
+const downloadTenantPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await findPayment(req.params.paymentId, { tenantId: req.user.id });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (payment.status !== 'Completed') {
+      return res.status(400).json({ message: `Receipts are only issued for completed payments (this one is ${payment.status})` });
+    }
+
+    const tenant = await Tenant.findOne({ tenantId: req.user.id });
+    const result = await generatePaymentReceipt(payment, tenant);
+    return sendDocument(res, result);
+  } catch (error) {
+    console.error('Error in downloadTenantPaymentReceipt:', error);
+    return res.status(500).json({ message: 'Error generating receipt', error: error.message });
+  }
+};
+
+/**
+ * Download the invoice PDF of a subscription payment (owning landlord or admin)
+ * @route GET /api/subscription/invoice/:subscriptionId/:entryId
+ */
+const downloadSubscriptionInvoice = async (req, res) => {
+  try {
+    const { subscriptionId, entryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(subscriptionId) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ message: 'Invalid subscription or payment entry ID' });
+    }
+
+    const subscription = await Subscription.findById(subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    if (req.user.role !== 'admin' && subscription.landlordId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ message: 'You do not have access to this subscription' });
+    }
+
+    const entry = subscription.payment_history.id(entryId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Payment entry not found' });
+    }
+    if (entry.status && entry.status !== 'success') {
+      return res.status(400).json({ message: 'Invoices are only issued for successful payments' });
+    }
+
+    const result = await generateSubscriptionInvoice(subscription, entry);
+    return sendDocument(res, result);
+  } catch (error) {
+    console.error('Error in downloadSubscriptionInvoice:', error);
+    return res.status(500).json({ message: 'Error generating invoice', error: error.message });
+  }
+};
+
+module.exports = {
+  downloadBillInvoice,
+  downloadPaymentReceipt,
+  downloadTenantBillInvoice,
+  downloadTenantPaymentReceipt,
+  downloadSubscriptionInvoice
+};
@@ -108,6 +108,7 @@ exports.registerLandlord = async (req, res) => {
         mobile: landlord.mobile,
         aadhaarNumber: landlord.aadhaarNumber,
         panNumber: landlord.panNumber,
+        gstNumber: landlord.gstNumber || null,
         address: landlord.address,
         pinCode: landlord.pinCode,
         state: landlord.state,
@@ -364,10 +365,18 @@ exports.updateLandlordInfo = async (req, res) => {
       pinCode,
       state,
       panNumber,
+      gstNumber,
       dob,
       gender
     } = req.body;
 
+    if (gstNumber && !/^\d{2}[A-Z]{5}\d{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/.test(gstNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: `${gstNumber} is not a valid GSTIN format!`
+      });
+    }
+
     // Build update object
     const updateFields = {};
     if (name) updateFields.name = name;
@@ -378,6 +387,7 @@ exports.updateLandlordInfo = async (req, res) => {
     if (pinCode) updateFields.pinCode = pinCode;
     if (state) updateFields.state = state;
     if (panNumber) updateFields.panNumber = panNumber;
+    if (gstNumber !== undefined) updateFields.gstNumber = gstNumber || null; // Empty string clears it
     if (dob) updateFields.dob = new Date(dob);
     if (gender) updateFields.gender = gender;
 
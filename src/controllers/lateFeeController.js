@@ -0,0 +1,195 @@
+const Property = require('../models/Property');
+const Tenant = require('../models/Tenant');
+const mongoose = require('mongoose');
+const { LATE_FEE_TYPES, accrueLateFees, waiveLateFee } = require('../services/lateFeeService');
+
+/**
+ * Get the late fee policy of a property
+ * @route GET /api/landlord/property/:propertyId/late-fee-policy
+ */
+const getLateFeePolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id })
+      .select('name lateFeePolicy');
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    res.status(200).json({
+      propertyId: property._id,
+      propertyName: property.name,
+      lateFeePolicy: property.lateFeePolicy
+    });
+  } catch (error) {
+    console.error('Error in getLateFeePolicy:', error);
+    res.status(500).json({ message: 'Error fetching late fee policy', error: error.message });
+  }
+};
+
+/**
+ * Create or update the late fee policy of a property
+ * @route PUT /api/landlord/property/:propertyId/late-fee-policy
+ * @body {boolean} enabled
+ * @body {string} type - 'flat_per_day' | 'percentage'
+ * @body {number} amount - Flat amount per overdue day
+ * @body {number} percentage - Percent of the bill amount, charged once
+ * @body {number} graceDays - Days after the due date before fees start
+ * @body {number} maxAmount - Cap per bill (0 = no cap)
+ * @body {string[]} billTypes - Bill types covered (empty = all)
+ */
+const updateLateFeePolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { enabled, type, amount, percentage, graceDays, maxAmount, billTypes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    if (type !== undefined && !LATE_FEE_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Late fee type must be one of: ${LATE_FEE_TYPES.join(', ')}` });
+    }
+
+    const numericFields = { amount, percentage, graceDays, maxAmount };
+    for (const [field, value] of Object.entries(numericFields)) {
+      if (value !== undefined && (isNaN(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({ message: `${field} must be a non-negative number` });
+      }
+    }
+
+    if (percentage !== undefined && Number(percentage) > 100) {
+      return res.status(400).json({ message: 'percentage cannot be more than 100' });
+    }
+
+    if (billTypes !== undefined && !Array.isArray(billTypes)) {
+      return res.status(400).json({ message: 'billTypes must be an array' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id });
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const policy = property.lateFeePolicy || {};
+    if (enabled !== undefined) policy.enabled = Boolean(enabled);
+    if (type !== undefined) policy.type = type;
+    if (amount !== undefined) policy.amount = Number(amount);
+    if (percentage !== undefined) policy.percentage = Number(percentage);
+    if (graceDays !== undefined) policy.graceDays = parseInt(graceDays, 10);
+    if (maxAmount !== undefined) policy.maxAmount = Number(maxAmount);
+    if (billTypes !== undefined) policy.billTypes = billTypes;
+    policy.updatedAt = new Date();
+
+    property.lateFeePolicy = policy;
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.status(200).json({
+      message: 'Late fee policy updated successfully',
+      lateFeePolicy: property.lateFeePolicy
+    });
+  } catch (error) {
+    console.error('Error in updateLateFeePolicy:', error);
+    res.status(500).json({ message: 'Error updating late fee policy', error: error.message });
+  }
+};
+
+/**
+ * Run late fee accrual now for the landlord's properties
+ * @route POST /api/landlord/property/:propertyId/late-fees/accrue
+ */
+const runLateFeeAccrual = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id }).select('_id');
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const summary = await accrueLateFees({ landlordId: req.user.id, propertyId: property._id });
+
+    res.status(200).json({
+      message: 'Late fees accrued successfully',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error in runLateFeeAccrual:', error);
+    res.status(500).json({ message: 'Error accruing late fees', error: error.message });
+  }
+};
+
+/**
+ * Waive late fees on a tenant bill
+ * @route POST /api/landlord/tenant/bills/:billId/waive-late-fee
+ * @body {string} tenantId - Tenant ID or local tenant ID (L-...)
+ * @body {number} amount - Optional, defaults to all accrued late fees
+ * @body {string} reason - Required
+ * @body {boolean} stopAccrual - Optional, stop further late fees on this bill
+ */
+const waiveBillLateFee = async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const { tenantId, amount, reason, stopAccrual = false } = req.body;
+
+    if (!tenantId || !reason) {
+      return res.status(400).json({ message: 'Tenant ID and reason are required' });
+    }
+
+    if (amount !== undefined && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+
+    const tenant = await Tenant.findOne({
+      [tenantId.startsWith('L-') ? 'accommodations.localTenantId' : 'tenantId']: tenantId,
+      'accommodations.landlordId': req.user.id
+    });
+
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found or you do not have access' });
+    }
+
+    const bill = tenant.bills.id(billId);
+    if (!bill || bill.landlordId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const result = await waiveLateFee(tenant, billId, {
+      amount,
+      reason,
+      stopAccrual: Boolean(stopAccrual),
+      grantedBy: {
+        id: req.user.id,
+        role: req.user.role,
+        name: req.landlord && req.landlord.name
+      }
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({
+      message: 'Late fee waived successfully',
+      waived: result.waived,
+      bill: result.bill
+    });
+  } catch (error) {
+    console.error('Error in waiveBillLateFee:', error);
+    res.status(500).json({ message: 'Error waiving late fee', error: error.message });
+  }
+};
+
+module.exports = {
+  getLateFeePolicy,
+  updateLateFeePolicy,
+  runLateFeeAccrual,
+  waiveBillLateFee
+};
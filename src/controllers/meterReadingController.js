@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const MeterReading = require('../models/MeterReading');
+const {
+  prepareMeterReading,
+  recordMeterReading,
+  updateMeterSettings
+} = require('../services/electricityMeterService');
+
+/**
+ * List a room's meter readings, newest first
+ * @route GET /api/landlord/property/:propertyId/rooms/:roomId/meter-readings?limit=
+ */
+const getMeterReadings = async (req, res) => {
+  try {
+    const { propertyId, roomId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 24, 100);
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id })
+      .select('name rooms.roomId rooms.name rooms.electricityMeter');
+    const room = property ? property.rooms.find(r => r.roomId === roomId) : null;
+    if (!room) {
+      return res.status(404).json({ message: 'Property or room not found or you do not have access' });
+    }
+
+    const readings = await MeterReading.find({ propertyId, roomId })
+      .sort({ sequence: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      propertyName: property.name,
+      roomId,
+      roomName: room.name,
+      electricityMeter: room.electricityMeter,
+      count: readings.length,
+      readings
+    });
+  } catch (error) {
+    console.error('Error in getMeterReadings:', error);
+    res.status(500).json({ message: 'Error fetching meter readings', error: error.message });
+  }
+};
+
+/**
+ * Show how a new reading would be billed (nothing is saved)
+ * @route POST /api/landlord/property/:propertyId/rooms/:roomId/meter-readings/preview
+ * @body Same as addMeterReading
+ */
+const previewMeterReading = async (req, res) => {
+  try {
+    const { propertyId, roomId } = req.params;
+    const result = await prepareMeterReading(req.user.id, propertyId, roomId, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, reading: result.entry });
+  } catch (error) {
+    console.error('Error in previewMeterReading:', error);
+    res.status(500).json({ message: 'Error calculating meter reading', error: error.message });
+  }
+};
+
+/**
+ * Record a room meter reading and bill the room's occupants for the period since the last one
+ * @route POST /api/landlord/property/:propertyId/rooms/:roomId/meter-readings
+ * @body {number} reading - Meter reading
+ * @body {date} readingDate - Defaults to today
+ * @body {number} ratePerUnit - Defaults to the room meter's rate
+ * @body {number} fixedCharges - Optional, split like the units
+ * @body {string} splitMethod - 'equal' | 'days' | 'custom', defaults to the room meter's method
+ * @body {Object} weights - Custom split weights keyed by local tenant ID, tenant ID or bed ID
+ * @body {date} dueDate - Defaults to 7 days from now
+ * @body {number} previousReading, previousReadingDate - Optional, only for a room's first reading
+ * @body {string} notes
+ */
+const addMeterReading = async (req, res) => {
+  try {
+    const { propertyId, roomId } = req.params;
+    const result = await recordMeterReading(req.user.id, propertyId, roomId, req.body, {
+      recordedBy: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.reading.isBaseline
+        ? 'Baseline reading recorded, bills start from the next reading'
+        : `Meter reading recorded and ${result.bills.length} electricity bill(s) generated`,
+      reading: result.reading,
+      bills: result.bills
+    });
+  } catch (error) {
+    console.error('Error in addMeterReading:', error);
+    res.status(500).json({ message: 'Error recording meter reading', error: error.message });
+  }
+};
+
+/**
+ * Update a room's meter number, rate per unit or default split method
+ * @route PUT /api/landlord/property/:propertyId/rooms/:roomId/meter
+ * @body {string} meterNumber
+ * @body {number} ratePerUnit
+ * @body {string} splitMethod - 'equal' | 'days' | 'custom'
+ */
+const updateRoomMeter = async (req, res) => {
+  try {
+    const { propertyId, roomId } = req.params;
+    const result = await updateMeterSettings(req.user.id, propertyId, roomId, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Meter settings updated',
+      electricityMeter: result.electricityMeter
+    });
+  } catch (error) {
+    console.error('Error in updateRoomMeter:', error);
+    res.status(500).json({ message: 'Error updating meter settings', error: error.message });
+  }
+};
+
+module.exports = {
+  getMeterReadings,
+  previewMeterReading,
+  addMeterReading,
+  updateRoomMeter
+};
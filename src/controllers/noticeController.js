@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const {
+  NOTICE_STATUSES,
+  getEarliestMoveOutDate,
+  submitNotice,
+  respondToNotice,
+  respondToProposal,
+  withdrawNotice
+} = require('../services/moveOutNoticeService');
+
+/**
+ * Send a service error, passing on the earliest allowed date when there is one
+ */
+const sendError = (res, result) => res.status(result.statusCode).json({
+  message: result.error,
+  ...(result.earliestMoveOutDate ? { earliestMoveOutDate: result.earliestMoveOutDate } : {})
+});
+
+/**
+ * Give notice to move out
+ * @route POST /api/tenant/notice
+ * @body {date} moveOutDate - Intended move-out date, at least the notice period away
+ * @body {string} reason - Optional
+ * @body {string} propertyId, roomId, bedId - Needed only with more than one active accommodation
+ */
+const giveNotice = async (req, res) => {
+  try {
+    const result = await submitNotice(req.user.id, req.body);
+    if (result.error) {
+      return sendError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Notice submitted, your landlord will confirm the move-out date',
+      propertyName: result.accommodation.propertyName,
+      roomId: result.accommodation.roomId,
+      bedId: result.accommodation.bedId,
+      notice: result.notice
+    });
+  } catch (error) {
+    console.error('Error in giveNotice:', error);
+    res.status(500).json({ message: 'Error submitting notice', error: error.message });
+  }
+};
+
+/**
+ * List the tenant's move-out notices
+ * @route GET /api/tenant/notices
+ */
+const getTenantNotices = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.user.id }).select('accommodations');
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const notices = tenant.accommodations
+      .filter(acc => acc.notice && acc.notice.noticeId)
+      .map(acc => ({
+        propertyId: acc.propertyId,
+        propertyName: acc.propertyName,
+        roomId: acc.roomId,
+        bedId: acc.bedId,
+        isActive: acc.isActive,
+        notice: acc.notice
+      }));
+
+    res.status(200).json({ success: true, count: notices.length, notices });
+  } catch (error) {
+    console.error('Error in getTenantNotices:', error);
+    res.status(500).json({ message: 'Error fetching notices', error: error.message });
+  }
+};
+
+/**
+ * Accept the landlord's proposed move-out date or counter with another one
+ * @route POST /api/tenant/notices/:noticeId/respond
+ * @body {string} action - 'accept' | 'counter'
+ * @body {date} moveOutDate - Required to counter
+ * @body {string} reason - Optional
+ */
+const respondToMoveOutProposal = async (req, res) => {
+  try {
+    const result = await respondToProposal(req.user.id, req.params.noticeId, req.body);
+    if (result.error) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: req.body.action === 'accept' ? 'Move-out date agreed' : 'Counter date sent to your landlord',
+      notice: result.notice
+    });
+  } catch (error) {
+    console.error('Error in respondToMoveOutProposal:', error);
+    res.status(500).json({ message: 'Error responding to proposal', error: error.message });
+  }
+};
+
+/**
+ * Withdraw a move-out notice
+ * @route POST /api/tenant/notices/:noticeId/withdraw
+ */
+const withdrawMoveOutNotice = async (req, res) => {
+  try {
+    const result = await withdrawNotice(req.user.id, req.params.noticeId);
+    if (result.error) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({ success: true, message: 'Notice withdrawn', notice: result.notice });
+  } catch (error) {
+    console.error('Error in withdrawMoveOutNotice:', error);
+    res.status(500).json({ message: 'Error withdrawing notice', error: error.message });
+  }
+};
+
+/**
+ * List move-out notices given by the landlord's tenants
+ * @route GET /api/landlord/tenant/notices?status=&propertyId=
+ */
+const getNotices = async (req, res) => {
+  try {
+    const { status, propertyId } = req.query;
+
+    if (status && !NOTICE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${NOTICE_STATUSES.join(', ')}` });
+    }
+    if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const match = { landlordId: req.user.id, 'notice.noticeId': { $exists: true } };
+    if (status) match['notice.status'] = status;
+    if (propertyId) match.propertyId = propertyId;
+
+    const tenants = await Tenant.find({ accommodations: { $elemMatch: match } })
+      .select('tenantId name mobile accommodations');
+
+    const notices = [];
+    tenants.forEach(tenant => {
+      tenant.accommodations
+        .filter(acc =>
+          acc.notice && acc.notice.noticeId &&
+          acc.landlordId.toString() === req.user.id.toString() &&
+          (status ? acc.notice.status === status : true) &&
+          (propertyId ? acc.propertyId.toString() === propertyId : true)
+        )
+        .forEach(acc => notices.push({
+          tenantId: tenant.tenantId,
+          localTenantId: acc.localTenantId,
+          tenantName: tenant.name,
+          mobile: tenant.mobile,
+          propertyId: acc.propertyId,
+          propertyName: acc.propertyName,
+          roomId: acc.roomId,
+          bedId: acc.bedId,
+          isActive: acc.isActive,
+          earliestMoveOutDate: getEarliestMoveOutDate(acc.notice.givenAt, acc.notice.noticePeriod),
+          notice: acc.notice
+        }));
+    });
+
+    notices.sort((a, b) => new Date(b.notice.givenAt) - new Date(a.notice.givenAt));
+
+    res.status(200).json({ success: true, count: notices.length, notices });
+  } catch (error) {
+    console.error('Error in getNotices:', error);
+    res.status(500).json({ message: 'Error fetching notices', error: error.message });
+  }
+};
+
+/**
+ * Approve the tenant's requested move-out date
+ * @route POST /api/landlord/tenant/notices/:noticeId/approve
+ * @body {string} note - Optional
+ */
+const approveMoveOutNotice = async (req, res) => {
+  try {
+    const result = await respondToNotice(req.user.id, req.params.noticeId, {
+      action: 'approve',
+      note: req.body.note
+    });
+    if (result.error) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({ success: true, message: 'Notice approved', notice: result.notice });
+  } catch (error) {
+    console.error('Error in approveMoveOutNotice:', error);
+    res.status(500).json({ message: 'Error approving notice', error: error.message });
+  }
+};
+
+/**
+ * Propose a different move-out date to the tenant
+ * @route POST /api/landlord/tenant/notices/:noticeId/negotiate
+ * @body {date} moveOutDate - Proposed date
+ * @body {string} note - Optional
+ */
+const negotiateMoveOutNotice = async (req, res) => {
+  try {
+    const result = await respondToNotice(req.user.id, req.params.noticeId, {
+      action: 'negotiate',
+      moveOutDate: req.body.moveOutDate,
+      note: req.body.note
+    });
+    if (result.error) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({ success: true, message: 'New move-out date proposed to the tenant', notice: result.notice });
+  } catch (error) {
+    console.error('Error in negotiateMoveOutNotice:', error);
+    res.status(500).json({ message: 'Error proposing move-out date', error: error.message });
+  }
+};
+
+module.exports = {
+  giveNotice,
+  getTenantNotices,
+  respondToMoveOutProposal,
+  withdrawMoveOutNotice,
+  getNotices,
+  approveMoveOutNotice,
+  negotiateMoveOutNotice
+};
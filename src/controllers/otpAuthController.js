@@ -113,7 +113,7 @@ const verifyLoginOtp = async (req, res) => {
         message: 'User not found in PostgreSQL'
       });
     }    // Verify OTP and get OTP record
-    const otpRecord = await otpService.verifyOtp(mobile, otp);
+    const otpRecord = await otpService.verifyOtp(mobile, otp, 'login');
 
     if (!otpRecord) {
       return res.status(401).json({
@@ -1,9 +1,13 @@
-const Razorpay = require("razorpay");
+const Tenant = require("../models/Tenant");
+const PaymentOrder = require("../models/PaymentOrder");
+const { getRazorpayClient } = require("../services/razorpayClient");
+const {
+    verifyWebhookSignature,
+    createOrderForBills,
+    createBookingTokenOrder,
+    handleWebhookEvent,
+} = require("../services/razorpayPaymentService");
 
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-});
 exports.capturePayment = async (req, res) => {
     const { razorpay_payment_id, amount } = req.body;
 
@@ -14,6 +18,7 @@ exports.capturePayment = async (req, res) => {
     }
 
     try {
+        const razorpay = getRazorpayClient();
         const payment = await razorpay.payments.fetch(
             razorpay_payment_id
         );
@@ -40,3 +45,169 @@ exports.capturePayment = async (req, res) => {
         });
     }
 };
+
+/**
+ * Create a Razorpay order for the tenant's bills
+ * @route POST /api/payment/orders
+ * @body {string[]} billIds - Bills to pay (same property)
+ */
+exports.createPaymentOrder = async (req, res) => {
+    const { billIds } = req.body;
+
+    if (!Array.isArray(billIds) || billIds.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: "billIds must be a non-empty array",
+        });
+    }
+
+    try {
+        const tenant = await Tenant.findOne({ tenantId: req.user.id });
+        if (!tenant) {
+            return res.status(404).json({ success: false, message: "Tenant not found" });
+        }
+
+        const result = await createOrderForBills(tenant, billIds);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
+        }
+
+        const { order } = result;
+        res.status(result.reused ? 200 : 201).json({
+            success: true,
+            message: result.reused ? "Existing order returned" : "Order created successfully",
+            order: {
+                orderId: order.orderId,
+                amount: order.amount,
+                amountInPaise: Math.round(order.amount * 100),
+                currency: order.currency,
+                receipt: order.receipt,
+                status: order.status,
+                bills: order.bills,
+                expiresAt: order.expiresAt,
+            },
+            keyId: process.env.RAZORPAY_KEY_ID,
+        });
+    } catch (error) {
+        console.error("Razorpay Order Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create payment order",
+            error: error.error || error.message,
+        });
+    }
+};
+
+/**
+ * Create a Razorpay order for the token advance of a booking request
+ * The bed is held once the token is paid.
+ * @route POST /api/payment/booking-requests/:requestId/token-order
+ */
+exports.createBookingTokenOrder = async (req, res) => {
+    try {
+        const tenant = await Tenant.findOne({ tenantId: req.user.id });
+        if (!tenant) {
+            return res.status(404).json({ success: false, message: "Tenant not found" });
+        }
+
+        const bookingRequest = tenant.bookingRequests.find(r => r.requestId === req.params.requestId);
+        if (!bookingRequest) {
+            return res.status(404).json({ success: false, message: "Booking request not found" });
+        }
+
+        const result = await createBookingTokenOrder(tenant, bookingRequest);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
+        }
+
+        const { order } = result;
+        res.status(result.reused ? 200 : 201).json({
+            success: true,
+            message: result.reused ? "Existing order returned" : "Order created successfully",
+            order: {
+                orderId: order.orderId,
+                amount: order.amount,
+                amountInPaise: Math.round(order.amount * 100),
+                currency: order.currency,
+                receipt: order.receipt,
+                status: order.status,
+                bookingRequestId: order.bookingRequestId,
+                expiresAt: order.expiresAt,
+            },
+            keyId: process.env.RAZORPAY_KEY_ID,
+        });
+    } catch (error) {
+        console.error("Razorpay Token Order Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create token order",
+            error: error.error || error.message,
+        });
+    }
+};
+
+/**
+ * Get the status of a tenant's Razorpay order
+ * @route GET /api/payment/orders/:orderId
+ */
+exports.getPaymentOrder = async (req, res) => {
+    try {
+        const order = await PaymentOrder.findOne({
+            orderId: req.params.orderId,
+            tenantId: req.user.id,
+        }).select("-processedEvents");
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+
+        res.status(200).json({ success: true, order });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch payment order",
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Razorpay webhook receiver
+ * Needs the raw request body (mounted with express.raw in server.js) to verify the signature
+ * @route POST /api/payment/webhook
+ */
+exports.razorpayWebhook = async (req, res) => {
+    const signature = req.headers["x-razorpay-signature"];
+    const eventId = req.headers["x-razorpay-event-id"];
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body || {}));
+
+    if (!verifyWebhookSignature(rawBody, signature)) {
+        return res.status(400).json({ success: false, message: "Invalid webhook signature" });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(rawBody.toString("utf8"));
+    } catch (error) {
+        return res.status(400).json({ success: false, message: "Invalid webhook payload" });
+    }
+
+    try {
+        const result = await handleWebhookEvent(event, eventId);
+
+        res.status(200).json({
+            success: true,
+            handled: Boolean(result.handled),
+            duplicate: Boolean(result.duplicate || result.alreadyProcessed),
+            ignored: Boolean(result.ignored),
+        });
+    } catch (error) {
+        console.error("Razorpay Webhook Error:", error);
+        // Non-2xx makes Razorpay retry the delivery
+        res.status(500).json({
+            success: false,
+            message: "Failed to process webhook",
+            error: error.message,
+        });
+    }
+};
@@ -1,4 +1,10 @@
+const mongoose = require('mongoose');
 const Property = require('../models/Property');
+const { getStayRange, getPropertyAvailability } = require('../services/bedReservationService');
+const { getLandlordResponseStats } = require('../services/bookingRequestExpiryService');
+
+// Bed fields the reservation calendar needs, including occupants recorded before it existed
+const CALENDAR_FIELDS = 'rooms.roomId rooms.beds.bedId rooms.beds.reservations rooms.beds.tenants.tenantId rooms.beds.tenants.moveInDate rooms.beds.tenants.joinDate';
 
 /**
  * Helper function to format property location data consistently
@@ -15,6 +21,24 @@ const formatPropertyLocation = (property) => {
   };
 };
 
+/**
+ * Beds that are occupied now but free up on a known date (approved move-out notices)
+ * Returns how many there are and the earliest date one becomes available.
+ */
+const getUpcomingAvailability = (property) => {
+  const now = new Date();
+  const dates = [];
+  property.rooms.forEach(room => {
+    (room.beds || []).forEach(bed => {
+      if (bed.status !== 'Available' && bed.availableFrom && bed.availableFrom > now) {
+        dates.push(bed.availableFrom);
+      }
+    });
+  });
+  dates.sort((a, b) => a - b);
+  return { upcomingBeds: dates.length, availableFrom: dates.length > 0 ? dates[0] : null };
+};
+
 /**
  * Get all properties with filtering options - PUBLIC API
  * @route GET /api/public/properties
@@ -38,9 +62,18 @@ exports.getAllPublicProperties = async (req, res) => {
       amenities,
       foodIncluded,
       nearbyFacilities,
-      hasParking
+      hasParking,
+      availableBy,
+      moveInDate,
+      duration
     } = req.query;
 
+    // A move-in date checks every bed's reservation calendar for the stay (duration in months)
+    const stay = moveInDate ? getStayRange({ moveInDate, duration }) : null;
+    if (stay && stay.error) {
+      return res.status(stay.statusCode).json({ success: false, message: stay.error });
+    }
+
     console.log('Public properties search with filters:', req.query);
 
     // Base query to find properties
@@ -123,6 +156,10 @@ exports.getAllPublicProperties = async (req, res) => {
       }
     }
 
+    // Beds freeing up by this date also count as available
+    const availableByDate = availableBy ? new Date(availableBy) : null;
+    const hasAvailableByDate = availableByDate && !isNaN(availableByDate.getTime());
+
     // Availability filter
     if (availabilityStatus) {
       if (availabilityStatus.toLowerCase() === 'available') {
@@ -131,6 +168,9 @@ exports.getAllPublicProperties = async (req, res) => {
           { 'rooms.status': 'Partially Available' },
           { 'rooms.beds.status': 'Available' }
         ];
+        if (hasAvailableByDate) {
+          query.$or.push({ 'rooms.beds.availableFrom': { $lte: availableByDate } });
+        }
       }
     }
 
@@ -210,7 +250,10 @@ exports.getAllPublicProperties = async (req, res) => {
 
     // Find properties with the constructed query
     let propertiesQuery = Property.find(query)
-      .select('propertyId name type address pinCode city state landmark images totalRooms totalBeds rooms.price rooms.status rooms.type rooms.capacity');
+      .select('propertyId name type address pinCode city state landmark images totalRooms totalBeds rooms.price rooms.status rooms.type rooms.capacity rooms.beds.price rooms.beds.status rooms.beds.availableFrom');
+    if (stay) {
+      propertiesQuery = propertiesQuery.select(CALENDAR_FIELDS);
+    }
 
     // Apply sorting
     if (sortBy) {
@@ -302,10 +345,12 @@ exports.getAllPublicProperties = async (req, res) => {
         totalBeds: property.totalBeds,
         availableRooms: availableRooms,
         availableBeds: availableBeds,
+        ...getUpcomingAvailability(property),
         lowestPrice: lowestPrice,
         images: property.images && property.images.length > 0 ? 
           property.images.slice(0, 3) : [], // Return up to 3 images
         hasAvailability: availableRooms > 0 || availableBeds > 0,
+        bedsAvailableForStay: stay ? getPropertyAvailability(property, stay).availableBeds : undefined,
         landlordInfo: property.landlordId ? {
           name: property.landlordId.name,
           mobile: property.landlordId.mobile,
@@ -315,13 +360,20 @@ exports.getAllPublicProperties = async (req, res) => {
     });
 
     // Filter out properties with no availability if requested
-    const finalProperties = availabilityStatus === 'available' ? 
-      formattedProperties.filter(p => p.hasAvailability) : 
+    let finalProperties = availabilityStatus === 'available' ? 
+      formattedProperties.filter(p => p.hasAvailability ||
+        (hasAvailableByDate && p.availableFrom && p.availableFrom <= availableByDate)) : 
       formattedProperties;
 
+    // Only properties with a bed free for the whole stay
+    if (stay) {
+      finalProperties = finalProperties.filter(p => p.bedsAvailableForStay > 0);
+    }
+
     res.json({
       success: true,
       count: finalProperties.length,
+      stay: stay || undefined,
       priceRange: {
         min: minPriceFound,
         max: maxPriceFound
@@ -338,6 +390,69 @@ exports.getAllPublicProperties = async (req, res) => {
   }
 };
 
+/**
+ * Bed availability of a property for a stay - PUBLIC API
+ * @route GET /api/public/property/:propertyId/availability
+ * @query {Date} moveInDate - Defaults to today
+ * @query {number} duration - Stay in months, or pass moveOutDate; open-ended without either
+ */
+exports.getPublicPropertyAvailability = async (req, res) => {
+  try {
+    const stay = getStayRange(req.query);
+    if (stay.error) {
+      return res.status(stay.statusCode).json({ success: false, message: stay.error });
+    }
+
+    const { propertyId } = req.params;
+    const property = await Property.findOne({
+      $or: mongoose.Types.ObjectId.isValid(propertyId)
+        ? [{ _id: propertyId }, { propertyId }]
+        : [{ propertyId }]
+    }).select(`propertyId name rooms.name rooms.type rooms.price rooms.beds.name rooms.beds.price rooms.beds.status rooms.beds.availableFrom ${CALENDAR_FIELDS}`);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: "Property not found"
+      });
+    }
+
+    const availability = getPropertyAvailability(property, stay);
+
+    res.json({
+      success: true,
+      id: property._id,
+      propertyId: property.propertyId,
+      name: property.name,
+      stay,
+      availableBeds: availability.availableBeds,
+      totalBeds: availability.totalBeds,
+      rooms: availability.rooms.map(({ room, availableBeds, totalBeds, beds }) => ({
+        roomId: room.roomId,
+        name: room.name || `Room ${room.roomId}`,
+        type: room.type,
+        price: room.price,
+        availableBeds,
+        totalBeds,
+        beds: beds.map(({ bed, isAvailable, nextAvailableFrom }) => ({
+          bedId: bed.bedId,
+          name: bed.name || `Bed ${bed.bedId}`,
+          price: bed.price,
+          isAvailable,
+          nextAvailableFrom
+        }))
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching property availability:', err.message);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: err.message
+    });
+  }
+};
+
 /**
  * Get property details by ID - PUBLIC API
  * @route GET /api/public/property/:propertyId
@@ -441,6 +556,7 @@ exports.getPublicPropertyById = async (req, res) => {
           bedId: bed.bedId,
           name: bed.name || `Bed ${bed.bedId}`,
           status: bed.status,
+          availableFrom: bed.status !== 'Available' && bed.availableFrom ? bed.availableFrom : null,
           price: bed.price,
           monthlyCollection: bed.monthlyCollection || 0,
           pendingDues: bed.pendingDues || 0,
@@ -593,6 +709,11 @@ exports.getPublicPropertyById = async (req, res) => {
       reviews: property.reviews || []
     };
 
+    // How quickly the landlord answers booking requests; the populated landlord has no _id
+    if (property.landlordId) {
+      formattedProperty.landlord.responseTime = await getLandlordResponseStats(property.populated('landlordId'));
+    }
+
     res.json({
       success: true,
       property: formattedProperty
@@ -703,6 +824,7 @@ exports.getPublicPropertiesByType = async (req, res) => {
         },
         availableRooms,
         availableBeds,
+        ...getUpcomingAvailability(property),
         totalRooms: property.totalRooms,
         totalBeds: property.totalBeds,
         lowestPrice,
@@ -1043,7 +1165,7 @@ exports.searchPropertiesByRadius = async (req, res) => {
     
     // Execute query
     const properties = await Property.find(query)
-      .select('propertyId name type address city state pinCode latitude longitude images rooms.price')
+      .select('propertyId name type address city state pinCode latitude longitude images rooms.price rooms.beds.price rooms.beds.status rooms.beds.availableFrom')
       .limit(50);
       
     // Format properties for response with distance calculation
@@ -1087,6 +1209,7 @@ exports.searchPropertiesByRadius = async (req, res) => {
         },
         distance: parseFloat(distance.toFixed(2)), // Distance in km, rounded to 2 decimal places
         lowestPrice,
+        ...getUpcomingAvailability(property),
         images: property.images && property.images.length > 0 ? 
           [property.images[0]] : [] // Just return first image
       };
@@ -1122,7 +1245,7 @@ exports.searchPropertiesByRadius = async (req, res) => {
 exports.getAllPropertiesDefault = async (req, res) => {
   try {
     const properties = await Property.find()
-      .select('propertyId name type address city state pinCode landmark images totalRooms totalBeds rooms.price rooms.status rooms.type rooms.capacity createdAt')
+      .select('propertyId name type address city state pinCode landmark images totalRooms totalBeds rooms.price rooms.status rooms.type rooms.capacity rooms.beds.price rooms.beds.status rooms.beds.availableFrom createdAt')
       .sort({ createdAt: -1 })
       .limit(50);
 
@@ -1169,6 +1292,7 @@ exports.getAllPropertiesDefault = async (req, res) => {
         totalBeds: property.totalBeds,
         availableRooms: availableRooms,
         availableBeds: availableBeds,
+        ...getUpcomingAvailability(property),
         lowestPrice: lowestPrice,
         images: property.images && property.images.length > 0 ? 
           property.images.slice(0, 3) : [], // Return up to 3 images
@@ -1224,7 +1348,7 @@ exports.getPropertiesNearMe = async (req, res) => {
     
     // Find all properties, prioritizing those with coordinates
     let properties = await Property.find()
-      .select('propertyId name type address city state pinCode landmark latitude longitude images rooms.price rooms.status totalRooms totalBeds')
+      .select('propertyId name type address city state pinCode landmark latitude longitude images rooms.price rooms.status rooms.beds.price rooms.beds.status rooms.beds.availableFrom totalRooms totalBeds')
       .sort({ createdAt: -1 });
     
     // Format and calculate distances where possible
@@ -1285,6 +1409,7 @@ exports.getPropertiesNearMe = async (req, res) => {
         totalBeds: property.totalBeds,
         availableRooms: availableRooms,
         availableBeds: availableBeds,
+        ...getUpcomingAvailability(property),
         lowestPrice: lowestPrice,
         images: property.images && property.images.length > 0 ? 
           property.images.slice(0, 3) : [],
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const {
+  REFUND_METHODS,
+  refundTenantPayment,
+  refundSubscriptionPayment,
+  listRefunds
+} = require('../services/refundService');
+
+/**
+ * Check an optional refund amount from the request body
+ */
+const validateAmount = (amount) => amount === undefined || (!isNaN(Number(amount)) && Number(amount) > 0);
+
+/**
+ * Refund a tenant payment in full or in part
+ * Online payments are refunded through Razorpay; otherwise pass the method the money was returned by.
+ * @route POST /api/landlord/tenant/payments/:paymentId/refund
+ * @body {number} amount - Optional, defaults to everything not yet refunded
+ * @body {string} reason
+ * @body {string} method - Optional, 'Razorpay' for online payments or how the money was returned
+ * @body {Object[]} allocations - Optional [{ billId, amount }] choosing which bills to reopen
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const { amount, reason, method, allocations } = req.body;
+
+    if (!validateAmount(amount)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    if (method !== undefined && !REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${REFUND_METHODS.join(', ')}` });
+    }
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ message: 'allocations must be an array' });
+    }
+
+    const result = await refundTenantPayment(req.user.id, req.params.paymentId, {
+      amount,
+      reason,
+      method,
+      allocations,
+      initiatedBy: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error, refund: result.refund });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.refund.status === 'Processed' ? 'Refund processed' : 'Refund initiated',
+      refund: result.refund,
+      refundedAmount: result.payment.refundedAmount,
+      paymentStatus: result.payment.status,
+      reopenedBills: result.reopenedBills
+    });
+  } catch (error) {
+    console.error('Error in refundPayment:', error);
+    res.status(500).json({ message: 'Error refunding payment', error: error.message });
+  }
+};
+
+/**
+ * Refunds the landlord has made to tenants
+ * @route GET /api/landlord/tenant/refunds
+ * @query {string} tenantId, paymentId - Optional filters
+ * @query {boolean} needsReconciliation - Optional, true lists refunds Razorpay failed after they were applied that could not be undone
+ */
+const getRefunds = async (req, res) => {
+  try {
+    const filter = { landlordId: req.user.id, type: 'Tenant Payment' };
+    if (req.query.tenantId) filter.tenantId = req.query.tenantId;
+    if (req.query.paymentId) filter.paymentId = req.query.paymentId;
+    if (req.query.needsReconciliation === 'true') filter.needsReconciliation = true;
+
+    const refunds = await listRefunds(filter);
+
+    res.status(200).json({ success: true, count: refunds.length, refunds });
+  } catch (error) {
+    console.error('Error in getRefunds:', error);
+    res.status(500).json({ message: 'Error fetching refunds', error: error.message });
+  }
+};
+
+/**
+ * Refund a subscription payment in full or in part
+ * @route POST /api/admin/subscriptions/:subscriptionId/refunds
+ * @body {string} entryId - payment_history entry to refund
+ * @body {number} amount - Optional, defaults to everything not yet refunded
+ * @body {string} reason
+ * @body {string} method - Optional, defaults to Razorpay when the payment was made online
+ * @body {boolean} cancelSubscription - Also cancel the subscription, default false
+ */
+const refundSubscription = async (req, res) => {
+  try {
+    const { entryId, amount, reason, method, cancelSubscription } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.subscriptionId)) {
+      return res.status(400).json({ message: 'Invalid subscription ID' });
+    }
+    if (!entryId || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ message: 'entryId of the subscription payment is required' });
+    }
+    if (!validateAmount(amount)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    if (method !== undefined && !REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${REFUND_METHODS.join(', ')}` });
+    }
+
+    const result = await refundSubscriptionPayment(req.params.subscriptionId, entryId, {
+      amount,
+      reason,
+      method,
+      cancelSubscription: cancelSubscription === true || cancelSubscription === 'true',
+      initiatedBy: req.admin && req.admin._id
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error, refund: result.refund });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.refund.status === 'Processed' ? 'Refund processed' : 'Refund initiated',
+      refund: result.refund,
+      subscription: result.subscription
+    });
+  } catch (error) {
+    console.error('Error in refundSubscription:', error);
+    res.status(500).json({ message: 'Error refunding subscription', error: error.message });
+  }
+};
+
+/**
+ * Refunds made on a subscription, with its refundable payments
+ * @route GET /api/admin/subscriptions/:subscriptionId/refunds
+ */
+const getSubscriptionRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.subscriptionId)) {
+      return res.status(400).json({ message: 'Invalid subscription ID' });
+    }
+
+    const subscription = await Subscription.findById(req.params.subscriptionId).select('payment_history plan_name landlordId status');
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    const refunds = await listRefunds({ subscriptionId: subscription._id });
+    const payments = subscription.payment_history
+      .filter(entry => entry.status === 'success' || entry.status === 'refunded')
+      .map(entry => ({
+        entryId: entry._id,
+        planName: entry.plan_name,
+        type: entry.type,
+        amount: entry.amount,
+        paidAt: entry.paid_at,
+        refundedAmount: entry.refunded_amount || 0,
+        refundable: Math.max(0, (entry.amount || 0) - (entry.refunded_amount || 0))
+      }));
+
+    res.status(200).json({
+      success: true,
+      subscriptionId: subscription._id,
+      landlordId: subscription.landlordId,
+      status: subscription.status,
+      payments,
+      refunds
+    });
+  } catch (error) {
+    console.error('Error in getSubscriptionRefunds:', error);
+    res.status(500).json({ message: 'Error fetching subscription refunds', error: error.message });
+  }
+};
+
+module.exports = {
+  refundPayment,
+  getRefunds,
+  refundSubscription,
+  getSubscriptionRefunds
+};
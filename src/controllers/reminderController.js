@@ -0,0 +1,143 @@
+const Landlord = require('../models/Landlord');
+const {
+  REMINDER_CHANNELS,
+  MANUAL_REMINDER_COOLDOWN_HOURS,
+  getReminderSettings: resolveReminderSettings,
+  sendReminderNow
+} = require('../services/duesReminderService');
+
+/**
+ * Get the landlord's dues reminder settings
+ * @route GET /api/landlord/reminder-settings
+ */
+const getReminderSettings = async (req, res) => {
+  try {
+    const landlord = await Landlord.findById(req.user.id).select('reminderSettings');
+    if (!landlord) {
+      return res.status(404).json({ message: 'Landlord not found' });
+    }
+
+    res.status(200).json({
+      reminderSettings: resolveReminderSettings(landlord),
+      channels: REMINDER_CHANNELS,
+      manualCooldownHours: MANUAL_REMINDER_COOLDOWN_HOURS
+    });
+  } catch (error) {
+    console.error('Error in getReminderSettings:', error);
+    res.status(500).json({ message: 'Error fetching reminder settings', error: error.message });
+  }
+};
+
+/**
+ * Create or update the landlord's dues reminder settings
+ * @route PUT /api/landlord/reminder-settings
+ * @body {boolean} enabled
+ * @body {number[]} daysBeforeDue - Days before the due date to remind, e.g. [3]
+ * @body {boolean} onDueDate - Remind on the due date
+ * @body {number} overdueEveryDays - Repeat every N days while overdue (0 = never)
+ * @body {number} maxOverdueReminders - Stop after this many overdue reminders per bill
+ * @body {string[]} channels - 'SMS' | 'Email'
+ * @body {string[]} billTypes - Bill types covered (empty = all)
+ */
+const updateReminderSettings = async (req, res) => {
+  try {
+    const { enabled, daysBeforeDue, onDueDate, overdueEveryDays, maxOverdueReminders, channels, billTypes } = req.body;
+
+    if (daysBeforeDue !== undefined) {
+      if (!Array.isArray(daysBeforeDue)
+        || daysBeforeDue.some(day => !Number.isInteger(Number(day)) || Number(day) < 1 || Number(day) > 30)) {
+        return res.status(400).json({ message: 'daysBeforeDue must be an array of whole days between 1 and 30' });
+      }
+    }
+
+    const numericFields = { overdueEveryDays, maxOverdueReminders };
+    for (const [field, value] of Object.entries(numericFields)) {
+      if (value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({ message: `${field} must be a non-negative whole number` });
+      }
+    }
+
+    if (channels !== undefined) {
+      if (!Array.isArray(channels) || channels.some(channel => !REMINDER_CHANNELS.includes(channel))) {
+        return res.status(400).json({ message: `channels must be an array of: ${REMINDER_CHANNELS.join(', ')}` });
+      }
+    }
+
+    if (billTypes !== undefined && !Array.isArray(billTypes)) {
+      return res.status(400).json({ message: 'billTypes must be an array' });
+    }
+
+    const landlord = await Landlord.findById(req.user.id);
+    if (!landlord) {
+      return res.status(404).json({ message: 'Landlord not found' });
+    }
+
+    const settings = resolveReminderSettings(landlord);
+    if (enabled !== undefined) settings.enabled = Boolean(enabled);
+    if (daysBeforeDue !== undefined) settings.daysBeforeDue = [...new Set(daysBeforeDue.map(Number))].sort((a, b) => b - a);
+    if (onDueDate !== undefined) settings.onDueDate = Boolean(onDueDate);
+    if (overdueEveryDays !== undefined) settings.overdueEveryDays = Number(overdueEveryDays);
+    if (maxOverdueReminders !== undefined) settings.maxOverdueReminders = Number(maxOverdueReminders);
+    if (channels !== undefined) settings.channels = [...new Set(channels)];
+    if (billTypes !== undefined) settings.billTypes = billTypes;
+    settings.updatedAt = new Date();
+
+    landlord.reminderSettings = settings;
+    landlord.updatedAt = new Date();
+    await landlord.save();
+
+    res.status(200).json({
+      message: 'Reminder settings updated successfully',
+      reminderSettings: landlord.reminderSettings
+    });
+  } catch (error) {
+    console.error('Error in updateReminderSettings:', error);
+    res.status(500).json({ message: 'Error updating reminder settings', error: error.message });
+  }
+};
+
+/**
+ * Send a dues reminder to a tenant now
+ * Limited to one reminder per bill every 24 hours.
+ * @route POST /api/landlord/tenant/:tenantId/reminders
+ * @body {string[]} billIds - Optional, defaults to all unpaid bills with the landlord
+ * @body {string[]} channels - Optional, defaults to the landlord's reminder channels
+ */
+const sendTenantReminder = async (req, res) => {
+  try {
+    const { billIds, channels } = req.body;
+
+    if (billIds !== undefined && !Array.isArray(billIds)) {
+      return res.status(400).json({ message: 'billIds must be an array' });
+    }
+    if (channels !== undefined && !Array.isArray(channels)) {
+      return res.status(400).json({ message: 'channels must be an array' });
+    }
+
+    const result = await sendReminderNow(req.user.id, req.params.tenantId, { billIds, channels });
+    if (result.error) {
+      if (result.retryAfter) {
+        res.setHeader('Retry-After', Math.ceil((result.retryAfter - Date.now()) / 1000));
+      }
+      return res.status(result.statusCode).json({ message: result.error, retryAfter: result.retryAfter });
+    }
+
+    const sent = result.attempts.filter(attempt => attempt.status === 'Sent');
+    res.status(200).json({
+      success: sent.length > 0,
+      message: sent.length > 0
+        ? `Reminder sent by ${sent.map(attempt => attempt.method).join(' and ')}`
+        : 'Reminder could not be delivered',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error in sendTenantReminder:', error);
+    res.status(500).json({ message: 'Error sending reminder', error: error.message });
+  }
+};
+
+module.exports = {
+  getReminderSettings,
+  updateReminderSettings,
+  sendTenantReminder
+};
@@ -0,0 +1,268 @@
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const { setCache } = require('../utils/redis');
+const {
+  RENT_CHANGE_TYPES,
+  DEFAULT_ESCALATION_NOTICE_DAYS,
+  addRentRevision,
+  cancelRentRevision,
+  getNextEscalationDate,
+  getRentSchedule,
+  materializeEscalations,
+  notifySavedRevision
+} = require('../services/rentRevisionService');
+
+/**
+ * Find a tenant and one of their active accommodations with the landlord
+ * A local tenant ID (L-...) picks the accommodation; otherwise pass localTenantId or propertyId
+ * when the tenant stays in more than one of the landlord's properties.
+ * @returns {Promise<Object>} - { tenant, accommodation } or { statusCode, error }
+ */
+const findLandlordAccommodation = async (tenantId, landlordId, { localTenantId, propertyId } = {}) => {
+  const isLocalId = tenantId.startsWith('L-');
+  const tenant = await Tenant.findOne(isLocalId
+    ? { accommodations: { $elemMatch: { localTenantId: tenantId, landlordId } } }
+    : { tenantId, 'accommodations.landlordId': landlordId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Tenant not found or you do not have access' };
+  }
+
+  const matches = tenant.accommodations.filter(acc =>
+    acc.isActive &&
+    acc.landlordId.toString() === landlordId.toString() &&
+    (isLocalId ? acc.localTenantId === tenantId : true) &&
+    (localTenantId ? acc.localTenantId === localTenantId : true) &&
+    (propertyId ? acc.propertyId.toString() === propertyId : true)
+  );
+  if (matches.length === 0) {
+    return { statusCode: 404, error: 'No active accommodation found for this tenant' };
+  }
+  if (matches.length > 1) {
+    return { statusCode: 400, error: 'Tenant has more than one active stay with you; pass localTenantId or propertyId' };
+  }
+
+  return { tenant, accommodation: matches[0] };
+};
+
+/**
+ * Save the tenant after changing an accommodation, mapping concurrent edits to 409
+ * @returns {Promise<Boolean>} - false when the tenant changed meanwhile
+ */
+const saveTenant = async (tenant) => {
+  try {
+    tenant.increment();
+    tenant.updatedAt = new Date();
+    await tenant.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') return false;
+    throw error;
+  }
+};
+
+const clearTenantCaches = async (tenant, landlordId) => {
+  await setCache(`landlord:tenants:${landlordId}`, null, 1);
+  await setCache(`tenant:${tenant.tenantId}`, null, 1);
+};
+
+/**
+ * Rent in force, revision history, upcoming revisions and projected escalations
+ * @route GET /api/landlord/tenant/:tenantId/rent-revisions
+ * @query {string} localTenantId, propertyId - Pick the stay when the tenant has several
+ * @query {number} months - How far ahead to project escalations, default 24
+ */
+const getRentRevisions = async (req, res) => {
+  try {
+    const found = await findLandlordAccommodation(req.params.tenantId, req.user.id, req.query);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+
+    const months = Math.min(parseInt(req.query.months, 10) || 24, 60);
+    res.status(200).json({
+      success: true,
+      tenantId: found.tenant.tenantId,
+      tenantName: found.tenant.name,
+      ...getRentSchedule(found.accommodation, { months })
+    });
+  } catch (error) {
+    console.error('Error in getRentRevisions:', error);
+    res.status(500).json({ message: 'Error fetching rent revisions', error: error.message });
+  }
+};
+
+/**
+ * Schedule a rent revision from a date
+ * A date today or earlier applies at once; bills already raised keep their amount.
+ * @route POST /api/landlord/tenant/:tenantId/rent-revisions
+ * @body {Date} effectiveDate
+ * @body {number} newRent - Or changeType ('Amount' | 'Percentage') with changeValue
+ * @body {string} reason
+ * @body {string} localTenantId, propertyId - Pick the stay when the tenant has several
+ */
+const createRentRevision = async (req, res) => {
+  try {
+    const { effectiveDate, newRent, changeType, changeValue, reason } = req.body;
+
+    if (newRent !== undefined && (isNaN(Number(newRent)) || Number(newRent) <= 0)) {
+      return res.status(400).json({ message: 'newRent must be a positive number' });
+    }
+    if (newRent === undefined && !RENT_CHANGE_TYPES.includes(changeType)) {
+      return res.status(400).json({ message: `Give newRent, or changeType (${RENT_CHANGE_TYPES.join(', ')}) and changeValue` });
+    }
+
+    const found = await findLandlordAccommodation(req.params.tenantId, req.user.id, req.body);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+    const { tenant, accommodation } = found;
+
+    const result = addRentRevision(accommodation, {
+      effectiveDate,
+      newRent,
+      changeType,
+      changeValue,
+      reason,
+      createdBy: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    if (!(await saveTenant(tenant))) {
+      return res.status(409).json({ message: 'Tenant was updated by someone else, please retry' });
+    }
+    await notifySavedRevision(tenant, accommodation, result.revision);
+    await clearTenantCaches(tenant, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: result.revision.status === 'Applied' ? 'Rent revised' : 'Rent revision scheduled',
+      revision: result.revision,
+      currentRent: accommodation.rentAmount
+    });
+  } catch (error) {
+    console.error('Error in createRentRevision:', error);
+    res.status(500).json({ message: 'Error creating rent revision', error: error.message });
+  }
+};
+
+/**
+ * Cancel a revision that has not taken effect yet
+ * @route POST /api/landlord/tenant/:tenantId/rent-revisions/:revisionId/cancel
+ */
+const cancelScheduledRentRevision = async (req, res) => {
+  try {
+    const found = await findLandlordAccommodation(req.params.tenantId, req.user.id, req.body);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+    const { tenant, accommodation } = found;
+
+    const result = cancelRentRevision(accommodation, req.params.revisionId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    if (!(await saveTenant(tenant))) {
+      return res.status(409).json({ message: 'Tenant was updated by someone else, please retry' });
+    }
+    await clearTenantCaches(tenant, req.user.id);
+
+    res.status(200).json({ success: true, message: 'Rent revision cancelled', revision: result.revision });
+  } catch (error) {
+    console.error('Error in cancelScheduledRentRevision:', error);
+    res.status(500).json({ message: 'Error cancelling rent revision', error: error.message });
+  }
+};
+
+/**
+ * Set or turn off the automatic rent escalation of a stay
+ * @route PUT /api/landlord/tenant/:tenantId/rent-escalation
+ * @body {boolean} enabled
+ * @body {string} changeType - 'Percentage' (default) | 'Amount'
+ * @body {number} value - e.g. 5 for +5%
+ * @body {number} everyMonths - e.g. 11
+ * @body {Date} nextEffectiveDate - Optional, defaults to the next interval from the move-in date
+ * @body {number} noticeDays - Days ahead the tenant is told, default 30
+ * @body {number} roundTo - Round the new rent to a multiple of this, default 1
+ */
+const updateRentEscalation = async (req, res) => {
+  try {
+    const { enabled, changeType = 'Percentage', value, everyMonths, nextEffectiveDate, noticeDays, roundTo } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be true or false' });
+    }
+    if (enabled) {
+      if (!RENT_CHANGE_TYPES.includes(changeType)) {
+        return res.status(400).json({ message: `changeType must be one of: ${RENT_CHANGE_TYPES.join(', ')}` });
+      }
+      if (isNaN(Number(value)) || Number(value) <= 0) {
+        return res.status(400).json({ message: 'value must be a positive number' });
+      }
+      if (!Number.isInteger(Number(everyMonths)) || Number(everyMonths) < 1) {
+        return res.status(400).json({ message: 'everyMonths must be a whole number of months' });
+      }
+      if (nextEffectiveDate && !moment(nextEffectiveDate).isAfter(moment(), 'day')) {
+        return res.status(400).json({ message: 'nextEffectiveDate must be in the future' });
+      }
+      if (noticeDays !== undefined && (!Number.isInteger(Number(noticeDays)) || Number(noticeDays) < 0)) {
+        return res.status(400).json({ message: 'noticeDays must be a whole number of days' });
+      }
+    }
+
+    const found = await findLandlordAccommodation(req.params.tenantId, req.user.id, req.body);
+    if (found.error) {
+      return res.status(found.statusCode).json({ message: found.error });
+    }
+    const { tenant, accommodation } = found;
+
+    if (enabled) {
+      accommodation.rentEscalation = {
+        enabled: true,
+        changeType,
+        value: Number(value),
+        everyMonths: Number(everyMonths),
+        nextEffectiveDate: nextEffectiveDate
+          ? moment(nextEffectiveDate).startOf('day').toDate()
+          : getNextEscalationDate(accommodation.moveInDate || new Date(), Number(everyMonths)),
+        noticeDays: noticeDays !== undefined ? Number(noticeDays) : DEFAULT_ESCALATION_NOTICE_DAYS,
+        roundTo: roundTo !== undefined ? Math.max(1, Number(roundTo)) : 1,
+        updatedAt: new Date()
+      };
+    } else {
+      // Revisions already scheduled by the escalation stay until cancelled
+      accommodation.rentEscalation.enabled = false;
+      accommodation.rentEscalation.updatedAt = new Date();
+    }
+
+    // An escalation already inside its notice window is scheduled straight away
+    const scheduled = enabled ? materializeEscalations(accommodation) : [];
+
+    if (!(await saveTenant(tenant))) {
+      return res.status(409).json({ message: 'Tenant was updated by someone else, please retry' });
+    }
+    for (const revision of scheduled) {
+      await notifySavedRevision(tenant, accommodation, revision);
+    }
+    await clearTenantCaches(tenant, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: enabled ? 'Rent escalation saved' : 'Rent escalation turned off',
+      scheduledRevisions: scheduled,
+      ...getRentSchedule(accommodation)
+    });
+  } catch (error) {
+    console.error('Error in updateRentEscalation:', error);
+    res.status(500).json({ message: 'Error updating rent escalation', error: error.message });
+  }
+};
+
+module.exports = {
+  getRentRevisions,
+  createRentRevision,
+  cancelScheduledRentRevision,
+  updateRentEscalation
+};
@@ -1,14 +1,21 @@
 const Property = require('../models/Property');
-const { validateBedAvailability } = require('../utils/bedValidation');
+const { getStayRange, checkBedAvailability, getBedCalendar } = require('../services/bedReservationService');
 
 /**
  * Get available rooms and beds for tenant assignment
- * Returns rooms with their types and availability status
+ * Returns rooms with their types and availability status. Beds are checked against their
+ * reservation calendar for the stay given by moveInDate (default today) and duration in months
+ * or moveOutDate; without either the stay is open-ended, as for an assignment.
  */
 const getAvailableRoomsAndBeds = async (req, res) => {
   const { propertyId } = req.params;
   
   try {
+    const stay = getStayRange(req.query);
+    if (stay.error) {
+      return res.status(stay.statusCode).json({ message: stay.error });
+    }
+    
     // Verify the property belongs to this landlord
     const property = await Property.findOne({ 
       _id: propertyId,
@@ -23,21 +30,29 @@ const getAvailableRoomsAndBeds = async (req, res) => {
     const roomsInfo = property.rooms.map(room => {
       // Check each bed's availability
       const bedsInfo = room.beds.map(bed => {
-        const bedValidation = validateBedAvailability(bed);
+        const bedValidation = checkBedAvailability(bed, stay);
+        const occupants = bed.tenants.map(t => t.name).join(', ');
         return {
           bedId: bed.bedId,
           name: bed.name,
           price: bed.price,
           isAvailable: bedValidation.isAvailable,
           status: bed.status,
-          occupiedBy: bedValidation.occupiedBy || null
+          occupiedBy: occupants || null,
+          nextAvailableFrom: bedValidation.nextAvailableFrom,
+          conflicts: bedValidation.conflicts.map(r => ({
+            type: r.type,
+            startDate: r.startDate,
+            endDate: r.endDate,
+            tenantId: r.tenantId,
+            bookingRequestId: r.bookingRequestId
+          }))
         };
       });
       
       // Calculate room occupancy
       const totalBeds = room.beds.length;
-      const occupiedBeds = room.beds.filter(bed => bed.status !== 'Available').length;
-      const availableBeds = totalBeds - occupiedBeds;
+      const availableBeds = bedsInfo.filter(bed => bed.isAvailable).length;
       
       // Get room capacity based on type
       let capacity = 1; // Default
@@ -68,6 +83,7 @@ const getAvailableRoomsAndBeds = async (req, res) => {
     res.status(200).json({
       propertyId: property._id,
       propertyName: property.name,
+      stay,
       roomTypes: [
         'Single Sharing', 'Double Sharing', 'Triple Sharing', 'Four Sharing', 
         'Five Sharing', 'Six Sharing', 'More Than 6 Sharing', 'Private Room', 
@@ -83,6 +99,52 @@ const getAvailableRoomsAndBeds = async (req, res) => {
   }
 };
 
+/**
+ * Reservation calendar of a bed
+ * @route GET /api/landlord/properties/:propertyId/rooms/:roomId/beds/:bedId/calendar
+ * @query {boolean} includeReleased - Also list past and released ranges
+ */
+const getBedReservationCalendar = async (req, res) => {
+  const { propertyId, roomId, bedId } = req.params;
+
+  try {
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id })
+      .select('name rooms.roomId rooms.name rooms.beds');
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const room = property.rooms.find(r => r.roomId === roomId);
+    const bed = room ? room.beds.find(b => b.bedId === bedId) : null;
+    if (!bed) {
+      return res.status(404).json({ message: 'Bed not found in this property' });
+    }
+
+    const names = {};
+    bed.tenants.forEach(t => { names[t.tenantId] = t.name; });
+
+    const reservations = req.query.includeReleased === 'true'
+      ? [...getBedCalendar(bed), ...bed.reservations.filter(r => r.status !== 'Active').map(r => r.toObject())]
+      : getBedCalendar(bed);
+
+    res.status(200).json({
+      success: true,
+      propertyId: property._id,
+      roomId,
+      bedId,
+      bedName: bed.name,
+      status: bed.status,
+      reservations: reservations
+        .sort((a, b) => a.startDate - b.startDate)
+        .map(r => ({ ...r, tenantName: names[r.tenantId] || null }))
+    });
+  } catch (error) {
+    console.error('Error in getBedReservationCalendar:', error);
+    res.status(500).json({ message: 'Error fetching bed calendar', error: error.message });
+  }
+};
+
 module.exports = {
-  getAvailableRoomsAndBeds
+  getAvailableRoomsAndBeds,
+  getBedReservationCalendar
 };
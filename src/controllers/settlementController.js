@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const { setCache } = require('../utils/redis');
+const {
+  SETTLEMENT_STATUSES,
+  calculateSettlement,
+  settleMoveOut,
+  findSettlement,
+  respondToSettlement,
+  resolveDispute,
+  recordRefund
+} = require('../services/depositSettlementService');
+
+/**
+ * Find a landlord's tenant and the active accommodation being vacated
+ * tenantId may be the global tenantId or the landlord's local ID (L-...)
+ */
+const findActiveAccommodation = async (landlordId, { tenantId, propertyId, roomId, bedId }) => {
+  const isLocalId = tenantId.startsWith('L-');
+  const tenant = await Tenant.findOne(isLocalId
+    ? { accommodations: { $elemMatch: { localTenantId: tenantId, landlordId } } }
+    : { tenantId, 'accommodations.landlordId': landlordId });
+  if (!tenant) return {};
+
+  const accommodation = tenant.accommodations.find(acc =>
+    acc.isActive &&
+    acc.landlordId.toString() === landlordId.toString() &&
+    (isLocalId ? acc.localTenantId === tenantId : true) &&
+    (propertyId ? acc.propertyId.toString() === propertyId.toString() : true) &&
+    (roomId ? acc.roomId === roomId : true) &&
+    (bedId ? acc.bedId === bedId : true)
+  );
+  return { tenant, accommodation };
+};
+
+/**
+ * Preview the deposit settlement for a tenant moving out (nothing is saved)
+ * @route POST /api/landlord/tenant/move-out/settlement/preview
+ * @body {string} tenantId - Tenant ID or local tenant ID
+ * @body {string} propertyId, roomId, bedId - Optional, pick the accommodation
+ * @body {date} moveOutDate - Defaults to today
+ * @body {number} finalReading - Optional final meter reading
+ * @body {number} previousReading - Optional, defaults to the last billed reading
+ * @body {number} ratePerUnit - Optional, defaults to the accommodation's rate
+ * @body {Array} deductions - [{ type: 'Damage' | 'Cleaning' | 'Other', description, amount }]
+ */
+const previewMoveOutSettlement = async (req, res) => {
+  try {
+    if (!req.body.tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+
+    const { tenant, accommodation } = await findActiveAccommodation(req.user.id, req.body);
+    if (!tenant || !accommodation) {
+      return res.status(404).json({ message: 'Active accommodation not found for this tenant' });
+    }
+
+    const result = calculateSettlement(tenant, accommodation, req.body);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      tenantId: tenant.tenantId,
+      localTenantId: accommodation.localTenantId,
+      settlement: result.settlement,
+      statement: result.statement
+    });
+  } catch (error) {
+    console.error('Error in previewMoveOutSettlement:', error);
+    res.status(500).json({ message: 'Error calculating settlement', error: error.message });
+  }
+};
+
+/**
+ * Settle the deposit, move the tenant out and free the bed
+ * @route POST /api/landlord/tenant/move-out/settlement
+ * @body Same as the preview, plus notes and refund: { method, transactionId } if the refund was paid now
+ */
+const settleTenantMoveOut = async (req, res) => {
+  try {
+    if (!req.body.tenantId) {
+      return res.status(400).json({ message: 'Tenant ID is required' });
+    }
+
+    const { tenant, accommodation } = await findActiveAccommodation(req.user.id, req.body);
+    if (!tenant || !accommodation) {
+      return res.status(404).json({ message: 'Active accommodation not found for this tenant' });
+    }
+
+    const result = await settleMoveOut(tenant, accommodation, req.body, { settledBy: req.user.id });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    await setCache(`landlord:tenants:${req.user.id}`, null, 1);
+    await setCache(`property:tenants:${accommodation.propertyId}`, null, 1);
+    await setCache(`tenant:${tenant.tenantId}`, null, 1);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tenant moved out and deposit settled',
+      tenantId: tenant.tenantId,
+      settlement: result.settlement,
+      statement: result.statement
+    });
+  } catch (error) {
+    console.error('Error in settleTenantMoveOut:', error);
+    res.status(500).json({ message: 'Error settling deposit', error: error.message });
+  }
+};
+
+/**
+ * List deposit settlements for the landlord's tenants
+ * @route GET /api/landlord/tenant/settlements?status=&propertyId=
+ */
+const getSettlements = async (req, res) => {
+  try {
+    const { status, propertyId } = req.query;
+
+    if (status && !SETTLEMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${SETTLEMENT_STATUSES.join(', ')}` });
+    }
+    if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const match = { landlordId: req.user.id, 'settlement.settlementId': { $exists: true } };
+    if (status) match['settlement.status'] = status;
+    if (propertyId) match.propertyId = propertyId;
+
+    const tenants = await Tenant.find({ accommodations: { $elemMatch: match } })
+      .select('tenantId name mobile accommodations');
+
+    const settlements = [];
+    tenants.forEach(tenant => {
+      tenant.accommodations
+        .filter(acc =>
+          acc.settlement && acc.settlement.settlementId &&
+          acc.landlordId.toString() === req.user.id.toString() &&
+          (status ? acc.settlement.status === status : true) &&
+          (propertyId ? acc.propertyId.toString() === propertyId : true)
+        )
+        .forEach(acc => settlements.push({
+          tenantId: tenant.tenantId,
+          localTenantId: acc.localTenantId,
+          tenantName: tenant.name,
+          mobile: tenant.mobile,
+          propertyId: acc.propertyId,
+          propertyName: acc.propertyName,
+          roomId: acc.roomId,
+          bedId: acc.bedId,
+          securityDepositStatus: acc.securityDepositStatus,
+          settlement: acc.settlement
+        }));
+    });
+
+    settlements.sort((a, b) => new Date(b.settlement.settledAt) - new Date(a.settlement.settledAt));
+
+    res.status(200).json({ success: true, count: settlements.length, settlements });
+  } catch (error) {
+    console.error('Error in getSettlements:', error);
+    res.status(500).json({ message: 'Error fetching settlements', error: error.message });
+  }
+};
+
+/**
+ * Get one settlement (landlord)
+ * @route GET /api/landlord/tenant/settlements/:settlementId
+ */
+const getSettlement = async (req, res) => {
+  try {
+    const { tenant, accommodation } = await findSettlement(req.params.settlementId, {
+      'accommodations.landlordId': req.user.id
+    });
+    if (!tenant || accommodation.landlordId.toString() !== req.user.id.toString()) {
+      return res.status(404).json({ message: 'Settlement not found or you do not have access' });
+    }
+
+    res.status(200).json({
+      success: true,
+      tenantId: tenant.tenantId,
+      tenantName: tenant.name,
+      localTenantId: accommodation.localTenantId,
+      propertyName: accommodation.propertyName,
+      roomId: accommodation.roomId,
+      bedId: accommodation.bedId,
+      securityDepositStatus: accommodation.securityDepositStatus,
+      settlement: accommodation.settlement
+    });
+  } catch (error) {
+    console.error('Error in getSettlement:', error);
+    res.status(500).json({ message: 'Error fetching settlement', error: error.message });
+  }
+};
+
+/**
+ * Resolve a disputed settlement
+ * @route POST /api/landlord/tenant/settlements/:settlementId/resolve
+ * @body {number} additionalRefund - Optional extra amount refunded to the tenant
+ * @body {string} note
+ */
+const resolveSettlementDispute = async (req, res) => {
+  try {
+    const result = await resolveDispute(req.user.id, req.params.settlementId, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Dispute resolved', settlement: result.settlement });
+  } catch (error) {
+    console.error('Error in resolveSettlementDispute:', error);
+    res.status(500).json({ message: 'Error resolving dispute', error: error.message });
+  }
+};
+
+/**
+ * Record that the deposit refund was paid out
+ * @route POST /api/landlord/tenant/settlements/:settlementId/refund
+ * @body {string} method - e.g. 'UPI', 'Bank Transfer', 'Cash'
+ * @body {string} transactionId - Optional
+ */
+const recordSettlementRefund = async (req, res) => {
+  try {
+    const result = await recordRefund(req.user.id, req.params.settlementId, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Refund recorded', settlement: result.settlement });
+  } catch (error) {
+    console.error('Error in recordSettlementRefund:', error);
+    res.status(500).json({ message: 'Error recording refund', error: error.message });
+  }
+};
+
+/**
+ * List the tenant's own deposit settlements
+ * @route GET /api/tenant/settlements
+ */
+const getTenantSettlements = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.user.id }).select('accommodations');
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const settlements = tenant.accommodations
+      .filter(acc => acc.settlement && acc.settlement.settlementId)
+      .map(acc => ({
+        propertyId: acc.propertyId,
+        propertyName: acc.propertyName,
+        roomId: acc.roomId,
+        bedId: acc.bedId,
+        securityDeposit: acc.securityDeposit,
+        securityDepositStatus: acc.securityDepositStatus,
+        settlement: acc.settlement
+      }));
+
+    res.status(200).json({ success: true, count: settlements.length, settlements });
+  } catch (error) {
+    console.error('Error in getTenantSettlements:', error);
+    res.status(500).json({ message: 'Error fetching settlements', error: error.message });
+  }
+};
+
+/**
+ * Tenant acknowledges a settlement
+ * @route POST /api/tenant/settlements/:settlementId/acknowledge
+ */
+const acknowledgeSettlement = async (req, res) => {
+  try {
+    const result = await respondToSettlement(req.user.id, req.params.settlementId, { action: 'acknowledge' });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Settlement acknowledged', settlement: result.settlement });
+  } catch (error) {
+    console.error('Error in acknowledgeSettlement:', error);
+    res.status(500).json({ message: 'Error acknowledging settlement', error: error.message });
+  }
+};
+
+/**
+ * Tenant disputes a settlement
+ * @route POST /api/tenant/settlements/:settlementId/dispute
+ * @body {string} reason
+ */
+const disputeSettlement = async (req, res) => {
+  try {
+    const result = await respondToSettlement(req.user.id, req.params.settlementId, {
+      action: 'dispute',
+      reason: req.body.reason
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Settlement disputed', settlement: result.settlement });
+  } catch (error) {
+    console.error('Error in disputeSettlement:', error);
+    res.status(500).json({ message: 'Error disputing settlement', error: error.message });
+  }
+};
+
+module.exports = {
+  previewMoveOutSettlement,
+  settleTenantMoveOut,
+  getSettlements,
+  getSettlement,
+  resolveSettlementDispute,
+  recordSettlementRefund,
+  getTenantSettlements,
+  acknowledgeSettlement,
+  disputeSettlement
+};
@@ -3,6 +3,64 @@ const Tenant = require('../models/Tenant');
 const Landlord = require('../models/Landlord');
 const mongoose = require('mongoose');
 const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { getLandlordUsage } = require('../services/subscriptionQuotaService');
+const { restoreQuotaProperties } = require('../services/subscriptionLifecycleService');
+const {
+  getChangeType,
+  calculateProration,
+  getPlanLimits,
+  checkUsageFitsPlan,
+  applyPlanChange,
+  scheduleDowngrade,
+} = require('../services/subscriptionChangeService');
+const { validateCoupon, redeemCoupon, releaseRedemption } = require('../services/couponService');
+
+/**
+ * Price a purchase with a coupon code, if one was given
+ * @returns {Promise<Object>} - { coupon, discount } ({} without a code) or { statusCode, error }
+ */
+const applyCouponCode = async (couponCode, context) => {
+  if (!couponCode) return {};
+  const result = await validateCoupon(couponCode, context);
+  if (result.error) return result;
+  return { coupon: result.coupon, discount: { code: result.coupon.code, ...result.pricing } };
+};
+
+/**
+ * Record the coupon used on the latest payment_history entry, then save the subscription.
+ * The redemption is released again if the save fails.
+ * @returns {Promise<Object>} - { redemption } or { statusCode, error }
+ */
+const saveWithRedemption = async (subscription, coupon, discount, type) => {
+  if (!coupon) {
+    await subscription.save();
+    return {};
+  }
+
+  const entry = subscription.payment_history[subscription.payment_history.length - 1];
+  const result = await redeemCoupon(coupon, {
+    landlordId: subscription.landlordId,
+    subscriptionId: subscription._id,
+    entryId: entry._id,
+    planId: entry.plan_id,
+    billingCycle: entry.billing_cycle,
+    type,
+    pricing: {
+      original_amount: discount.original_amount,
+      discount_amount: discount.discount_amount,
+      final_amount: discount.final_amount
+    }
+  });
+  if (result.error) return result;
+
+  try {
+    await subscription.save();
+  } catch (error) {
+    await releaseRedemption(result.redemption);
+    throw error;
+  }
+  return result;
+};
 
 /**
  * Buy a subscription for a user
@@ -17,6 +75,9 @@ const SubscriptionPlan = require('../models/SubscriptionPlan');
  * @body {string} payment.provider - Optional (razorpay/stripe)
  * @body {string} payment.order_id - Optional
  * @body {string} payment.payment_id - Optional
+ * @body {string} action - Optional 'upgrade' | 'downgrade' | 'top-up'. With an active subscription,
+ *   a different plan is an upgrade/downgrade (prorated) and the same plan is a top-up.
+ * @body {string} coupon_code - Optional promo code; applies to purchases, top-ups and the amount due on upgrades
  */
 const buySubscription = async (req, res) => {
   try {
@@ -26,6 +87,8 @@ const buySubscription = async (req, res) => {
       billing_cycle,
       auto_renew = false,
       payment = {},
+      action,
+      coupon_code,
     } = req.body;
 
     // =============================
@@ -43,6 +106,12 @@ const buySubscription = async (req, res) => {
       });
     }
 
+    if (action && !["upgrade", "downgrade", "top-up"].includes(action)) {
+      return res.status(400).json({
+        message: "Invalid action",
+      });
+    }
+
     // =============================
     // 2️⃣ VALIDATE LANDLORD
     // =============================
@@ -85,9 +154,119 @@ const buySubscription = async (req, res) => {
     };
 
     // ==================================================
-    // ✅ CASE 1: ACTIVE SUBSCRIPTION → UPGRADE / TOP-UP
+    // ✅ CASE 1: ACTIVE SUBSCRIPTION → PLAN CHANGE (PRORATED)
+    // ==================================================
+    const isPlanChange =
+      activeSub &&
+      action !== "top-up" &&
+      (action || activeSub.plan_id.toString() !== plan._id.toString());
+
+    if (isPlanChange) {
+      const now = new Date();
+      const currentPlan = await SubscriptionPlan.findById(activeSub.plan_id);
+      const changeType = getChangeType(currentPlan, plan);
+
+      if (action && action !== changeType) {
+        return res.status(400).json({
+          message: `Moving to ${plan.name} is a ${changeType}, not a ${action}`,
+        });
+      }
+
+      const proration = calculateProration(activeSub, currentPlan, plan, billing_cycle, now);
+
+      if (coupon_code && changeType !== "upgrade") {
+        return res.status(400).json({
+          message: "Coupons cannot be used on a downgrade",
+        });
+      }
+
+      if (changeType === "upgrade") {
+        const { coupon, discount, statusCode, error } = await applyCouponCode(coupon_code, {
+          landlordId: userId,
+          planId: plan._id,
+          billingCycle: billing_cycle,
+          type: "upgrade",
+          amount: proration.amountDue,
+        });
+        if (error) {
+          return res.status(statusCode).json({ message: error });
+        }
+
+        const amountDue = discount ? discount.final_amount : proration.amountDue;
+        if (amountDue > 0 && payment.payment_status !== "success") {
+          return res.status(402).json({
+            message: "Payment required to upgrade",
+            amountDue,
+            proration,
+            coupon: discount,
+          });
+        }
+
+        applyPlanChange(activeSub, plan, { type: "upgrade", billingCycle: billing_cycle, proration, payment, coupon: discount, currentPlan, now });
+        const redeemed = await saveWithRedemption(activeSub, coupon, discount, "upgrade");
+        if (redeemed.error) {
+          return res.status(redeemed.statusCode).json({ message: redeemed.error });
+        }
+        await restoreQuotaProperties(userId);
+
+        return res.status(200).json({
+          message: "Subscription upgraded successfully",
+          subscription: activeSub,
+          proration,
+          coupon: discount,
+        });
+      }
+
+      // Downgrades apply now only if current usage fits the new limits and a new period is paid
+      // for; one the unused credit covers waits for the renewal, so the current end date stands
+      const usage = await checkUsageFitsPlan(userId, plan, getPlanLimits(activeSub, currentPlan, plan));
+      if (usage.fits && proration.amountDue > 0 && payment.payment_status !== "success") {
+        return res.status(402).json({
+          message: "Payment required to downgrade now",
+          amountDue: proration.amountDue,
+          proration,
+        });
+      }
+      if (!usage.fits || proration.amountDue === 0) {
+        scheduleDowngrade(activeSub, plan, billing_cycle, now);
+        await activeSub.save();
+
+        return res.status(202).json({
+          message: usage.fits
+            ? `Downgrade to ${plan.name} scheduled for the end of the current period`
+            : `Current usage exceeds the ${plan.name} limits; downgrade scheduled for the end of the current period`,
+          scheduledChange: activeSub.scheduled_change,
+          usage,
+          subscription: activeSub,
+        });
+      }
+
+      applyPlanChange(activeSub, plan, { type: "downgrade", billingCycle: billing_cycle, proration, payment, currentPlan, now });
+      await activeSub.save();
+
+      return res.status(200).json({
+        message: "Subscription downgraded successfully",
+        subscription: activeSub,
+        proration,
+      });
+    }
+
+    // ==================================================
+    // ✅ CASE 2: ACTIVE SUBSCRIPTION → TOP-UP (SAME PLAN)
     // ==================================================
     if (activeSub) {
+      const { coupon, discount, statusCode, error } = await applyCouponCode(coupon_code, {
+        landlordId: userId,
+        planId: plan._id,
+        billingCycle: billing_cycle,
+        type: "top-up",
+        amount: plan.price,
+      });
+      if (error) {
+        return res.status(statusCode).json({ message: error });
+      }
+      const amountCharged = discount ? discount.final_amount : plan.price;
+
       // Extend from future date if still valid
       const baseDate =
         activeSub.end_date > new Date()
@@ -96,33 +275,56 @@ const buySubscription = async (req, res) => {
 
       activeSub.end_date = calculateEndDate(baseDate, billing_cycle);
 
-      // Increase property limit
+      // Increase property and reel limits
       activeSub.property_limit += plan.property_limit;
+      activeSub.reel_limit = (activeSub.reel_limit || 0) + plan.reel_limit;
 
       // Update amount (optional: cumulative)
-      activeSub.amount += plan.price;
+      activeSub.amount += amountCharged;
 
       // Save payment history
       activeSub.payment_history.push({
         plan_id: plan._id,
         plan_name: plan.name,
-        amount: plan.price,
+        amount: amountCharged,
         billing_cycle,
         paid_at: new Date(),
         payment,
+        type: "top-up",
+        status: "success",
+        coupon: discount,
       });
 
-      await activeSub.save();
+      const redeemed = await saveWithRedemption(activeSub, coupon, discount, "top-up");
+      if (redeemed.error) {
+        return res.status(redeemed.statusCode).json({ message: redeemed.error });
+      }
+
+      // Bring back properties hidden while the landlord was over quota
+      await restoreQuotaProperties(userId);
 
       return res.status(200).json({
-        message: "Subscription upgraded successfully",
+        message: "Subscription topped up successfully",
         subscription: activeSub,
+        coupon: discount,
       });
     }
 
     // ==================================================
-    // ✅ CASE 2: NO ACTIVE SUB → CREATE NEW
+    // ✅ CASE 3: NO ACTIVE SUB → CREATE NEW
     // ==================================================
+    const { coupon, discount, statusCode, error } = await applyCouponCode(coupon_code, {
+      landlordId: userId,
+      planId: plan._id,
+      billingCycle: billing_cycle,
+      type: "purchase",
+      amount: plan.price,
+    });
+    if (error) {
+      return res.status(statusCode).json({ message: error });
+    }
+    const amountCharged = discount ? discount.final_amount : plan.price;
+
     const start_date =
       payment.payment_status === "success" ? new Date() : null;
 
@@ -136,7 +338,8 @@ const buySubscription = async (req, res) => {
       plan_id: plan._id,
       plan_name: plan.name,
       property_limit: plan.property_limit,
-      amount: plan.price,
+      reel_limit: plan.reel_limit,
+      amount: amountCharged,
       currency: "INR",
       billing_cycle,
       start_date,
@@ -156,19 +359,36 @@ const buySubscription = async (req, res) => {
         {
           plan_id: plan._id,
           plan_name: plan.name,
-          amount: plan.price,
+          amount: amountCharged,
           billing_cycle,
           paid_at: new Date(),
           payment,
+          type: "purchase",
+          status: payment.payment_status || "pending",
+          coupon: discount,
         },
       ],
     });
 
-    await subscription.save();
+    // A pending purchase keeps the discounted price but uses up the coupon only once paid for
+    const redeemed = await saveWithRedemption(
+      subscription,
+      subscription.status === "active" ? coupon : null,
+      discount,
+      "purchase"
+    );
+    if (redeemed.error) {
+      return res.status(redeemed.statusCode).json({ message: redeemed.error });
+    }
+
+    if (subscription.status === "active") {
+      await restoreQuotaProperties(userId);
+    }
 
     return res.status(201).json({
       message: "Subscription created successfully",
       subscription,
+      coupon: discount,
     });
   } catch (error) {
     console.error("Buy subscription error:", error);
@@ -352,6 +572,101 @@ const checkSubscriptionStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get property and reel usage against the active subscription limits
+ * @route GET /api/subscription/usage/:userId
+ */
+const getSubscriptionUsage = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const usage = await getLandlordUsage(userId);
+
+    res.status(200).json({
+      message: 'Success',
+      ...usage,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Preview the prorated cost of moving the active subscription to another plan
+ * @route GET /api/subscription/change-preview/:userId?plan_id=&billing_cycle=
+ */
+const getSubscriptionChangePreview = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { plan_id } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(plan_id)) {
+      return res.status(400).json({ message: 'Valid userId and plan_id are required' });
+    }
+
+    const activeSub = await Subscription.findOne({ landlordId: userId, status: 'active' });
+    if (!activeSub) {
+      return res.status(404).json({ message: 'No active subscription found' });
+    }
+
+    const plan = await SubscriptionPlan.findById(plan_id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Subscription plan not found' });
+    }
+
+    const billingCycle = req.query.billing_cycle || activeSub.billing_cycle;
+    if (!['monthly', 'quarterly', 'yearly'].includes(billingCycle)) {
+      return res.status(400).json({ message: 'Invalid billing cycle' });
+    }
+
+    const currentPlan = await SubscriptionPlan.findById(activeSub.plan_id);
+    const changeType = getChangeType(currentPlan, plan);
+    const proration = calculateProration(activeSub, currentPlan, plan, billingCycle, new Date());
+    const usage = await checkUsageFitsPlan(userId, plan, getPlanLimits(activeSub, currentPlan, plan));
+
+    res.status(200).json({
+      message: 'Success',
+      changeType,
+      effective: changeType === 'downgrade' && (!usage.fits || proration.amountDue === 0) ? 'period_end' : 'immediate',
+      proration,
+      usage,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Cancel a downgrade scheduled for the end of the current period
+ * @route DELETE /api/subscription/scheduled-change/:userId
+ */
+const cancelScheduledChange = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.role !== 'admin' && userId !== req.user.id.toString()) {
+      return res.status(403).json({ message: 'You do not have access to this subscription' });
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { landlordId: userId, status: 'active', 'scheduled_change.plan_id': { $ne: null } },
+      { $unset: { scheduled_change: 1 } },
+      { new: true }
+    );
+    if (!subscription) {
+      return res.status(404).json({ message: 'No scheduled plan change found' });
+    }
+
+    res.status(200).json({ message: 'Scheduled plan change cancelled', subscription });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Admin routes (update & delete) remain mostly the same but use correct fields
 const updateSubscription = async (req, res) => {
   try {
@@ -386,6 +701,9 @@ module.exports = {
   renewSubscription,
   cancelSubscription,
   checkSubscriptionStatus,
+  getSubscriptionUsage,
+  getSubscriptionChangePreview,
+  cancelScheduledChange,
   updateSubscription,
   deleteSubscription,
 };
@@ -1,5 +1,6 @@
 const SubscriptionPlan = require('../models/SubscriptionPlan');
 const mongoose = require('mongoose');
+const { validateCoupon, normalizeCode } = require('../services/couponService');
 
 // Create a new subscription plan (Admin)
 async function createPlan(req, res) {
@@ -205,9 +206,11 @@ async function getPublicPlans(req, res) {
 }
 
 // Get plan pricing details — returns plan and computed monthly equivalent
+// Pass ?coupon=CODE (with landlordId and billing_cycle when known) to preview a coupon discount
 async function getPlanPricing(req, res) {
   try {
     const { id } = req.params;
+    const { coupon: couponCode, landlordId, billing_cycle } = req.query;
     let plan;
     if (mongoose.Types.ObjectId.isValid(id)) {
       plan = await SubscriptionPlan.findById(id);
@@ -222,7 +225,35 @@ async function getPlanPricing(req, res) {
     if (plan.billing_cycle === 'yearly') monthlyEquivalent = +(plan.price / 12).toFixed(2);
     else if (plan.billing_cycle === 'quarterly') monthlyEquivalent = +(plan.price / 3).toFixed(2);
 
-    return res.json({ plan, pricing: { price: plan.price, currency: plan.currency, billing_cycle: plan.billing_cycle, monthlyEquivalent } });
+    const pricing = { price: plan.price, currency: plan.currency, billing_cycle: plan.billing_cycle, monthlyEquivalent };
+
+    // An unusable coupon still returns the plan price, with the reason
+    if (couponCode) {
+      const result = await validateCoupon(couponCode, {
+        landlordId: landlordId && mongoose.Types.ObjectId.isValid(landlordId) ? landlordId : undefined,
+        planId: plan._id,
+        billingCycle: billing_cycle || plan.billing_cycle,
+        type: 'purchase',
+        amount: plan.price,
+      });
+      if (result.error) {
+        pricing.coupon = { code: normalizeCode(couponCode), valid: false, message: result.error };
+      } else {
+        const { coupon, pricing: discount } = result;
+        pricing.coupon = {
+          code: coupon.code,
+          valid: true,
+          discount_type: coupon.discount_type,
+          discount_value: coupon.discount_value,
+          discount_amount: discount.discount_amount,
+          valid_until: coupon.valid_until,
+        };
+        pricing.finalPrice = discount.final_amount;
+        pricing.finalMonthlyEquivalent = +(discount.final_amount * monthlyEquivalent / (plan.price || 1)).toFixed(2);
+      }
+    }
+
+    return res.json({ plan, pricing });
   } catch (err) {
     console.error('getPlanPricing error', err);
     return res.status(500).json({ message: 'Internal server error', error: err.message });
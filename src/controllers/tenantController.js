@@ -3,6 +3,14 @@ const Property = require('../models/Property');
 const mongoose = require('mongoose');
 const { setCache, getCache } = require('../utils/redis');
 const { validateBedAvailability, validateRoomCapacity } = require('../utils/bedValidation');
+const { releaseBed } = require('../services/bedOccupancyService');
+const {
+  getStayRange,
+  checkBedAvailability,
+  reserveBed,
+  releaseReservations
+} = require('../services/bedReservationService');
+const { addRentRevision, getRentForDate, notifySavedRevision } = require('../services/rentRevisionService');
 
 /**
  * Add a new tenant to the system and optionally assign to a property
@@ -720,7 +728,21 @@ const updateTenant = async (req, res) => {
           else {
             if (moveInDate) acc.moveInDate = moveInDate;
             if (moveOutDate !== undefined) acc.moveOutDate = moveOutDate;
-            if (rentAmount) acc.rentAmount = rentAmount;
+            // A rent change is kept as a revision from today (or the move-in date) rather than overwritten
+            let rentRevision = null;
+            if (rentAmount && Number(rentAmount) !== getRentForDate(acc)) {
+              const revised = addRentRevision(acc, {
+                effectiveDate: acc.moveInDate && acc.moveInDate > new Date() ? acc.moveInDate : new Date(),
+                newRent: rentAmount,
+                reason: 'Updated from tenant details',
+                createdBy: req.user && req.user.id,
+                replaceSameDay: true
+              });
+              if (revised.error) {
+                return res.status(revised.statusCode).json({ message: revised.error });
+              }
+              rentRevision = revised.revision;
+            }
             if (securityDeposit !== undefined) acc.securityDeposit = securityDeposit;
             if (noticePeriod !== undefined) acc.noticePeriod = noticePeriod;
             if (agreementPeriod !== undefined) acc.agreementPeriod = agreementPeriod;
@@ -750,6 +772,9 @@ const updateTenant = async (req, res) => {
             // Found and updated the existing accommodation, no need to add a new one
             tenant.updatedAt = new Date();
             await tenant.save();
+            if (rentRevision) {
+              await notifySavedRevision(tenant, acc, rentRevision);
+            }
             
             // Update cache
             await setCache(`tenant:${tenantId}`, tenant, 3600);
@@ -994,12 +1019,18 @@ const getTenantsByProperty = async (req, res) => {
 
 /**
  * Assign an existing tenant to a new property/room/bed
+ * A bed is claimed on its reservation calendar from the move-in date, so a bed whose tenant
+ * leaves before then can be assigned; the tenant's own approved booking hold on it is taken over.
  */
 const assignTenantToProperty = async (req, res) => {
   const { 
     tenantId, propertyId, roomId, bedId, 
     moveInDate, rentAmount, securityDeposit 
   } = req.body;
+  let reservation = null;
+  let tenantSaved = false;
+  // Generate a landlord-specific tenant ID
+  const localTenantId = `L-${req.user.id.toString().substr(-6)}-${Math.random().toString(36).substr(2, 6)}`;
   
   try {
     // Find the tenant
@@ -1024,10 +1055,12 @@ const assignTenantToProperty = async (req, res) => {
       return res.status(404).json({ message: 'Room not found in this property' });
     }
     
-    // Generate a landlord-specific tenant ID
-    const localTenantId = `L-${req.user.id.toString().substr(-6)}-${Math.random().toString(36).substr(2, 6)}`;
+    const stay = getStayRange({ moveInDate });
+    if (stay.error) {
+      return res.status(stay.statusCode).json({ message: stay.error });
+    }
     
-    // Check if bed is specified and available
+    // Check if bed is specified and free from the move-in date
     let bed = null;
     if (bedId) {
       bed = room.beds.find(b => b.bedId === bedId);
@@ -1035,12 +1068,13 @@ const assignTenantToProperty = async (req, res) => {
         return res.status(404).json({ message: 'Bed not found in this room' });
       }
       
-      // Validate bed availability using utility function
-      const bedValidation = validateBedAvailability(bed);
+      const bedValidation = checkBedAvailability(bed, stay, { ignoreHoldsOf: tenant.tenantId });
       if (!bedValidation.isAvailable) {
+        const conflictingTenants = bedValidation.conflicts.map(r => r.tenantId);
         return res.status(400).json({ 
           message: bedValidation.message,
-          occupiedBy: bedValidation.occupiedBy 
+          occupiedBy: bed.tenants.filter(t => conflictingTenants.includes(t.tenantId)).map(t => t.name).join(', ') || undefined,
+          nextAvailableFrom: bedValidation.nextAvailableFrom
         });
       }
     }
@@ -1071,6 +1105,25 @@ const assignTenantToProperty = async (req, res) => {
       });
     }
     
+    // Claim the bed's calendar; fails if another assignment or booking took these dates meanwhile
+    if (bed) {
+      const claim = await reserveBed({
+        propertyId: property._id,
+        roomId,
+        bedId,
+        type: 'Occupancy',
+        startDate: stay.startDate,
+        tenantId: tenant.tenantId,
+        localTenantId,
+        createdBy: req.user.id,
+        ignoreHoldsOf: tenant.tenantId
+      });
+      if (claim.error) {
+        return res.status(claim.statusCode).json({ message: claim.error, nextAvailableFrom: claim.nextAvailableFrom });
+      }
+      reservation = claim.reservation;
+    }
+    
     // Add accommodation entry to tenant
     tenant.accommodations.push({
       landlordId: req.user.id,
@@ -1085,21 +1138,25 @@ const assignTenantToProperty = async (req, res) => {
       localTenantId
     });
     
-    // Update the room/bed status
+    // Update the room/bed status; a bed taken from a later date stays as it is until then and
+    // startDueOccupancies puts the tenant on it on the move-in date
+    const movesInNow = stay.startDate <= new Date();
     if (bedId && bed) {
-      // Add tenant to the bed
-      bed.status = 'Not Available';
-      const tenantEntry = {
-        tenantId: tenant.tenantId,
-        name: tenant.name,
-        email: tenant.email,
-        aadhaar: tenant.aadhaar,
-        mobile: tenant.mobile,
-        roomId,
-        bedId,
-        landlordId: req.user.id
-      };
-      bed.tenants.push(tenantEntry);
+      if (movesInNow) {
+        // Add tenant to the bed
+        bed.status = 'Not Available';
+        const tenantEntry = {
+          tenantId: tenant.tenantId,
+          name: tenant.name,
+          email: tenant.email,
+          aadhaar: tenant.aadhaar,
+          mobile: tenant.mobile,
+          roomId,
+          bedId,
+          landlordId: req.user.id
+        };
+        bed.tenants.push(tenantEntry);
+      }
     } else {
       // Add tenant directly to the room if no bed is specified
       room.tenants.push({
@@ -1114,20 +1171,40 @@ const assignTenantToProperty = async (req, res) => {
     }
     
     // Update occupancy statistics
-    if (!property.occupiedSpace) property.occupiedSpace = 0;
-    property.occupiedSpace += 1;
+    if (!bed || movesInNow) {
+      if (!property.occupiedSpace) property.occupiedSpace = 0;
+      property.occupiedSpace += 1;
+    }
     
-    await property.save();
+    // The tenant is saved first so a failed property save can be undone on the tenant alone
     await tenant.save();
+    tenantSaved = true;
+    await property.save();
+    
+    // The tenant's own booking hold on the bed is replaced by the stay
+    if (reservation) {
+      await releaseReservations({
+        propertyId: property._id, roomId, bedId, tenantId: tenant.tenantId, type: 'Hold', reason: 'Moved in'
+      });
+    }
     
     // Update cache
     await setCache(`tenant:${tenant.tenantId}`, tenant, 3600);
     
     res.status(200).json({ 
       message: 'Tenant assigned to property successfully',
-      accommodation: tenant.accommodations[tenant.accommodations.length - 1]
+      accommodation: tenant.accommodations[tenant.accommodations.length - 1],
+      reservation
     });
   } catch (error) {
+    if (reservation) {
+      await releaseReservations({
+        propertyId, roomId, bedId, reservationId: reservation.reservationId, reason: 'Assignment failed'
+      }).catch(() => {});
+    }
+    if (tenantSaved) {
+      await Tenant.updateOne({ tenantId }, { $pull: { accommodations: { localTenantId } } }).catch(() => {});
+    }
     console.error('Error in assignTenantToProperty:', error);
     res.status(500).json({ message: 'Error assigning tenant to property', error: error.message });
   }
@@ -1372,35 +1449,7 @@ const removeTenantFromProperty = async (req, res) => {
     
     // Also update the property/room/bed status
     try {
-      // Find the property to update room/bed status
-      const property = await Property.findById(propertyId);
-      if (property) {
-        // Find the specific room
-        const room = property.rooms.find(r => r.roomId === roomId);
-        if (room) {
-          // If we have a bed, find it and mark it as available
-          if (bedId) {
-            const bed = room.beds.find(b => b.bedId === bedId);
-            if (bed) {
-              // Mark the bed as available
-              bed.status = 'Available';
-              // Remove tenant from bed
-              bed.tenants = bed.tenants.filter(t => t.tenantId !== tenantId);
-            }
-          } else {
-            // If no bed, just remove tenant from room
-            room.tenants = room.tenants.filter(t => t.tenantId !== tenantId);
-          }
-          
-          // Update property occupancy stats
-          if (property.occupiedSpace && property.occupiedSpace > 0) {
-            property.occupiedSpace -= 1;
-          }
-          
-          // Save property changes
-          await property.save();
-        }
-      }
+      await releaseBed({ propertyId, roomId, bedId, tenantId });
     } catch (propertyError) {
       // Log property update error but continue with tenant update
       console.error('Error updating property after tenant removal:', propertyError);
@@ -0,0 +1,167 @@
+const {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  prepareImport,
+  commitImport,
+  buildImportTemplate
+} = require('../services/tenantImportService');
+
+/**
+ * Read the import options sent with the file
+ * mapping arrives as a JSON string in multipart forms.
+ * @returns {Object} - { options } or { error }
+ */
+const getImportOptions = (req) => {
+  let mapping = req.body.mapping || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      return { error: 'mapping must be a JSON object of { field: "Column header" }' };
+    }
+  }
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'mapping must be a JSON object of { field: "Column header" }' };
+  }
+  return { options: { mapping, propertyId: req.body.propertyId || undefined } };
+};
+
+const maskAadhaar = (aadhaar) => (aadhaar ? `XXXX-XXXX-${aadhaar.slice(-4)}` : undefined);
+
+const formatRow = (row) => ({
+  rowNumber: row.rowNumber,
+  valid: row.valid,
+  errors: row.errors,
+  warnings: row.warnings,
+  tenant: {
+    name: row.values.name,
+    mobile: row.values.mobile,
+    aadhaar: maskAadhaar(row.values.aadhaar),
+    existingTenantId: row.existingTenantId
+  },
+  accommodation: row.target ? {
+    ...row.target,
+    moveInDate: row.values.moveInDate,
+    securityDeposit: row.values.securityDeposit || 0,
+    openingBalance: row.values.openingBalanceAmount || 0
+  } : null
+});
+
+/**
+ * Importable fields, for building a column-mapping screen
+ * @route GET /api/landlord/tenant/import/fields
+ */
+const getImportFields = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    maxRows: MAX_IMPORT_ROWS,
+    fields: IMPORT_FIELDS.map(field => ({
+      key: field.key,
+      label: field.label,
+      required: !!field.required,
+      type: field.type || 'text',
+      values: field.values,
+      aliases: field.aliases
+    }))
+  });
+};
+
+/**
+ * Download a CSV template with the expected columns
+ * @route GET /api/landlord/tenant/import/template
+ */
+const downloadImportTemplate = async (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="tenant-import-template.csv"');
+  res.status(200).send(buildImportTemplate());
+};
+
+/**
+ * Dry run: map and validate a tenant sheet without saving anything
+ * @route POST /api/landlord/tenant/import/preview
+ * @file file - CSV or XLSX, first row is the header
+ * @body {string} mapping - Optional JSON { field: "Column header" }, overrides automatic matching
+ * @body {string} propertyId - Optional, used for rows without a Property column value
+ */
+const previewTenantImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV or XLSX file in the "file" field' });
+    }
+    const { options, error } = getImportOptions(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await prepareImport(req.user.id, req.file, options);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        message: result.error,
+        headers: result.headers,
+        mapping: result.mapping
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      dryRun: true,
+      message: result.summary.invalid > 0
+        ? `${result.summary.invalid} of ${result.summary.total} row(s) have errors`
+        : `All ${result.summary.total} row(s) are ready to import`,
+      mapping: result.mapping,
+      unmappedHeaders: result.unmappedHeaders,
+      summary: result.summary,
+      rows: result.rows.map(formatRow)
+    });
+  } catch (error) {
+    console.error('Error in previewTenantImport:', error);
+    res.status(500).json({ message: 'Error reading import file', error: error.message });
+  }
+};
+
+/**
+ * Import a tenant sheet and assign every tenant to their bed
+ * Nothing is saved unless every row is valid.
+ * @route POST /api/landlord/tenant/import
+ * @file file - Same file as the dry run
+ * @body {string} mapping, propertyId - Same as the dry run
+ */
+const commitTenantImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV or XLSX file in the "file" field' });
+    }
+    const { options, error } = getImportOptions(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await commitImport(req.user.id, req.file, options);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        message: result.error,
+        headers: result.headers,
+        mapping: result.mapping,
+        summary: result.summary,
+        rows: result.rows ? result.rows.map(formatRow) : undefined
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.summary.total} tenant(s) imported and assigned`,
+      summary: result.summary,
+      tenants: result.imported
+    });
+  } catch (error) {
+    console.error('Error in commitTenantImport:', error);
+    res.status(500).json({ message: 'Error importing tenants', error: error.message });
+  }
+};
+
+module.exports = {
+  getImportFields,
+  downloadImportTemplate,
+  previewTenantImport,
+  commitTenantImport
+};
@@ -2,6 +2,14 @@ const mongoose = require('mongoose');
 const Tenant = require('../models/Tenant');
 const Property = require('../models/Property');
 const { setCache, getCache } = require('../utils/redis');
+const {
+  getBillOutstanding,
+  getBillPaymentStatus,
+  buildTenantStatement
+} = require('../services/paymentLedgerService');
+const { getCreditBalances, getCreditLedger, summarizeOpeningBalances } = require('../services/tenantCreditService');
+const { getRentForDate } = require('../services/rentRevisionService');
+const { describeHold, releaseBookingHold } = require('../services/bookingHoldService');
 
 /**
  * Get all rooms available for booking
@@ -464,11 +472,17 @@ const getTenantAccommodations = async (req, res) => {
             bedName: bed ? bed.name : null,
             moveInDate: accommodation.moveInDate,
             moveOutDate: accommodation.moveOutDate,
-            rentAmount: accommodation.rentAmount,
+            rentAmount: getRentForDate(accommodation),
+            // Revisions the tenant has been told about that have not taken effect yet
+            upcomingRentRevisions: (accommodation.rentRevisions || [])
+              .filter(revision => revision.status === 'Scheduled' && revision.notifiedAt)
+              .map(({ revisionId, effectiveDate, previousRent, newRent, reason }) => ({ revisionId, effectiveDate, previousRent, newRent, reason })),
             securityDeposit: accommodation.securityDeposit,
             pendingDues: accommodation.pendingDues,
             isActive: accommodation.isActive,
-            localTenantId: accommodation.localTenantId
+            localTenantId: accommodation.localTenantId,
+            noticePeriod: accommodation.noticePeriod || (room ? room.noticePeriod : null),
+            notice: accommodation.notice && accommodation.notice.noticeId ? accommodation.notice : null
           });
         }
       });
@@ -552,7 +566,9 @@ const getTenantBookingRequests = async (req, res) => {
         message: request.message,
         requestDate: request.requestDate,
         responseDate: request.responseDate,
-        responseMessage: request.responseMessage
+        responseMessage: request.responseMessage,
+        expiresAt: request.status === 'Pending' ? request.expiresAt : undefined,
+        hold: describeHold(request)
       };
     });
     
@@ -618,6 +634,10 @@ const cancelBookingRequest = async (req, res) => {
     tenant.bookingRequests[bookingRequestIndex].responseMessage = 'Cancelled by tenant';
     
     await tenant.save();
+
+    // Free the bed held for the request
+    await releaseBookingHold(tenant.bookingRequests[bookingRequestIndex], 'Cancelled by tenant');
+    if (tenant.isModified()) await tenant.save();
     
     return res.status(200).json({
       message: 'Booking request cancelled successfully',
@@ -670,11 +690,16 @@ const getTenantBillsSummary = async (req, res) => {
     // Process bills if any
     if (tenant.bills && tenant.bills.length > 0) {
       tenant.bills.forEach(bill => {
+        // Partial payments count towards paid, the remainder towards pending
+        const outstanding = getBillOutstanding(bill);
+        const paidPortion = (bill.amount || 0) - outstanding;
+        
         billSummary.totalBills += bill.amount || 0;
+        billSummary.totalPaid += paidPortion;
+        billSummary.totalPending += outstanding;
         
         // Categorize by payment status
         if (bill.paid) {
-          billSummary.totalPaid += bill.paidAmount || 0;
           billSummary.paidBills.push({
             billNumber: bill.billNumber,
             type: bill.type,
@@ -688,11 +713,13 @@ const getTenantBillsSummary = async (req, res) => {
             year: bill.year
           });
         } else {
-          billSummary.totalPending += bill.amount || 0;
           billSummary.pendingBills.push({
             billNumber: bill.billNumber,
             type: bill.type,
             amount: bill.amount,
+            paidAmount: paidPortion,
+            outstanding,
+            paymentStatus: getBillPaymentStatus(bill),
             dueDate: bill.dueDate,
             propertyName: bill.propertyName,
             month: bill.month,
@@ -709,11 +736,8 @@ const getTenantBillsSummary = async (req, res) => {
           };
         }
         billSummary.billsByType[bill.type].total += bill.amount || 0;
-        if (bill.paid) {
-          billSummary.billsByType[bill.type].paid += bill.paidAmount || 0;
-        } else {
-          billSummary.billsByType[bill.type].pending += bill.amount || 0;
-        }
+        billSummary.billsByType[bill.type].paid += paidPortion;
+        billSummary.billsByType[bill.type].pending += outstanding;
         
         // Group by property
         const propertyKey = `${bill.propertyId}`;
@@ -727,14 +751,30 @@ const getTenantBillsSummary = async (req, res) => {
           };
         }
         billSummary.billsByProperty[propertyKey].total += bill.amount || 0;
-        if (bill.paid) {
-          billSummary.billsByProperty[propertyKey].paid += bill.paidAmount || 0;
-        } else {
-          billSummary.billsByProperty[propertyKey].pending += bill.amount || 0;
-        }
+        billSummary.billsByProperty[propertyKey].paid += paidPortion;
+        billSummary.billsByProperty[propertyKey].pending += outstanding;
       });
     }
     
+    // Opening balances not yet brought forward and credit held with landlords
+    billSummary.openingBalance = summarizeOpeningBalances(tenant.accommodations || []);
+    billSummary.credits = await getCreditBalances(tenant.tenantId);
+    billSummary.creditBalance = billSummary.credits.reduce((sum, credit) => sum + credit.balance, 0);
+    
+    billSummary.totalPending += Math.max(0, billSummary.openingBalance.unposted);
+    
+    // Credit only pays the landlord it is held with, so net each landlord on its own
+    const netByLandlord = {};
+    const addNet = (landlordId, amount) => {
+      const key = landlordId.toString();
+      netByLandlord[key] = (netByLandlord[key] || 0) + amount;
+    };
+    (tenant.bills || []).forEach(bill => addNet(bill.landlordId, getBillOutstanding(bill)));
+    billSummary.openingBalance.accommodations.forEach(line => addNet(line.landlordId, line.unposted));
+    billSummary.credits.forEach(credit => addNet(credit.landlordId, -credit.balance));
+    billSummary.netPending = Math.round(
+      Object.values(netByLandlord).reduce((sum, net) => sum + Math.max(0, net), 0) * 100) / 100;
+    
     return res.status(200).json({
       success: true,
       tenantId: tenant.tenantId,
@@ -750,6 +790,75 @@ const getTenantBillsSummary = async (req, res) => {
   }
 };
 
+/**
+ * Get tenant's account statement computed from the payment ledger
+ * @query {string} landlordId - Optional
+ * @query {string} propertyId - Optional
+ * @query {string} from - Optional start date
+ * @query {string} to - Optional end date
+ */
+const getTenantStatement = async (req, res) => {
+  try {
+    const { landlordId, propertyId, from, to } = req.query;
+    
+    const tenant = await Tenant.findOne({ tenantId: req.user.id });
+    
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+    
+    const statement = await buildTenantStatement(tenant, { landlordId, propertyId, from, to });
+    
+    return res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error('Error in getTenantStatement:', error);
+    return res.status(500).json({
+      message: 'Error retrieving tenant statement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the tenant's credit balance with each landlord and its ledger
+ * @query {string} landlordId - Optional, only this landlord
+ */
+const getTenantCredit = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.user.id }).select('tenantId accommodations');
+    
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+    
+    const landlordIds = [...new Set(tenant.accommodations.map(acc => acc.landlordId.toString()))]
+      .filter(id => !req.query.landlordId || id === req.query.landlordId);
+    
+    const credits = [];
+    for (const landlordId of landlordIds) {
+      const ledger = await getCreditLedger(tenant.tenantId, landlordId, { limit: 50 });
+      if (ledger.count > 0) {
+        credits.push(ledger);
+      }
+    }
+    
+    return res.status(200).json({
+      success: true,
+      totalBalance: credits.reduce((sum, ledger) => sum + ledger.balance, 0),
+      credits
+    });
+  } catch (error) {
+    console.error('Error in getTenantCredit:', error);
+    return res.status(500).json({
+      message: 'Error retrieving tenant credit',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get tenant profile - for tenant to view their own profile
  */
@@ -942,6 +1051,8 @@ module.exports = {
   getTenantBookingRequests,
   cancelBookingRequest,
   getTenantBillsSummary,
+  getTenantStatement,
+  getTenantCredit,
   getTenantProfile,
   getTenantRooms,
   getTenantLandlords
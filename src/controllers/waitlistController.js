@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  OPEN_WAITLIST_STATUSES,
+  describeEntry,
+  joinWaitlist,
+  notifyWaitlist,
+  cancelWaitlistEntry
+} = require('../services/waitlistService');
+
+/**
+ * Join the waitlist of a property
+ * A matching bed that frees up is held for the tenant for a few hours, in queue order.
+ * @route POST /api/tenant/waitlist
+ * @body {string} propertyId
+ * @body {string} roomType - Optional, e.g. 'Double Sharing'
+ * @body {number} sharingType - Optional, tenants per room
+ * @body {string} gender - Optional, 'Male' | 'Female'
+ * @body {date} moveInFrom - Earliest move-in date, defaults to today
+ * @body {date} moveInTo - Optional latest move-in date
+ * @body {number} duration - Months, default 1
+ * @body {string} note
+ */
+const joinPropertyWaitlist = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const tenant = await Tenant.findOne({ tenantId: req.user.id }).select('tenantId name');
+    if (!tenant) {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    const result = await joinWaitlist(tenant, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        message: result.error,
+        availableBeds: result.availableBeds,
+        entry: result.entry
+      });
+    }
+
+    // A bed freeing up later inside the move-in window can be offered straight away
+    await notifyWaitlist(result.entry.propertyId);
+    const entry = await WaitlistEntry.findById(result.entry._id);
+
+    res.status(201).json({
+      success: true,
+      message: entry.status === 'Offered' ? 'A bed is held for you, send a booking request to take it' : 'Added to the waitlist',
+      entry: await describeEntry(entry)
+    });
+  } catch (error) {
+    console.error('Error in joinPropertyWaitlist:', error);
+    res.status(500).json({ message: 'Error joining waitlist', error: error.message });
+  }
+};
+
+/**
+ * List the tenant's waitlist entries with their queue position and any bed offered
+ * @route GET /api/tenant/waitlist
+ * @query {string} status - Optional filter
+ */
+const getMyWaitlistEntries = async (req, res) => {
+  try {
+    const query = { tenantId: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(query).sort({ createdAt: -1 });
+    const described = [];
+    for (const entry of entries) {
+      described.push(await describeEntry(entry));
+    }
+
+    res.status(200).json({ success: true, count: described.length, entries: described });
+  } catch (error) {
+    console.error('Error in getMyWaitlistEntries:', error);
+    res.status(500).json({ message: 'Error fetching waitlist entries', error: error.message });
+  }
+};
+
+/**
+ * Leave a waitlist
+ * @route PATCH /api/tenant/waitlist/:entryId/cancel
+ */
+const cancelMyWaitlistEntry = async (req, res) => {
+  try {
+    const result = await cancelWaitlistEntry(req.user.id, req.params.entryId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(200).json({ success: true, message: 'Removed from the waitlist', entry: result.entry });
+  } catch (error) {
+    console.error('Error in cancelMyWaitlistEntry:', error);
+    res.status(500).json({ message: 'Error cancelling waitlist entry', error: error.message });
+  }
+};
+
+/**
+ * Waitlist of a landlord's property in queue order
+ * @route GET /api/landlord/property/:propertyId/waitlist
+ * @query {boolean} includeClosed - Also list booked, expired and cancelled entries
+ */
+const getPropertyWaitlist = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+
+    const property = await Property.findOne({ _id: propertyId, landlordId: req.user.id }).select('name');
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found or you do not have access' });
+    }
+
+    const query = { propertyId: property._id };
+    if (req.query.includeClosed !== 'true') query.status = { $in: OPEN_WAITLIST_STATUSES };
+
+    const entries = await WaitlistEntry.find(query).sort({ createdAt: 1 });
+    const described = [];
+    for (const entry of entries) {
+      described.push(await describeEntry(entry));
+    }
+
+    res.status(200).json({
+      success: true,
+      propertyId: property._id,
+      propertyName: property.name,
+      count: described.length,
+      entries: described
+    });
+  } catch (error) {
+    console.error('Error in getPropertyWaitlist:', error);
+    res.status(500).json({ message: 'Error fetching waitlist', error: error.message });
+  }
+};
+
+module.exports = {
+  joinPropertyWaitlist,
+  getMyWaitlistEntries,
+  cancelMyWaitlistEntry,
+  getPropertyWaitlist
+};
@@ -0,0 +1,41 @@
+/**
+ * Middleware to enforce subscription plan limits before a landlord creates a property or uploads a reel
+ * Must run after auth.required so req.user is populated
+ */
+const { checkQuota } = require('../services/subscriptionQuotaService');
+
+const enforceQuota = (resource) => async (req, res, next) => {
+  try {
+    // Admin bypass tokens are not tied to a landlord subscription
+    if (req.user && (req.user.role === 'admin' || req.user.bypassAuth)) {
+      return next();
+    }
+
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+        error: 'Valid authentication token required'
+      });
+    }
+
+    const result = await checkQuota(req.user.id, resource);
+    if (!result.allowed) {
+      return res.status(result.statusCode).json(result.body);
+    }
+
+    next();
+  } catch (error) {
+    console.error(`Error checking ${resource} quota:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking subscription quota',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  checkPropertyQuota: enforceQuota('property'),
+  checkReelQuota: enforceQuota('reel')
+};
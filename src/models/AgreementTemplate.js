@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Landlord-editable rental agreement text with {{placeholders}} filled in per accommodation
+const agreementTemplateSchema = new mongoose.Schema({
+  templateId: { type: String, default: () => `AGT-${Math.random().toString(36).substr(2, 9)}` },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  name: { type: String, required: true },
+  title: { type: String, default: 'Rental Agreement' },
+  body: { type: String, required: true }, // Paragraphs separated by blank lines
+  propertyIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Property' }], // Empty means all properties
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  version: { type: Number, default: 1 } // Raised on every edit of the text
+}, { timestamps: true });
+
+agreementTemplateSchema.index({ landlordId: 1, isActive: 1 });
+agreementTemplateSchema.index({ templateId: 1 }, { unique: true });
+
+const AgreementTemplate = mongoose.model('AgreementTemplate', agreementTemplateSchema);
+
+module.exports = AgreementTemplate;
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Promo code for subscription purchases, managed by admins
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    description: String,
+
+    discount_type: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+
+    // Percent off for percentage coupons, rupees off for flat coupons
+    discount_value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Upper limit on a percentage discount, in rupees
+    max_discount: Number,
+
+    // Smallest plan amount the coupon applies to
+    min_amount: {
+      type: Number,
+      default: 0,
+    },
+
+    valid_from: Date,
+    valid_until: Date,
+
+    // Redemptions across all landlords; empty means unlimited
+    max_redemptions: Number,
+
+    max_redemptions_per_landlord: {
+      type: Number,
+      default: 1,
+    },
+
+    redemption_count: {
+      type: Number,
+      default: 0,
+    },
+
+    // Empty lists mean no restriction
+    plan_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "SubscriptionPlan" }],
+    billing_cycles: [{ type: String, enum: ["monthly", "quarterly", "yearly"] }],
+    landlord_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Landlord" }], // Partner deals
+
+    // Purchase types the coupon can be used on
+    applies_to: {
+      type: [{ type: String, enum: ["purchase", "top-up", "upgrade"] }],
+      default: ["purchase", "top-up", "upgrade"],
+    },
+
+    is_active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    created_by: String,
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model("Coupon", couponSchema);
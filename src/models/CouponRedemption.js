@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One use of a coupon on a subscription payment
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    landlordId: { type: mongoose.Schema.Types.ObjectId, ref: "Landlord", required: true },
+    subscription_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+    history_entry_id: mongoose.Schema.Types.ObjectId, // Subscription payment_history entry
+    plan_id: { type: mongoose.Schema.Types.ObjectId, ref: "SubscriptionPlan" },
+    billing_cycle: String,
+    type: String, // purchase | top-up | upgrade
+    original_amount: Number,
+    discount_amount: Number,
+    final_amount: Number,
+    redeemed_at: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon_id: 1, landlordId: 1 });
+couponRedemptionSchema.index({ landlordId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Sequence for invoice and receipt numbers, one per issuer, series and financial year
+const documentCounterSchema = new mongoose.Schema({
+  scope: { type: String, required: true }, // Landlord _id, or 'platform' for subscription invoices
+  series: { type: String, required: true }, // e.g. 'INV', 'RCT', 'SUB'
+  financialYear: { type: String, required: true }, // e.g. '2026-27'
+  seq: { type: Number, default: 0 }
+}, { timestamps: true });
+
+documentCounterSchema.index({ scope: 1, series: 1, financialYear: 1 }, { unique: true });
+
+const DocumentCounter = mongoose.model('DocumentCounter', documentCounterSchema);
+
+module.exports = DocumentCounter;
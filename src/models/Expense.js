@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const EXPENSE_CATEGORIES = [
+  'Maintenance', 'Repairs', 'Salaries', 'Utilities', 'Electricity', 'Water', 'Internet',
+  'Groceries', 'Housekeeping', 'Property Rent', 'Property Tax', 'Insurance', 'Marketing', 'Other'
+];
+
+const expenseSchema = new mongoose.Schema({
+  expenseId: { type: String, default: () => `EXP-${Math.random().toString(36).substr(2, 9)}` },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  propertyName: { type: String },
+  roomId: { type: String }, // Optional, for room-specific repairs
+  category: { type: String, enum: EXPENSE_CATEGORIES, required: true },
+  description: { type: String },
+  vendor: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  expenseDate: { type: Date, required: true },
+  paymentMethod: { type: String, enum: ['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Card', 'Other'] },
+  transactionId: { type: String },
+  receipts: [{
+    url: { type: String },
+    key: { type: String },
+    fileName: { type: String },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  // Set on an expense that repeats; the scheduler copies it on each nextDate
+  recurrence: {
+    frequency: { type: String, enum: ['Monthly', 'Quarterly', 'Half-Yearly', 'Yearly'] },
+    nextDate: { type: Date },
+    endDate: { type: Date },
+    isActive: { type: Boolean, default: false }
+  },
+  recurringSourceId: { type: String }, // expenseId of the recurring expense this was copied from
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId }
+}, { timestamps: true });
+
+expenseSchema.index({ landlordId: 1, propertyId: 1, expenseDate: -1 });
+expenseSchema.index({ expenseId: 1 }, { unique: true });
+expenseSchema.index({ 'recurrence.isActive': 1, 'recurrence.nextDate': 1 });
+// One copy per recurring expense and date, so scheduler reruns do not duplicate
+expenseSchema.index(
+  { recurringSourceId: 1, expenseDate: 1 },
+  { unique: true, partialFilterExpression: { recurringSourceId: { $type: 'string' } } }
+);
+
+const Expense = mongoose.model('Expense', expenseSchema);
+
+module.exports = Expense;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A report export too large to stream in the request, built in the background and stored for download
+const exportJobSchema = new mongoose.Schema({
+  exportId: { type: String, default: () => `EXJ-${Math.random().toString(36).substr(2, 9)}` },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  report: { type: String, enum: ['tenants', 'dues', 'collections', 'payments'], required: true },
+  format: { type: String, enum: ['csv', 'xlsx'], required: true },
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['Queued', 'Processing', 'Completed', 'Failed'], default: 'Queued' },
+  attempts: { type: Number, default: 0 },
+  rowCount: { type: Number },
+  fileName: { type: String },
+  fileUrl: { type: String },
+  fileKey: { type: String },
+  error: { type: String },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  expiresAt: { type: Date } // Stored file is deleted after this
+}, { timestamps: true });
+
+exportJobSchema.index({ exportId: 1 }, { unique: true });
+exportJobSchema.index({ landlordId: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
@@ -33,10 +33,30 @@ const landlordSchema = new mongoose.Schema({
     },
     index: true
   },
+  gstNumber: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{2}[A-Z]{5}\d{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/.test(v);
+      },
+      message: props => `${props.value} is not a valid GSTIN format!`
+    }
+  },
   profilePhoto: { type: String },
   dob: { type: Date, required: true },
   gender: { type: String, enum: ['Male', 'Female', 'Other'], required: true },
   isActive: { type: Boolean, default: true }, // Added for admin control
+  // Rules for the dues reminder job; every attempt is logged in the bill's reminders
+  reminderSettings: {
+    enabled: { type: Boolean, default: false },
+    daysBeforeDue: { type: [Number], default: [3] }, // e.g. [3] = 3 days before the due date
+    onDueDate: { type: Boolean, default: true },
+    overdueEveryDays: { type: Number, default: 5 }, // Repeat while overdue, 0 = never
+    maxOverdueReminders: { type: Number, default: 6 },
+    channels: { type: [{ type: String, enum: ['SMS', 'Email'] }], default: ['SMS', 'Email'] },
+    billTypes: [{ type: String }], // Bill types covered, empty means all
+    updatedAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   properties: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Property' }]
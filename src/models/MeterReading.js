@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Dated reading of a room's shared electricity meter and how its cost was split across occupants
+const meterReadingSchema = new mongoose.Schema({
+  readingId: { type: String, default: () => `MTR-${Math.random().toString(36).substr(2, 9)}` },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  propertyName: { type: String },
+  roomId: { type: String, required: true },
+  meterNumber: { type: String },
+  sequence: { type: Number, required: true }, // 1 for the first reading of a room
+  reading: { type: Number, required: true },
+  readingDate: { type: Date, required: true },
+  isBaseline: { type: Boolean, default: false }, // First reading, nothing billed
+  previousReading: { type: Number },
+  previousReadingDate: { type: Date },
+  periodDays: { type: Number, default: 0 },
+  units: { type: Number, default: 0 },
+  ratePerUnit: { type: Number, default: 0 },
+  fixedCharges: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 }, // units * ratePerUnit + fixedCharges
+  splitMethod: { type: String, enum: ['equal', 'days', 'custom'], default: 'days' },
+  shares: [{
+    tenantId: { type: String },
+    localTenantId: { type: String },
+    name: { type: String },
+    bedId: { type: String },
+    occupiedFrom: { type: Date },
+    occupiedTo: { type: Date },
+    daysOccupied: { type: Number },
+    weight: { type: Number },
+    units: { type: Number },
+    fixedCharges: { type: Number },
+    amount: { type: Number },
+    billId: { type: mongoose.Schema.Types.ObjectId },
+    billNumber: { type: String }
+  }],
+  unallocatedAmount: { type: Number, default: 0 }, // Cost of a period nobody occupied the room
+  dueDate: { type: Date },
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId }
+}, { timestamps: true });
+
+meterReadingSchema.index({ propertyId: 1, roomId: 1, sequence: 1 }, { unique: true });
+meterReadingSchema.index({ landlordId: 1, readingDate: -1 });
+meterReadingSchema.index({ readingId: 1 });
+
+const MeterReading = mongoose.model('MeterReading', meterReadingSchema);
+
+module.exports = MeterReading;
@@ -21,7 +21,7 @@ const OtpSchema = new mongoose.Schema({
   },
   purpose: {
     type: String,
-    enum: ['login', 'register', 'reset_password'],
+    enum: ['login', 'register', 'reset_password', 'agreement_acceptance'],
     default: 'login'
   }
 });
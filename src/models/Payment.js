@@ -16,13 +16,33 @@ const paymentSchema = new mongoose.Schema({
   transactionId: { type: String },
   receiptNumber: { type: String },
   receiptUrl: { type: String },
+  receiptKey: { type: String },
+  receiptGeneratedAt: { type: Date },
   note: { type: String },
-  category: { type: String, enum: ['Rent', 'Electricity', 'Water', 'Maintenance', 'Security Deposit', 'Internet', 'Food', 'Cleaning', 'Gas', 'Other'], required: true },
+  category: { type: String, enum: ['Rent', 'Electricity', 'Water', 'Maintenance', 'Security Deposit', 'Internet', 'Food', 'Cleaning', 'Gas', 'Other', 'Advance'], required: true }, // Advance = held as tenant credit
   month: { type: String },
   year: { type: String },
   paymentBreakdown: [{
     category: { type: String },
-    amount: { type: Number }
+    amount: { type: Number },
+    billId: { type: mongoose.Schema.Types.ObjectId },
+    billNumber: { type: String },
+    month: { type: String },
+    year: { type: String },
+    billStatus: { type: String, enum: ['unpaid', 'partial', 'paid'] } // Bill status after this payment
+  }],
+  creditedAmount: { type: Number, default: 0 }, // Part of the payment added to the tenant's credit balance
+  refundedAmount: { type: Number, default: 0 }, // Status becomes Refunded once the whole amount is refunded
+  refunds: [{
+    refundId: { type: String },
+    amount: { type: Number },
+    creditReversed: { type: Number, default: 0 },
+    bills: [{
+      billId: { type: mongoose.Schema.Types.ObjectId },
+      amount: { type: Number }
+    }],
+    refundedAt: { type: Date },
+    failedAt: { type: Date } // Razorpay failed it after it was applied, see Refund.needsReconciliation
   }],
   taxAmount: { type: Number, default: 0 },
   discountAmount: { type: Number, default: 0 },
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Razorpay order created for a set of tenant bills, or for the token advance of a booking request
+const paymentOrderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true }, // Razorpay order id
+  receipt: { type: String, required: true },
+  purpose: { type: String, enum: ['Bills', 'Booking Token'], default: 'Bills' },
+  bookingRequestId: { type: String }, // Booking Token orders
+  tenantId: { type: String, required: true },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  bills: [{
+    billId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    billNumber: { type: String },
+    type: { type: String },
+    amount: { type: Number, required: true } // Outstanding amount when the order was created
+  }],
+  amount: { type: Number, required: true }, // In rupees
+  currency: { type: String, default: 'INR' },
+  status: {
+    type: String,
+    enum: ['created', 'settling', 'paid', 'failed', 'expired'],
+    default: 'created'
+  },
+  razorpayPaymentId: { type: String },
+  razorpayMethod: { type: String },
+  paymentId: { type: String }, // Ledger Payment.paymentId
+  unappliedAmount: { type: Number, default: 0 }, // Paid but no longer owed on the bills
+  creditedAmount: { type: Number, default: 0 }, // Part of unappliedAmount kept as tenant credit
+  settledVia: { type: String, enum: ['webhook', 'reconciliation'] },
+  processedEvents: [{ type: String }], // Razorpay webhook event ids
+  failureReason: { type: String },
+  lastCheckedAt: { type: Date },
+  paidAt: { type: Date },
+  expiresAt: { type: Date }
+}, { timestamps: true });
+
+paymentOrderSchema.index({ status: 1, createdAt: 1 });
+paymentOrderSchema.index({ tenantId: 1, createdAt: -1 });
+
+const PaymentOrder = mongoose.model('PaymentOrder', paymentOrderSchema);
+
+module.exports = PaymentOrder;
@@ -51,6 +51,24 @@ const tenantSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// A date range on a bed's calendar; endDate is exclusive and null means open-ended
+const reservationSchema = new mongoose.Schema({
+  reservationId: { type: String, default: () => `RES-${Math.random().toString(36).substr(2, 9)}` },
+  type: { type: String, enum: ['Occupancy', 'Hold'], required: true },
+  status: { type: String, enum: ['Active', 'Released'], default: 'Active' },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, default: null },
+  tenantId: { type: String },
+  localTenantId: { type: String },
+  bookingRequestId: { type: String },
+  expiresAt: { type: Date }, // Soft hold placed with a booking request, void after this time
+  note: { type: String },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, { _id: false });
+
 const bedSchema = new mongoose.Schema({
   bedId: { type: String, default: () => `BED-${Math.random().toString(36).substr(2, 9)}` },
   status: { type: String, enum: ['Available', 'Not Available', 'Unavailable', 'Maintenance', 'Reserved'], default: 'Available' },
@@ -58,8 +76,10 @@ const bedSchema = new mongoose.Schema({
   name: { type: String, required: false }, // Modified to be optional
   monthlyCollection: { type: Number, default: 0 },
   pendingDues: { type: Number, default: 0 },
+  availableFrom: { type: Date }, // Set when the occupant's move-out notice is approved
   images: [{ type: String }], // Array of image URLs stored in S3
   tenants: [tenantSchema],
+  reservations: [reservationSchema], // Occupancy and holds by date, see bedReservationService
   electricityBill: {
     lastReading: { type: Number, default: 0 },
     currentReading: { type: Number, default: 0 },
@@ -97,6 +117,12 @@ const roomSchema = new mongoose.Schema({
   roomSize: { type: String }, // in sq.ft
   securityDeposit: { type: Number, default: 0 },
   noticePeriod: { type: Number, default: 30 }, // in days
+  // Shared electricity meter; readings are kept in the MeterReading register
+  electricityMeter: {
+    meterNumber: { type: String },
+    ratePerUnit: { type: Number, default: 0 },
+    splitMethod: { type: String, enum: ['equal', 'days', 'custom'], default: 'days' }
+  },
   facilities: {
     roomEssentials: {
       bed: { type: Boolean, default: false },
@@ -218,6 +244,33 @@ const propertySchema = new mongoose.Schema({
   totalCapacity: { type: Number, default: 0 },
   occupiedSpace: { type: Number, default: 0 },
   isActive: { type: Boolean, default: true }, // Added for admin toggle functionality
+  deactivatedReason: { type: String, default: null }, // e.g. 'subscription_quota' when hidden by the subscription job
+  deactivatedAt: { type: Date, default: null },
+  // Soft hold placed on a bed when a booking request is submitted
+  bookingHoldPolicy: {
+    enabled: { type: Boolean, default: false },
+    holdHours: { type: Number, default: 24 },
+    requireToken: { type: Boolean, default: false }, // Hold only once a token advance is paid
+    tokenAmount: { type: Number, default: 0 },
+    updatedAt: { type: Date }
+  },
+  // How long booking requests wait for the landlord before they expire, and when to remind them
+  bookingRequestPolicy: {
+    expiryHours: { type: Number, default: 72 },
+    reminderHoursBefore: { type: [Number], default: [24, 4] },
+    updatedAt: { type: Date }
+  },
+  // Late fee rules applied to unpaid bills of this property by the daily late-fee job
+  lateFeePolicy: {
+    enabled: { type: Boolean, default: false },
+    type: { type: String, enum: ['flat_per_day', 'percentage'], default: 'flat_per_day' },
+    amount: { type: Number, default: 0 }, // Charged per overdue day (flat_per_day)
+    percentage: { type: Number, default: 0 }, // Percent of the bill amount, charged once (percentage)
+    graceDays: { type: Number, default: 0 },
+    maxAmount: { type: Number, default: 0 }, // Cap per bill, 0 means no cap
+    billTypes: [{ type: String }], // Bill types the policy applies to, empty means all
+    updatedAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   status: {
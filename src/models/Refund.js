@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Money returned on a tenant payment or a subscription payment, with what it reversed
+const refundSchema = new mongoose.Schema({
+  refundId: { type: String, default: () => `RFD-${Math.random().toString(36).substr(2, 9)}` },
+  type: { type: String, enum: ['Tenant Payment', 'Subscription'], required: true },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  tenantId: { type: String }, // Tenant payments only
+  paymentId: { type: String }, // Payment.paymentId for tenant payments
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+  historyEntryId: { type: mongoose.Schema.Types.ObjectId }, // Subscription payment_history entry
+  amount: { type: Number, required: true },
+  reason: { type: String },
+  method: { type: String, enum: ['Razorpay', 'Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Other'], required: true },
+  status: { type: String, enum: ['Pending', 'Processed', 'Failed'], default: 'Pending' },
+  razorpayPaymentId: { type: String },
+  razorpayRefundId: { type: String },
+  // What the refund undid
+  reversal: {
+    creditReversed: { type: Number, default: 0 }, // Taken back from the tenant's credit balance
+    bills: [{
+      billId: { type: mongoose.Schema.Types.ObjectId },
+      billNumber: { type: String },
+      type: { type: String },
+      amount: { type: Number },
+      billStatus: { type: String, enum: ['unpaid', 'partial', 'paid'] } // Bill status after the refund
+    }],
+    subscriptionCancelled: { type: Boolean, default: false },
+    appliedAt: { type: Date },
+    // Razorpay failed the refund after it was applied and the reversal was undone
+    restoredBills: [{
+      billId: { type: mongoose.Schema.Types.ObjectId },
+      billNumber: { type: String },
+      amount: { type: Number }
+    }],
+    creditRestored: { type: Number, default: 0 }, // Returned to the tenant's credit balance
+    restoredAt: { type: Date },
+    error: { type: String } // Ledger could not be updated, needs manual review
+  },
+  initiatedBy: { type: String },
+  initiatedByRole: { type: String, enum: ['landlord', 'admin'] },
+  failureReason: { type: String },
+  // Razorpay failed the refund after the ledger was reversed and undoing the reversal did not
+  // complete: the reopened bills, reversed credit or payment refund have to be settled by hand
+  needsReconciliation: { type: Boolean, default: false },
+  processedAt: { type: Date }
+}, { timestamps: true });
+
+refundSchema.index({ refundId: 1 }, { unique: true });
+refundSchema.index({ landlordId: 1, createdAt: -1 });
+refundSchema.index({ landlordId: 1, needsReconciliation: 1 });
+refundSchema.index({ paymentId: 1 });
+refundSchema.index({ subscriptionId: 1 });
+refundSchema.index({ razorpayRefundId: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
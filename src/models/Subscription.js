@@ -20,6 +20,11 @@ const subscriptionSchema = new mongoose.Schema(
       default: 0,
     },
 
+    reel_limit: {
+      type: Number,
+      default: 0,
+    },
+
     amount: {
       type: Number,
       required: true,
@@ -67,6 +72,9 @@ const subscriptionSchema = new mongoose.Schema(
         enum: ["success", "failed", "pending"],
       },
       paid_at: Date,
+      // Saved Razorpay mandate used for auto-renewal
+      customer_id: String,
+      token_id: String,
     },
 
     // ✅ Track all top-ups / renewals
@@ -78,9 +86,60 @@ const subscriptionSchema = new mongoose.Schema(
         billing_cycle: String,
         paid_at: Date,
         payment: Object,
+        type: {
+          type: String,
+          enum: ["purchase", "top-up", "renewal", "upgrade", "downgrade"],
+        },
+        status: {
+          type: String,
+          enum: ["success", "failed", "pending", "refunded"], // refunded only once the whole amount is returned
+        },
+        failure_reason: String,
+        attempted_at: Date,
+        period_end: Date, // end_date the renewal attempt was for
+        proration: Object, // Credit for the unused days of the previous plan on upgrade/downgrade
+        coupon: {
+          code: String,
+          original_amount: Number, // Price before the coupon; amount is what was charged
+          discount_amount: Number,
+        },
+        invoice_number: String,
+        invoice_url: String,
+        invoice_key: String,
+        invoice_generated_at: Date,
+        refunded_amount: { type: Number, default: 0 },
+        refunds: [
+          {
+            refund_id: String, // Refund.refundId
+            amount: Number,
+            reason: String,
+            refunded_at: Date,
+          },
+        ],
       },
     ],
 
+    // Downgrade waiting for the current period to end
+    scheduled_change: {
+      plan_id: mongoose.Schema.Types.ObjectId,
+      plan_name: String,
+      billing_cycle: String,
+      effective_at: Date,
+      requested_at: Date,
+    },
+
+    // Expiry reminders already sent for the current end_date
+    reminders_sent: [
+      {
+        days_before: Number,
+        end_date: Date,
+        sent_at: Date,
+      },
+    ],
+
+    expired_at: Date,
+    quota_enforced_at: Date, // Properties over quota were deactivated after the grace period
+
     cancelled_at: Date,
 
     metadata: Object,
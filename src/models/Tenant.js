@@ -38,11 +38,132 @@ const accommodationSchema = new mongoose.Schema({
     finalReadingDate: { type: Date },
     dueDescription: { type: String }
   },
-  // Opening balance details
+  // Opening balance details; positive is dues brought forward, negative is advance already held
   openingBalance: {
     startDate: { type: Date },
     endDate: { type: Date },
-    amount: { type: Number, default: 0 }
+    amount: { type: Number, default: 0 },
+    postedAmount: { type: Number, default: 0 }, // Part of amount already turned into a bill or credit
+    postedAt: { type: Date }
+  },
+  // Move-out notice given by the tenant and the landlord's response
+  notice: {
+    noticeId: { type: String },
+    status: { type: String, enum: ['Pending', 'Negotiating', 'Approved', 'Withdrawn'] },
+    givenAt: { type: Date },
+    noticePeriod: { type: Number }, // Notice period in days the request was checked against
+    requestedMoveOutDate: { type: Date }, // Date asked for by the tenant
+    proposedMoveOutDate: { type: Date }, // Counter date proposed by the landlord
+    approvedMoveOutDate: { type: Date },
+    reason: { type: String },
+    landlordNote: { type: String },
+    respondedAt: { type: Date },
+    approvedAt: { type: Date },
+    withdrawnAt: { type: Date }
+  },
+  // Rental agreement generated from a template and accepted by the tenant with an OTP
+  agreement: {
+    agreementId: { type: String },
+    status: { type: String, enum: ['Pending Acceptance', 'Accepted'] },
+    templateId: { type: String },
+    templateVersion: { type: Number },
+    title: { type: String },
+    content: { type: String }, // Template text with placeholders filled in
+    contentHash: { type: String }, // SHA-256 of the title and content
+    documentUrl: { type: String },
+    documentKey: { type: String },
+    generatedAt: { type: Date },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId },
+    otpRequestedAt: { type: Date },
+    acceptance: {
+      acceptedAt: { type: Date },
+      ip: { type: String },
+      userAgent: { type: String },
+      mobile: { type: String }, // Number the OTP was verified on
+      hash: { type: String }, // SHA-256 over the content hash and the acceptance details
+      documentUrl: { type: String }, // PDF with the acceptance record appended
+      documentKey: { type: String }
+    }
+  },
+  // Security deposit settlement made at move-out
+  settlement: {
+    settlementId: { type: String },
+    status: { type: String, enum: ['Pending Acknowledgement', 'Acknowledged', 'Disputed', 'Resolved'] },
+    moveOutDate: { type: Date },
+    depositHeld: { type: Number, default: 0 },
+    outstandingDues: { type: Number, default: 0 }, // Unpaid bills before settlement
+    finalElectricity: {
+      previousReading: { type: Number },
+      finalReading: { type: Number },
+      units: { type: Number },
+      ratePerUnit: { type: Number },
+      amount: { type: Number },
+      billId: { type: mongoose.Schema.Types.ObjectId }
+    },
+    deductions: [{
+      type: { type: String, enum: ['Damage', 'Cleaning', 'Other'] },
+      description: { type: String },
+      amount: { type: Number },
+      billId: { type: mongoose.Schema.Types.ObjectId }
+    }],
+    totalCharges: { type: Number, default: 0 }, // Outstanding dues + final electricity + deductions
+    adjustedFromDeposit: { type: Number, default: 0 },
+    adjustments: [{ // Bills paid from the deposit; not cash, so no Payment is written (see the tenant credit ledger)
+      billId: { type: mongoose.Schema.Types.ObjectId },
+      billNumber: { type: String },
+      amount: { type: Number }
+    }],
+    refundAmount: { type: Number, default: 0 },
+    refundPaidAmount: { type: Number, default: 0 }, // Part of refundAmount already paid out
+    balanceDue: { type: Number, default: 0 }, // Charges the deposit did not cover
+    refund: { // Latest payout of the refund
+      status: { type: String, enum: ['Not Applicable', 'Pending', 'Paid'] },
+      amount: { type: Number },
+      method: { type: String },
+      transactionId: { type: String },
+      paidAt: { type: Date }
+    },
+    notes: { type: String },
+    settledBy: { type: mongoose.Schema.Types.ObjectId },
+    settledAt: { type: Date },
+    tenantResponse: {
+      status: { type: String, enum: ['Acknowledged', 'Disputed'] },
+      reason: { type: String },
+      respondedAt: { type: Date }
+    },
+    resolution: {
+      additionalRefund: { type: Number },
+      note: { type: String },
+      resolvedAt: { type: Date }
+    }
+  },
+  // Effective-dated rent changes; rentAmount is the rent currently in force
+  rentRevisions: [{
+    revisionId: { type: String },
+    effectiveDate: { type: Date, required: true },
+    previousRent: { type: Number },
+    newRent: { type: Number, required: true },
+    changeType: { type: String, enum: ['Amount', 'Percentage'] }, // How the landlord expressed the change
+    changeValue: { type: Number },
+    source: { type: String, enum: ['Manual', 'Escalation'], default: 'Manual' },
+    status: { type: String, enum: ['Scheduled', 'Applied', 'Cancelled'], default: 'Scheduled' },
+    reason: { type: String },
+    notifiedAt: { type: Date },
+    appliedAt: { type: Date },
+    cancelledAt: { type: Date },
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Automatic rent increase, e.g. +5% every 11 months
+  rentEscalation: {
+    enabled: { type: Boolean, default: false },
+    changeType: { type: String, enum: ['Amount', 'Percentage'], default: 'Percentage' },
+    value: { type: Number },
+    everyMonths: { type: Number, min: 1 },
+    nextEffectiveDate: { type: Date },
+    noticeDays: { type: Number, default: 30 }, // Revision is scheduled and the tenant told this many days ahead
+    roundTo: { type: Number, default: 1 }, // Round the new rent to a multiple of this
+    updatedAt: { type: Date }
   }
 }, { _id: false });
 
@@ -61,10 +182,30 @@ const billSchema = new mongoose.Schema({
   paid: { type: Boolean, default: false },
   paidDate: { type: Date },
   paidAmount: { type: Number, default: 0 },
-  paymentMethod: { type: String, enum: ['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Card', 'Other'] },
+  // unpaid / partial / paid; bills stored before partial payments derive it from paid and paidAmount
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partial', 'paid'],
+    default: function () {
+      if (this.paid) return 'paid';
+      return this.paidAmount > 0 ? 'partial' : 'unpaid';
+    }
+  },
+  payments: [{
+    paymentId: { type: String },
+    amount: { type: Number }, // Negative for a refund of an earlier payment
+    paidAt: { type: Date },
+    refundId: { type: String }
+  }],
+  paymentMethod: { type: String, enum: ['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Card', 'Other', 'Credit', 'Deposit'] }, // Credit = tenant credit balance, Deposit = adjusted against the security deposit
   transactionId: { type: String },
   invoiceUrl: { type: String },
-  receiptUrl: { type: String },
+  invoiceKey: { type: String },
+  invoiceNumber: { type: String }, // Sequential per landlord and financial year
+  invoiceAmount: { type: Number }, // Bill amount the stored invoice was rendered for
+  invoiceGeneratedAt: { type: Date },
+  receiptUrl: { type: String }, // Latest payment receipt covering this bill
+  meterReadingId: { type: String }, // Room meter reading this Electricity bill was split from
   isRecurring: { type: Boolean, default: false },
   recurringFrequency: { type: String, enum: ['Monthly', 'Quarterly', 'Half-Yearly', 'Yearly'] },
   description: { type: String },
@@ -79,13 +220,31 @@ const billSchema = new mongoose.Schema({
     taxAmount: { type: Number, default: 0 },
     discountAmount: { type: Number, default: 0 },
     discountReason: { type: String },
+    penaltyAmount: { type: Number, default: 0 },
+    penaltyReason: { type: String },
     lateFeesApplicable: { type: Boolean, default: false },
-    lateFees: { type: Number, default: 0 }
+    lateFees: { type: Number, default: 0 }, // Late fees currently included in amount
+    lateFeesWaived: { type: Number, default: 0 },
+    lateFeeExempt: { type: Boolean, default: false }, // Stops further late-fee accrual
+    lateFeeAccruedAt: { type: Date },
+    lateFeeWaivers: [{
+      amount: { type: Number, required: true },
+      reason: { type: String, required: true },
+      waivedBy: { type: mongoose.Schema.Types.ObjectId },
+      waivedByRole: { type: String },
+      waivedByName: { type: String },
+      stopAccrual: { type: Boolean, default: false },
+      waivedAt: { type: Date, default: Date.now }
+    }]
   },
   reminders: [{
     sentDate: { type: Date },
     method: { type: String, enum: ['SMS', 'Email', 'Phone Call', 'In Person', 'WhatsApp'] },
-    status: { type: String, enum: ['Sent', 'Delivered', 'Read', 'Responded'] }
+    status: { type: String, enum: ['Sent', 'Delivered', 'Read', 'Responded', 'Failed'] },
+    trigger: { type: String, enum: ['before_due', 'due_date', 'overdue', 'manual'] },
+    recipient: { type: String }, // Mobile number or email address used
+    error: { type: String }, // Why a Failed attempt failed
+    sentBy: { type: mongoose.Schema.Types.ObjectId } // Landlord, for manual reminders
   }]
 }, { timestamps: true });
 
@@ -139,13 +298,33 @@ const tenantSchema = new mongoose.Schema({
     roomId: { type: String },
     bedId: { type: String },
     landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
-    status: { type: String, enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'], default: 'Pending' },
+    status: { type: String, enum: ['Pending', 'Approved', 'Rejected', 'Cancelled', 'Expired'], default: 'Pending' },
     moveInDate: { type: Date },
     duration: { type: Number }, // In months
     message: { type: String },
     requestDate: { type: Date, default: Date.now },
     responseDate: { type: Date },
-    responseMessage: { type: String }
+    responseMessage: { type: String },
+    // Set when the request became a stay, see bookingConversionService
+    convertedAt: { type: Date },
+    localTenantId: { type: String }, // Accommodation created from the request
+    // A Pending request expires without a landlord response at expiresAt, see bookingRequestExpiryService
+    expiresAt: { type: Date },
+    nextReminderAt: { type: Date }, // Next reminder to the landlord, unset once all are sent
+    remindersSent: { type: Number, default: 0 },
+    // Soft hold on the bed while the request is open, see bookingHoldService
+    hold: {
+      status: { type: String, enum: ['Awaiting Token', 'Active', 'Confirmed', 'Released', 'Expired'] },
+      reservationId: { type: String },
+      placedAt: { type: Date },
+      expiresAt: { type: Date },
+      tokenAmount: { type: Number },
+      tokenOrderId: { type: String },
+      tokenPaymentId: { type: String }, // Ledger Payment.paymentId
+      tokenPaidAt: { type: Date },
+      releasedAt: { type: Date },
+      releaseReason: { type: String }
+    }
   }],
   bills: [billSchema],
   complaints: [complaintSchema],
@@ -159,9 +338,13 @@ tenantSchema.index({ mobile: 1 });
 tenantSchema.index({ 'accommodations.landlordId': 1 });
 tenantSchema.index({ 'accommodations.localTenantId': 1 });
 tenantSchema.index({ 'accommodations.propertyId': 1 });
+tenantSchema.index({ 'accommodations.settlement.settlementId': 1 }, { sparse: true });
+tenantSchema.index({ 'accommodations.notice.noticeId': 1 }, { sparse: true });
+tenantSchema.index({ 'accommodations.agreement.agreementId': 1 }, { sparse: true });
 tenantSchema.index({ 'bookingRequests.landlordId': 1 });
 tenantSchema.index({ 'bookingRequests.propertyId': 1 });
 tenantSchema.index({ 'bookingRequests.status': 1 });
+tenantSchema.index({ 'bookingRequests.status': 1, 'bookingRequests.expiresAt': 1 });
 tenantSchema.index({ 'bills.landlordId': 1 });
 tenantSchema.index({ 'complaints.landlordId': 1 });
 tenantSchema.index({ 'complaints.propertyId': 1 });
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Every movement of a tenant's credit balance; balanceAfter makes the ledger auditable on its own
+const creditEntrySchema = new mongoose.Schema({
+  entryId: { type: String, default: () => `CRE-${Math.random().toString(36).substr(2, 9)}` },
+  type: { type: String, enum: ['Credit', 'Debit'], required: true },
+  source: {
+    type: String,
+    enum: ['Overpayment', 'Advance', 'Opening Balance', 'Security Deposit', 'Bill Applied', 'Adjustment', 'Refund', 'Reversal'],
+    required: true
+  },
+  amount: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+  paymentId: { type: String }, // Payment the credit came from
+  billId: { type: mongoose.Schema.Types.ObjectId }, // Bill the credit was applied to
+  billNumber: { type: String },
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+  localTenantId: { type: String },
+  note: { type: String },
+  createdBy: { type: String }, // Landlord ID, 'system' or 'razorpay'
+  createdAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Advance credit a tenant holds with one landlord
+const tenantCreditSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  balance: { type: Number, default: 0, min: 0 },
+  entries: [creditEntrySchema]
+}, { timestamps: true });
+
+tenantCreditSchema.index({ tenantId: 1, landlordId: 1 }, { unique: true });
+tenantCreditSchema.index({ landlordId: 1, balance: 1 });
+
+const TenantCredit = mongoose.model('TenantCredit', tenantCreditSchema);
+
+module.exports = TenantCredit;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A prospective tenant queued for a bed at a property; the queue is served oldest entry first
+const waitlistEntrySchema = new mongoose.Schema({
+  entryId: { type: String, default: () => `WL-${Math.random().toString(36).substr(2, 9)}`, unique: true },
+  propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  propertyName: { type: String },
+  landlordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Landlord', required: true },
+  tenantId: { type: String, required: true },
+  tenantName: { type: String },
+  // Optional filters on the room; unset matches any room
+  roomType: { type: String },
+  sharingType: { type: Number, min: 1 }, // Tenants per room
+  gender: { type: String, enum: ['Male', 'Female'] },
+  // Window the tenant can move in; moveInTo unset means any time from moveInFrom
+  moveInFrom: { type: Date, required: true },
+  moveInTo: { type: Date },
+  duration: { type: Number, default: 1 }, // Months, length of the priority hold on the bed's calendar
+  note: { type: String },
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Booked', 'Expired', 'Cancelled'],
+    default: 'Waiting'
+  },
+  // Bed held for the tenant ahead of the rest of the queue
+  offer: {
+    roomId: { type: String },
+    bedId: { type: String },
+    reservationId: { type: String },
+    startDate: { type: Date },
+    offeredAt: { type: Date },
+    expiresAt: { type: Date },
+    bookingRequestId: { type: String } // Set when the tenant books the offered bed
+  },
+  closedAt: { type: Date },
+  closeReason: { type: String }
+}, { timestamps: true });
+
+waitlistEntrySchema.index({ propertyId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ tenantId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -5,6 +5,14 @@ const adminPropertyRoutes = require('./adminPropertyRoutes');
 const adminReelsRoutes = require('./adminReelsRoutes');
 const adminAuthRoutes = require('./adminAuthRoutes');
 const adminAuth = require('../middleware/adminAuth');
+const { refundSubscription, getSubscriptionRefunds } = require('../controllers/refundController');
+const {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deactivateCoupon
+} = require('../controllers/couponController');
 
 /**
  * Main Admin Routes
@@ -92,4 +100,15 @@ router.use('/properties', adminPropertyRoutes);
 // Reels management routes
 router.use('/reels', adminReelsRoutes);
 
+// Subscription refund routes
+router.get('/subscriptions/:subscriptionId/refunds', getSubscriptionRefunds);
+router.post('/subscriptions/:subscriptionId/refunds', refundSubscription);
+
+// Subscription coupon routes
+router.get('/coupons', getCoupons);
+router.post('/coupons', createCoupon);
+router.get('/coupons/:couponId', getCoupon);
+router.patch('/coupons/:couponId', updateCoupon);
+router.post('/coupons/:couponId/deactivate', deactivateCoupon);
+
 module.exports = router;
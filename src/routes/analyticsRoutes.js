@@ -5,9 +5,11 @@ const landlordAuth = require('../middleware/landlordAuth');
 const analyticsController = require('../controllers/analyticsController');
 const complaintController = require('../controllers/complaintController');
 const collectionController = require('../controllers/collectionController');
+const expenseController = require('../controllers/expenseController');
 
 // Tenant Dues Routes - All these routes require landlord auth
 router.get('/dues', auth.required, landlordAuth, analyticsController.getAllTenantDues);
+router.get('/statement', auth.required, landlordAuth, analyticsController.getLandlordStatement);
 
 // Complaint Management Routes - Landlord specific routes
 router.get('/complaints', auth.required, landlordAuth, complaintController.getAllComplaints);
@@ -17,4 +19,7 @@ router.get('/collections', auth.required, landlordAuth, collectionController.get
 router.get('/property/:propertyId/collections', auth.required, landlordAuth, collectionController.getPropertyCollectionReport);
 router.get('/collections/forecast', auth.required, landlordAuth, collectionController.getCollectionForecast);
 
+// Profit and loss
+router.get('/property/:propertyId/profit-loss', auth.required, landlordAuth, expenseController.getPropertyProfitAndLoss);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const landlordAuth = require('../middleware/landlordAuth');
+const { documentUpload } = require('../utils/s3Upload');
+const expenseController = require('../controllers/expenseController');
+
+// Property expenses - all routes require landlord auth
+router.get('/', auth.required, landlordAuth, expenseController.getExpenses);
+router.get('/categories', auth.required, landlordAuth, expenseController.getExpenseCategories);
+router.post('/', auth.required, landlordAuth, documentUpload.array('receipts', 5), expenseController.addExpense);
+router.get('/:expenseId', auth.required, landlordAuth, expenseController.getExpense);
+router.put('/:expenseId', auth.required, landlordAuth, expenseController.updateExpense);
+router.delete('/:expenseId', auth.required, landlordAuth, expenseController.deleteExpense);
+router.post('/:expenseId/stop-recurring', auth.required, landlordAuth, expenseController.stopRecurringExpense);
+router.post('/:expenseId/receipts', auth.required, landlordAuth, documentUpload.array('receipts', 5), expenseController.uploadExpenseReceipts);
+router.delete('/:expenseId/receipts/:receiptId', auth.required, landlordAuth, expenseController.deleteExpenseReceipt);
+
+module.exports = router;
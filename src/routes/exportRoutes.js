@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const landlordAuth = require('../middleware/landlordAuth');
+const exportController = require('../controllers/exportController');
+
+// Report exports - all routes require landlord auth
+router.get('/', auth.required, landlordAuth, exportController.getExportJobs);
+router.get('/jobs/:exportId', auth.required, landlordAuth, exportController.getExportJob);
+router.get('/jobs/:exportId/download', auth.required, landlordAuth, exportController.downloadExportJob);
+router.get('/:report', auth.required, landlordAuth, exportController.exportReport);
+
+module.exports = router;
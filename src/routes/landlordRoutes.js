@@ -9,6 +9,9 @@ const bedImageController = require('../controllers/bedImageController');
 const { upload: fileUpload } = require('../utils/fileUpload');
 const { upload: s3Upload } = require('../utils/s3Upload');
 const authenticate = require("../middleware/authenticate");
+const { checkPropertyQuota } = require('../middleware/subscriptionQuota');
+const agreementController = require('../controllers/agreementController');
+const reminderController = require('../controllers/reminderController');
 
 // Field name mapping middleware
 const mapFieldNames = (req, res, next) => {
@@ -82,7 +85,7 @@ router.patch(
 router.get('/properties/available', auth.required, (req, res) => {
   res.status(200).json({ success: true, message: "Available properties data will be available soon" });
 });
-router.post('/properties', auth.required, s3Upload.array('images', 10), landlordController.addProperty);
+router.post('/properties', auth.required, checkPropertyQuota, s3Upload.array('images', 10), landlordController.addProperty);
 router.post("/property/view/:id", landlordController.increaseViewCount);
 
 
@@ -107,6 +110,16 @@ router.get(
   landlordController.getPropertyByIdAdmin
 );
 
+// Rental agreement templates
+router.get('/agreement-templates', auth.required, agreementController.getAgreementTemplates);
+router.post('/agreement-templates', auth.required, agreementController.createAgreementTemplate);
+router.put('/agreement-templates/:templateId', auth.required, agreementController.updateAgreementTemplate);
+router.delete('/agreement-templates/:templateId', auth.required, agreementController.deleteAgreementTemplate);
+
+// Dues reminder settings
+router.get('/reminder-settings', auth.required, reminderController.getReminderSettings);
+router.put('/reminder-settings', auth.required, reminderController.updateReminderSettings);
+
 // Booking and pending tenant routes
 router.get('/tenants/pending', auth.required, bookingController.getPendingTenants);
 router.get('/booking-requests', auth.required, bookingController.getBookingRequests);
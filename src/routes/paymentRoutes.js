@@ -1,9 +1,15 @@
 const express = require("express");
 const router = express.Router();
+const auth = require("../middleware/auth");
+const tenantAuth = require("../middleware/tenantAuth");
 
 // controller import
 const {
     capturePayment,
+    createPaymentOrder,
+    createBookingTokenOrder,
+    getPaymentOrder,
+    razorpayWebhook,
 } = require("../controllers/payment.controller");
 
 // ===============================
@@ -11,4 +17,16 @@ const {
 // ===============================
 router.post("/capture-payment", capturePayment);
 
+// ===============================
+// RENT ORDERS (TENANT)
+// ===============================
+router.post("/orders", auth.required, tenantAuth, createPaymentOrder);
+router.get("/orders/:orderId", auth.required, tenantAuth, getPaymentOrder);
+router.post("/booking-requests/:requestId/token-order", auth.required, tenantAuth, createBookingTokenOrder);
+
+// ===============================
+// RAZORPAY WEBHOOK (signature verified, no auth)
+// ===============================
+router.post("/webhook", razorpayWebhook);
+
 module.exports = router;
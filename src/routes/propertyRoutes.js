@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { checkPropertyQuota } = require('../middleware/subscriptionQuota');
 const { attachRatingSummary } = require('../middleware/ratingEnhancement');
 const {
   addProperty,
@@ -55,6 +56,32 @@ const {
   deleteBed
 } = require('../controllers/bedController');
 
+// Import late fee controllers
+const {
+  getLateFeePolicy,
+  updateLateFeePolicy,
+  runLateFeeAccrual
+} = require('../controllers/lateFeeController');
+
+// Import booking hold policy controllers
+const {
+  getBookingHoldPolicy,
+  updateBookingHoldPolicy,
+  getBookingRequestPolicy,
+  updateBookingRequestPolicy
+} = require('../controllers/bookingController');
+
+// Import waitlist controllers
+const { getPropertyWaitlist } = require('../controllers/waitlistController');
+
+// Import electricity meter controllers
+const {
+  getMeterReadings,
+  previewMeterReading,
+  addMeterReading,
+  updateRoomMeter
+} = require('../controllers/meterReadingController');
+
 // Import image controllers
 const roomImageController = require('../controllers/roomImageController');
 const bedImageController = require('../controllers/bedImageController');
@@ -64,7 +91,7 @@ const { upload: s3Upload } = require('../utils/s3Upload');
 router.use(attachRatingSummary);
 
 // Property Management Routes
-router.post('/', auth.required, geocodePropertyAddress, addProperty);
+router.post('/', auth.required, checkPropertyQuota, geocodePropertyAddress, addProperty);
 router.get('/', auth.required, getProperties);
 router.get('/:propertyId', auth.required, getPropertyById);
 router.put('/:propertyId', auth.required, geocodePropertyAddress, updateProperty);
@@ -76,8 +103,28 @@ router.post('/:propertyId/rooms', auth.required, addRoomToProperty);
 router.get('/:propertyId/rooms/available', auth.required, getAvailableRooms);
 router.put('/:propertyId/rooms/:roomId', auth.required, updateRoomUnified);  // Unified endpoint for room updates (includes facilities)
 router.put('/:propertyId/facilities', auth.required, updatePropertyFacilities);  // Property-wide facilities update
+
+// Late Fee Routes
+router.get('/:propertyId/late-fee-policy', auth.required, getLateFeePolicy);
+router.put('/:propertyId/late-fee-policy', auth.required, updateLateFeePolicy);
+router.post('/:propertyId/late-fees/accrue', auth.required, runLateFeeAccrual);
+
+// Booking Hold Routes
+router.get('/:propertyId/booking-hold-policy', auth.required, getBookingHoldPolicy);
+router.put('/:propertyId/booking-hold-policy', auth.required, updateBookingHoldPolicy);
+router.get('/:propertyId/booking-request-policy', auth.required, getBookingRequestPolicy);
+router.put('/:propertyId/booking-request-policy', auth.required, updateBookingRequestPolicy);
+
+// Waitlist Routes
+router.get('/:propertyId/waitlist', auth.required, getPropertyWaitlist);
 router.delete('/:propertyId/rooms/:roomId', auth.required, deleteRoom);
 
+// Room Electricity Meter Routes
+router.put('/:propertyId/rooms/:roomId/meter', auth.required, updateRoomMeter);
+router.get('/:propertyId/rooms/:roomId/meter-readings', auth.required, getMeterReadings);
+router.post('/:propertyId/rooms/:roomId/meter-readings/preview', auth.required, previewMeterReading);
+router.post('/:propertyId/rooms/:roomId/meter-readings', auth.required, addMeterReading);
+
 // Room Image Routes
 router.post('/:propertyId/rooms/:roomId/images', auth.required, s3Upload.array('images', 10), roomImageController.uploadRoomImages);
 router.delete('/:propertyId/rooms/:roomId/images', auth.required, roomImageController.deleteRoomImages);
@@ -29,6 +29,9 @@ router.get('/properties', corsMiddleware, publicPropertyController.getAllPublicP
 // GET property by ID
 router.get('/property/:propertyId', corsMiddleware, authenticate, publicPropertyController.getPublicPropertyById);
 
+// GET bed availability of a property for ?moveInDate=&duration=
+router.get('/property/:propertyId/availability', corsMiddleware, publicPropertyController.getPublicPropertyAvailability);
+
 // GET recommended properties - must come before the type route
 router.get('/properties/recommended', corsMiddleware, publicPropertyController.getRecommendedProperties);
 
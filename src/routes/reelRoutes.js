@@ -7,6 +7,7 @@ const reelUploadService = require('../utils/reelUploadService');
 const auth = require('../middleware/auth');
 const landlordAuth = require('../middleware/landlordAuth');
 const tenantAuth = require('../middleware/tenantAuth');
+const { checkReelQuota } = require('../middleware/subscriptionQuota');
 
 // Public routes - accessible without authentication
 router.get('/', getReelsFixed); // Get all reels - no auth needed
@@ -32,6 +33,7 @@ router.post(
   },
   auth.required,
   landlordAuth, 
+  checkReelQuota,
   (req, res, next) => {
     // Handle file upload with better error handling
     reelUploadService.upload.single('video')(req, res, function(err) {
@@ -2,9 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const { getAvailableRoomsAndBeds } = require('../controllers/roomAvailabilityController');
+const { getAvailableRoomsAndBeds, getBedReservationCalendar } = require('../controllers/roomAvailabilityController');
 
 // Get available rooms and beds for tenant assignment in a property
+// Optional ?moveInDate=&duration= (months) or &moveOutDate= checks beds for that stay
 router.get('/properties/:propertyId/availability', auth.required, getAvailableRoomsAndBeds);
 
+// Occupancy and holds on a bed's reservation calendar
+router.get('/properties/:propertyId/rooms/:roomId/beds/:bedId/calendar', auth.required, getBedReservationCalendar);
+
 module.exports = router;
@@ -34,7 +34,7 @@ router.get('/public/available', subscriptionPlanController.getPublicPlans);
 
 /**
  * Get plan pricing with discount calculations
- * GET /api/subscription-plans/:id/pricing
+ * GET /api/subscription-plans/:id/pricing?coupon=&landlordId=&billing_cycle=
  */
 router.get('/:id/pricing', subscriptionPlanController.getPlanPricing);
 
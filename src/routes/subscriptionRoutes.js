@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscriptionController');
 const auth = require('../middleware/auth');
+const { downloadSubscriptionInvoice } = require('../controllers/invoiceController');
 
 /**
  * Buy Subscription
@@ -28,6 +29,30 @@ router.get('/list/all', subscriptionController.getAllSubscriptions);
  */
 router.get('/status/:userId', subscriptionController.checkSubscriptionStatus);
 
+/**
+ * Get property and reel usage against the active plan limits
+ * GET /api/subscription/usage/:userId
+ */
+router.get('/usage/:userId', subscriptionController.getSubscriptionUsage);
+
+/**
+ * Preview the prorated cost of switching plans
+ * GET /api/subscription/change-preview/:userId?plan_id=&billing_cycle=
+ */
+router.get('/change-preview/:userId', subscriptionController.getSubscriptionChangePreview);
+
+/**
+ * Cancel a downgrade scheduled for period end
+ * DELETE /api/subscription/scheduled-change/:userId
+ */
+router.delete('/scheduled-change/:userId', auth.required, subscriptionController.cancelScheduledChange);
+
+/**
+ * Download the GST invoice PDF of a subscription payment
+ * GET /api/subscription/invoice/:subscriptionId/:entryId
+ */
+router.get('/invoice/:subscriptionId/:entryId', auth.required, downloadSubscriptionInvoice);
+
 /**
  * Renew Subscription
  * POST /api/subscription/renew/:subscriptionId
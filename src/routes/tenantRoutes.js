@@ -16,11 +16,49 @@ const {
   addTenantBill,
   getTenantBills,
   getTenantDues,
-  recordBillPayment
+  recordBillPayment,
+  getTenantStatement,
+  previewRentBills
 } = require('../controllers/billingController');
 const { 
   getAllTenantDues 
 } = require('../controllers/analyticsController');
+const { waiveBillLateFee } = require('../controllers/lateFeeController');
+const { downloadBillInvoice, downloadPaymentReceipt } = require('../controllers/invoiceController');
+const {
+  previewMoveOutSettlement,
+  settleTenantMoveOut,
+  getSettlements,
+  getSettlement,
+  resolveSettlementDispute,
+  recordSettlementRefund
+} = require('../controllers/settlementController');
+const {
+  getNotices,
+  approveMoveOutNotice,
+  negotiateMoveOutNotice
+} = require('../controllers/noticeController');
+const {
+  createTenantAgreement,
+  getTenantAgreement,
+  downloadAgreement
+} = require('../controllers/agreementController');
+const {
+  getImportFields,
+  downloadImportTemplate,
+  previewTenantImport,
+  commitTenantImport
+} = require('../controllers/tenantImportController');
+const { spreadsheetUpload, handleMulterError } = require('../utils/fileUpload');
+const { sendTenantReminder } = require('../controllers/reminderController');
+const { getTenantCredit, adjustTenantCredit, applyCreditToBills } = require('../controllers/creditController');
+const { refundPayment, getRefunds } = require('../controllers/refundController');
+const {
+  getRentRevisions,
+  createRentRevision,
+  cancelScheduledRentRevision,
+  updateRentEscalation
+} = require('../controllers/rentRevisionController');
 const {
   addComplaint,
   getTenantComplaints,
@@ -30,6 +68,15 @@ const {
 // Tenant Management Routes
 router.post('/', auth.required, addTenant);
 router.get('/', auth.required, getTenants);
+router.get('/rent-bills/preview', auth.required, landlordAuth, previewRentBills); // Dry run of next rent cycle
+router.get('/settlements', auth.required, landlordAuth, getSettlements);
+router.get('/settlements/:settlementId', auth.required, landlordAuth, getSettlement);
+router.get('/notices', auth.required, landlordAuth, getNotices);
+router.get('/agreements/:agreementId', auth.required, landlordAuth, getTenantAgreement);
+router.get('/agreements/:agreementId/pdf', auth.required, landlordAuth, downloadAgreement);
+router.get('/import/fields', auth.required, landlordAuth, getImportFields);
+router.get('/import/template', auth.required, landlordAuth, downloadImportTemplate);
+router.get('/refunds', auth.required, landlordAuth, getRefunds);
 router.get('/property/:propertyId', auth.required, getTenantsByProperty);
 router.get('/:tenantId', auth.required, getTenantById);
 router.put('/:tenantId', auth.required, updateTenant);
@@ -38,6 +85,23 @@ router.put('/:tenantId', auth.required, updateTenant);
 router.post('/assign', auth.required, assignTenantToProperty);
 router.post('/remove', auth.required, removeTenantFromProperty);
 
+// Bulk import from CSV / XLSX
+router.post('/import/preview', auth.required, landlordAuth, spreadsheetUpload.single('file'), handleMulterError, previewTenantImport);
+router.post('/import', auth.required, landlordAuth, spreadsheetUpload.single('file'), handleMulterError, commitTenantImport);
+
+// Move-out deposit settlement
+router.post('/move-out/settlement/preview', auth.required, landlordAuth, previewMoveOutSettlement);
+router.post('/move-out/settlement', auth.required, landlordAuth, settleTenantMoveOut);
+router.post('/settlements/:settlementId/resolve', auth.required, landlordAuth, resolveSettlementDispute);
+router.post('/settlements/:settlementId/refund', auth.required, landlordAuth, recordSettlementRefund);
+
+// Rental agreements
+router.post('/agreements', auth.required, landlordAuth, createTenantAgreement);
+
+// Move-out notices
+router.post('/notices/:noticeId/approve', auth.required, landlordAuth, approveMoveOutNotice);
+router.post('/notices/:noticeId/negotiate', auth.required, landlordAuth, negotiateMoveOutNotice);
+
 // Billing Routes
 router.post('/bill', auth.required, addElectricityBill); // For electricity bills
 router.post('/general-bill', auth.required, addTenantBill); // For any type of bill
@@ -45,6 +109,19 @@ router.post('/bill/:tenantId', auth.required, addTenantBill);
 router.get('/bills/:tenantId', auth.required, getTenantBills);
 router.get('/dues/:tenantId', auth.required, getTenantDues);
 router.post('/payment', auth.required, recordBillPayment);
+router.get('/statement/:tenantId', auth.required, getTenantStatement);
+router.post('/bills/:billId/waive-late-fee', auth.required, landlordAuth, waiveBillLateFee);
+router.get('/bills/:billId/invoice', auth.required, landlordAuth, downloadBillInvoice); // Invoice PDF
+router.get('/payments/:paymentId/receipt', auth.required, landlordAuth, downloadPaymentReceipt); // Receipt PDF
+router.post('/payments/:paymentId/refund', auth.required, landlordAuth, refundPayment); // Full or partial refund
+router.post('/:tenantId/reminders', auth.required, landlordAuth, sendTenantReminder); // Send dues reminder now
+router.get('/:tenantId/credit', auth.required, landlordAuth, getTenantCredit); // Credit balance and ledger
+router.post('/:tenantId/credit/adjust', auth.required, landlordAuth, adjustTenantCredit);
+router.post('/:tenantId/credit/apply', auth.required, landlordAuth, applyCreditToBills); // Pay open bills from credit
+router.get('/:tenantId/rent-revisions', auth.required, landlordAuth, getRentRevisions); // Rent history and schedule
+router.post('/:tenantId/rent-revisions', auth.required, landlordAuth, createRentRevision);
+router.post('/:tenantId/rent-revisions/:revisionId/cancel', auth.required, landlordAuth, cancelScheduledRentRevision);
+router.put('/:tenantId/rent-escalation', auth.required, landlordAuth, updateRentEscalation);
 
 // Landlord Analytics Routes
 router.get('/dues/all', auth.required, landlordAuth, getAllTenantDues);
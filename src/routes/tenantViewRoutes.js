@@ -12,6 +12,8 @@ const {
   getTenantBookingRequests,
   cancelBookingRequest,
   getTenantBillsSummary,
+  getTenantStatement,
+  getTenantCredit,
   getTenantProfile,
   getTenantRooms,
   getTenantLandlords
@@ -28,6 +30,32 @@ const {
   getTenantDues,
   recordBillPayment
 } = require('../controllers/billingController');
+const {
+  getTenantSettlements,
+  acknowledgeSettlement,
+  disputeSettlement
+} = require('../controllers/settlementController');
+const {
+  downloadTenantBillInvoice,
+  downloadTenantPaymentReceipt
+} = require('../controllers/invoiceController');
+const {
+  giveNotice,
+  getTenantNotices,
+  respondToMoveOutProposal,
+  withdrawMoveOutNotice
+} = require('../controllers/noticeController');
+const {
+  getMyAgreements,
+  downloadMyAgreement,
+  sendAgreementOtp,
+  acceptMyAgreement
+} = require('../controllers/agreementController');
+const {
+  joinPropertyWaitlist,
+  getMyWaitlistEntries,
+  cancelMyWaitlistEntry
+} = require('../controllers/waitlistController');
 
 // Tenant profile
 router.get('/profile', auth.required, tenantAuth, getTenantProfile);
@@ -47,12 +75,38 @@ router.post('/booking-request', auth.required, tenantAuth, submitBookingRequest)
 router.get('/booking-requests', auth.required, tenantAuth, getTenantBookingRequests);
 router.patch('/booking-request/:requestId/cancel', auth.required, tenantAuth, cancelBookingRequest);
 
+// Waitlists
+router.post('/waitlist', auth.required, tenantAuth, joinPropertyWaitlist);
+router.get('/waitlist', auth.required, tenantAuth, getMyWaitlistEntries);
+router.patch('/waitlist/:entryId/cancel', auth.required, tenantAuth, cancelMyWaitlistEntry);
+
 // Bills and payments
 router.get('/bills', auth.required, tenantAuth, getTenantBills);
 router.get('/bills/summary', auth.required, tenantAuth, getTenantBillsSummary);
+router.get('/statement', auth.required, tenantAuth, getTenantStatement);
+router.get('/credit', auth.required, tenantAuth, getTenantCredit);
+router.get('/bills/:billId/invoice', auth.required, tenantAuth, downloadTenantBillInvoice);
+router.get('/payments/:paymentId/receipt', auth.required, tenantAuth, downloadTenantPaymentReceipt);
 router.get('/dues', auth.required, tenantAuth, getTenantDues);
 router.post('/payment', auth.required, tenantAuth, recordBillPayment);
 
+// Move-out deposit settlements
+router.get('/settlements', auth.required, tenantAuth, getTenantSettlements);
+router.post('/settlements/:settlementId/acknowledge', auth.required, tenantAuth, acknowledgeSettlement);
+router.post('/settlements/:settlementId/dispute', auth.required, tenantAuth, disputeSettlement);
+
+// Rental agreements
+router.get('/agreements', auth.required, tenantAuth, getMyAgreements);
+router.get('/agreements/:agreementId/pdf', auth.required, tenantAuth, downloadMyAgreement);
+router.post('/agreements/:agreementId/otp', auth.required, tenantAuth, sendAgreementOtp);
+router.post('/agreements/:agreementId/accept', auth.required, tenantAuth, acceptMyAgreement);
+
+// Move-out notice
+router.post('/notice', auth.required, tenantAuth, giveNotice);
+router.get('/notices', auth.required, tenantAuth, getTenantNotices);
+router.post('/notices/:noticeId/respond', auth.required, tenantAuth, respondToMoveOutProposal);
+router.post('/notices/:noticeId/withdraw', auth.required, tenantAuth, withdrawMoveOutNotice);
+
 // Complaint management
 router.post('/complaint', auth.required, tenantAuth, addComplaint);
 router.get('/complaints', auth.required, tenantAuth, getTenantComplaints);
@@ -0,0 +1,259 @@
+/**
+ * Local stub of the Razorpay API for development and testing
+ *
+ * Usage:
+ *   RAZORPAY_WEBHOOK_SECRET=secret node src/scripts/razorpay-stub-server.js
+ *   Then start the app with RAZORPAY_API_URL=http://localhost:4010 and any RAZORPAY_KEY_ID.
+ *
+ * Simulate a customer paying an order:
+ *   POST /__stub/orders/:orderId/pay { "method": "upi", "webhookUrl": "http://localhost:3000/api/payment/webhook" }
+ * Leave out webhookUrl (or pass "skipWebhook": true) to test reconciliation instead.
+ * Pass "fail": true to send a payment.failed event.
+ *
+ * Refunds are processed immediately; set RAZORPAY_STUB_REFUND_STATUS=pending to keep them pending and
+ * finish them with POST /__stub/refunds/:refundId/settle { "status": "processed" | "failed", "webhookUrl": "..." }
+ */
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const PORT = process.env.RAZORPAY_STUB_PORT || 4010;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'stub_webhook_secret';
+const REFUND_STATUS = process.env.RAZORPAY_STUB_REFUND_STATUS || 'processed';
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const sendError = (res, status, description) => res.status(status).json({
+  error: { code: 'BAD_REQUEST_ERROR', description }
+});
+
+const app = express();
+app.use(express.json());
+
+app.post('/v1/orders', (req, res) => {
+  const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+  if (!Number.isInteger(amount) || amount < 100) {
+    return sendError(res, 400, 'Order amount less than minimum amount allowed');
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt,
+    status: 'created',
+    attempts: 0,
+    notes,
+    created_at: now()
+  };
+  orders.set(order.id, order);
+  res.json(order);
+});
+
+app.get('/v1/orders/:orderId', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) return sendError(res, 400, 'The id provided does not exist');
+  res.json(order);
+});
+
+app.get('/v1/orders/:orderId/payments', (req, res) => {
+  const items = [...payments.values()].filter(p => p.order_id === req.params.orderId);
+  res.json({ entity: 'collection', count: items.length, items });
+});
+
+app.get('/v1/payments/:paymentId', (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) return sendError(res, 400, 'The id provided does not exist');
+  res.json(payment);
+});
+
+app.post('/v1/payments/:paymentId/capture', (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) return sendError(res, 400, 'The id provided does not exist');
+  if (payment.status !== 'authorized') {
+    return sendError(res, 400, 'This payment has already been captured');
+  }
+  payment.status = 'captured';
+  payment.captured = true;
+  res.json(payment);
+});
+
+app.post('/v1/payments/:paymentId/refund', (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) return sendError(res, 400, 'The id provided does not exist');
+  if (payment.status !== 'captured' && payment.status !== 'refunded') {
+    return sendError(res, 400, 'The payment has not been captured');
+  }
+
+  const amount = req.body.amount === undefined ? payment.amount - (payment.amount_refunded || 0) : req.body.amount;
+  if (!Number.isInteger(amount) || amount < 100) {
+    return sendError(res, 400, 'The amount must be atleast INR 1.00');
+  }
+  if (amount > payment.amount - (payment.amount_refunded || 0)) {
+    return sendError(res, 400, 'The refund amount provided is greater than amount captured');
+  }
+
+  const refund = {
+    id: randomId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    notes: req.body.notes || {},
+    status: REFUND_STATUS,
+    created_at: now()
+  };
+  refunds.set(refund.id, refund);
+  payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+  if (payment.amount_refunded === payment.amount) payment.status = 'refunded';
+
+  res.json(refund);
+});
+
+app.get('/v1/refunds/:refundId', (req, res) => {
+  const refund = refunds.get(req.params.refundId);
+  if (!refund) return sendError(res, 400, 'The id provided does not exist');
+  res.json(refund);
+});
+
+// Charge a saved mandate; use token "token_fail" to simulate a declined renewal
+app.post('/v1/payments/create/recurring', (req, res) => {
+  const { order_id: orderId, token, amount, currency = 'INR' } = req.body;
+  const order = orders.get(orderId);
+  if (!order) return sendError(res, 400, 'The id provided does not exist');
+  if (token === 'token_fail') return sendError(res, 400, 'Payment failed due to insufficient funds');
+
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: amount || order.amount,
+    currency,
+    status: 'captured',
+    order_id: order.id,
+    method: 'card',
+    captured: true,
+    recurring: true,
+    created_at: now()
+  };
+  payments.set(payment.id, payment);
+  order.status = 'paid';
+  order.amount_paid = order.amount;
+  order.amount_due = 0;
+
+  res.json({
+    razorpay_payment_id: payment.id,
+    razorpay_order_id: order.id,
+    razorpay_signature: crypto.createHmac('sha256', 'stub').update(`${order.id}|${payment.id}`).digest('hex')
+  });
+});
+
+/**
+ * Sign and deliver a webhook event
+ */
+const deliverWebhook = async (webhookUrl, eventName, entities) => {
+  const payload = {};
+  Object.keys(entities).forEach(key => { payload[key] = { entity: entities[key] }; });
+  const body = JSON.stringify({
+    entity: 'event',
+    event: eventName,
+    contains: Object.keys(entities),
+    payload,
+    created_at: now()
+  });
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+  const response = await axios.post(webhookUrl, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': randomId('evt')
+    },
+    validateStatus: () => true
+  });
+  return { status: response.status, data: response.data };
+};
+
+// Test helper: simulate the customer completing (or failing) checkout for an order
+app.post('/__stub/orders/:orderId/pay', async (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) return sendError(res, 404, 'Order not found');
+
+  const { method = 'upi', webhookUrl, skipWebhook = false, fail = false } = req.body;
+  order.attempts++;
+
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: fail ? 'failed' : 'captured',
+    order_id: order.id,
+    method,
+    captured: !fail,
+    error_description: fail ? 'Payment was declined by the bank' : null,
+    created_at: now()
+  };
+  payments.set(payment.id, payment);
+
+  if (!fail) {
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+  } else {
+    order.status = 'attempted';
+  }
+
+  let webhook = null;
+  if (webhookUrl && !skipWebhook) {
+    try {
+      webhook = await deliverWebhook(webhookUrl, fail ? 'payment.failed' : 'payment.captured', { payment, order });
+    } catch (error) {
+      webhook = { error: error.message };
+    }
+  }
+
+  res.json({ payment, order, webhook });
+});
+
+// Test helper: finish a pending refund and send its refund.* event
+app.post('/__stub/refunds/:refundId/settle', async (req, res) => {
+  const refund = refunds.get(req.params.refundId);
+  if (!refund) return sendError(res, 404, 'Refund not found');
+
+  const { status = 'processed', webhookUrl } = req.body;
+  if (!['processed', 'failed'].includes(status)) {
+    return sendError(res, 400, 'status must be processed or failed');
+  }
+  refund.status = status;
+
+  const payment = payments.get(refund.payment_id);
+  if (status === 'failed' && payment) {
+    payment.amount_refunded -= refund.amount;
+    if (payment.status === 'refunded') payment.status = 'captured';
+  }
+
+  let webhook = null;
+  if (webhookUrl) {
+    try {
+      webhook = await deliverWebhook(webhookUrl, `refund.${status}`, { refund, payment });
+    } catch (error) {
+      webhook = { error: error.message };
+    }
+  }
+
+  res.json({ refund, webhook });
+});
+
+app.listen(PORT, () => {
+  console.log(`Razorpay stub listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,199 @@
+/**
+ * Test script for a Razorpay refund that fails after it was accepted
+ * The refund reverses the payment's credit and reopens its bills straight away; when the gateway
+ * later reports it failed, the payment, bills, dues and credit must be put back as they were.
+ * Models and the Razorpay client are mocked, no database needed.
+ * Run: node src/scripts/verify-refund-failure.js
+ */
+const assert = require('assert');
+const mongoose = require('mongoose');
+const razorpayClient = require('../services/razorpayClient');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const TenantCredit = require('../models/TenantCredit');
+
+// The refund service reads the client when it is loaded
+razorpayClient.getRazorpayClient = () => ({
+  payments: { refund: async () => ({ id: 'rfnd_TEST', status: 'pending' }) }
+});
+const { refundTenantPayment, handleRefundEvent } = require('../services/refundService');
+const { applyBillPayment, buildTenantStatement, getBillOutstanding } = require('../services/paymentLedgerService');
+
+const landlordId = new mongoose.Types.ObjectId();
+const propertyId = new mongoose.Types.ObjectId();
+
+const bill = (amount, billNumber, createdAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  landlordId,
+  propertyId,
+  roomId: 'R1',
+  bedId: 'B1',
+  type: 'Rent',
+  billNumber,
+  amount,
+  dueDate: createdAt,
+  createdAt,
+  paid: false
+});
+
+const tenant = new Tenant({
+  tenantId: 'TENANT-TEST',
+  name: 'Test Tenant',
+  aadhaar: '000000000000',
+  mobile: '9999999999',
+  accommodations: [{
+    localTenantId: 'L-TEST', landlordId, propertyId, roomId: 'R1', bedId: 'B1', isActive: true, pendingDues: 0
+  }],
+  bills: [
+    bill(1000, 'RENT-1', new Date('2026-01-01')),
+    bill(1000, 'RENT-2', new Date('2026-02-01'))
+  ]
+});
+
+// A 2500 online payment settled both bills; 500 went to the credit balance
+const payment = new Payment({
+  paymentId: 'PAY-TEST',
+  tenantId: tenant.tenantId,
+  landlordId,
+  propertyId,
+  amount: 2500,
+  creditedAmount: 500,
+  paymentDate: new Date('2026-02-05'),
+  method: 'UPI',
+  category: 'Rent',
+  receiptNumber: 'RCPT-1',
+  transactionId: 'pay_TEST',
+  collectedBy: 'razorpay'
+});
+tenant.bills.forEach(b => {
+  applyBillPayment(b, 1000, { paymentId: payment.paymentId, paymentDate: payment.paymentDate, method: 'UPI' });
+  payment.billIds.push(b._id);
+  payment.paymentBreakdown.push({ category: 'Rent', amount: 1000, billId: b._id, billNumber: b.billNumber, billStatus: 'paid' });
+});
+payment.paymentBreakdown.push({ category: 'Advance', amount: 500 });
+
+// In-memory credit wallet holding the payment's 500
+const wallet = { balance: 500, entries: [] };
+const query = (value) => ({ select: async () => value, then: (resolve) => resolve(value) });
+TenantCredit.findOne = () => query(wallet);
+TenantCredit.find = () => query([wallet]);
+TenantCredit.findOneAndUpdate = async (filter, update) => {
+  if (filter.balance !== wallet.balance) return null;
+  wallet.balance = update.$set.balance;
+  wallet.entries.push(...update.$push.entries.$each);
+  return { balance: wallet.balance, entries: update.$push.entries.$each };
+};
+
+// Tenant writes are applied to the in-memory document by the services themselves
+const tenantDues = () => tenant.accommodations[0].pendingDues;
+Tenant.findOne = async () => tenant;
+Tenant.updateOne = async (filter, update) => {
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    if (path.endsWith('pendingDues')) tenant.accommodations[0].pendingDues += amount;
+  });
+  return { modifiedCount: 1 };
+};
+
+let bedDues = 0;
+Property.updateOne = async (filter, update) => {
+  bedDues += update.$inc['rooms.$[room].beds.$[bed].pendingDues'];
+  return { modifiedCount: 1 };
+};
+
+Payment.find = () => ({ sort: async () => [payment] });
+Payment.findOne = async () => payment;
+Payment.findOneAndUpdate = async (filter, update) => {
+  if (update.$push) {
+    payment.refundedAmount = update.$set.refundedAmount;
+    payment.refunds.push(update.$push.refunds);
+    return payment;
+  }
+  if (update.$inc) {
+    const entry = payment.refunds.find(r => r.refundId === filter.refunds.$elemMatch.refundId);
+    if (!entry || entry.failedAt) return null;
+    payment.refundedAmount += update.$inc.refundedAmount;
+    payment.status = update.$set.status;
+    entry.failedAt = update.$set['refunds.$[refund].failedAt'];
+    return payment;
+  }
+  Object.assign(payment, update.$set);
+  return payment;
+};
+
+let savedRefund = null;
+Refund.prototype.save = async function () {
+  savedRefund = this;
+  return this;
+};
+Refund.findOneAndUpdate = async (filter, update) => {
+  if (!savedRefund || savedRefund.razorpayRefundId !== filter.razorpayRefundId || savedRefund.status !== filter.status) {
+    return null;
+  }
+  Object.assign(savedRefund, update.$set);
+  return savedRefund;
+};
+
+const outstanding = () => tenant.bills.reduce((sum, b) => sum + getBillOutstanding(b), 0);
+const failedEvent = { payload: { refund: { entity: { id: 'rfnd_TEST', status: 'failed' } } } };
+
+async function runTests() {
+  console.log('=== Testing Failed Refund Restore ===\n');
+
+  console.log('Test 1: Refund accepted by Razorpay reverses credit and reopens a bill');
+  const result = await refundTenantPayment(landlordId, payment.paymentId, { amount: 1500, reason: 'Test' });
+  assert.ifError(result.error);
+  assert.strictEqual(result.refund.status, 'Pending');
+  assert.strictEqual(payment.refundedAmount, 1500);
+  assert.strictEqual(wallet.balance, 0);
+  assert.strictEqual(outstanding(), 1000);
+  assert.strictEqual(tenantDues(), 1000);
+  assert.strictEqual(bedDues, 1000);
+  console.log(`Result: outstanding ${outstanding()}, credit ${wallet.balance}\n`);
+
+  console.log('Test 2: Razorpay fails the refund');
+  const failed = await handleRefundEvent(failedEvent);
+  assert.ok(failed.handled);
+  assert.strictEqual(failed.refund.status, 'Failed');
+  assert.strictEqual(failed.refund.needsReconciliation, false);
+  assert.strictEqual(payment.refundedAmount, 0);
+  assert.strictEqual(payment.status, 'Completed');
+  assert.ok(payment.refunds[0].failedAt);
+  assert.strictEqual(outstanding(), 0);
+  assert.ok(tenant.bills.every(b => b.paid));
+  assert.strictEqual(tenantDues(), 0);
+  assert.strictEqual(bedDues, 0);
+  assert.strictEqual(wallet.balance, 500);
+  console.log(`Result: outstanding ${outstanding()}, credit ${wallet.balance}, refunded ${payment.refundedAmount}\n`);
+
+  console.log('Test 3: Statement closes at zero with the restore shown');
+  const statement = await buildTenantStatement(tenant, { landlordId });
+  assert.strictEqual(statement.closingBalance, 0);
+  assert.ok(statement.entries.some(entry => entry.description === 'Failed refund of RCPT-1 reversed' && entry.credit === 1000));
+  console.log(`Result: closing ${statement.closingBalance}\n`);
+
+  console.log('Test 4: A repeated failure event changes nothing');
+  const repeated = await handleRefundEvent(failedEvent);
+  assert.ok(repeated.ignored);
+  assert.strictEqual(wallet.balance, 500);
+  console.log('Result: ignored\n');
+
+  console.log('Test 5: The payment can be refunded again');
+  savedRefund = null;
+  const again = await refundTenantPayment(landlordId, payment.paymentId, { amount: 2500, reason: 'Test' });
+  assert.ifError(again.error);
+  assert.strictEqual(payment.refundedAmount, 2500);
+  assert.strictEqual(outstanding(), 2000);
+  console.log(`Result: refunded ${payment.refundedAmount}, outstanding ${outstanding()}\n`);
+}
+
+runTests()
+  .then(() => {
+    console.log('Tests completed!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -14,6 +14,8 @@ const tenantAuthRoutes = require('./routes/tenantAuthRoutes');
 const otpAuthRoutes = require('./routes/otpAuthRoutes');
 const propertyRoutes = require('./routes/propertyRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const expenseRoutes = require('./routes/expenseRoutes');
+const exportRoutes = require('./routes/exportRoutes');
 const debugRoutes = require('./routes/debugRoutes');
 const reelRoutes = require('./routes/reelRoutes');
 const adminRoutes = require('./routes/adminRoutes');
@@ -183,6 +185,7 @@ app.options('*', cors());
 
 */
 
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' })); // Razorpay signature needs the raw body
 app.use(express.json({ limit: '20mb' })); // Increase payload limit for image uploads
 app.use(express.urlencoded({ extended: true, limit: '20mb' }));
 
@@ -210,6 +213,58 @@ connectRedis();
 const { setupOtpCleanup } = require('./services/otpService');
 setupOtpCleanup();
 
+// Initialize recurring rent bill generation
+const { setupRentBillScheduler } = require('./services/rentBillingService');
+setupRentBillScheduler();
+
+// Initialize daily late fee accrual
+const { setupLateFeeScheduler } = require('./services/lateFeeService');
+setupLateFeeScheduler();
+
+// Initialize Razorpay order reconciliation
+const { setupPaymentReconciliationScheduler } = require('./services/razorpayPaymentService');
+setupPaymentReconciliationScheduler();
+
+// Initialize subscription reminders, auto-renewal and expiry
+const { setupSubscriptionLifecycleScheduler } = require('./services/subscriptionLifecycleService');
+setupSubscriptionLifecycleScheduler();
+
+// Initialize release of beds whose approved move-out date has arrived
+const { setupNoticeScheduler } = require('./services/moveOutNoticeService');
+setupNoticeScheduler();
+
+// Initialize moving tenants onto beds assigned from a later date
+const { setupOccupancyStartScheduler } = require('./services/bedOccupancyService');
+setupOccupancyStartScheduler();
+
+// Initialize copying of recurring property expenses
+const { setupRecurringExpenseScheduler } = require('./services/expenseService');
+setupRecurringExpenseScheduler();
+
+// Initialize background report exports
+const { setupExportJobScheduler } = require('./services/exportService');
+setupExportJobScheduler();
+
+// Initialize dues reminders
+const { setupDuesReminderScheduler } = require('./services/duesReminderService');
+setupDuesReminderScheduler();
+
+// Initialize rent revisions and scheduled escalations
+const { setupRentRevisionScheduler } = require('./services/rentRevisionService');
+setupRentRevisionScheduler();
+
+// Initialize booking hold expiry
+const { setupBookingHoldScheduler } = require('./services/bookingHoldService');
+setupBookingHoldScheduler();
+
+// Initialize waitlist offers
+const { setupWaitlistScheduler } = require('./services/waitlistService');
+setupWaitlistScheduler();
+
+// Initialize booking request expiry and landlord reminders
+const { setupBookingRequestExpiryScheduler } = require('./services/bookingRequestExpiryService');
+setupBookingRequestExpiryScheduler();
+
 // Basic routes for health check
 app.get('/', (req, res) => res.status(200).json({ message: 'PG Hostel Draze API' }));
 app.get('/health', (req, res) => res.status(200).json({ status: 'OK', timestamp: new Date() }));
@@ -283,6 +338,8 @@ app.use('/api/landlord/tenant', tenantRoutes);
 app.use('/api/landlord/property', propertyRoutes);
 app.use('/api/landlord/properties', propertyRoutes); // Add support for plural 'properties'
 app.use('/api/landlord/analytics', analyticsRoutes);
+app.use('/api/landlord/expenses', expenseRoutes);
+app.use('/api/landlord/exports', exportRoutes);
 app.use('/api/landlord', require('./routes/roomAvailabilityRoutes')); // Add new room availability routes
 
 // Reels API routes - single consistent API for reels
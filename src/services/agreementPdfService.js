@@ -0,0 +1,83 @@
+/**
+ * Agreement PDF Service
+ * Renders a filled rental agreement to a PDF buffer with pdfkit. Accepted agreements get an
+ * acceptance record (time, IP, verified mobile and hashes) printed after the text.
+ */
+const PDFDocument = require('pdfkit');
+const { formatDate } = require('./invoicePdfService');
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Render an agreement
+ * @param {Object} data
+ * @param {String} data.title
+ * @param {String} data.number - Agreement ID
+ * @param {String} data.content - Filled agreement text, paragraphs separated by blank lines
+ * @param {String} data.contentHash - Printed in the footer so copies can be checked
+ * @param {Array} data.parties - [{ heading, lines: [] }] printed above the text
+ * @param {Object} data.acceptance - Optional { acceptedAt, ip, mobile, hash }
+ * @returns {Promise<Buffer>}
+ */
+const renderAgreementPdf = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `${data.title} ${data.number}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(data.title, { width: pageWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Agreement No: ${data.number}`, { width: pageWidth, align: 'center' });
+  doc.fillColor('#000000').moveDown();
+
+  (data.parties || []).forEach(party => {
+    doc.font('Helvetica-Bold').fontSize(10).text(party.heading);
+    doc.font('Helvetica').fontSize(9);
+    party.lines.filter(Boolean).forEach(line => doc.text(line, { width: pageWidth }));
+    doc.moveDown(0.5);
+  });
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica').fontSize(10);
+  data.content.split(/\n\s*\n/).forEach(paragraph => {
+    doc.text(paragraph.trim(), { width: pageWidth, align: 'justify' });
+    doc.moveDown(0.7);
+  });
+
+  if (data.acceptance) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Electronic Acceptance Record');
+    doc.font('Helvetica').fontSize(9);
+    [
+      `Accepted by the tenant on ${formatDate(data.acceptance.acceptedAt)} at ${new Date(data.acceptance.acceptedAt).toISOString()}`,
+      `Verified by one-time password sent to ${data.acceptance.mobile}`,
+      `IP address: ${data.acceptance.ip || '-'}`,
+      `Document hash (SHA-256): ${data.contentHash}`,
+      `Acceptance hash (SHA-256): ${data.acceptance.hash}`
+    ].forEach(line => doc.text(line, { width: pageWidth }));
+  }
+
+  // Footer with the content hash on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0; // Let the footer sit in the margin without starting a new page
+    doc.font('Helvetica').fontSize(7).fillColor('#888888')
+      .text(`${data.number} | SHA-256 ${data.contentHash} | Page ${i + 1} of ${range.count}`,
+        PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, { width: pageWidth, align: 'center', lineBreak: false });
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderAgreementPdf
+};
@@ -0,0 +1,440 @@
+/**
+ * Rental Agreement Service
+ * Fills a landlord's agreement template with property, room, bed, tenant and accommodation
+ * details, renders it to PDF and records the tenant's OTP-verified acceptance. The accepted
+ * text is hashed together with the acceptance time, IP and verified mobile, so any later
+ * change to the stored agreement can be detected.
+ */
+const crypto = require('crypto');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Landlord = require('../models/Landlord');
+const AgreementTemplate = require('../models/AgreementTemplate');
+const { generateOtp, saveOtp, sendOtp, verifyOtp } = require('./otpService');
+const { formatAmount, formatDate, amountInWords } = require('./invoicePdfService');
+const { renderAgreementPdf } = require('./agreementPdfService');
+const { storeDocument } = require('./documentStorageService');
+const { notifyUser } = require('./userNotificationService');
+
+const OTP_PURPOSE = 'agreement_acceptance';
+const OTP_RESEND_SECONDS = 60;
+const PLACEHOLDER_PATTERN = /{{\s*([a-zA-Z]+\.[a-zA-Z]+)\s*}}/g;
+
+const joinAddress = (...parts) => parts.filter(Boolean).join(', ');
+
+const maskAadhaar = (aadhaar) => {
+  const digits = (aadhaar || '').replace(/\D/g, '');
+  return digits.length >= 4 ? `XXXX XXXX ${digits.slice(-4)}` : '';
+};
+
+const getAgreementEndDate = (accommodation) => {
+  if (!accommodation.agreementPeriod) return null;
+  const unit = accommodation.agreementPeriodType === 'years' ? 'years' : 'months';
+  return moment(accommodation.moveInDate).add(accommodation.agreementPeriod, unit).subtract(1, 'day').toDate();
+};
+
+/**
+ * Placeholders available in templates, written as {{group.field}}
+ * Each resolves against { landlord, property, room, bed, tenant, accommodation, agreement }.
+ */
+const PLACEHOLDERS = {
+  'agreement.id': ({ agreement }) => agreement.agreementId,
+  'agreement.date': ({ agreement }) => formatDate(agreement.date),
+  'landlord.name': ({ landlord }) => landlord.name,
+  'landlord.mobile': ({ landlord }) => landlord.mobile,
+  'landlord.email': ({ landlord }) => landlord.email,
+  'landlord.address': ({ landlord }) => joinAddress(landlord.address, landlord.state, landlord.pinCode),
+  'property.name': ({ property }) => property.name,
+  'property.address': ({ property }) => joinAddress(property.address, property.city, property.state, property.pinCode),
+  'property.city': ({ property }) => property.city,
+  'room.name': ({ room, accommodation }) => (room && room.name) || accommodation.roomId,
+  'room.type': ({ room }) => room && room.type,
+  'room.floor': ({ room }) => room && room.floorNumber !== undefined && room.floorNumber !== null ? `${room.floorNumber}` : '',
+  'bed.name': ({ bed, accommodation }) => (bed && bed.name) || accommodation.bedId || '',
+  'tenant.name': ({ tenant }) => tenant.name,
+  'tenant.mobile': ({ tenant }) => tenant.mobile,
+  'tenant.email': ({ tenant }) => tenant.email,
+  'tenant.fatherName': ({ tenant }) => tenant.fatherName,
+  'tenant.permanentAddress': ({ tenant }) => tenant.permanentAddress,
+  'tenant.aadhaar': ({ tenant }) => maskAadhaar(tenant.aadhaar),
+  'accommodation.moveInDate': ({ accommodation }) => formatDate(accommodation.moveInDate),
+  'accommodation.endDate': ({ accommodation }) => formatDate(getAgreementEndDate(accommodation)),
+  'accommodation.agreementPeriod': ({ accommodation }) => (accommodation.agreementPeriod
+    ? `${accommodation.agreementPeriod} ${accommodation.agreementPeriodType || 'months'}`
+    : ''),
+  'accommodation.rentAmount': ({ accommodation }) => formatAmount(accommodation.rentAmount),
+  'accommodation.rentAmountInWords': ({ accommodation }) => amountInWords(accommodation.rentAmount),
+  'accommodation.rentalFrequency': ({ accommodation }) => accommodation.rentalFrequency || 'Monthly',
+  'accommodation.rentDueDay': ({ accommodation }) => (accommodation.rentOnDate ? `${accommodation.rentOnDate}` : ''),
+  'accommodation.securityDeposit': ({ accommodation }) => formatAmount(accommodation.securityDeposit),
+  'accommodation.securityDepositInWords': ({ accommodation }) => amountInWords(accommodation.securityDeposit),
+  'accommodation.noticePeriod': ({ accommodation, room }) => `${accommodation.noticePeriod || (room && room.noticePeriod) || 30}`
+};
+
+// Used when the landlord has not written a template of their own
+const DEFAULT_TEMPLATE = {
+  templateId: 'default',
+  version: 1,
+  title: 'Rental Agreement',
+  body: [
+    'This Rental Agreement ({{agreement.id}}) is made on {{agreement.date}} between {{landlord.name}}, residing at {{landlord.address}} (the "Landlord"), and {{tenant.name}}, Aadhaar {{tenant.aadhaar}}, permanently residing at {{tenant.permanentAddress}} (the "Tenant").',
+    'Premises. The Landlord lets to the Tenant bed {{bed.name}} in room {{room.name}} ({{room.type}}) of {{property.name}}, {{property.address}}, for residential use only.',
+    'Term. The tenancy begins on {{accommodation.moveInDate}} and runs for {{accommodation.agreementPeriod}}, ending on {{accommodation.endDate}}, unless ended earlier under this agreement.',
+    'Rent. The Tenant shall pay rent of INR {{accommodation.rentAmount}} ({{accommodation.rentAmountInWords}}), payable {{accommodation.rentalFrequency}} on day {{accommodation.rentDueDay}} of the billing month. Electricity and other charges are billed separately as applicable.',
+    'Security Deposit. The Tenant has paid or shall pay a refundable security deposit of INR {{accommodation.securityDeposit}} ({{accommodation.securityDepositInWords}}). It will be refunded at move-out after adjusting unpaid dues and the cost of any damage beyond normal wear and tear.',
+    'Notice. Either party may end this agreement by giving {{accommodation.noticePeriod}} days\' written notice.',
+    'Conduct. The Tenant shall follow the rules of the property, keep the premises clean, not sublet, and not cause nuisance to other residents.',
+    'This agreement is accepted electronically by the Tenant by verifying a one-time password sent to {{tenant.mobile}}.'
+  ].join('\n\n')
+};
+
+/**
+ * Placeholders used in a template that are not supported
+ * @returns {String[]}
+ */
+const findUnknownPlaceholders = (text) => {
+  const unknown = new Set();
+  for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS[match[1]]) unknown.add(match[1]);
+  }
+  return [...unknown];
+};
+
+/**
+ * Replace {{placeholders}} in text with values from the context
+ */
+const fillTemplate = (text, context) => text.replace(PLACEHOLDER_PATTERN, (match, key) => {
+  const resolve = PLACEHOLDERS[key];
+  if (!resolve) return match;
+  const value = resolve(context);
+  return value === undefined || value === null || value === '' ? '-' : `${value}`;
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const computeContentHash = (title, content) => sha256(`${title}\n\n${content}`);
+
+/**
+ * Hash binding the accepted content to who accepted it, when and from where
+ */
+const computeAcceptanceHash = ({ agreementId, contentHash, tenantId, mobile, acceptedAt, ip }) =>
+  sha256([agreementId, contentHash, tenantId, mobile, new Date(acceptedAt).toISOString(), ip || ''].join('|'));
+
+/**
+ * Pick the template for an accommodation
+ * An explicit templateId wins, then the landlord's default for the property, then their
+ * general default, then the built-in template.
+ */
+const resolveTemplate = async (landlordId, propertyId, templateId) => {
+  if (templateId && templateId !== DEFAULT_TEMPLATE.templateId) {
+    return AgreementTemplate.findOne({ templateId, landlordId, isActive: true });
+  }
+  if (templateId === DEFAULT_TEMPLATE.templateId) {
+    return DEFAULT_TEMPLATE;
+  }
+
+  const defaults = await AgreementTemplate.find({ landlordId, isActive: true, isDefault: true });
+  return defaults.find(t => t.propertyIds.some(id => id.toString() === propertyId.toString())) ||
+    defaults.find(t => t.propertyIds.length === 0) ||
+    DEFAULT_TEMPLATE;
+};
+
+/**
+ * Load everything the placeholders and PDF need for an accommodation
+ */
+const loadAgreementContext = async (tenant, accommodation) => {
+  const [landlord, property] = await Promise.all([
+    Landlord.findById(accommodation.landlordId).select('name mobile email address state pinCode'),
+    Property.findById(accommodation.propertyId).select('name address city state pinCode rooms')
+  ]);
+  if (!landlord || !property) return null;
+
+  const room = property.rooms.find(r => r.roomId === accommodation.roomId);
+  const bed = room && accommodation.bedId ? room.beds.find(b => b.bedId === accommodation.bedId) : null;
+  return { landlord, property, room, bed, tenant, accommodation };
+};
+
+/**
+ * Render the agreement PDF, with the acceptance record when it has been accepted
+ */
+const renderAgreement = (context, agreement) => {
+  const { landlord, property, room, bed, tenant, accommodation } = context;
+  return renderAgreementPdf({
+    title: agreement.title,
+    number: agreement.agreementId,
+    content: agreement.content,
+    contentHash: agreement.contentHash,
+    parties: [
+      { heading: 'Landlord', lines: [landlord.name, joinAddress(landlord.address, landlord.state, landlord.pinCode), landlord.mobile] },
+      { heading: 'Tenant', lines: [tenant.name, tenant.permanentAddress, tenant.mobile] },
+      {
+        heading: 'Premises',
+        lines: [
+          property.name,
+          joinAddress(property.address, property.city, property.state, property.pinCode),
+          [room ? `Room ${room.name || room.roomId}` : `Room ${accommodation.roomId}`, bed ? `Bed ${bed.name || bed.bedId}` : null]
+            .filter(Boolean).join(', ')
+        ]
+      }
+    ],
+    acceptance: agreement.acceptance && agreement.acceptance.acceptedAt ? agreement.acceptance : null
+  });
+};
+
+/**
+ * Find the accommodation an agreement belongs to
+ */
+const findAgreement = async (agreementId, filter = {}) => {
+  const tenant = await Tenant.findOne({ ...filter, 'accommodations.agreement.agreementId': agreementId });
+  if (!tenant) return {};
+
+  const accommodation = tenant.accommodations.find(acc =>
+    acc.agreement && acc.agreement.agreementId === agreementId
+  );
+  return { tenant, accommodation };
+};
+
+/**
+ * Check that a stored agreement has not been changed since it was generated or accepted
+ * @returns {Object} - { contentIntact, acceptanceIntact } (acceptanceIntact is null until accepted)
+ */
+const verifyAgreementIntegrity = (tenant, agreement) => {
+  const contentIntact = computeContentHash(agreement.title, agreement.content) === agreement.contentHash;
+  if (!agreement.acceptance || !agreement.acceptance.acceptedAt) {
+    return { contentIntact, acceptanceIntact: null };
+  }
+
+  const acceptanceIntact = computeAcceptanceHash({
+    agreementId: agreement.agreementId,
+    contentHash: agreement.contentHash,
+    tenantId: tenant.tenantId,
+    mobile: agreement.acceptance.mobile,
+    acceptedAt: agreement.acceptance.acceptedAt,
+    ip: agreement.acceptance.ip
+  }) === agreement.acceptance.hash;
+  return { contentIntact: contentIntact && acceptanceIntact, acceptanceIntact };
+};
+
+/**
+ * Generate (or regenerate) the agreement of an accommodation
+ * Accepted agreements are final and cannot be regenerated.
+ * @param {Object} options - { templateId, generatedBy }
+ * @returns {Promise<Object>} - { agreement } or { statusCode, error }
+ */
+const generateAgreement = async (tenant, accommodation, { templateId, generatedBy } = {}) => {
+  if (accommodation.agreement && accommodation.agreement.status === 'Accepted') {
+    return { statusCode: 409, error: 'The tenant has already accepted the agreement for this accommodation' };
+  }
+
+  const template = await resolveTemplate(accommodation.landlordId, accommodation.propertyId, templateId);
+  if (!template) {
+    return { statusCode: 404, error: 'Agreement template not found' };
+  }
+
+  const context = await loadAgreementContext(tenant, accommodation);
+  if (!context) {
+    return { statusCode: 404, error: 'Landlord or property for this accommodation no longer exists' };
+  }
+
+  const now = new Date();
+  const agreementId = `AGR-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  context.agreement = { agreementId, date: now };
+
+  const title = fillTemplate(template.title || DEFAULT_TEMPLATE.title, context);
+  const content = fillTemplate(template.body, context);
+  const agreement = {
+    agreementId,
+    status: 'Pending Acceptance',
+    templateId: template.templateId,
+    templateVersion: template.version,
+    title,
+    content,
+    contentHash: computeContentHash(title, content),
+    generatedAt: now,
+    generatedBy
+  };
+
+  const buffer = await renderAgreement(context, agreement);
+  const stored = await storeDocument(buffer, `documents/agreements/${accommodation.landlordId}`, `${agreementId}.pdf`);
+  agreement.documentUrl = stored.url;
+  agreement.documentKey = stored.key;
+
+  // Do not overwrite an agreement the tenant accepted in the meantime
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      accommodations: {
+        $elemMatch: { localTenantId: accommodation.localTenantId, 'agreement.status': { $ne: 'Accepted' } }
+      }
+    },
+    { $set: { 'accommodations.$[acc].agreement': agreement } },
+    { arrayFilters: [{ 'acc.localTenantId': accommodation.localTenantId }] }
+  );
+  if (!result.modifiedCount) {
+    return { statusCode: 409, error: 'The tenant has already accepted the agreement for this accommodation' };
+  }
+
+  await notifyUser({
+    userId: tenant.tenantId,
+    type: 'rental_agreement',
+    title: 'Rental agreement ready',
+    message: `Your rental agreement for ${accommodation.propertyName || context.property.name} is ready. Review it and accept it with an OTP in the app.`,
+    data: { agreementId },
+    mobile: tenant.mobile,
+    email: tenant.email
+  });
+
+  return { agreement };
+};
+
+/**
+ * Send the tenant an OTP to accept an agreement
+ * @returns {Promise<Object>} - { mobile } (masked) or { statusCode, error }
+ */
+const requestAcceptanceOtp = async (tenantId, agreementId) => {
+  const { tenant, accommodation } = await findAgreement(agreementId, { tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Agreement not found' };
+  }
+  const { agreement } = accommodation;
+  if (agreement.status !== 'Pending Acceptance') {
+    return { statusCode: 409, error: 'This agreement has already been accepted' };
+  }
+  if (agreement.otpRequestedAt && moment().diff(agreement.otpRequestedAt, 'seconds') < OTP_RESEND_SECONDS) {
+    return { statusCode: 429, error: `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another OTP` };
+  }
+
+  const otp = generateOtp();
+  const saved = await saveOtp(tenant.mobile, otp, OTP_PURPOSE);
+  const sent = saved && await sendOtp(tenant.mobile, otp);
+  if (!sent) {
+    return { statusCode: 502, error: 'Could not send the OTP, please try again' };
+  }
+
+  await Tenant.updateOne(
+    { _id: tenant._id },
+    { $set: { 'accommodations.$[acc].agreement.otpRequestedAt': new Date() } },
+    { arrayFilters: [{ 'acc.agreement.agreementId': agreementId }] }
+  );
+
+  return { mobile: `XXXXXX${tenant.mobile.slice(-4)}` };
+};
+
+/**
+ * Accept an agreement with the OTP sent to the tenant's mobile
+ * @param {Object} input - { otp, ip, userAgent }
+ * @returns {Promise<Object>} - { agreement } or { statusCode, error }
+ */
+const acceptAgreement = async (tenantId, agreementId, { otp, ip, userAgent }) => {
+  if (!otp) {
+    return { statusCode: 400, error: 'OTP is required' };
+  }
+
+  const { tenant, accommodation } = await findAgreement(agreementId, { tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Agreement not found' };
+  }
+  const agreement = accommodation.agreement.toObject();
+  if (agreement.status !== 'Pending Acceptance') {
+    return { statusCode: 409, error: 'This agreement has already been accepted' };
+  }
+  if (!verifyAgreementIntegrity(tenant, agreement).contentIntact) {
+    return { statusCode: 409, error: 'The agreement text does not match its record, please ask your landlord to regenerate it' };
+  }
+
+  const verified = await verifyOtp(tenant.mobile, `${otp}`, OTP_PURPOSE);
+  if (!verified) {
+    return { statusCode: 400, error: 'Invalid or expired OTP' };
+  }
+
+  const acceptedAt = new Date();
+  const acceptance = {
+    acceptedAt,
+    ip,
+    userAgent,
+    mobile: tenant.mobile,
+    hash: computeAcceptanceHash({
+      agreementId,
+      contentHash: agreement.contentHash,
+      tenantId: tenant.tenantId,
+      mobile: tenant.mobile,
+      acceptedAt,
+      ip
+    })
+  };
+
+  const context = await loadAgreementContext(tenant, accommodation);
+  if (context) {
+    const buffer = await renderAgreement(context, { ...agreement, acceptance });
+    const stored = await storeDocument(buffer, `documents/agreements/${accommodation.landlordId}`, `${agreementId}-accepted.pdf`);
+    acceptance.documentUrl = stored.url;
+    acceptance.documentKey = stored.key;
+  }
+
+  // Only the exact text the tenant saw can be accepted
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      accommodations: {
+        $elemMatch: {
+          'agreement.agreementId': agreementId,
+          'agreement.status': 'Pending Acceptance',
+          'agreement.contentHash': agreement.contentHash
+        }
+      }
+    },
+    {
+      $set: {
+        'accommodations.$[acc].agreement.status': 'Accepted',
+        'accommodations.$[acc].agreement.acceptance': acceptance
+      }
+    },
+    { arrayFilters: [{ 'acc.agreement.agreementId': agreementId }] }
+  );
+  if (!result.modifiedCount) {
+    return { statusCode: 409, error: 'The agreement was changed or already accepted, please refresh' };
+  }
+
+  const landlord = await Landlord.findById(accommodation.landlordId).select('mobile email');
+  if (landlord) {
+    await notifyUser({
+      userId: landlord._id,
+      type: 'rental_agreement_accepted',
+      title: 'Rental agreement accepted',
+      message: `${tenant.name} accepted the rental agreement for ${accommodation.propertyName || 'your property'}.`,
+      data: { agreementId, tenantId: tenant.tenantId },
+      email: landlord.email
+    });
+  }
+
+  return { agreement: { ...agreement, status: 'Accepted', acceptance } };
+};
+
+/**
+ * Stored PDF of an agreement, the accepted copy once there is one
+ * @returns {Object} - { number, url, key }
+ */
+const getAgreementDocument = (agreement) => {
+  const accepted = agreement.acceptance && agreement.acceptance.documentUrl;
+  return {
+    number: agreement.agreementId,
+    url: accepted ? agreement.acceptance.documentUrl : agreement.documentUrl,
+    key: accepted ? agreement.acceptance.documentKey : agreement.documentKey
+  };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  findUnknownPlaceholders,
+  fillTemplate,
+  computeContentHash,
+  computeAcceptanceHash,
+  verifyAgreementIntegrity,
+  findAgreement,
+  generateAgreement,
+  requestAcceptanceOtp,
+  acceptAgreement,
+  getAgreementDocument
+};
@@ -0,0 +1,156 @@
+/**
+ * Bed Occupancy Service
+ * Keeps property rooms/beds in step with tenant move-ins and move-outs. A tenant assigned from a
+ * later date holds the bed on its reservation calendar only; they are put on the bed, and the
+ * bed marked Not Available, by the occupancy start job once the move-in date arrives.
+ */
+const Property = require('../models/Property');
+const Tenant = require('../models/Tenant');
+const { releaseOccupancyOnBed } = require('./bedReservationService');
+const { notifyWaitlist } = require('./waitlistService');
+const { scheduleJob } = require('./jobScheduler');
+
+const OCCUPANCY_START_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Free a bed (or room place) a tenant is leaving
+ * Removes the tenant from the bed, ends their stay on its reservation calendar and lowers the
+ * property's occupied count. The bed is marked Available unless a tenant moving in later is already on it,
+ * and is offered to the property's waitlist.
+ * @param {Object} options - { propertyId, roomId, bedId, tenantId }
+ * @returns {Promise<Boolean>} - true if the property was updated
+ */
+const releaseBed = async ({ propertyId, roomId, bedId, tenantId }) => {
+  const property = await Property.findById(propertyId);
+  if (!property) return false;
+
+  const room = property.rooms.find(r => r.roomId === roomId);
+  if (!room) return false;
+
+  // A tenant whose move-in date had not arrived was never counted as occupying the place
+  let wasOccupying = false;
+  if (bedId) {
+    const bed = room.beds.find(b => b.bedId === bedId);
+    if (bed) {
+      wasOccupying = bed.tenants.some(t => t.tenantId === tenantId);
+      bed.tenants = bed.tenants.filter(t => t.tenantId !== tenantId);
+      bed.availableFrom = undefined;
+      releaseOccupancyOnBed(bed, tenantId, 'Moved out');
+      if (bed.tenants.length === 0) bed.status = 'Available';
+    }
+  } else {
+    wasOccupying = room.tenants.some(t => t.tenantId === tenantId);
+    room.tenants = room.tenants.filter(t => t.tenantId !== tenantId);
+  }
+
+  if (wasOccupying && property.occupiedSpace && property.occupiedSpace > 0) {
+    property.occupiedSpace -= 1;
+  }
+
+  await property.save();
+  await notifyWaitlist(propertyId, { roomId, bedId });
+  return true;
+};
+
+/**
+ * Put a tenant whose stay has begun on the bed
+ * Only applies while the reservation is still active and the tenant is not on the bed yet, so
+ * a run that overlaps another, or a move-out in between, does nothing.
+ * @returns {Promise<Boolean>} - true if the bed was updated
+ */
+const startOccupancy = async (property, roomId, bedId, reservation) => {
+  const tenant = await Tenant.findOne({
+    tenantId: reservation.tenantId,
+    accommodations: { $elemMatch: { propertyId: property._id, roomId, bedId, isActive: true } }
+  }).select('tenantId name email aadhaar mobile');
+  if (!tenant) return false;
+
+  const result = await Property.updateOne(
+    {
+      _id: property._id,
+      rooms: {
+        $elemMatch: {
+          roomId,
+          beds: {
+            $elemMatch: {
+              bedId,
+              'tenants.tenantId': { $ne: tenant.tenantId },
+              reservations: { $elemMatch: { reservationId: reservation.reservationId, status: 'Active' } }
+            }
+          }
+        }
+      }
+    },
+    {
+      $push: {
+        'rooms.$[room].beds.$[bed].tenants': {
+          tenantId: tenant.tenantId,
+          name: tenant.name,
+          email: tenant.email,
+          aadhaar: tenant.aadhaar,
+          mobile: tenant.mobile,
+          roomId,
+          bedId,
+          landlordId: property.landlordId,
+          moveInDate: reservation.startDate
+        }
+      },
+      $set: { 'rooms.$[room].beds.$[bed].status': 'Not Available' },
+      $inc: { occupiedSpace: 1 }
+    },
+    { arrayFilters: [{ 'room.roomId': roomId }, { 'bed.bedId': bedId }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Put tenants on their beds once the move-in date of their Occupancy reservation has arrived
+ * @returns {Promise<Object>} - { bedsStarted }
+ */
+const startDueOccupancies = async (now = new Date()) => {
+  const isDue = r => r.type === 'Occupancy' && r.status === 'Active' && r.startDate <= now &&
+    (!r.endDate || r.endDate > now);
+  const properties = await Property.find({
+    'rooms.beds.reservations': {
+      $elemMatch: {
+        type: 'Occupancy',
+        status: 'Active',
+        startDate: { $lte: now },
+        $or: [{ endDate: null }, { endDate: { $gt: now } }]
+      }
+    }
+  }).select('landlordId rooms.roomId rooms.beds.bedId rooms.beds.tenants.tenantId rooms.beds.reservations');
+
+  let bedsStarted = 0;
+  for (const property of properties) {
+    for (const room of property.rooms) {
+      for (const bed of room.beds) {
+        const onBed = bed.tenants.map(t => t.tenantId);
+        const starting = (bed.reservations || []).filter(r => isDue(r) && !onBed.includes(r.tenantId));
+        for (const reservation of starting) {
+          try {
+            if (await startOccupancy(property, room.roomId, bed.bedId, reservation)) bedsStarted += 1;
+          } catch (error) {
+            console.error(`Error starting occupancy ${reservation.reservationId}:`, error);
+          }
+        }
+      }
+    }
+  }
+
+  return { bedsStarted };
+};
+
+const setupOccupancyStartScheduler = () => {
+  scheduleJob('occupancy-start', OCCUPANCY_START_INTERVAL_MS, async () => {
+    const summary = await startDueOccupancies();
+    console.log(`Occupancy start: ${summary.bedsStarted} tenants moved onto their beds`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  releaseBed,
+  startDueOccupancies,
+  setupOccupancyStartScheduler
+};
@@ -0,0 +1,526 @@
+/**
+ * Bed Reservation Service
+ * Keeps a calendar of date ranges on each bed: Occupancy for tenants staying on it and Hold for
+ * booking requests. A range is claimed with a single guarded update that only matches while no
+ * active range on the bed overlaps it, so two requests can never take the same dates.
+ * Beds occupied before the calendar existed are read from bed.tenants and written to the
+ * calendar the first time the bed is reserved or its occupant's move-out date is set.
+ * A hold with expiresAt is a soft hold and stops counting once that time has passed, even
+ * before the expiry job has released it.
+ */
+const moment = require('moment');
+const Property = require('../models/Property');
+
+const RESERVATION_TYPES = ['Occupancy', 'Hold'];
+// Beds the landlord has taken out of use cannot be reserved for any dates
+const BLOCKED_BED_STATUSES = ['Maintenance', 'Unavailable'];
+
+const bedArrayFilters = (roomId, bedId) => [{ 'room.roomId': roomId }, { 'bed.bedId': bedId }];
+const RESERVATIONS_PATH = 'rooms.$[room].beds.$[bed].reservations';
+
+/**
+ * Date range of a stay; endDate is exclusive and null when the stay is open-ended
+ * @param {Object} input - { moveInDate, duration (months), moveOutDate }
+ * @returns {Object} - { startDate, endDate } or { statusCode, error }
+ */
+const getStayRange = ({ moveInDate, duration, moveOutDate } = {}) => {
+  const start = moment(moveInDate || new Date()).startOf('day');
+  if (!start.isValid()) {
+    return { statusCode: 400, error: 'moveInDate is not a valid date' };
+  }
+
+  let end = null;
+  if (moveOutDate) {
+    end = moment(moveOutDate).startOf('day');
+    if (!end.isValid() || !end.isAfter(start)) {
+      return { statusCode: 400, error: 'moveOutDate must be after moveInDate' };
+    }
+  } else if (duration !== undefined && duration !== null && duration !== '') {
+    const months = Number(duration);
+    if (!Number.isInteger(months) || months < 1) {
+      return { statusCode: 400, error: 'duration must be a whole number of months' };
+    }
+    end = start.clone().add(months, 'months');
+  }
+
+  return { startDate: start.toDate(), endDate: end ? end.toDate() : null };
+};
+
+/**
+ * Whether two ranges share at least one day
+ */
+const rangesOverlap = (a, b) =>
+  (!b.endDate || a.startDate < b.endDate) && (!a.endDate || b.startDate < a.endDate);
+
+/**
+ * Calendar entry for an occupant recorded on the bed before the calendar existed
+ */
+const legacyOccupancy = (bed, occupant) => ({
+  reservationId: `RES-${Math.random().toString(36).substr(2, 9)}`,
+  type: 'Occupancy',
+  status: 'Active',
+  startDate: moment(occupant.moveInDate || occupant.joinDate || 0).startOf('day').toDate(),
+  endDate: bed.availableFrom || null,
+  tenantId: occupant.tenantId,
+  note: 'Recorded from the existing bed occupant',
+  createdAt: new Date()
+});
+
+const hasActiveOccupancy = (bed, tenantId) => (bed.reservations || []).some(r =>
+  r.type === 'Occupancy' && r.status === 'Active' && r.tenantId === tenantId
+);
+
+const isLive = (reservation, now = new Date()) =>
+  reservation.status === 'Active' && (!reservation.expiresAt || reservation.expiresAt > now);
+
+/**
+ * Active ranges on a bed, including occupants not yet written to its calendar
+ * @param {Object} bed - Bed subdocument or plain object
+ * @returns {Array} - Ranges sorted by startDate
+ */
+const getBedCalendar = (bed) => {
+  const now = new Date();
+  const ranges = (bed.reservations || [])
+    .filter(r => isLive(r, now))
+    .map(r => (typeof r.toObject === 'function' ? r.toObject() : { ...r }));
+
+  (bed.tenants || []).forEach(occupant => {
+    if (!hasActiveOccupancy(bed, occupant.tenantId)) {
+      ranges.push(legacyOccupancy(bed, occupant));
+    }
+  });
+
+  return ranges.sort((a, b) => a.startDate - b.startDate);
+};
+
+/**
+ * Earliest date from the requested start when the bed is free for the whole stay
+ * @returns {Date|null} - null when an open-ended range blocks the bed
+ */
+const findNextFreeDate = (calendar, { startDate, endDate }) => {
+  const length = endDate ? endDate - startDate : null;
+  let candidate = startDate;
+
+  for (const range of calendar) {
+    const window = { startDate: candidate, endDate: length === null ? null : new Date(candidate.getTime() + length) };
+    if (rangesOverlap(window, range)) {
+      if (!range.endDate) return null;
+      if (range.endDate > candidate) candidate = range.endDate;
+    }
+  }
+
+  return candidate;
+};
+
+/**
+ * Check whether a bed is free for a stay
+ * @param {Object} bed - Bed subdocument
+ * @param {Object} range - { startDate, endDate }
+ * @param {Object} options - { ignoreHoldsOf } tenant whose own holds do not count
+ * @returns {Object} - { isAvailable, message, conflicts, nextAvailableFrom }
+ */
+const checkBedAvailability = (bed, range, { ignoreHoldsOf } = {}) => {
+  if (BLOCKED_BED_STATUSES.includes(bed.status)) {
+    return { isAvailable: false, message: `Bed is marked ${bed.status}`, conflicts: [], nextAvailableFrom: null };
+  }
+
+  const calendar = getBedCalendar(bed).filter(r =>
+    !(ignoreHoldsOf && r.type === 'Hold' && r.tenantId === ignoreHoldsOf)
+  );
+  const conflicts = calendar.filter(r => rangesOverlap(range, r));
+  if (conflicts.length === 0) {
+    return { isAvailable: true, conflicts: [], nextAvailableFrom: range.startDate };
+  }
+
+  return {
+    isAvailable: false,
+    message: 'Bed is already booked for some of these dates',
+    conflicts,
+    nextAvailableFrom: findNextFreeDate(calendar, range)
+  };
+};
+
+/**
+ * Availability of every bed in a property for a stay
+ * @param {Object} property - Property document with rooms and beds
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Object} - { availableBeds, totalBeds, rooms: [{ roomId, availableBeds, beds: [...] }] }
+ */
+const getPropertyAvailability = (property, range) => {
+  let availableBeds = 0;
+  let totalBeds = 0;
+
+  const rooms = (property.rooms || []).map(room => {
+    const beds = (room.beds || []).map(bed => {
+      const check = checkBedAvailability(bed, range);
+      return { bed, ...check };
+    });
+    const roomAvailable = beds.filter(b => b.isAvailable).length;
+    availableBeds += roomAvailable;
+    totalBeds += beds.length;
+
+    return { room, availableBeds: roomAvailable, totalBeds: beds.length, beds };
+  });
+
+  return { availableBeds, totalBeds, rooms };
+};
+
+/**
+ * Find a bed of a property
+ * @returns {Promise<Object|null>} - Bed subdocument
+ */
+const findBed = async (propertyId, roomId, bedId) => {
+  const property = await Property.findById(propertyId).select('rooms.roomId rooms.beds');
+  const room = property && property.rooms.find(r => r.roomId === roomId);
+  return room ? room.beds.find(b => b.bedId === bedId) || null : null;
+};
+
+/**
+ * Write occupants recorded only in bed.tenants to the bed's calendar
+ * Each push is guarded so concurrent callers add an occupant once.
+ */
+const syncLegacyOccupancy = async (propertyId, roomId, bed) => {
+  for (const occupant of bed.tenants || []) {
+    if (hasActiveOccupancy(bed, occupant.tenantId)) continue;
+
+    await Property.updateOne(
+      {
+        _id: propertyId,
+        rooms: {
+          $elemMatch: {
+            roomId,
+            beds: {
+              $elemMatch: {
+                bedId: bed.bedId,
+                'tenants.tenantId': occupant.tenantId,
+                reservations: { $not: { $elemMatch: { type: 'Occupancy', status: 'Active', tenantId: occupant.tenantId } } }
+              }
+            }
+          }
+        }
+      },
+      { $push: { [RESERVATIONS_PATH]: legacyOccupancy(bed, occupant) } },
+      { arrayFilters: bedArrayFilters(roomId, bed.bedId) }
+    );
+  }
+};
+
+/**
+ * Query matching active reservations that overlap a range
+ */
+const overlapCondition = ({ startDate, endDate }, excluded) => {
+  const condition = {
+    status: 'Active',
+    $and: [
+      { $or: [{ endDate: null }, { endDate: { $gt: startDate } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }
+    ]
+  };
+  if (endDate) condition.startDate = { $lt: endDate };
+  if (excluded && excluded.length > 0) condition.$nor = excluded;
+  return condition;
+};
+
+/**
+ * Claim a date range on a bed
+ * The reservation is only written when no active range overlaps it at the moment of the update.
+ * @param {Object} input - { propertyId, roomId, bedId, type, startDate, endDate, tenantId,
+ *   localTenantId, bookingRequestId, expiresAt, note, createdBy, ignoreHoldsOf }
+ * @returns {Promise<Object>} - { reservation } or { statusCode, error, conflicts, nextAvailableFrom }
+ */
+const reserveBed = async ({
+  propertyId, roomId, bedId, type, startDate, endDate = null,
+  tenantId, localTenantId, bookingRequestId, expiresAt, note, createdBy, ignoreHoldsOf
+}) => {
+  if (!RESERVATION_TYPES.includes(type)) {
+    return { statusCode: 400, error: `type must be one of: ${RESERVATION_TYPES.join(', ')}` };
+  }
+
+  const bed = await findBed(propertyId, roomId, bedId);
+  if (!bed) {
+    return { statusCode: 404, error: 'Bed not found' };
+  }
+  if (BLOCKED_BED_STATUSES.includes(bed.status)) {
+    return { statusCode: 400, error: `Bed is marked ${bed.status}` };
+  }
+  await syncLegacyOccupancy(propertyId, roomId, bed);
+
+  const range = { startDate, endDate };
+  const reservation = {
+    reservationId: `RES-${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    status: 'Active',
+    startDate,
+    endDate,
+    tenantId,
+    localTenantId,
+    bookingRequestId,
+    expiresAt,
+    note,
+    createdBy: createdBy ? createdBy.toString() : undefined,
+    createdAt: new Date()
+  };
+
+  const result = await Property.updateOne(
+    {
+      _id: propertyId,
+      rooms: {
+        $elemMatch: {
+          roomId,
+          beds: {
+            $elemMatch: {
+              bedId,
+              status: { $nin: BLOCKED_BED_STATUSES },
+              reservations: {
+                $not: { $elemMatch: overlapCondition(range, ignoreHoldsOf ? [{ type: 'Hold', tenantId: ignoreHoldsOf }] : []) }
+              }
+            }
+          }
+        }
+      }
+    },
+    { $push: { [RESERVATIONS_PATH]: reservation } },
+    { arrayFilters: bedArrayFilters(roomId, bedId) }
+  );
+
+  if (result.modifiedCount === 0) {
+    const current = await findBed(propertyId, roomId, bedId);
+    const check = current ? checkBedAvailability(current, range, { ignoreHoldsOf }) : {};
+    return {
+      statusCode: 409,
+      error: check.message || 'Bed was just reserved for these dates, please pick other dates',
+      conflicts: check.conflicts || [],
+      nextAvailableFrom: check.nextAvailableFrom || null
+    };
+  }
+
+  return { reservation };
+};
+
+/**
+ * Release active reservations of a bed matching the given fields
+ * @param {Object} input - { propertyId, roomId, bedId, reason, reservationId, bookingRequestId, tenantId, type }
+ * @returns {Promise<Boolean>} - true if a reservation was released
+ */
+const releaseReservations = async ({ propertyId, roomId, bedId, reason, ...match }) => {
+  const reservationFilter = { 'res.status': 'Active' };
+  ['reservationId', 'bookingRequestId', 'tenantId', 'type'].forEach(key => {
+    if (match[key] !== undefined) reservationFilter[`res.${key}`] = match[key];
+  });
+
+  const result = await Property.updateOne(
+    { _id: propertyId },
+    {
+      $set: {
+        [`${RESERVATIONS_PATH}.$[res].status`]: 'Released',
+        [`${RESERVATIONS_PATH}.$[res].releasedAt`]: new Date(),
+        [`${RESERVATIONS_PATH}.$[res].releaseReason`]: reason
+      }
+    },
+    { arrayFilters: [...bedArrayFilters(roomId, bedId), reservationFilter] }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Make a soft hold firm by dropping its expiry, while it is still live
+ * @param {Object} input - { propertyId, roomId, bedId, reservationId }
+ * @returns {Promise<Boolean>} - false when the hold has expired or was released
+ */
+const confirmReservation = async ({ propertyId, roomId, bedId, reservationId }) => {
+  const result = await Property.updateOne(
+    { _id: propertyId },
+    { $unset: { [`${RESERVATIONS_PATH}.$[res].expiresAt`]: '' } },
+    {
+      arrayFilters: [
+        ...bedArrayFilters(roomId, bedId),
+        { 'res.reservationId': reservationId, 'res.status': 'Active', 'res.expiresAt': { $gt: new Date() } }
+      ]
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Release soft holds whose time ran out, on every bed
+ * @returns {Promise<Number>} - Properties updated
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  const expired = { type: 'Hold', status: 'Active', expiresAt: { $lte: now } };
+  const result = await Property.updateMany(
+    { 'rooms.beds.reservations': { $elemMatch: expired } },
+    {
+      $set: {
+        'rooms.$[].beds.$[].reservations.$[res].status': 'Released',
+        'rooms.$[].beds.$[].reservations.$[res].releasedAt': now,
+        'rooms.$[].beds.$[].reservations.$[res].releaseReason': 'Hold expired'
+      }
+    },
+    { arrayFilters: [{ 'res.type': 'Hold', 'res.status': 'Active', 'res.expiresAt': { $lte: now } }] }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Set or clear the end of a tenant's occupancy of a bed
+ * Moving the end later is refused when another reservation already starts in between.
+ * @param {Object} input - { propertyId, roomId, bedId, tenantId, endDate }
+ * @returns {Promise<Object>} - { updated } or { statusCode, error, conflicts }
+ */
+const setOccupancyEnd = async ({ propertyId, roomId, bedId, tenantId, endDate = null }) => {
+  const bed = await findBed(propertyId, roomId, bedId);
+  if (!bed) return { updated: false };
+  await syncLegacyOccupancy(propertyId, roomId, bed);
+
+  const range = { startDate: moment().startOf('day').toDate(), endDate };
+  const result = await Property.updateOne(
+    {
+      _id: propertyId,
+      rooms: {
+        $elemMatch: {
+          roomId,
+          beds: {
+            $elemMatch: {
+              bedId,
+              reservations: { $not: { $elemMatch: overlapCondition(range, [{ tenantId }]) } }
+            }
+          }
+        }
+      }
+    },
+    { $set: { [`${RESERVATIONS_PATH}.$[res].endDate`]: endDate } },
+    {
+      arrayFilters: [
+        ...bedArrayFilters(roomId, bedId),
+        { 'res.type': 'Occupancy', 'res.status': 'Active', 'res.tenantId': tenantId }
+      ]
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    const current = await findBed(propertyId, roomId, bedId);
+    const conflicts = current
+      ? getBedCalendar(current).filter(r => r.tenantId !== tenantId && rangesOverlap(range, r))
+      : [];
+    return { statusCode: 409, error: 'The bed is already booked by someone else from a later date', conflicts };
+  }
+
+  return { updated: result.modifiedCount > 0 };
+};
+
+/**
+ * Show a held bed as Reserved while it is otherwise Available
+ */
+const markBedReserved = async (propertyId, roomId, bedId) => {
+  await Property.updateOne(
+    { _id: propertyId },
+    { $set: { 'rooms.$[room].beds.$[bed].status': 'Reserved' } },
+    { arrayFilters: [{ 'room.roomId': roomId }, { 'bed.bedId': bedId, 'bed.status': 'Available' }] }
+  );
+};
+
+/**
+ * Put a Reserved bed back to Available once no live hold or occupant is left on it
+ * @returns {Promise<Boolean>} - true if the bed was changed
+ */
+const clearBedReserved = async (propertyId, roomId, bedId) => {
+  const bed = await findBed(propertyId, roomId, bedId);
+  if (!bed || bed.status !== 'Reserved' || bed.tenants.length > 0) return false;
+  if ((bed.reservations || []).some(r => r.type === 'Hold' && isLive(r))) return false;
+
+  const result = await Property.updateOne(
+    { _id: propertyId },
+    { $set: { 'rooms.$[room].beds.$[bed].status': 'Available' } },
+    {
+      arrayFilters: [
+        { 'room.roomId': roomId },
+        {
+          'bed.bedId': bedId,
+          'bed.status': 'Reserved',
+          'bed.tenants.0': { $exists: false },
+          'bed.reservations': {
+            $not: { $elemMatch: { type: 'Hold', status: 'Active', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] } }
+          }
+        }
+      ]
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark a leaving tenant's occupancy of a bed document as released
+ * Used by callers that already hold the property document and save it themselves.
+ * @param {Object} bed - Bed subdocument
+ * @param {String} tenantId
+ * @param {String} reason
+ */
+const releaseOccupancyOnBed = (bed, tenantId, reason) => {
+  const now = new Date();
+  (bed.reservations || []).forEach(reservation => {
+    if (reservation.type !== 'Occupancy' || reservation.status !== 'Active' || reservation.tenantId !== tenantId) return;
+    if (!reservation.endDate || reservation.endDate > now) reservation.endDate = now;
+    reservation.status = 'Released';
+    reservation.releasedAt = now;
+    reservation.releaseReason = reason;
+  });
+};
+
+/**
+ * Start a tenant's occupancy of a bed document, taking over their own holds on it
+ * The bed must have been checked with checkBedAvailability (ignoring the tenant's holds) on the
+ * same document; used inside transactions, where the caller saves the property itself.
+ * @param {Object} bed - Bed subdocument
+ * @param {Object} input - { tenantId, localTenantId, startDate, endDate, bookingRequestId, createdBy }
+ * @returns {Object} - The new Occupancy reservation
+ */
+const addOccupancyOnBed = (bed, { tenantId, localTenantId, startDate, endDate = null, bookingRequestId, createdBy }) => {
+  const now = new Date();
+  if (!bed.reservations) bed.reservations = [];
+
+  // Occupants from before the calendar keep their dates
+  (bed.tenants || []).forEach(occupant => {
+    if (!hasActiveOccupancy(bed, occupant.tenantId)) bed.reservations.push(legacyOccupancy(bed, occupant));
+  });
+
+  bed.reservations.forEach(reservation => {
+    if (reservation.type !== 'Hold' || reservation.status !== 'Active' || reservation.tenantId !== tenantId) return;
+    reservation.status = 'Released';
+    reservation.releasedAt = now;
+    reservation.releaseReason = 'Moved in';
+  });
+
+  const reservation = {
+    reservationId: `RES-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'Occupancy',
+    status: 'Active',
+    startDate,
+    endDate,
+    tenantId,
+    localTenantId,
+    bookingRequestId,
+    createdBy: createdBy ? createdBy.toString() : undefined,
+    createdAt: now
+  };
+  bed.reservations.push(reservation);
+  return reservation;
+};
+
+module.exports = {
+  RESERVATION_TYPES,
+  BLOCKED_BED_STATUSES,
+  getStayRange,
+  rangesOverlap,
+  getBedCalendar,
+  checkBedAvailability,
+  getPropertyAvailability,
+  reserveBed,
+  releaseReservations,
+  confirmReservation,
+  releaseExpiredHolds,
+  setOccupancyEnd,
+  markBedReserved,
+  clearBedReserved,
+  addOccupancyOnBed,
+  releaseOccupancyOnBed
+};
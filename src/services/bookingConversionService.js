@@ -0,0 +1,271 @@
+/**
+ * Booking Conversion Service
+ * Turns a booking request into a stay in one MongoDB transaction: the request is approved (or was
+ * already approved with a hold on the bed, which the stay replaces), the accommodation is added to the tenant, the tenant is put on the bed (or room)
+ * with its calendar, the property's occupancy counters are updated and the first Rent and
+ * Security Deposit bills are raised. Either all of it is saved or none of it.
+ * A booking token already paid is tenant credit and is applied to the new bills afterwards.
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const { setCache } = require('../utils/redis');
+const { notifyUser } = require('./userNotificationService');
+const { applyCreditToNewBills } = require('./paymentLedgerService');
+const { buildRentBill } = require('./rentBillingService');
+const { getStayRange, checkBedAvailability, addOccupancyOnBed, BLOCKED_BED_STATUSES } = require('./bedReservationService');
+const { validateRoomCapacity } = require('../utils/bedValidation');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Thrown inside the transaction to abort it with a client error
+class ConversionError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Security Deposit bill due on the move-in date
+ */
+const buildDepositBill = (accommodation, amount) => {
+  const due = moment(accommodation.moveInDate).startOf('day');
+  return {
+    landlordId: accommodation.landlordId,
+    propertyId: accommodation.propertyId,
+    propertyName: accommodation.propertyName,
+    roomId: accommodation.roomId,
+    bedId: accommodation.bedId,
+    type: 'Security Deposit',
+    billNumber: `SD-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+    month: due.format('MMMM'),
+    year: due.format('YYYY'),
+    amount,
+    dueDate: due.toDate(),
+    paid: false,
+    description: 'Security deposit',
+    billDetails: {
+      dueAmount: amount
+    }
+  };
+};
+
+/**
+ * Approve a booking request and move the tenant in
+ * @param {Object} input
+ * @param {String} input.tenantId
+ * @param {String} input.requestId
+ * @param {String} input.landlordId
+ * @param {Number} input.rentAmount - Agreed rent, defaults to the bed (or room) price
+ * @param {Number} input.securityDeposit - Defaults to the room's security deposit
+ * @param {String} input.responseMessage
+ * @returns {Promise<Object>} - { bookingRequest, accommodation, bills, reservation, creditApplied } or { statusCode, error, ... }
+ */
+const convertBookingToStay = async ({ tenantId, requestId, landlordId, rentAmount, securityDeposit, responseMessage }) => {
+  if (rentAmount !== undefined && (isNaN(Number(rentAmount)) || Number(rentAmount) <= 0)) {
+    return { statusCode: 400, error: 'rentAmount must be a positive number' };
+  }
+  if (securityDeposit !== undefined && (isNaN(Number(securityDeposit)) || Number(securityDeposit) < 0)) {
+    return { statusCode: 400, error: 'securityDeposit must be a non-negative number' };
+  }
+
+  const session = await mongoose.startSession();
+  let converted = null;
+
+  try {
+    // The callback is run again on transient errors, so everything is read fresh inside it
+    await session.withTransaction(async () => {
+      const tenant = await Tenant.findOne({ tenantId }).session(session);
+      const bookingRequest = tenant && tenant.bookingRequests.find(r =>
+        r.requestId === requestId && r.landlordId.toString() === landlordId.toString()
+      );
+      if (!bookingRequest) {
+        throw new ConversionError(404, 'Booking request not found');
+      }
+      if (bookingRequest.convertedAt) {
+        throw new ConversionError(409, 'This booking request has already been converted to a stay');
+      }
+      const held = bookingRequest.status === 'Approved' && bookingRequest.hold && bookingRequest.hold.status === 'Confirmed';
+      if (bookingRequest.status !== 'Pending' && !held) {
+        throw new ConversionError(400, `Only pending or held approved booking requests can be converted, this one is ${bookingRequest.status}`);
+      }
+      if (!bookingRequest.roomId) {
+        throw new ConversionError(400, 'Booking request has no room to move the tenant into');
+      }
+
+      const property = await Property.findOne({ _id: bookingRequest.propertyId, landlordId }).session(session);
+      if (!property) {
+        throw new ConversionError(404, 'Property not found or you do not have access');
+      }
+      const room = property.rooms.find(r => r.roomId === bookingRequest.roomId);
+      if (!room) {
+        throw new ConversionError(404, 'Room not found in this property');
+      }
+
+      const stay = getStayRange({ moveInDate: bookingRequest.moveInDate });
+      if (stay.error) {
+        throw new ConversionError(stay.statusCode, stay.error);
+      }
+
+      let bed = null;
+      if (bookingRequest.bedId) {
+        bed = room.beds.find(b => b.bedId === bookingRequest.bedId);
+        if (!bed) {
+          throw new ConversionError(404, 'Bed not found in this room');
+        }
+        if (BLOCKED_BED_STATUSES.includes(bed.status)) {
+          throw new ConversionError(400, `Bed is marked ${bed.status}`);
+        }
+        // A booking made meanwhile changes the property, which makes this transaction retry or fail
+        const check = checkBedAvailability(bed, stay, { ignoreHoldsOf: tenantId });
+        if (!check.isAvailable) {
+          throw new ConversionError(409, check.message, { nextAvailableFrom: check.nextAvailableFrom });
+        }
+      }
+
+      const capacity = validateRoomCapacity(room);
+      if (!capacity.hasCapacity) {
+        throw new ConversionError(400, capacity.message);
+      }
+
+      if (tenant.accommodations.some(acc =>
+        acc.isActive &&
+        acc.propertyId.toString() === property._id.toString() &&
+        acc.roomId === room.roomId &&
+        (bed ? acc.bedId === bed.bedId : true)
+      )) {
+        throw new ConversionError(400, 'Tenant is already assigned to this accommodation');
+      }
+
+      const now = new Date();
+      const localTenantId = `L-${landlordId.toString().substr(-6)}-${Math.random().toString(36).substr(2, 6)}`;
+      const agreedRent = rentAmount !== undefined ? Number(rentAmount) : (bed ? bed.price : room.price);
+      const deposit = securityDeposit !== undefined ? Number(securityDeposit) : (room.securityDeposit || 0);
+
+      tenant.accommodations.push({
+        landlordId: property.landlordId,
+        propertyId: property._id,
+        propertyName: property.name,
+        roomId: room.roomId,
+        bedId: bed ? bed.bedId : undefined,
+        localTenantId,
+        moveInDate: stay.startDate,
+        rentAmount: agreedRent,
+        securityDeposit: deposit,
+        agreementPeriod: bookingRequest.duration || undefined,
+        agreementPeriodType: 'months',
+        isActive: true
+      });
+      const accommodation = tenant.accommodations[tenant.accommodations.length - 1];
+
+      // First bills of the stay; later rent cycles are left to the rent bill job
+      const bills = [buildRentBill(accommodation, stay.startDate)];
+      if (deposit > 0) bills.push(buildDepositBill(accommodation, deposit));
+      bills.forEach(bill => { bill._id = new mongoose.Types.ObjectId(); });
+      const billed = roundAmount(bills.reduce((sum, bill) => sum + bill.amount, 0));
+      tenant.bills.push(...bills);
+      accommodation.pendingDues = billed;
+
+      if (bookingRequest.status === 'Pending') {
+        bookingRequest.status = 'Approved';
+        bookingRequest.responseDate = now;
+        bookingRequest.responseMessage = responseMessage || '';
+      }
+      bookingRequest.convertedAt = now;
+      bookingRequest.localTenantId = localTenantId;
+      if (bookingRequest.hold && bookingRequest.hold.status) {
+        bookingRequest.hold.status = 'Confirmed';
+        bookingRequest.hold.expiresAt = undefined;
+      }
+      tenant.updatedAt = now;
+
+      const occupant = {
+        tenantId,
+        name: tenant.name,
+        email: tenant.email,
+        aadhaar: tenant.aadhaar,
+        mobile: tenant.mobile,
+        roomId: room.roomId,
+        landlordId: property.landlordId,
+        moveInDate: stay.startDate,
+        rentAmount: agreedRent,
+        securityDeposit: deposit
+      };
+      let reservation = null;
+      if (bed) {
+        // The tenant's occupancy takes over the dates the request held
+        (bed.reservations || [])
+          .filter(r => r.type === 'Hold' && r.status === 'Active' && r.bookingRequestId === requestId)
+          .forEach(r => Object.assign(r, { status: 'Released', releasedAt: now, releaseReason: 'Converted to stay' }));
+        reservation = addOccupancyOnBed(bed, {
+          tenantId,
+          localTenantId,
+          startDate: stay.startDate,
+          bookingRequestId: requestId,
+          createdBy: landlordId
+        });
+        bed.tenants.push({ ...occupant, bedId: bed.bedId });
+        bed.status = 'Not Available';
+        bed.pendingDues = roundAmount((bed.pendingDues || 0) + billed);
+      } else {
+        room.tenants.push(occupant);
+      }
+
+      property.occupiedSpace = (property.occupiedSpace || 0) + 1;
+      property.updatedAt = now;
+
+      await property.save({ session });
+      await tenant.save({ session });
+
+      converted = {
+        tenant,
+        bookingRequest,
+        accommodation,
+        bills: tenant.bills.filter(bill => bills.some(b => b._id.equals(bill._id))),
+        reservation
+      };
+    });
+  } catch (error) {
+    if (error instanceof ConversionError) {
+      return { statusCode: error.statusCode, error: error.message, ...error.details };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const { tenant, accommodation, bills } = converted;
+
+  // A token or other advance with the landlord pays the new bills first
+  const creditApplied = await applyCreditToNewBills(tenantId, landlordId, bills.map(bill => bill._id));
+
+  await setCache(`landlord:tenants:${landlordId}`, null, 1);
+  await setCache(`property:tenants:${accommodation.propertyId}`, null, 1);
+  await setCache(`tenant:${tenantId}`, null, 1);
+
+  await notifyUser({
+    userId: tenantId,
+    mobile: tenant.mobile,
+    email: tenant.email,
+    type: 'booking_approved',
+    title: 'Booking approved',
+    message: `Your booking at ${accommodation.propertyName || 'the property'} is approved. `
+      + `Your stay starts on ${moment(accommodation.moveInDate).format('DD MMM YYYY')} and your first bills are ready.`,
+    data: { requestId, propertyId: accommodation.propertyId, localTenantId: accommodation.localTenantId }
+  });
+
+  return {
+    bookingRequest: converted.bookingRequest,
+    accommodation,
+    bills,
+    reservation: converted.reservation,
+    creditApplied
+  };
+};
+
+module.exports = {
+  convertBookingToStay
+};
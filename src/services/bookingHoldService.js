@@ -0,0 +1,371 @@
+/**
+ * Booking Hold Service
+ * Places a soft hold on the requested bed when a booking request is submitted, following the
+ * property's booking hold policy: the bed shows Reserved for a set number of hours, optionally
+ * only once the tenant has paid a token advance. Approving the request makes the hold firm;
+ * rejecting or cancelling the request frees the bed, and a job releases holds that ran out.
+ */
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Landlord = require('../models/Landlord');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const {
+  getStayRange,
+  checkBedAvailability,
+  reserveBed,
+  releaseReservations,
+  confirmReservation,
+  releaseExpiredHolds,
+  markBedReserved,
+  clearBedReserved
+} = require('./bedReservationService');
+
+const DEFAULT_HOLD_POLICY = {
+  enabled: false,
+  holdHours: 24,
+  requireToken: false,
+  tokenAmount: 0
+};
+const MAX_HOLD_HOURS = 7 * 24;
+const HOLD_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+const HOLD_EXPIRY_BATCH_SIZE = 100;
+
+const formatDateTime = (date) => moment(date).format('DD MMM YYYY, hh:mm A');
+
+/**
+ * Property's booking hold policy with defaults filled in
+ */
+const getHoldPolicy = (property) => {
+  const saved = (property && property.bookingHoldPolicy) || {};
+  const policy = { ...DEFAULT_HOLD_POLICY };
+  Object.keys(DEFAULT_HOLD_POLICY).forEach(key => {
+    if (saved[key] !== undefined && saved[key] !== null) policy[key] = saved[key];
+  });
+  return policy;
+};
+
+/**
+ * Hold of a booking request as shown to the tenant and the landlord
+ * @param {Object} bookingRequest
+ * @param {Date} now
+ * @returns {Object|null} - { status, expiresAt, remainingSeconds, tokenAmount, tokenPaid }
+ */
+const describeHold = (bookingRequest, now = new Date()) => {
+  const hold = bookingRequest.hold;
+  if (!hold || !hold.status) return null;
+
+  const running = hold.status === 'Active' && Boolean(hold.expiresAt);
+  const ranOut = running && hold.expiresAt <= now;
+  return {
+    status: ranOut ? 'Expired' : hold.status,
+    expiresAt: hold.expiresAt || null,
+    remainingSeconds: running ? Math.max(0, Math.floor((hold.expiresAt - now) / 1000)) : null,
+    tokenAmount: hold.tokenAmount || 0,
+    tokenPaid: Boolean(hold.tokenPaidAt)
+  };
+};
+
+const bedOf = (bookingRequest) => ({
+  propertyId: bookingRequest.propertyId,
+  roomId: bookingRequest.roomId,
+  bedId: bookingRequest.bedId
+});
+
+const stayOf = (bookingRequest) => getStayRange({
+  moveInDate: bookingRequest.moveInDate,
+  duration: bookingRequest.duration || 1
+});
+
+/**
+ * Update the hold of a booking request, guarded on its current hold status
+ * @returns {Promise<Boolean>} - false when the hold changed meanwhile
+ */
+const updateHold = async (tenantId, requestId, expectedStatuses, fields) => {
+  const set = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    set[`bookingRequests.$[req].hold.${key}`] = value;
+  });
+
+  const result = await Tenant.updateOne(
+    { tenantId, bookingRequests: { $elemMatch: { requestId, 'hold.status': { $in: expectedStatuses } } } },
+    { $set: set },
+    { arrayFilters: [{ 'req.requestId': requestId }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Claim the requested bed for the policy's hold time
+ * @returns {Promise<Object>} - { reservation, expiresAt } or { statusCode, error, nextAvailableFrom }
+ */
+const claimSoftHold = async (tenantId, bookingRequest, policy) => {
+  const stay = stayOf(bookingRequest);
+  if (stay.error) return stay;
+
+  const expiresAt = moment().add(policy.holdHours, 'hours').toDate();
+  const claim = await reserveBed({
+    ...bedOf(bookingRequest),
+    type: 'Hold',
+    startDate: stay.startDate,
+    endDate: stay.endDate,
+    tenantId,
+    bookingRequestId: bookingRequest.requestId,
+    expiresAt,
+    note: 'Held while the booking request is open',
+    // A waitlist offer of the bed to the same tenant does not stand in the way
+    ignoreHoldsOf: tenantId
+  });
+  if (claim.error) return claim;
+
+  await markBedReserved(bookingRequest.propertyId, bookingRequest.roomId, bookingRequest.bedId);
+  return { reservation: claim.reservation, expiresAt };
+};
+
+/**
+ * Start the hold of a newly submitted booking request
+ * Sets bookingRequest.hold in memory; the caller saves the tenant and calls releaseBookingHold
+ * if that fails. With a token required, the bed is only checked and the hold waits for payment.
+ * @param {String} tenantId
+ * @param {Object} bookingRequest - Booking request subdocument with its requestId
+ * @param {Object} property - Property document with rooms and bookingHoldPolicy
+ * @returns {Promise<Object>} - { hold } ({} when the policy is off) or { statusCode, error, nextAvailableFrom }
+ */
+const startBookingHold = async (tenantId, bookingRequest, property) => {
+  const policy = getHoldPolicy(property);
+  if (!policy.enabled || !bookingRequest.roomId || !bookingRequest.bedId) return {};
+
+  if (policy.requireToken && policy.tokenAmount > 0) {
+    const stay = stayOf(bookingRequest);
+    if (stay.error) return stay;
+
+    const room = property.rooms.find(r => r.roomId === bookingRequest.roomId);
+    const bed = room && room.beds.find(b => b.bedId === bookingRequest.bedId);
+    const check = bed ? checkBedAvailability(bed, stay, { ignoreHoldsOf: tenantId }) : { message: 'Bed not found' };
+    if (!check.isAvailable) {
+      return { statusCode: 409, error: check.message, nextAvailableFrom: check.nextAvailableFrom };
+    }
+
+    bookingRequest.hold = { status: 'Awaiting Token', tokenAmount: policy.tokenAmount };
+    return { hold: bookingRequest.hold };
+  }
+
+  const claimed = await claimSoftHold(tenantId, bookingRequest, policy);
+  if (claimed.error) return claimed;
+
+  bookingRequest.hold = {
+    status: 'Active',
+    reservationId: claimed.reservation.reservationId,
+    placedAt: new Date(),
+    expiresAt: claimed.expiresAt
+  };
+  return { hold: bookingRequest.hold };
+};
+
+/**
+ * Hold the bed once the token advance of a booking request is paid
+ * A token paid after the bed was taken is kept on the request so the landlord can refund it.
+ * @param {String} tenantId
+ * @param {String} requestId
+ * @param {String} paymentId - Ledger Payment.paymentId of the token
+ * @returns {Promise<Object>} - { placed, expiresAt } or { placed: false, error }
+ */
+const placeTokenHold = async (tenantId, requestId, paymentId) => {
+  const now = new Date();
+  const tenant = await Tenant.findOne({ tenantId }).select('tenantId name mobile email bookingRequests');
+  const bookingRequest = tenant && tenant.bookingRequests.find(r => r.requestId === requestId);
+  if (!bookingRequest) {
+    return { placed: false, error: 'Booking request not found' };
+  }
+
+  const paid = { tokenPaymentId: paymentId, tokenPaidAt: now };
+  if (bookingRequest.status !== 'Pending' || !bookingRequest.hold || bookingRequest.hold.status !== 'Awaiting Token') {
+    await updateHold(tenantId, requestId, ['Awaiting Token', 'Active', 'Confirmed', 'Released', 'Expired'], paid);
+    return { placed: false, error: `Booking request is ${bookingRequest.status}` };
+  }
+
+  const property = await Property.findById(bookingRequest.propertyId).select('bookingHoldPolicy');
+  const claimed = await claimSoftHold(tenantId, bookingRequest, getHoldPolicy(property));
+  if (claimed.error) {
+    await updateHold(tenantId, requestId, ['Awaiting Token'], {
+      ...paid,
+      status: 'Released',
+      releasedAt: now,
+      releaseReason: 'Bed was taken before the token was paid'
+    });
+    await notifyHoldParties(tenant, bookingRequest, {
+      type: 'booking_hold_failed',
+      title: 'Bed no longer available',
+      tenantMessage: `The bed you requested at ${bookingRequest.propertyName || 'the property'} was booked before your token payment came through. The landlord will refund your token.`,
+      landlordMessage: `${tenant.name} paid a token for a bed at ${bookingRequest.propertyName || 'your property'} that is already booked. Please refund the token or offer another bed.`
+    });
+    return { placed: false, error: claimed.error };
+  }
+
+  const updated = await updateHold(tenantId, requestId, ['Awaiting Token'], {
+    ...paid,
+    status: 'Active',
+    reservationId: claimed.reservation.reservationId,
+    placedAt: now,
+    expiresAt: claimed.expiresAt
+  });
+  if (!updated) {
+    await releaseReservations({ ...bedOf(bookingRequest), reservationId: claimed.reservation.reservationId, reason: 'Booking request changed' });
+    await clearBedReserved(bookingRequest.propertyId, bookingRequest.roomId, bookingRequest.bedId);
+    return { placed: false, error: 'Booking request changed while the token was paid' };
+  }
+
+  await notifyHoldParties(tenant, bookingRequest, {
+    type: 'booking_hold_placed',
+    title: 'Bed held',
+    tenantMessage: `Token received. The bed at ${bookingRequest.propertyName || 'the property'} is held for you until ${formatDateTime(claimed.expiresAt)}.`,
+    landlordMessage: `${tenant.name} paid a token for a bed at ${bookingRequest.propertyName || 'your property'}. It is held until ${formatDateTime(claimed.expiresAt)}, please respond to the request.`
+  });
+
+  return { placed: true, expiresAt: claimed.expiresAt };
+};
+
+/**
+ * Make the soft hold of a booking request firm when it is approved
+ * Sets bookingRequest.hold in memory; the caller saves the tenant.
+ * @returns {Promise<Boolean>} - false when there is no live hold to confirm
+ */
+const confirmBookingHold = async (bookingRequest) => {
+  const hold = bookingRequest.hold;
+  if (!hold || hold.status !== 'Active' || !hold.reservationId) return false;
+
+  const confirmed = await confirmReservation({ ...bedOf(bookingRequest), reservationId: hold.reservationId });
+  if (!confirmed) return false;
+
+  hold.status = 'Confirmed';
+  hold.expiresAt = undefined;
+  return true;
+};
+
+/**
+ * Free the bed held for a booking request
+ * Sets bookingRequest.hold in memory when there is one; the caller saves the tenant.
+ * @param {Object} bookingRequest
+ * @param {String} reason
+ * @returns {Promise<Boolean>} - true if a hold was released on the bed
+ */
+const releaseBookingHold = async (bookingRequest, reason) => {
+  if (!bookingRequest.bedId) return false;
+
+  // Only the hold; an occupancy created from the request belongs to the stay
+  const released = await releaseReservations({
+    ...bedOf(bookingRequest),
+    bookingRequestId: bookingRequest.requestId,
+    type: 'Hold',
+    reason
+  });
+  await clearBedReserved(bookingRequest.propertyId, bookingRequest.roomId, bookingRequest.bedId);
+
+  const hold = bookingRequest.hold;
+  if (hold && ['Awaiting Token', 'Active', 'Confirmed'].includes(hold.status)) {
+    hold.status = 'Released';
+    hold.releasedAt = new Date();
+    hold.releaseReason = reason;
+  }
+  return released;
+};
+
+const notifyHoldParties = async (tenant, bookingRequest, { type, title, tenantMessage, landlordMessage }) => {
+  const data = { requestId: bookingRequest.requestId, propertyId: bookingRequest.propertyId };
+  await notifyUser({
+    userId: tenant.tenantId,
+    mobile: tenant.mobile,
+    email: tenant.email,
+    type,
+    title,
+    message: tenantMessage,
+    data
+  });
+
+  const landlord = await Landlord.findById(bookingRequest.landlordId).select('mobile email');
+  if (landlord) {
+    await notifyUser({ userId: landlord._id, mobile: landlord.mobile, type, title, message: landlordMessage, data });
+  }
+};
+
+/**
+ * Release booking holds whose time has run out
+ * The request itself stays Pending; the landlord can still approve it while the bed is free.
+ * @returns {Promise<Object>} - { expired, orphaned }
+ */
+const expireBookingHolds = async (now = new Date()) => {
+  const summary = { expired: 0, orphaned: 0 };
+
+  const tenants = await Tenant.find({
+    bookingRequests: { $elemMatch: { 'hold.status': 'Active', 'hold.expiresAt': { $lte: now } } }
+  }).select('tenantId name mobile email bookingRequests').limit(HOLD_EXPIRY_BATCH_SIZE);
+
+  for (const tenant of tenants) {
+    const due = tenant.bookingRequests.filter(r =>
+      r.hold && r.hold.status === 'Active' && r.hold.expiresAt && r.hold.expiresAt <= now
+    );
+
+    for (const bookingRequest of due) {
+      try {
+        const updated = await updateHold(tenant.tenantId, bookingRequest.requestId, ['Active'], {
+          status: 'Expired',
+          releasedAt: now,
+          releaseReason: 'Hold expired'
+        });
+        if (!updated) continue;
+
+        await releaseReservations({ ...bedOf(bookingRequest), reservationId: bookingRequest.hold.reservationId, reason: 'Hold expired' });
+        await clearBedReserved(bookingRequest.propertyId, bookingRequest.roomId, bookingRequest.bedId);
+        summary.expired++;
+
+        await notifyHoldParties(tenant, bookingRequest, {
+          type: 'booking_hold_expired',
+          title: 'Bed hold expired',
+          tenantMessage: `Your hold on the bed at ${bookingRequest.propertyName || 'the property'} has expired. Your request is still open, but the bed can now be booked by others.`,
+          landlordMessage: `The hold for ${tenant.name}'s booking request at ${bookingRequest.propertyName || 'your property'} expired without a response.`
+        });
+      } catch (error) {
+        console.error(`Error expiring hold of booking request ${bookingRequest.requestId}:`, error);
+      }
+    }
+  }
+
+  // Holds whose booking request was never saved
+  const orphanedOn = await Property.find({
+    'rooms.beds.reservations': { $elemMatch: { type: 'Hold', status: 'Active', expiresAt: { $lte: now } } }
+  }).select('rooms.roomId rooms.beds.bedId rooms.beds.reservations').limit(HOLD_EXPIRY_BATCH_SIZE);
+  summary.orphaned = await releaseExpiredHolds(now);
+  for (const property of orphanedOn) {
+    for (const room of property.rooms) {
+      for (const bed of room.beds) {
+        if ((bed.reservations || []).some(r => r.type === 'Hold' && r.status === 'Active' && r.expiresAt && r.expiresAt <= now)) {
+          await clearBedReserved(property._id, room.roomId, bed.bedId);
+        }
+      }
+    }
+  }
+
+  return summary;
+};
+
+const setupBookingHoldScheduler = () => {
+  scheduleJob('booking-hold-expiry', HOLD_EXPIRY_INTERVAL_MS, async () => {
+    const summary = await expireBookingHolds();
+    console.log(`Booking holds: ${summary.expired} expired, ${summary.orphaned} properties cleaned up`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  DEFAULT_HOLD_POLICY,
+  MAX_HOLD_HOURS,
+  getHoldPolicy,
+  describeHold,
+  startBookingHold,
+  placeTokenHold,
+  confirmBookingHold,
+  releaseBookingHold,
+  expireBookingHolds,
+  setupBookingHoldScheduler
+};
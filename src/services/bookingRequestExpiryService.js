@@ -0,0 +1,361 @@
+/**
+ * Booking Request Expiry Service
+ * A booking request the landlord has not answered expires after the property's expiry time:
+ * it moves to Expired, its bed hold is released and both parties are told; a booking token already
+ * paid stays with the landlord as the tenant's credit. Landlords are reminded a set number of hours
+ * before that. How quickly a landlord answers (the median time to approve or reject) is shown to
+ * prospective tenants on the landlord's public property pages.
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Landlord = require('../models/Landlord');
+const { setCache, getCache } = require('../utils/redis');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const { releaseBookingHold } = require('./bookingHoldService');
+
+const DEFAULT_REQUEST_POLICY = {
+  expiryHours: 72,
+  reminderHoursBefore: [24, 4]
+};
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_REMINDERS = 3;
+const REQUEST_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+const REQUEST_EXPIRY_BATCH_SIZE = 100;
+
+// Responses counted towards a landlord's response time
+const RESPONSE_TIME_WINDOW_DAYS = 180;
+const RESPONSE_TIME_CACHE_SECONDS = 6 * 60 * 60;
+
+const formatDateTime = (date) => moment(date).format('DD MMM YYYY, hh:mm A');
+
+/**
+ * Property's booking request policy with defaults filled in
+ */
+const getRequestPolicy = (property) => {
+  const saved = (property && property.bookingRequestPolicy) || {};
+  return {
+    expiryHours: saved.expiryHours || DEFAULT_REQUEST_POLICY.expiryHours,
+    reminderHoursBefore: saved.reminderHoursBefore && saved.reminderHoursBefore.length > 0
+      ? [...saved.reminderHoursBefore]
+      : [...DEFAULT_REQUEST_POLICY.reminderHoursBefore]
+  };
+};
+
+/**
+ * First reminder due after a given time, or null when none is left
+ */
+const getNextReminderAt = (expiresAt, policy, after) => {
+  const times = policy.reminderHoursBefore
+    .filter(hours => hours > 0 && hours < policy.expiryHours)
+    .map(hours => moment(expiresAt).subtract(hours, 'hours').toDate())
+    .filter(time => time > after)
+    .sort((a, b) => a - b);
+  return times.length > 0 ? times[0] : null;
+};
+
+/**
+ * Set when a new booking request expires and when the landlord is first reminded
+ * Sets the fields on the request in memory; the caller saves the tenant.
+ */
+const scheduleRequestExpiry = (bookingRequest, property, now = new Date()) => {
+  const policy = getRequestPolicy(property);
+  const expiresAt = moment(bookingRequest.requestDate || now).add(policy.expiryHours, 'hours').toDate();
+  bookingRequest.expiresAt = expiresAt;
+  bookingRequest.nextReminderAt = getNextReminderAt(expiresAt, policy, now) || undefined;
+  bookingRequest.remindersSent = 0;
+};
+
+/**
+ * Loads request policies once per run
+ */
+const policyLoader = () => {
+  const policies = new Map();
+  return async (propertyId) => {
+    const key = propertyId.toString();
+    if (!policies.has(key)) {
+      const property = await Property.findById(propertyId).select('bookingRequestPolicy');
+      policies.set(key, getRequestPolicy(property));
+    }
+    return policies.get(key);
+  };
+};
+
+const notifyLandlord = async (bookingRequest, notification) => {
+  const landlord = await Landlord.findById(bookingRequest.landlordId).select('mobile email');
+  if (!landlord) return;
+  await notifyUser({
+    userId: landlord._id,
+    mobile: landlord.mobile,
+    ...notification,
+    data: { requestId: bookingRequest.requestId, propertyId: bookingRequest.propertyId }
+  });
+};
+
+/**
+ * Give an expiry to Pending requests made before requests expired
+ * @returns {Promise<Number>} - Requests scheduled
+ */
+const scheduleLegacyRequests = async (now, loadPolicy) => {
+  let scheduled = 0;
+  const tenants = await Tenant.find({
+    bookingRequests: { $elemMatch: { status: 'Pending', expiresAt: { $exists: false } } }
+  }).select('tenantId bookingRequests').limit(REQUEST_EXPIRY_BATCH_SIZE);
+
+  for (const tenant of tenants) {
+    for (const bookingRequest of tenant.bookingRequests) {
+      if (bookingRequest.status !== 'Pending' || bookingRequest.expiresAt) continue;
+
+      const policy = await loadPolicy(bookingRequest.propertyId);
+      // Old requests get at least one reminder before they expire
+      const expiresAt = moment.max(
+        moment(bookingRequest.requestDate || now).add(policy.expiryHours, 'hours'),
+        moment(now).add(Math.max(...policy.reminderHoursBefore, 1), 'hours')
+      ).toDate();
+      const nextReminderAt = getNextReminderAt(expiresAt, policy, now);
+
+      const result = await Tenant.updateOne(
+        {
+          tenantId: tenant.tenantId,
+          bookingRequests: { $elemMatch: { requestId: bookingRequest.requestId, status: 'Pending', expiresAt: { $exists: false } } }
+        },
+        {
+          $set: {
+            'bookingRequests.$[req].expiresAt': expiresAt,
+            'bookingRequests.$[req].nextReminderAt': nextReminderAt,
+            'bookingRequests.$[req].remindersSent': 0
+          }
+        },
+        { arrayFilters: [{ 'req.requestId': bookingRequest.requestId }] }
+      );
+      scheduled += result.modifiedCount;
+    }
+  }
+
+  return scheduled;
+};
+
+/**
+ * Remind landlords of requests that will soon expire
+ * @returns {Promise<Number>} - Reminders sent
+ */
+const sendExpiryReminders = async (now, loadPolicy) => {
+  let reminded = 0;
+  const tenants = await Tenant.find({
+    bookingRequests: { $elemMatch: { status: 'Pending', nextReminderAt: { $lte: now } } }
+  }).select('tenantId name bookingRequests').limit(REQUEST_EXPIRY_BATCH_SIZE);
+
+  for (const tenant of tenants) {
+    const due = tenant.bookingRequests.filter(r =>
+      r.status === 'Pending' && r.nextReminderAt && r.nextReminderAt <= now
+    );
+
+    for (const bookingRequest of due) {
+      try {
+        const policy = await loadPolicy(bookingRequest.propertyId);
+        const nextReminderAt = getNextReminderAt(bookingRequest.expiresAt, policy, now);
+
+        // Claim the reminder so a second run does not send it again
+        const result = await Tenant.updateOne(
+          {
+            tenantId: tenant.tenantId,
+            bookingRequests: {
+              $elemMatch: { requestId: bookingRequest.requestId, status: 'Pending', nextReminderAt: bookingRequest.nextReminderAt }
+            }
+          },
+          {
+            $set: { 'bookingRequests.$[req].nextReminderAt': nextReminderAt },
+            $inc: { 'bookingRequests.$[req].remindersSent': 1 }
+          },
+          { arrayFilters: [{ 'req.requestId': bookingRequest.requestId }] }
+        );
+        if (!result.modifiedCount || !(bookingRequest.expiresAt > now)) continue;
+
+        reminded++;
+        const hoursLeft = Math.max(1, Math.round(moment(bookingRequest.expiresAt).diff(now, 'hours', true)));
+        await notifyLandlord(bookingRequest, {
+          type: 'booking_request_reminder',
+          title: 'Booking request waiting for you',
+          message: `${tenant.name}'s booking request for ${bookingRequest.propertyName || 'your property'} expires in `
+            + `${hoursLeft} hour${hoursLeft === 1 ? '' : 's'} (${formatDateTime(bookingRequest.expiresAt)}). Please approve or reject it.`
+        });
+      } catch (error) {
+        console.error(`Error sending reminder for booking request ${bookingRequest.requestId}:`, error);
+      }
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Move Pending requests past their expiry to Expired and free their beds
+ * @returns {Promise<Number>} - Requests expired
+ */
+const expireStaleRequests = async (now) => {
+  let expired = 0;
+  const tenants = await Tenant.find({
+    bookingRequests: { $elemMatch: { status: 'Pending', expiresAt: { $lte: now } } }
+  }).select('tenantId name mobile email bookingRequests').limit(REQUEST_EXPIRY_BATCH_SIZE);
+
+  for (const tenant of tenants) {
+    const due = tenant.bookingRequests.filter(r =>
+      r.status === 'Pending' && r.expiresAt && r.expiresAt <= now
+    );
+
+    for (const bookingRequest of due) {
+      try {
+        const result = await Tenant.updateOne(
+          {
+            tenantId: tenant.tenantId,
+            bookingRequests: { $elemMatch: { requestId: bookingRequest.requestId, status: 'Pending' } }
+          },
+          {
+            $set: {
+              'bookingRequests.$[req].status': 'Expired',
+              'bookingRequests.$[req].responseDate': now,
+              'bookingRequests.$[req].responseMessage': 'Expired without a response from the landlord',
+              'bookingRequests.$[req].nextReminderAt': null
+            }
+          },
+          { arrayFilters: [{ 'req.requestId': bookingRequest.requestId }] }
+        );
+        if (!result.modifiedCount) continue;
+        expired++;
+
+        await releaseBookingHold(bookingRequest, 'Booking request expired');
+        const { hold } = bookingRequest;
+        if (hold && hold.status === 'Released') {
+          await Tenant.updateOne(
+            { tenantId: tenant.tenantId },
+            {
+              $set: {
+                'bookingRequests.$[req].hold.status': hold.status,
+                'bookingRequests.$[req].hold.releasedAt': hold.releasedAt,
+                'bookingRequests.$[req].hold.releaseReason': hold.releaseReason
+              }
+            },
+            { arrayFilters: [{ 'req.requestId': bookingRequest.requestId }] }
+          );
+        }
+
+        // A paid token stays with the landlord as the tenant's credit; say so rather than leave it unexplained
+        const tokenPaid = Boolean(hold && hold.tokenPaidAt);
+        const token = tokenPaid ? `₹${hold.tokenAmount || 0}` : '';
+        await notifyUser({
+          userId: tenant.tenantId,
+          mobile: tenant.mobile,
+          email: tenant.email,
+          type: 'booking_request_expired',
+          title: 'Booking request expired',
+          message: `Your booking request for ${bookingRequest.propertyName || 'the property'} expired as the landlord did not respond in time. You can send a new request or look at other properties.`
+            + (tokenPaid ? ` The booking token of ${token} you paid is kept as credit with the landlord; ask them for a refund if you will not stay there.` : ''),
+          data: {
+            requestId: bookingRequest.requestId,
+            propertyId: bookingRequest.propertyId,
+            tokenPaymentId: tokenPaid ? hold.tokenPaymentId : undefined
+          }
+        });
+        await notifyLandlord(bookingRequest, {
+          type: 'booking_request_expired',
+          title: 'Booking request expired',
+          message: `${tenant.name}'s booking request for ${bookingRequest.propertyName || 'your property'} expired without a response.`
+            + (tokenPaid ? ` The booking token of ${token} they paid is held as their credit; refund it if they will not stay.` : '')
+        });
+      } catch (error) {
+        console.error(`Error expiring booking request ${bookingRequest.requestId}:`, error);
+      }
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Schedule old requests, send due reminders and expire stale requests
+ * @returns {Promise<Object>} - { scheduled, reminded, expired }
+ */
+const processBookingRequestExpiry = async (now = new Date()) => {
+  const loadPolicy = policyLoader();
+  const scheduled = await scheduleLegacyRequests(now, loadPolicy);
+  const reminded = await sendExpiryReminders(now, loadPolicy);
+  const expired = await expireStaleRequests(now);
+  return { scheduled, reminded, expired };
+};
+
+/**
+ * How quickly a landlord answers booking requests
+ * Based on requests approved or rejected in the last RESPONSE_TIME_WINDOW_DAYS; requests that
+ * expired count against the response rate.
+ * @param {String} landlordId
+ * @returns {Promise<Object>} - { medianResponseHours, respondedCount, expiredCount, responseRate }
+ */
+const getLandlordResponseStats = async (landlordId) => {
+  const cacheKey = `landlord:response-time:${landlordId}`;
+  const cached = await getCache(cacheKey);
+  if (cached) return cached;
+
+  const landlordObjectId = new mongoose.Types.ObjectId(landlordId.toString());
+  const since = moment().subtract(RESPONSE_TIME_WINDOW_DAYS, 'days').toDate();
+  const requests = await Tenant.aggregate([
+    { $match: { 'bookingRequests.landlordId': landlordObjectId } },
+    { $unwind: '$bookingRequests' },
+    {
+      $match: {
+        'bookingRequests.landlordId': landlordObjectId,
+        'bookingRequests.status': { $in: ['Approved', 'Rejected', 'Expired'] },
+        'bookingRequests.responseDate': { $gte: since }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        status: '$bookingRequests.status',
+        responseMs: { $subtract: ['$bookingRequests.responseDate', '$bookingRequests.requestDate'] }
+      }
+    }
+  ]);
+
+  const times = requests
+    .filter(r => r.status !== 'Expired' && r.responseMs >= 0)
+    .map(r => r.responseMs)
+    .sort((a, b) => a - b);
+  const expiredCount = requests.filter(r => r.status === 'Expired').length;
+
+  let medianMs = null;
+  if (times.length > 0) {
+    const middle = Math.floor(times.length / 2);
+    medianMs = times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+  }
+
+  const stats = {
+    medianResponseHours: medianMs === null ? null : Math.round(medianMs / (60 * 60 * 1000) * 10) / 10,
+    respondedCount: times.length,
+    expiredCount,
+    responseRate: requests.length > 0 ? Math.round(times.length / requests.length * 100) : null
+  };
+
+  await setCache(cacheKey, stats, RESPONSE_TIME_CACHE_SECONDS);
+  return stats;
+};
+
+const setupBookingRequestExpiryScheduler = () => {
+  scheduleJob('booking-request-expiry', REQUEST_EXPIRY_INTERVAL_MS, async () => {
+    const summary = await processBookingRequestExpiry();
+    console.log(`Booking requests: ${summary.expired} expired, ${summary.reminded} reminders sent, ${summary.scheduled} scheduled`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  DEFAULT_REQUEST_POLICY,
+  MAX_EXPIRY_HOURS,
+  MAX_REMINDERS,
+  getRequestPolicy,
+  scheduleRequestExpiry,
+  processBookingRequestExpiry,
+  getLandlordResponseStats,
+  setupBookingRequestExpiryScheduler
+};
@@ -0,0 +1,194 @@
+/**
+ * Coupon Service
+ * Prices subscription purchases with admin-managed promo codes and records their redemptions.
+ * The global cap is claimed with a guarded increment on the coupon; the per-landlord cap is
+ * re-checked after the redemption is written and rolled back if a concurrent use went over it.
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalise a code typed by a user
+ * @param {String} code
+ * @returns {String}
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Discount a coupon gives on an amount
+ * @param {Object} coupon - Coupon document
+ * @param {Number} amount - Price before the discount
+ * @returns {Object} - { original_amount, discount_amount, final_amount }
+ */
+const calculateDiscount = (coupon, amount) => {
+  const original = roundAmount(amount || 0);
+  let discount = coupon.discount_type === 'percentage'
+    ? original * coupon.discount_value / 100
+    : coupon.discount_value;
+  if (coupon.discount_type === 'percentage' && coupon.max_discount > 0) {
+    discount = Math.min(discount, coupon.max_discount);
+  }
+  discount = roundAmount(Math.max(0, Math.min(discount, original)));
+
+  return {
+    original_amount: original,
+    discount_amount: discount,
+    final_amount: roundAmount(original - discount)
+  };
+};
+
+/**
+ * Check a coupon's own rules against a purchase (no redemption counts)
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context - { landlordId, planId, billingCycle, type, amount, now }
+ * @returns {String|null} - Reason the coupon cannot be used, or null
+ */
+const checkCouponRules = (coupon, { landlordId, planId, billingCycle, type = 'purchase', amount, now = new Date() }) => {
+  if (!coupon.is_active) return 'This coupon is no longer active';
+  if (coupon.valid_from && now < coupon.valid_from) return 'This coupon is not valid yet';
+  if (coupon.valid_until && now > coupon.valid_until) return 'This coupon has expired';
+
+  if (coupon.plan_ids && coupon.plan_ids.length > 0 &&
+      !coupon.plan_ids.some(id => id.toString() === String(planId))) {
+    return 'This coupon does not apply to the selected plan';
+  }
+  if (coupon.billing_cycles && coupon.billing_cycles.length > 0 && !coupon.billing_cycles.includes(billingCycle)) {
+    return `This coupon is only valid on ${coupon.billing_cycles.join(', ')} billing`;
+  }
+  if (coupon.landlord_ids && coupon.landlord_ids.length > 0 &&
+      (!landlordId || !coupon.landlord_ids.some(id => id.toString() === String(landlordId)))) {
+    return 'This coupon is not available for your account';
+  }
+  if (coupon.applies_to && coupon.applies_to.length > 0 && !coupon.applies_to.includes(type)) {
+    return `This coupon does not apply to ${type}s`;
+  }
+  if ((amount || 0) < (coupon.min_amount || 0)) {
+    return `This coupon needs a minimum amount of ${coupon.min_amount}`;
+  }
+  if (coupon.max_redemptions > 0 && coupon.redemption_count >= coupon.max_redemptions) {
+    return 'This coupon has been fully redeemed';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a coupon code for a purchase and price it
+ * @param {String} code
+ * @param {Object} context - { landlordId, planId, billingCycle, type, amount, now }
+ * @returns {Promise<Object>} - { coupon, pricing } or { statusCode, error }
+ */
+const validateCoupon = async (code, context) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) {
+    return { statusCode: 404, error: 'Invalid coupon code' };
+  }
+
+  const reason = checkCouponRules(coupon, context);
+  if (reason) {
+    return { statusCode: 400, error: reason };
+  }
+
+  if (context.landlordId && coupon.max_redemptions_per_landlord > 0) {
+    const used = await CouponRedemption.countDocuments({ coupon_id: coupon._id, landlordId: context.landlordId });
+    if (used >= coupon.max_redemptions_per_landlord) {
+      return { statusCode: 400, error: 'You have already used this coupon' };
+    }
+  }
+
+  const pricing = calculateDiscount(coupon, context.amount);
+  if (pricing.discount_amount <= 0) {
+    return { statusCode: 400, error: 'This coupon gives no discount on this amount' };
+  }
+
+  return { coupon, pricing };
+};
+
+/**
+ * Record a coupon use, enforcing the global and per-landlord caps
+ * @param {Object} coupon - Coupon document from validateCoupon
+ * @param {Object} details - { landlordId, subscriptionId, entryId, planId, billingCycle, type, pricing }
+ * @returns {Promise<Object>} - { redemption } or { statusCode, error }
+ */
+const redeemCoupon = async (coupon, { landlordId, subscriptionId, entryId, planId, billingCycle, type, pricing }) => {
+  const claimFilter = { _id: coupon._id, is_active: true };
+  if (coupon.max_redemptions > 0) {
+    claimFilter.redemption_count = { $lt: coupon.max_redemptions };
+  }
+  const claimed = await Coupon.findOneAndUpdate(claimFilter, { $inc: { redemption_count: 1 } }, { new: true });
+  if (!claimed) {
+    return { statusCode: 409, error: 'This coupon has just been fully redeemed' };
+  }
+
+  const redemption = await CouponRedemption.create({
+    coupon_id: coupon._id,
+    code: coupon.code,
+    landlordId,
+    subscription_id: subscriptionId,
+    history_entry_id: entryId,
+    plan_id: planId,
+    billing_cycle: billingCycle,
+    type,
+    ...pricing
+  });
+
+  if (coupon.max_redemptions_per_landlord > 0) {
+    const used = await CouponRedemption.countDocuments({ coupon_id: coupon._id, landlordId });
+    if (used > coupon.max_redemptions_per_landlord) {
+      await releaseRedemption(redemption);
+      return { statusCode: 409, error: 'You have already used this coupon' };
+    }
+  }
+
+  return { redemption };
+};
+
+/**
+ * Undo a redemption whose purchase could not be saved
+ * @param {Object} redemption - CouponRedemption document
+ */
+const releaseRedemption = async (redemption) => {
+  const deleted = await CouponRedemption.deleteOne({ _id: redemption._id });
+  if (deleted.deletedCount) {
+    await Coupon.updateOne({ _id: redemption.coupon_id }, { $inc: { redemption_count: -1 } });
+  }
+};
+
+/**
+ * Redemption totals of a coupon
+ * @param {String} couponId
+ * @returns {Promise<Object>} - { count, landlords, totalDiscount }
+ */
+const getCouponUsage = async (couponId) => {
+  const [usage] = await CouponRedemption.aggregate([
+    { $match: { coupon_id: new mongoose.Types.ObjectId(couponId) } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        landlords: { $addToSet: '$landlordId' },
+        totalDiscount: { $sum: '$discount_amount' }
+      }
+    }
+  ]);
+
+  return {
+    count: usage ? usage.count : 0,
+    landlords: usage ? usage.landlords.length : 0,
+    totalDiscount: usage ? roundAmount(usage.totalDiscount) : 0
+  };
+};
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  checkCouponRules,
+  validateCoupon,
+  redeemCoupon,
+  releaseRedemption,
+  getCouponUsage
+};
@@ -0,0 +1,780 @@
+/**
+ * Deposit Settlement Service
+ * Settles a tenant's security deposit at move-out. The final electricity reading and any
+ * deductions are billed, the deposit is adjusted against everything the tenant owes for the
+ * accommodation (on the bills and in the tenant's credit ledger, not as a Payment), the remainder
+ * is refunded and the bed is freed.
+ * The tenant can then acknowledge or dispute the settlement; disputes are resolved by the
+ * landlord, optionally with an additional refund.
+ */
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Landlord = require('../models/Landlord');
+const { getBillOutstanding, getBillPaymentStatus, allocatePayment, applyBillPayment } = require('./paymentLedgerService');
+const { moveCreditEntries } = require('./tenantCreditService');
+const { releaseBed } = require('./bedOccupancyService');
+const { notifyUser } = require('./userNotificationService');
+
+const DEDUCTION_TYPES = ['Damage', 'Cleaning', 'Other'];
+
+// Bill type each deduction is charged as
+const DEDUCTION_BILL_TYPES = {
+  Damage: 'Other',
+  Cleaning: 'Cleaning',
+  Other: 'Other'
+};
+
+const SETTLEMENT_STATUSES = ['Pending Acknowledgement', 'Acknowledged', 'Disputed', 'Resolved'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isAccommodationBill = (bill, accommodation) =>
+  bill.landlordId.toString() === accommodation.landlordId.toString() &&
+  bill.propertyId.toString() === accommodation.propertyId.toString() &&
+  bill.roomId === accommodation.roomId &&
+  (accommodation.bedId ? bill.bedId === accommodation.bedId : true);
+
+/**
+ * Deposit the landlord holds for an accommodation
+ * Either marked Paid on the accommodation or collected through Security Deposit bills
+ */
+const getDepositHeld = (tenant, accommodation) => {
+  if (accommodation.securityDepositStatus === 'Paid') {
+    return roundAmount(accommodation.securityDeposit || 0);
+  }
+
+  return roundAmount(tenant.bills
+    .filter(bill => bill.type === 'Security Deposit' && isAccommodationBill(bill, accommodation))
+    .reduce((sum, bill) => sum + (bill.paid ? bill.amount : (bill.paidAmount || 0)), 0));
+};
+
+/**
+ * Last known meter reading for an accommodation: the latest Electricity bill reading,
+ * falling back to the reading recorded at move-in
+ */
+const getPreviousReading = (tenant, accommodation) => {
+  const readings = tenant.bills
+    .filter(bill => bill.type === 'Electricity' && isAccommodationBill(bill, accommodation) &&
+      bill.billDetails && bill.billDetails.currentReading !== undefined && bill.billDetails.currentReading !== null)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+  if (readings.length > 0) return readings[0].billDetails.currentReading;
+
+  const initial = accommodation.electricity && accommodation.electricity.initialReading;
+  return initial !== undefined && initial !== null ? initial : null;
+};
+
+/**
+ * Statement lines for a settlement, in the order they are applied
+ */
+const buildSettlementStatement = (settlement, outstandingBills = []) => {
+  const lines = [{ label: 'Security deposit held', type: 'credit', amount: settlement.depositHeld }];
+
+  outstandingBills.forEach(bill => lines.push({
+    label: `Unpaid ${bill.type} bill ${bill.billNumber}${bill.month ? ` (${[bill.month, bill.year].filter(Boolean).join(' ')})` : ''}`,
+    type: 'debit',
+    amount: getBillOutstanding(bill),
+    billId: bill._id
+  }));
+
+  const electricity = settlement.finalElectricity;
+  if (electricity && electricity.amount > 0) {
+    lines.push({
+      label: `Final electricity: ${electricity.units} units (${electricity.previousReading} to ${electricity.finalReading}) @ ${electricity.ratePerUnit}`,
+      type: 'debit',
+      amount: electricity.amount,
+      billId: electricity.billId
+    });
+  }
+
+  (settlement.deductions || []).forEach(deduction => lines.push({
+    label: `${deduction.type}: ${deduction.description}`,
+    type: 'debit',
+    amount: deduction.amount,
+    billId: deduction.billId
+  }));
+
+  return {
+    lines,
+    depositHeld: settlement.depositHeld,
+    totalCharges: settlement.totalCharges,
+    adjustedFromDeposit: settlement.adjustedFromDeposit,
+    refundAmount: settlement.refundAmount,
+    balanceDue: settlement.balanceDue
+  };
+};
+
+/**
+ * Work out a settlement without saving anything
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Active accommodation being vacated
+ * @param {Object} input - { moveOutDate, finalReading, previousReading, ratePerUnit, deductions, notes }
+ * @returns {Object} - { settlement, newBills, outstandingBills, statement } or { error }
+ */
+const calculateSettlement = (tenant, accommodation, input = {}) => {
+  const moveOutDate = input.moveOutDate ? new Date(input.moveOutDate) : new Date();
+  if (isNaN(moveOutDate.getTime())) {
+    return { error: 'Invalid moveOutDate' };
+  }
+
+  const deductions = [];
+  for (const entry of input.deductions || []) {
+    const type = entry.type || 'Damage';
+    const amount = roundAmount(Number(entry.amount));
+    if (!DEDUCTION_TYPES.includes(type)) {
+      return { error: `Deduction type must be one of: ${DEDUCTION_TYPES.join(', ')}` };
+    }
+    if (!entry.description) {
+      return { error: 'Each deduction needs a description' };
+    }
+    if (!(amount > 0)) {
+      return { error: `Deduction "${entry.description}" must have a positive amount` };
+    }
+    deductions.push({ type, description: entry.description, amount });
+  }
+
+  let finalElectricity = null;
+  if (input.finalReading !== undefined && input.finalReading !== null && input.finalReading !== '') {
+    const finalReading = Number(input.finalReading);
+    const previousReading = input.previousReading !== undefined && input.previousReading !== null
+      ? Number(input.previousReading)
+      : getPreviousReading(tenant, accommodation);
+    const ratePerUnit = input.ratePerUnit !== undefined && input.ratePerUnit !== null
+      ? Number(input.ratePerUnit)
+      : accommodation.electricity && accommodation.electricity.perUnit;
+
+    if (previousReading === null || isNaN(previousReading)) {
+      return { error: 'No previous meter reading on record, please provide previousReading' };
+    }
+    if (isNaN(finalReading) || finalReading < previousReading) {
+      return { error: `finalReading must be a number not lower than the previous reading (${previousReading})` };
+    }
+    if (ratePerUnit === undefined || ratePerUnit === null || isNaN(ratePerUnit) || ratePerUnit < 0) {
+      return { error: 'No electricity rate on the accommodation, please provide ratePerUnit' };
+    }
+
+    const units = roundAmount(finalReading - previousReading);
+    finalElectricity = {
+      previousReading,
+      finalReading,
+      units,
+      ratePerUnit,
+      amount: roundAmount(units * ratePerUnit)
+    };
+  }
+
+  const outstandingBills = tenant.bills.filter(bill =>
+    isAccommodationBill(bill, accommodation) &&
+    bill.type !== 'Security Deposit' && // An unpaid deposit is not owed once the tenant leaves
+    getBillOutstanding(bill) > 0
+  );
+  const outstandingDues = roundAmount(outstandingBills.reduce((sum, bill) => sum + getBillOutstanding(bill), 0));
+
+  const newBills = [];
+  const billBase = {
+    landlordId: accommodation.landlordId,
+    propertyId: accommodation.propertyId,
+    propertyName: accommodation.propertyName,
+    roomId: accommodation.roomId,
+    bedId: accommodation.bedId,
+    month: moveOutDate.toLocaleString('default', { month: 'long' }),
+    year: moveOutDate.getFullYear().toString(),
+    dueDate: moveOutDate,
+    paid: false
+  };
+
+  if (finalElectricity && finalElectricity.amount > 0) {
+    newBills.push({
+      ...billBase,
+      type: 'Electricity',
+      amount: finalElectricity.amount,
+      billNumber: `EB-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+      description: 'Final electricity bill at move-out',
+      billDetails: {
+        previousReading: finalElectricity.previousReading,
+        currentReading: finalElectricity.finalReading,
+        units: finalElectricity.units,
+        ratePerUnit: finalElectricity.ratePerUnit,
+        dueAmount: finalElectricity.amount
+      }
+    });
+  }
+
+  deductions.forEach(deduction => newBills.push({
+    ...billBase,
+    type: DEDUCTION_BILL_TYPES[deduction.type],
+    amount: deduction.amount,
+    billNumber: `MO-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+    description: `Move-out deduction - ${deduction.type}: ${deduction.description}`,
+    billDetails: { dueAmount: deduction.amount }
+  }));
+
+  const depositHeld = getDepositHeld(tenant, accommodation);
+  const totalCharges = roundAmount(outstandingDues + newBills.reduce((sum, bill) => sum + bill.amount, 0));
+  const adjustedFromDeposit = roundAmount(Math.min(depositHeld, totalCharges));
+  const refundAmount = roundAmount(depositHeld - adjustedFromDeposit);
+
+  const settlement = {
+    moveOutDate,
+    depositHeld,
+    outstandingDues,
+    finalElectricity,
+    deductions,
+    totalCharges,
+    adjustedFromDeposit,
+    refundAmount,
+    balanceDue: roundAmount(totalCharges - adjustedFromDeposit),
+    notes: input.notes
+  };
+
+  return {
+    settlement,
+    newBills,
+    outstandingBills,
+    statement: buildSettlementStatement(settlement, outstandingBills)
+  };
+};
+
+/**
+ * Deposit status after a settlement
+ */
+const getDepositStatus = (accommodation, depositHeld, refundAmount) => {
+  if (!(depositHeld > 0)) return accommodation.securityDepositStatus;
+  if (refundAmount >= depositHeld) return 'Refunded';
+  return refundAmount > 0 ? 'Partially Refunded' : 'Deducted';
+};
+
+/**
+ * Settle the deposit and move the tenant out
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Active accommodation being vacated
+ * @param {Object} input - See calculateSettlement, plus refund: { method, transactionId } if already paid out
+ * @param {Object} actor - { settledBy }
+ * @returns {Promise<Object>} - { settlement, statement } or { error, statusCode }
+ */
+const settleMoveOut = async (tenant, accommodation, input, { settledBy }) => {
+  if (!accommodation.isActive) {
+    return { statusCode: 400, error: 'This accommodation is no longer active' };
+  }
+  if (accommodation.settlement && accommodation.settlement.settlementId) {
+    return { statusCode: 409, error: 'This accommodation has already been settled' };
+  }
+
+  const calculated = calculateSettlement(tenant, accommodation, input);
+  if (calculated.error) {
+    return { statusCode: 400, error: calculated.error };
+  }
+  const { settlement, newBills, outstandingBills } = calculated;
+
+  const now = new Date();
+  const settlementId = `SET-${Math.random().toString(36).substr(2, 9)}`;
+
+  // Charge the final reading and deductions as bills so they show on the tenant's statement
+  const createdBills = newBills.map(bill => ({ _id: new mongoose.Types.ObjectId(), ...bill, paidAmount: 0, payments: [] }));
+  createdBills.forEach(bill => {
+    if (bill.type === 'Electricity' && settlement.finalElectricity) {
+      settlement.finalElectricity.billId = bill._id;
+    } else {
+      const deduction = settlement.deductions.find(d => !d.billId && d.amount === bill.amount);
+      if (deduction) deduction.billId = bill._id;
+    }
+  });
+  const newBillsTotal = roundAmount(createdBills.reduce((sum, bill) => sum + bill.amount, 0));
+
+  // The deposit was received when the tenant moved in, so it pays the bills as an
+  // adjustment rather than a new Payment that would count as collected again
+  const adjustedBills = [];
+  settlement.adjustments = [];
+  if (settlement.adjustedFromDeposit > 0) {
+    const { allocations } = allocatePayment([...outstandingBills, ...createdBills], settlement.adjustedFromDeposit);
+    for (const { bill, amount } of allocations) {
+      const previousPaidAmount = bill.paidAmount;
+      applyBillPayment(bill, amount, { paymentId: settlementId, paymentDate: settlement.moveOutDate, method: 'Deposit' });
+      settlement.adjustments.push({ billId: bill._id, billNumber: bill.billNumber, amount });
+      if (!createdBills.includes(bill)) adjustedBills.push({ bill, previousPaidAmount, amount });
+    }
+  }
+
+  const refundPaid = settlement.refundAmount > 0 && input.refund && input.refund.method;
+  Object.assign(settlement, {
+    settlementId,
+    status: 'Pending Acknowledgement',
+    refundPaidAmount: refundPaid ? settlement.refundAmount : 0,
+    refund: settlement.refundAmount > 0
+      ? {
+        status: refundPaid ? 'Paid' : 'Pending',
+        amount: settlement.refundAmount,
+        method: refundPaid ? input.refund.method : undefined,
+        transactionId: refundPaid ? input.refund.transactionId : undefined,
+        paidAt: refundPaid ? now : undefined
+      }
+      : { status: 'Not Applicable' },
+    settledBy,
+    settledAt: now
+  });
+  const depositStatus = getDepositStatus(accommodation, settlement.depositHeld, settlement.refundAmount);
+
+  // Claimed with a guarded update: the stay must still be active and unsettled and each bill the
+  // deposit pays must still owe what it was read with; dues move with $inc beside other writers
+  const set = {
+    'accommodations.$[acc].isActive': false,
+    'accommodations.$[acc].moveOutDate': settlement.moveOutDate,
+    'accommodations.$[acc].settlement': settlement,
+    'accommodations.$[acc].securityDepositStatus': depositStatus,
+    'accommodations.$[acc].securityDepositRefundAmount': settlement.refundAmount,
+    updatedAt: now
+  };
+  if (refundPaid) set['accommodations.$[acc].securityDepositRefundDate'] = now;
+  if (settlement.finalElectricity) {
+    set['accommodations.$[acc].electricity.finalReading'] = settlement.finalElectricity.finalReading;
+    set['accommodations.$[acc].electricity.finalReadingDate'] = settlement.moveOutDate;
+  }
+  const push = {};
+  const billFilters = [];
+  const arrayFilters = [{ 'acc.localTenantId': accommodation.localTenantId, 'acc.isActive': true }];
+  adjustedBills.forEach(({ bill, previousPaidAmount, amount }, index) => {
+    billFilters.push({
+      bills: { $elemMatch: { _id: bill._id, amount: bill.amount, paidAmount: previousPaidAmount || { $in: [0, null] } } }
+    });
+    const path = `bills.$[bill${index}]`;
+    Object.assign(set, {
+      [`${path}.paidAmount`]: bill.paidAmount,
+      [`${path}.paid`]: bill.paid,
+      [`${path}.paymentStatus`]: bill.paymentStatus,
+      [`${path}.paymentMethod`]: bill.paymentMethod
+    });
+    if (bill.paid) set[`${path}.paidDate`] = bill.paidDate;
+    push[`${path}.payments`] = { paymentId: settlementId, amount, paidAt: settlement.moveOutDate };
+    arrayFilters.push({ [`bill${index}._id`]: bill._id });
+  });
+
+  const update = { $set: set };
+  if (Object.keys(push).length > 0) update.$push = push;
+  const duesChange = roundAmount(newBillsTotal - settlement.adjustedFromDeposit);
+  if (duesChange !== 0) update.$inc = { 'accommodations.$[acc].pendingDues': duesChange };
+
+  const filter = {
+    _id: tenant._id,
+    accommodations: {
+      $elemMatch: { localTenantId: accommodation.localTenantId, isActive: true, 'settlement.settlementId': null }
+    }
+  };
+  if (billFilters.length > 0) filter.$and = billFilters;
+
+  const claimed = await Tenant.updateOne(filter, update, { arrayFilters });
+  if (!claimed.modifiedCount) {
+    return { statusCode: 409, error: 'The tenant\'s bills or stay changed while settling, please retry' };
+  }
+  // Added once the settlement is claimed; they cannot be pushed in the same update as the bills changed above
+  if (createdBills.length > 0) {
+    await Tenant.updateOne({ _id: tenant._id }, { $push: { bills: { $each: createdBills } } });
+    createdBills.forEach(bill => tenant.bills.push(bill));
+  }
+
+  // The deposit passes through the credit balance onto the bills, so the credit ledger shows it
+  if (settlement.adjustments.length > 0) {
+    const ledger = await moveCreditEntries({
+      tenantId: tenant.tenantId,
+      landlordId: accommodation.landlordId,
+      movements: [
+        {
+          type: 'Credit',
+          amount: settlement.adjustedFromDeposit,
+          source: 'Security Deposit',
+          propertyId: accommodation.propertyId,
+          localTenantId: accommodation.localTenantId,
+          note: `Security deposit adjusted at move-out (${settlementId})`,
+          createdBy: settledBy ? settledBy.toString() : 'system'
+        },
+        ...settlement.adjustments.map(adjustment => ({
+          type: 'Debit',
+          amount: adjustment.amount,
+          source: 'Bill Applied',
+          billId: adjustment.billId,
+          billNumber: adjustment.billNumber,
+          propertyId: accommodation.propertyId,
+          localTenantId: accommodation.localTenantId,
+          note: `Paid from the security deposit (${settlementId})`,
+          createdBy: settledBy ? settledBy.toString() : 'system'
+        }))
+      ]
+    });
+    if (ledger.error) {
+      // The settlement records the adjustments, so the entries can be added by hand
+      console.error(`Credit ledger entries for settlement ${settlementId} failed: ${ledger.error}`);
+    }
+  }
+
+  accommodation.isActive = false;
+  accommodation.moveOutDate = settlement.moveOutDate;
+  accommodation.settlement = settlement;
+  accommodation.securityDepositStatus = depositStatus;
+  accommodation.securityDepositRefundAmount = settlement.refundAmount;
+
+  if (duesChange !== 0 && accommodation.bedId) {
+    await Property.updateOne(
+      { _id: accommodation.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': duesChange } },
+      { arrayFilters: [{ 'room.roomId': accommodation.roomId }, { 'bed.bedId': accommodation.bedId }] }
+    );
+  }
+
+  try {
+    await releaseBed({
+      propertyId: accommodation.propertyId,
+      roomId: accommodation.roomId,
+      bedId: accommodation.bedId,
+      tenantId: tenant.tenantId
+    });
+  } catch (propertyError) {
+    console.error('Error freeing bed after move-out settlement:', propertyError);
+  }
+
+  const message = settlement.refundAmount > 0
+    ? `Your deposit for ${accommodation.propertyName || 'your stay'} has been settled. Refund: ${settlement.refundAmount}. Please review and acknowledge or dispute the settlement.`
+    : `Your deposit for ${accommodation.propertyName || 'your stay'} has been settled${settlement.balanceDue > 0 ? ` with ${settlement.balanceDue} still due` : ''}. Please review and acknowledge or dispute the settlement.`;
+  await notifyUser({
+    userId: tenant.tenantId,
+    type: 'deposit_settlement',
+    title: 'Security deposit settled',
+    message,
+    data: { settlementId: settlement.settlementId, refundAmount: settlement.refundAmount, balanceDue: settlement.balanceDue },
+    mobile: tenant.mobile,
+    email: tenant.email
+  });
+
+  return {
+    settlement: accommodation.settlement,
+    statement: buildSettlementStatement(settlement, outstandingBills)
+  };
+};
+
+/**
+ * Find the tenant and accommodation holding a settlement
+ * @param {String} settlementId
+ * @param {Object} filter - Extra tenant filter (e.g. { tenantId })
+ * @returns {Promise<Object>} - { tenant, accommodation } or {}
+ */
+const findSettlement = async (settlementId, filter = {}) => {
+  const tenant = await Tenant.findOne({ ...filter, 'accommodations.settlement.settlementId': settlementId });
+  if (!tenant) return {};
+
+  const accommodation = tenant.accommodations.find(acc =>
+    acc.settlement && acc.settlement.settlementId === settlementId
+  );
+  return { tenant, accommodation };
+};
+
+/**
+ * Apply a guarded update to a settlement
+ * @returns {Promise<Boolean>} - false if the settlement was not in an expected status
+ */
+const updateSettlement = async (tenant, settlementId, expectedStatuses, set) => {
+  const prefixed = Object.fromEntries(Object.entries(set).map(([key, value]) => [`accommodations.$[acc].${key}`, value]));
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      accommodations: {
+        $elemMatch: { 'settlement.settlementId': settlementId, 'settlement.status': { $in: expectedStatuses } }
+      }
+    },
+    { $set: prefixed },
+    { arrayFilters: [{ 'acc.settlement.settlementId': settlementId }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Tenant acknowledges or disputes a settlement
+ * @param {String} tenantId
+ * @param {String} settlementId
+ * @param {Object} response - { action: 'acknowledge' | 'dispute', reason }
+ * @returns {Promise<Object>} - { settlement } or { error, statusCode }
+ */
+const respondToSettlement = async (tenantId, settlementId, { action, reason }) => {
+  if (!['acknowledge', 'dispute'].includes(action)) {
+    return { statusCode: 400, error: "Action must be 'acknowledge' or 'dispute'" };
+  }
+  if (action === 'dispute' && !reason) {
+    return { statusCode: 400, error: 'Please give a reason for the dispute' };
+  }
+
+  const { tenant, accommodation } = await findSettlement(settlementId, { tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Settlement not found' };
+  }
+
+  const status = action === 'acknowledge' ? 'Acknowledged' : 'Disputed';
+  const tenantResponse = { status, reason: reason || undefined, respondedAt: new Date() };
+  const updated = await updateSettlement(tenant, settlementId, ['Pending Acknowledgement'], {
+    'settlement.status': status,
+    'settlement.tenantResponse': tenantResponse
+  });
+  if (!updated) {
+    return { statusCode: 409, error: `Settlement is already ${accommodation.settlement.status}` };
+  }
+
+  const landlord = await Landlord.findById(accommodation.landlordId).select('name mobile email');
+  if (landlord) {
+    await notifyUser({
+      userId: landlord._id,
+      type: action === 'acknowledge' ? 'deposit_settlement_acknowledged' : 'deposit_settlement_disputed',
+      title: action === 'acknowledge' ? 'Deposit settlement acknowledged' : 'Deposit settlement disputed',
+      message: action === 'acknowledge'
+        ? `${tenant.name} acknowledged the deposit settlement for ${accommodation.propertyName || 'their stay'}.`
+        : `${tenant.name} disputed the deposit settlement for ${accommodation.propertyName || 'their stay'}: ${reason}`,
+      data: { settlementId, tenantId },
+      mobile: action === 'dispute' ? landlord.mobile : undefined
+    });
+  }
+
+  return { settlement: { ...accommodation.toObject().settlement, status, tenantResponse } };
+};
+
+/**
+ * Take an additional refund back off the bills the deposit paid, newest adjustment first
+ * Bills are changed in memory; returns the bills reopened and the Tenant update parts that write them.
+ */
+const reopenAdjustedBills = (tenant, settlement, amount) => {
+  const now = new Date();
+  const filters = [];
+  const set = {};
+  const unset = {};
+  const push = {};
+  const arrayFilters = [];
+  const bills = [];
+  const adjustments = (settlement.adjustments || []).map(({ billId, billNumber, amount: adjusted }) => ({ billId, billNumber, amount: adjusted }));
+  let remaining = amount;
+
+  for (let i = adjustments.length - 1; i >= 0 && remaining > 0; i--) {
+    const bill = tenant.bills.id(adjustments[i].billId);
+    const taken = roundAmount(Math.min(remaining, adjustments[i].amount));
+    adjustments[i].amount = roundAmount(adjustments[i].amount - taken);
+    remaining = roundAmount(remaining - taken);
+    if (!bill) continue;
+    bills.push({ billId: bill._id, billNumber: bill.billNumber, amount: taken });
+
+    filters.push({ bills: { $elemMatch: { _id: bill._id, paidAmount: bill.paidAmount } } });
+    bill.paidAmount = roundAmount(Math.max(0, (bill.paidAmount || 0) - taken));
+    bill.paid = false;
+    bill.paidDate = undefined;
+    bill.paymentStatus = getBillPaymentStatus(bill);
+
+    const path = `bills.$[bill${i}]`;
+    Object.assign(set, {
+      [`${path}.paidAmount`]: bill.paidAmount,
+      [`${path}.paid`]: false,
+      [`${path}.paymentStatus`]: bill.paymentStatus
+    });
+    unset[`${path}.paidDate`] = '';
+    push[`${path}.payments`] = { paymentId: settlement.settlementId, amount: -taken, paidAt: now };
+    arrayFilters.push({ [`bill${i}._id`]: bill._id });
+  }
+
+  return {
+    amount: roundAmount(amount - remaining),
+    bills,
+    filters,
+    set,
+    unset,
+    push,
+    arrayFilters,
+    adjustments: adjustments.filter(a => a.amount > 0)
+  };
+};
+
+/**
+ * Landlord resolves a disputed settlement, optionally refunding more of the deposit
+ * An additional refund comes out of the deposit that paid the tenant's bills, so those bills
+ * are reopened by the same amount and it can be no more than was adjusted. Only the part of the
+ * refund not paid out yet is left pending.
+ * @param {String} landlordId
+ * @param {String} settlementId
+ * @param {Object} resolution - { additionalRefund, note }
+ * @returns {Promise<Object>} - { settlement } or { error, statusCode }
+ */
+const resolveDispute = async (landlordId, settlementId, { additionalRefund = 0, note }) => {
+  const extra = roundAmount(Number(additionalRefund) || 0);
+  if (extra < 0) {
+    return { statusCode: 400, error: 'additionalRefund cannot be negative' };
+  }
+
+  const { tenant, accommodation } = await findSettlement(settlementId, { 'accommodations.landlordId': landlordId });
+  if (!tenant || accommodation.landlordId.toString() !== landlordId.toString()) {
+    return { statusCode: 404, error: 'Settlement not found or you do not have access' };
+  }
+
+  const settlement = accommodation.settlement;
+  const refundable = roundAmount(settlement.depositHeld - settlement.refundAmount);
+  if (extra > refundable) {
+    return { statusCode: 400, error: `additionalRefund cannot be more than the ${refundable} kept from the deposit` };
+  }
+
+  const refundAmount = roundAmount(settlement.refundAmount + extra);
+  // Settlements made before refundPaidAmount was kept had paid the whole refund when marked Paid
+  const refundPaid = settlement.refundPaidAmount ||
+    (settlement.refund && settlement.refund.status === 'Paid' ? settlement.refundAmount : 0);
+  const refundOutstanding = roundAmount(refundAmount - refundPaid);
+  const reopened = reopenAdjustedBills(tenant, settlement, extra);
+  const set = {
+    'settlement.status': 'Resolved',
+    'settlement.resolution': { additionalRefund: extra, note, resolvedAt: new Date() },
+    'settlement.refundAmount': refundAmount,
+    'settlement.adjustedFromDeposit': roundAmount(settlement.adjustedFromDeposit - extra),
+    'settlement.balanceDue': roundAmount(settlement.balanceDue + extra),
+    'settlement.adjustments': reopened.adjustments,
+    securityDepositRefundAmount: refundAmount,
+    securityDepositStatus: getDepositStatus(accommodation, settlement.depositHeld, refundAmount)
+  };
+  if (extra > 0) {
+    // Whatever has not been paid out yet, the extra amount included
+    set['settlement.refund'] = { status: 'Pending', amount: refundOutstanding };
+    set['settlement.refundPaidAmount'] = refundPaid;
+  }
+
+  // Settlement and reopened bills are written together, guarded on the dispute and the bills' paid amounts.
+  // The bed has been freed, so only the accommodation's dues move.
+  const update = {
+    $set: {
+      ...Object.fromEntries(Object.entries(set).map(([key, value]) => [`accommodations.$[acc].${key}`, value])),
+      ...reopened.set
+    }
+  };
+  if (reopened.amount > 0) {
+    Object.assign(update, {
+      $unset: reopened.unset,
+      $push: reopened.push,
+      $inc: { 'accommodations.$[acc].pendingDues': reopened.amount }
+    });
+  }
+  const filter = {
+    _id: tenant._id,
+    accommodations: { $elemMatch: { 'settlement.settlementId': settlementId, 'settlement.status': 'Disputed' } }
+  };
+  if (reopened.filters.length > 0) filter.$and = reopened.filters;
+
+  const result = await Tenant.updateOne(
+    filter,
+    update,
+    { arrayFilters: [{ 'acc.settlement.settlementId': settlementId }, ...reopened.arrayFilters] }
+  );
+  if (!result.modifiedCount) {
+    return settlement.status === 'Disputed'
+      ? { statusCode: 409, error: 'Bills changed while resolving the dispute, please retry' }
+      : { statusCode: 409, error: `Only disputed settlements can be resolved (this one is ${settlement.status})` };
+  }
+
+  // The refunded part of the deposit comes back off the bills through the credit ledger
+  if (reopened.amount > 0) {
+    const ledger = await moveCreditEntries({
+      tenantId: tenant.tenantId,
+      landlordId: accommodation.landlordId,
+      movements: [
+        ...reopened.bills.map(bill => ({
+          type: 'Credit',
+          amount: bill.amount,
+          source: 'Reversal',
+          billId: bill.billId,
+          billNumber: bill.billNumber,
+          propertyId: accommodation.propertyId,
+          localTenantId: accommodation.localTenantId,
+          note: `Deposit adjustment reversed on dispute (${settlementId})`,
+          createdBy: landlordId.toString()
+        })),
+        {
+          type: 'Debit',
+          amount: reopened.amount,
+          source: 'Security Deposit',
+          propertyId: accommodation.propertyId,
+          localTenantId: accommodation.localTenantId,
+          note: `Security deposit refunded on dispute (${settlementId})`,
+          createdBy: landlordId.toString()
+        }
+      ]
+    });
+    if (ledger.error) {
+      console.error(`Credit ledger entries for resolving settlement ${settlementId} failed: ${ledger.error}`);
+    }
+  }
+
+  await notifyUser({
+    userId: tenant.tenantId,
+    type: 'deposit_settlement_resolved',
+    title: 'Deposit dispute resolved',
+    message: extra > 0
+      ? `Your landlord resolved the deposit dispute and will refund an additional ${extra}`
+        + `${refundOutstanding > extra ? `, ${refundOutstanding} in all with the refund not yet paid` : ''}.${note ? ` ${note}` : ''}`
+      : `Your landlord resolved the deposit dispute.${note ? ` ${note}` : ''}`,
+    data: { settlementId, refundAmount, refundOutstanding: extra > 0 ? refundOutstanding : undefined },
+    mobile: tenant.mobile
+  });
+
+  const refreshed = await findSettlement(settlementId, { _id: tenant._id });
+  return { settlement: refreshed.accommodation.settlement };
+};
+
+/**
+ * Record that the pending deposit refund has been paid out
+ * Only the part not paid before counts, e.g. the additional refund after a dispute.
+ * @returns {Promise<Object>} - { settlement } or { error, statusCode }
+ */
+const recordRefund = async (landlordId, settlementId, { method, transactionId }) => {
+  if (!method) {
+    return { statusCode: 400, error: 'Refund method is required' };
+  }
+
+  const { tenant, accommodation } = await findSettlement(settlementId, { 'accommodations.landlordId': landlordId });
+  if (!tenant || accommodation.landlordId.toString() !== landlordId.toString()) {
+    return { statusCode: 404, error: 'Settlement not found or you do not have access' };
+  }
+
+  const settlement = accommodation.settlement;
+  if (!settlement.refund || settlement.refund.status !== 'Pending') {
+    return { statusCode: 400, error: 'There is no pending refund on this settlement' };
+  }
+
+  const amount = settlement.refund.amount !== undefined && settlement.refund.amount !== null
+    ? settlement.refund.amount
+    : roundAmount(settlement.refundAmount - (settlement.refundPaidAmount || 0));
+  const now = new Date();
+  const result = await Tenant.updateOne(
+    { _id: tenant._id, 'accommodations.settlement.settlementId': settlementId },
+    {
+      $set: {
+        'accommodations.$[acc].settlement.refund': { status: 'Paid', amount, method, transactionId, paidAt: now },
+        'accommodations.$[acc].securityDepositRefundDate': now
+      },
+      $inc: { 'accommodations.$[acc].settlement.refundPaidAmount': amount }
+    },
+    { arrayFilters: [{ 'acc.settlement.settlementId': settlementId, 'acc.settlement.refund.status': 'Pending' }] }
+  );
+  if (!result.modifiedCount) {
+    return { statusCode: 409, error: 'Refund was already recorded' };
+  }
+
+  await notifyUser({
+    userId: tenant.tenantId,
+    type: 'deposit_refunded',
+    title: 'Deposit refunded',
+    message: `Your deposit refund of ${amount} has been paid by ${method}${transactionId ? ` (ref ${transactionId})` : ''}.`,
+    data: { settlementId, refundAmount: amount },
+    mobile: tenant.mobile
+  });
+
+  const refreshed = await findSettlement(settlementId, { _id: tenant._id });
+  return { settlement: refreshed.accommodation.settlement };
+};
+
+module.exports = {
+  DEDUCTION_TYPES,
+  SETTLEMENT_STATUSES,
+  getDepositHeld,
+  calculateSettlement,
+  buildSettlementStatement,
+  settleMoveOut,
+  findSettlement,
+  respondToSettlement,
+  resolveDispute,
+  recordRefund
+};
@@ -0,0 +1,96 @@
+/**
+ * Document Storage Service
+ * Stores generated documents (invoices, receipts) on S3 through utils/s3Upload, or on local
+ * disk under src/uploads/documents when S3 is not configured or DOCUMENT_STORAGE=local.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const s3Upload = require('../utils/s3Upload');
+
+const LOCAL_ROOT = path.join(__dirname, '../uploads');
+const LOCAL_URL_PREFIX = '/uploads/';
+
+const useS3 = () => {
+  if (process.env.DOCUMENT_STORAGE) {
+    return process.env.DOCUMENT_STORAGE === 's3';
+  }
+  return !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+};
+
+const isLocalDocument = (url) => !!url && url.startsWith(LOCAL_URL_PREFIX);
+
+/**
+ * Store a document
+ * @param {Buffer} buffer - File contents
+ * @param {String} directory - e.g. 'documents/invoices/<landlordId>'
+ * @param {String} fileName - e.g. 'INV-2026-27-0001.pdf'
+ * @param {String} mimetype
+ * @returns {Promise<Object>} - { url, key }
+ */
+const storeDocument = async (buffer, directory, fileName, mimetype = 'application/pdf') => {
+  if (useS3()) {
+    const result = await s3Upload.uploadFile({ originalname: fileName, buffer, mimetype }, directory);
+    return { url: result.url, key: result.key };
+  }
+
+  const key = `${directory}/${fileName}`;
+  const filePath = path.join(LOCAL_ROOT, key);
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, buffer);
+  return { url: `${LOCAL_URL_PREFIX}${key}`, key };
+};
+
+/**
+ * Check that a stored document can still be served
+ */
+const documentExists = async ({ url, key }) => {
+  if (!url || !key) return false;
+  if (isLocalDocument(url)) {
+    return fs.pathExists(path.join(LOCAL_ROOT, key));
+  }
+  return true;
+};
+
+/**
+ * Delete a stored document
+ */
+const deleteDocument = async ({ url, key }) => {
+  if (!key) return;
+  if (isLocalDocument(url)) {
+    await fs.remove(path.join(LOCAL_ROOT, key));
+    return;
+  }
+  await s3Upload.deleteFile(key);
+};
+
+/**
+ * Send a stored document: local files are streamed, S3 objects are redirected to a signed URL
+ * @param {Object} res - Express response
+ * @param {Object} document - { url, key }
+ * @param {String} downloadName - File name shown to the user
+ */
+const sendStoredDocument = (res, { url, key }, downloadName) => {
+  if (isLocalDocument(url)) {
+    res.setHeader('Content-Disposition', `inline; filename="${downloadName}"`);
+    return res.sendFile(path.join(LOCAL_ROOT, key));
+  }
+  return res.redirect(s3Upload.getSignedUrl(key, 300));
+};
+
+/**
+ * Send a freshly rendered document
+ */
+const sendDocumentBuffer = (res, buffer, downloadName, mimetype = 'application/pdf') => {
+  res.setHeader('Content-Type', mimetype);
+  res.setHeader('Content-Disposition', `inline; filename="${downloadName}"`);
+  res.setHeader('Content-Length', buffer.length);
+  return res.end(buffer);
+};
+
+module.exports = {
+  storeDocument,
+  documentExists,
+  deleteDocument,
+  sendStoredDocument,
+  sendDocumentBuffer
+};
@@ -0,0 +1,310 @@
+/**
+ * Dues Reminder Service
+ * Reminds tenants of unpaid bills by SMS and email following each landlord's rules (days before
+ * the due date, on the due date, and every few days while overdue), and lets landlords send a
+ * reminder straight away. Every attempt, sent or failed, is logged in the bill's reminders.
+ */
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Landlord = require('../models/Landlord');
+const { sendSMS } = require('../utils/sms');
+const { sendEmail } = require('../utils/emailService');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const { getBillOutstanding } = require('./paymentLedgerService');
+const { formatAmount, formatDate } = require('./invoicePdfService');
+
+const REMINDER_CHANNELS = ['SMS', 'Email'];
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  daysBeforeDue: [3],
+  onDueDate: true,
+  overdueEveryDays: 5,
+  maxOverdueReminders: 6,
+  channels: ['SMS', 'Email'],
+  billTypes: []
+};
+const MANUAL_REMINDER_COOLDOWN_HOURS = 24;
+const REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Landlord's reminder settings with defaults filled in
+ */
+const getReminderSettings = (landlord) => {
+  const saved = (landlord && landlord.reminderSettings) || {};
+  const settings = { ...DEFAULT_REMINDER_SETTINGS };
+  Object.keys(DEFAULT_REMINDER_SETTINGS).forEach(key => {
+    if (saved[key] !== undefined && saved[key] !== null) settings[key] = saved[key];
+  });
+  return settings;
+};
+
+/**
+ * Which scheduled reminder, if any, a bill is due for on a day
+ * @param {Object} settings - From getReminderSettings
+ * @param {Object} bill - Tenant bill
+ * @param {Date} asOf
+ * @returns {String|null} - 'before_due' | 'due_date' | 'overdue' | null
+ */
+const getReminderTrigger = (settings, bill, asOf = new Date()) => {
+  if (bill.paid || !bill.dueDate || getBillOutstanding(bill) <= 0) return null;
+  if (settings.billTypes.length > 0 && !settings.billTypes.includes(bill.type)) return null;
+
+  const daysUntilDue = moment(bill.dueDate).startOf('day').diff(moment(asOf).startOf('day'), 'days');
+
+  if (daysUntilDue > 0) {
+    return settings.daysBeforeDue.includes(daysUntilDue) ? 'before_due' : null;
+  }
+  if (daysUntilDue === 0) {
+    return settings.onDueDate ? 'due_date' : null;
+  }
+
+  const daysOverdue = -daysUntilDue;
+  if (!settings.overdueEveryDays || daysOverdue % settings.overdueEveryDays !== 0) return null;
+  const overdueSent = (bill.reminders || [])
+    .filter(r => r.trigger === 'overdue' && r.status !== 'Failed')
+    .map(r => moment(r.sentDate).format('YYYY-MM-DD'));
+  return new Set(overdueSent).size < settings.maxOverdueReminders ? 'overdue' : null;
+};
+
+const wasRemindedOn = (bill, asOf) => (bill.reminders || []).some(r =>
+  r.trigger !== 'manual' && r.status !== 'Failed' && moment(r.sentDate).isSame(asOf, 'day'));
+
+/**
+ * Reminder text for one or more bills of a tenant
+ */
+const buildReminderMessage = (tenant, bills, trigger, landlordName) => {
+  const total = bills.reduce((sum, bill) => sum + getBillOutstanding(bill), 0);
+  const items = bills.map(bill => {
+    const period = [bill.month, bill.year].filter(Boolean).join(' ');
+    return `${bill.type}${period ? ` (${period})` : ''} Rs ${formatAmount(getBillOutstanding(bill))} due ${formatDate(bill.dueDate)}`;
+  });
+  const property = bills[0].propertyName ? ` at ${bills[0].propertyName}` : '';
+
+  let opening;
+  if (trigger === 'overdue') {
+    opening = `your payment${property} is overdue`;
+  } else if (trigger === 'due_date') {
+    opening = `your payment${property} is due today`;
+  } else {
+    opening = `this is a reminder of your upcoming payment${property}`;
+  }
+
+  return {
+    subject: trigger === 'overdue' ? 'Payment overdue' : 'Payment reminder',
+    text: `Dear ${tenant.name}, ${opening}: ${items.join('; ')}. Total Rs ${formatAmount(total)}. `
+      + `Please pay through the app or contact ${landlordName || 'your landlord'}.`
+  };
+};
+
+/**
+ * Send one reminder for a tenant's bills on each channel and log every attempt on the bills
+ * @param {Object} tenant - Tenant document
+ * @param {Array} bills - Unpaid bills of one landlord
+ * @param {Object} options - { trigger, channels, landlordName, sentBy, messageTrigger }
+ *   messageTrigger picks the wording when it differs from the logged trigger (manual reminders)
+ * @returns {Promise<Object>} - { message, attempts: [{ method, status, recipient, error }] }
+ */
+const sendBillReminder = async (tenant, bills, { trigger, channels, landlordName, sentBy, messageTrigger }) => {
+  const message = buildReminderMessage(tenant, bills, messageTrigger || trigger, landlordName);
+  const sentDate = new Date();
+  const attempts = [];
+
+  if (channels.includes('SMS')) {
+    if (!tenant.mobile) {
+      attempts.push({ method: 'SMS', status: 'Failed', error: 'No mobile number' });
+    } else {
+      try {
+        await sendSMS(tenant.mobile, message.text);
+        attempts.push({ method: 'SMS', status: 'Sent', recipient: tenant.mobile });
+      } catch (error) {
+        attempts.push({ method: 'SMS', status: 'Failed', recipient: tenant.mobile, error: error.message });
+      }
+    }
+  }
+
+  if (channels.includes('Email')) {
+    if (!tenant.email) {
+      attempts.push({ method: 'Email', status: 'Failed', error: 'No email address' });
+    } else {
+      const sent = await sendEmail({
+        to: tenant.email,
+        subject: message.subject,
+        text: message.text,
+        html: `<p>${message.text}</p>`
+      });
+      attempts.push({
+        method: 'Email',
+        status: sent ? 'Sent' : 'Failed',
+        recipient: tenant.email,
+        error: sent ? undefined : 'Email could not be sent'
+      });
+    }
+  }
+
+  const entries = attempts.map(attempt => ({ ...attempt, sentDate, trigger, sentBy }));
+  const billIds = bills.map(bill => bill._id);
+  await Tenant.updateOne(
+    { _id: tenant._id },
+    { $push: { 'bills.$[bill].reminders': { $each: entries } } },
+    { arrayFilters: [{ 'bill._id': { $in: billIds } }] }
+  );
+
+  // In-app copy; it is not logged as a reminder method
+  notifyUser({
+    userId: tenant.tenantId,
+    type: 'dues_reminder',
+    title: message.subject,
+    message: message.text,
+    data: { billIds: billIds.map(id => id.toString()), trigger }
+  }).catch(error => console.error('Error sending in-app reminder:', error.message));
+
+  return { message: message.text, attempts };
+};
+
+/**
+ * Run the scheduled reminders of every landlord that has them enabled
+ * @param {Date} asOf
+ * @returns {Promise<Object>} - { landlords, tenants, bills, failed }
+ */
+const runDuesReminders = async (asOf = new Date()) => {
+  const summary = { landlords: 0, tenants: 0, bills: 0, failed: 0 };
+  const landlords = await Landlord.find({ 'reminderSettings.enabled': true }).select('name reminderSettings');
+
+  for (const landlord of landlords) {
+    summary.landlords += 1;
+    const settings = getReminderSettings(landlord);
+    if (settings.channels.length === 0) continue;
+
+    // Widest window any rule can match
+    const earliest = settings.overdueEveryDays
+      ? moment(asOf).subtract(settings.overdueEveryDays * settings.maxOverdueReminders, 'days').startOf('day')
+      : moment(asOf).startOf('day');
+    const latest = moment(asOf).add(Math.max(0, ...settings.daysBeforeDue), 'days').endOf('day');
+
+    const cursor = Tenant.find({
+      bills: {
+        $elemMatch: {
+          landlordId: landlord._id,
+          paid: false,
+          dueDate: { $gte: earliest.toDate(), $lte: latest.toDate() }
+        }
+      }
+    }).select('tenantId name mobile email bills').cursor();
+
+    for (let tenant = await cursor.next(); tenant != null; tenant = await cursor.next()) {
+      const due = {};
+      tenant.bills.forEach(bill => {
+        if (bill.landlordId.toString() !== landlord._id.toString()) return;
+        if (wasRemindedOn(bill, asOf)) return;
+        const trigger = getReminderTrigger(settings, bill, asOf);
+        if (trigger) (due[trigger] = due[trigger] || []).push(bill);
+      });
+
+      // One message per trigger, overdue first
+      for (const trigger of ['overdue', 'due_date', 'before_due']) {
+        if (!due[trigger]) continue;
+        try {
+          const result = await sendBillReminder(tenant, due[trigger], {
+            trigger,
+            channels: settings.channels,
+            landlordName: landlord.name
+          });
+          summary.tenants += 1;
+          summary.bills += due[trigger].length;
+          summary.failed += result.attempts.filter(a => a.status === 'Failed').length;
+        } catch (error) {
+          console.error(`Dues reminder for tenant ${tenant.tenantId} failed:`, error.message);
+        }
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Send a reminder now for a tenant's unpaid bills with the landlord
+ * Refused if any of the bills was reminded within the cooldown.
+ * @param {String} landlordId
+ * @param {String} tenantId - Tenant ID or landlord-local tenant ID
+ * @param {Object} options - { billIds, channels }
+ * @returns {Promise<Object>} - { bills, attempts } or { statusCode, error, retryAfter }
+ */
+const sendReminderNow = async (landlordId, tenantId, { billIds, channels } = {}) => {
+  const tenant = await Tenant.findOne(tenantId.startsWith('L-')
+    ? { accommodations: { $elemMatch: { localTenantId: tenantId, landlordId } } }
+    : { tenantId, 'accommodations.landlordId': landlordId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Tenant not found or you do not have access' };
+  }
+
+  const landlord = await Landlord.findById(landlordId).select('name reminderSettings');
+  const settings = getReminderSettings(landlord);
+  const useChannels = channels && channels.length ? channels : settings.channels;
+  if (useChannels.length === 0 || useChannels.some(channel => !REMINDER_CHANNELS.includes(channel))) {
+    return { statusCode: 400, error: `channels must be one or more of: ${REMINDER_CHANNELS.join(', ')}` };
+  }
+
+  let bills = tenant.bills.filter(bill =>
+    bill.landlordId.toString() === landlordId.toString() && getBillOutstanding(bill) > 0);
+  if (billIds && billIds.length) {
+    bills = bills.filter(bill => billIds.includes(bill._id.toString()));
+  }
+  if (bills.length === 0) {
+    return { statusCode: 400, error: 'No unpaid bills to remind about' };
+  }
+
+  const cooldownStart = moment().subtract(MANUAL_REMINDER_COOLDOWN_HOURS, 'hours');
+  const lastSent = bills
+    .flatMap(bill => bill.reminders || [])
+    .filter(r => r.status !== 'Failed' && moment(r.sentDate).isAfter(cooldownStart))
+    .sort((a, b) => b.sentDate - a.sentDate)[0];
+  if (lastSent) {
+    const retryAfter = moment(lastSent.sentDate).add(MANUAL_REMINDER_COOLDOWN_HOURS, 'hours').toDate();
+    return {
+      statusCode: 429,
+      error: `A reminder was already sent on ${moment(lastSent.sentDate).format('DD MMM YYYY HH:mm')}. You can send another after ${moment(retryAfter).format('DD MMM YYYY HH:mm')}.`,
+      retryAfter
+    };
+  }
+
+  const overdue = bills.some(bill => bill.dueDate && moment(bill.dueDate).isBefore(moment(), 'day'));
+  const result = await sendBillReminder(tenant, bills, {
+    trigger: 'manual',
+    channels: useChannels,
+    landlordName: landlord && landlord.name,
+    sentBy: landlordId,
+    messageTrigger: overdue ? 'overdue' : 'before_due'
+  });
+
+  return {
+    tenantId: tenant.tenantId,
+    bills: bills.map(bill => ({ billId: bill._id, billNumber: bill.billNumber, outstanding: getBillOutstanding(bill) })),
+    message: result.message,
+    attempts: result.attempts
+  };
+};
+
+/**
+ * Set up the daily dues reminder job
+ */
+const setupDuesReminderScheduler = () => {
+  scheduleJob('dues-reminders', REMINDER_INTERVAL_MS, async () => {
+    const summary = await runDuesReminders();
+    console.log(`Dues reminders: ${summary.bills} bills of ${summary.tenants} tenants reminded, ${summary.failed} failed attempts`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  DEFAULT_REMINDER_SETTINGS,
+  MANUAL_REMINDER_COOLDOWN_HOURS,
+  getReminderSettings,
+  getReminderTrigger,
+  buildReminderMessage,
+  runDuesReminders,
+  sendReminderNow,
+  setupDuesReminderScheduler
+};
@@ -0,0 +1,478 @@
+/**
+ * Electricity Meter Service
+ * Keeps a register of dated readings of each room's shared meter. Every new reading bills
+ * the units used since the previous one (plus any fixed charges) to the tenants who stayed
+ * in the room during that period, as one Electricity bill each:
+ *  - equal:  the same share for everyone who stayed in the room during the period
+ *  - days:   in proportion to the days each tenant occupied the room
+ *  - custom: in proportion to landlord-given weights, prorated for partial stays
+ * The first reading of a room is a baseline and is not billed.
+ */
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const MeterReading = require('../models/MeterReading');
+const { setCache } = require('../utils/redis');
+const { notifyUser } = require('./userNotificationService');
+const { applyCreditToNewBills } = require('./paymentLedgerService');
+
+const SPLIT_METHODS = ['equal', 'days', 'custom'];
+const DEFAULT_DUE_DAYS = 7;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Dates a tenant occupied the room for an accommodation
+ * Active stays run until today. An ended stay without a move-out date cannot be placed
+ * in time and is treated as not occupying the room.
+ * @returns {Object} - { start, end } (end is null while the stay is ongoing)
+ */
+const getStayWindow = (accommodation) => {
+  const start = accommodation.moveInDate;
+  if (accommodation.isActive) {
+    return { start, end: null };
+  }
+  const end = accommodation.moveOutDate ||
+    (accommodation.settlement && accommodation.settlement.moveOutDate) ||
+    start;
+  return { start, end };
+};
+
+/**
+ * Days of a stay that fall inside the reading period (previous reading, this reading]
+ */
+const getDaysOccupied = (periodStart, periodEnd, stayStart, stayEnd) => {
+  const from = moment.max(moment(periodStart).startOf('day'), moment(stayStart || periodStart).startOf('day'));
+  const to = stayEnd
+    ? moment.min(moment(periodEnd).startOf('day'), moment(stayEnd).startOf('day'))
+    : moment(periodEnd).startOf('day');
+  return Math.max(0, to.diff(from, 'days'));
+};
+
+/**
+ * Look up a custom weight by local tenant ID, tenant ID or bed ID (default 1)
+ */
+const getCustomWeight = (weights, occupant) => {
+  const keys = [occupant.localTenantId, occupant.tenantId, occupant.bedId].filter(Boolean);
+  const key = keys.find(k => weights[k] !== undefined && weights[k] !== null);
+  return key ? Number(weights[key]) : 1;
+};
+
+/**
+ * Split a reading's cost across occupants
+ * @param {Object} options - { amount, units, fixedCharges, occupants, method, weights, periodDays }
+ * @returns {Object} - { shares, unallocatedAmount } or { error }
+ */
+const splitMeterCost = ({ amount, units, fixedCharges = 0, occupants, method, weights = {}, periodDays }) => {
+  const weighted = [];
+  for (const occupant of occupants) {
+    let weight;
+    if (method === 'equal') {
+      weight = 1;
+    } else if (method === 'days') {
+      weight = occupant.daysOccupied;
+    } else {
+      const custom = getCustomWeight(weights, occupant);
+      if (!Number.isFinite(custom) || custom < 0) {
+        return { error: `Invalid weight for ${occupant.name || occupant.localTenantId}` };
+      }
+      weight = periodDays > 0 ? custom * occupant.daysOccupied / periodDays : 0;
+    }
+    weighted.push({ occupant, weight });
+  }
+
+  const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight <= 0 || amount <= 0) {
+    return { shares: [], unallocatedAmount: roundAmount(Math.max(amount, 0)) };
+  }
+
+  const shares = weighted
+    .filter(entry => entry.weight > 0)
+    .map(({ occupant, weight }) => ({
+      tenantId: occupant.tenantId,
+      localTenantId: occupant.localTenantId,
+      name: occupant.name,
+      bedId: occupant.bedId,
+      occupiedFrom: occupant.occupiedFrom,
+      occupiedTo: occupant.occupiedTo,
+      daysOccupied: occupant.daysOccupied,
+      weight: Math.round(weight * 10000) / 10000,
+      units: roundAmount(units * weight / totalWeight),
+      fixedCharges: roundAmount(fixedCharges * weight / totalWeight),
+      amount: roundAmount(amount * weight / totalWeight)
+    }));
+
+  // Put rounding differences on the largest share so the shares add up to the reading
+  const largest = shares.reduce((max, share) => (share.amount > max.amount ? share : max), shares[0]);
+  largest.amount = roundAmount(largest.amount + amount - shares.reduce((sum, share) => sum + share.amount, 0));
+  largest.units = roundAmount(largest.units + units - shares.reduce((sum, share) => sum + share.units, 0));
+
+  return { shares, unallocatedAmount: 0 };
+};
+
+/**
+ * Tenants who stayed in a room during a reading period
+ * Tenants whose move-out settlement already billed a final reading inside or after the
+ * period are left out, their electricity was charged at move-out.
+ */
+const findRoomOccupants = async (landlordId, propertyId, roomId, periodStart, periodEnd) => {
+  const tenants = await Tenant.find({
+    accommodations: { $elemMatch: { landlordId, propertyId, roomId } }
+  }).select('tenantId name mobile email accommodations');
+
+  const occupants = [];
+  tenants.forEach(tenant => {
+    tenant.accommodations
+      .filter(acc =>
+        acc.landlordId.toString() === landlordId.toString() &&
+        acc.propertyId.toString() === propertyId.toString() &&
+        acc.roomId === roomId
+      )
+      .forEach(acc => {
+        const settled = acc.settlement && acc.settlement.finalElectricity &&
+          acc.settlement.finalElectricity.amount > 0 &&
+          moment(acc.settlement.moveOutDate).isAfter(periodStart);
+        if (settled) return;
+
+        const { start, end } = getStayWindow(acc);
+        const daysOccupied = getDaysOccupied(periodStart, periodEnd, start, end);
+        if (daysOccupied <= 0) return;
+
+        occupants.push({
+          tenant,
+          accommodation: acc,
+          tenantId: tenant.tenantId,
+          localTenantId: acc.localTenantId,
+          name: tenant.name,
+          bedId: acc.bedId,
+          occupiedFrom: moment.max(moment(periodStart), moment(start || periodStart)).toDate(),
+          occupiedTo: end ? moment.min(moment(periodEnd), moment(end)).toDate() : periodEnd,
+          daysOccupied
+        });
+      });
+  });
+  return occupants;
+};
+
+/**
+ * Latest reading of a room's meter
+ */
+const getLastReading = (propertyId, roomId) =>
+  MeterReading.findOne({ propertyId, roomId }).sort({ sequence: -1 });
+
+/**
+ * Validate a new reading and work out its bill split without saving anything
+ * @param {String} landlordId
+ * @param {String} propertyId
+ * @param {String} roomId
+ * @param {Object} input - { reading, readingDate, ratePerUnit, fixedCharges, splitMethod, weights,
+ *                           dueDate, notes, previousReading, previousReadingDate }
+ * @returns {Promise<Object>} - { property, room, entry, occupants } or { statusCode, error }
+ */
+const prepareMeterReading = async (landlordId, propertyId, roomId, input = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    return { statusCode: 400, error: 'Invalid property ID' };
+  }
+
+  const property = await Property.findOne({ _id: propertyId, landlordId }).select('name rooms');
+  if (!property) {
+    return { statusCode: 404, error: 'Property not found or you do not have access' };
+  }
+  const room = property.rooms.find(r => r.roomId === roomId);
+  if (!room) {
+    return { statusCode: 404, error: 'Room not found' };
+  }
+
+  const reading = Number(input.reading);
+  if (input.reading === undefined || input.reading === null || !Number.isFinite(reading) || reading < 0) {
+    return { statusCode: 400, error: 'A valid meter reading is required' };
+  }
+
+  const readingDate = input.readingDate ? moment(input.readingDate) : moment();
+  if (!readingDate.isValid()) {
+    return { statusCode: 400, error: 'Invalid reading date' };
+  }
+  if (readingDate.isAfter(moment().endOf('day'))) {
+    return { statusCode: 400, error: 'Reading date cannot be in the future' };
+  }
+
+  const meter = room.electricityMeter || {};
+  const last = await getLastReading(property._id, roomId);
+
+  // The first reading of a room may carry over an older reading so it can be billed straight away
+  let previous = last ? { reading: last.reading, readingDate: last.readingDate } : null;
+  if (!last && input.previousReading !== undefined && input.previousReading !== null && input.previousReadingDate) {
+    previous = { reading: Number(input.previousReading), readingDate: new Date(input.previousReadingDate) };
+    if (!Number.isFinite(previous.reading) || isNaN(previous.readingDate.getTime())) {
+      return { statusCode: 400, error: 'Invalid previous reading or date' };
+    }
+  }
+
+  const entry = {
+    landlordId,
+    propertyId: property._id,
+    propertyName: property.name,
+    roomId,
+    meterNumber: meter.meterNumber,
+    sequence: last ? last.sequence + 1 : 1,
+    reading,
+    readingDate: readingDate.toDate(),
+    notes: input.notes
+  };
+
+  if (!previous) {
+    return { property, room, entry: { ...entry, isBaseline: true, shares: [] }, occupants: [] };
+  }
+
+  if (reading < previous.reading) {
+    return { statusCode: 400, error: `Reading cannot be lower than the previous reading (${previous.reading})` };
+  }
+  if (!readingDate.isAfter(previous.readingDate, 'day')) {
+    return {
+      statusCode: 400,
+      error: `Reading date must be after the previous reading on ${moment(previous.readingDate).format('DD MMM YYYY')}`
+    };
+  }
+
+  const ratePerUnit = input.ratePerUnit !== undefined && input.ratePerUnit !== null
+    ? Number(input.ratePerUnit)
+    : meter.ratePerUnit || 0;
+  const fixedCharges = Number(input.fixedCharges) || 0;
+  if (!Number.isFinite(ratePerUnit) || ratePerUnit < 0 || fixedCharges < 0) {
+    return { statusCode: 400, error: 'Rate per unit and fixed charges cannot be negative' };
+  }
+
+  const splitMethod = input.splitMethod || meter.splitMethod || 'days';
+  if (!SPLIT_METHODS.includes(splitMethod)) {
+    return { statusCode: 400, error: `Split method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  }
+  if (splitMethod === 'custom' && (!input.weights || typeof input.weights !== 'object')) {
+    return { statusCode: 400, error: 'Custom split needs weights, e.g. { "L-...": 2, "BED-...": 1 }' };
+  }
+
+  const units = roundAmount(reading - previous.reading);
+  const amount = roundAmount(units * ratePerUnit + fixedCharges);
+  const periodDays = moment(readingDate).startOf('day').diff(moment(previous.readingDate).startOf('day'), 'days');
+
+  const occupants = await findRoomOccupants(landlordId, property._id, roomId, previous.readingDate, readingDate.toDate());
+  const split = splitMeterCost({
+    amount,
+    units,
+    fixedCharges,
+    occupants,
+    method: splitMethod,
+    weights: input.weights,
+    periodDays
+  });
+  if (split.error) {
+    return { statusCode: 400, error: split.error };
+  }
+
+  const dueDate = input.dueDate
+    ? new Date(input.dueDate)
+    : moment().add(DEFAULT_DUE_DAYS, 'days').toDate();
+
+  return {
+    property,
+    room,
+    occupants,
+    entry: {
+      ...entry,
+      previousReading: previous.reading,
+      previousReadingDate: previous.readingDate,
+      periodDays,
+      units,
+      ratePerUnit,
+      fixedCharges,
+      amount,
+      splitMethod,
+      shares: split.shares,
+      unallocatedAmount: split.unallocatedAmount,
+      dueDate
+    }
+  };
+};
+
+/**
+ * Add one occupant's Electricity bill for a reading, once
+ * Raises pendingDues on the accommodation and, for tenants still in the bed, on the bed,
+ * and keeps the bed's electricity summary in step with the room meter.
+ * @returns {Promise<Object|null>} - The bill, or null if it already existed
+ */
+const createMeterBill = async (occupant, reading, share) => {
+  const { accommodation } = occupant;
+  const period = `${moment(reading.previousReadingDate).format('DD MMM')} - ${moment(reading.readingDate).format('DD MMM YYYY')}`;
+  const splitLabel = {
+    equal: 'equal share',
+    days: `${share.daysOccupied} of ${reading.periodDays} days`,
+    custom: `weight ${share.weight}`
+  }[reading.splitMethod];
+
+  const bill = {
+    _id: new mongoose.Types.ObjectId(),
+    landlordId: reading.landlordId,
+    propertyId: reading.propertyId,
+    propertyName: reading.propertyName,
+    roomId: reading.roomId,
+    bedId: accommodation.bedId,
+    type: 'Electricity',
+    meterReadingId: reading.readingId,
+    billNumber: `EB-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+    month: moment(reading.readingDate).format('MMMM'),
+    year: moment(reading.readingDate).format('YYYY'),
+    amount: share.amount,
+    dueDate: reading.dueDate,
+    paid: false,
+    description: `Electricity for ${period} (${share.units} units, ${splitLabel})`,
+    billDetails: {
+      previousReading: reading.previousReading,
+      currentReading: reading.reading,
+      units: share.units,
+      ratePerUnit: reading.ratePerUnit,
+      fixedCharges: share.fixedCharges,
+      dueAmount: share.amount
+    }
+  };
+
+  const result = await Tenant.updateOne(
+    {
+      _id: occupant.tenant._id,
+      bills: { $not: { $elemMatch: { meterReadingId: reading.readingId, roomId: reading.roomId } } }
+    },
+    {
+      $push: { bills: bill },
+      $inc: { 'accommodations.$[acc].pendingDues': bill.amount },
+      $set: { updatedAt: new Date() }
+    },
+    { arrayFilters: [{ 'acc.localTenantId': accommodation.localTenantId }] }
+  );
+  if (!result.modifiedCount) {
+    return null;
+  }
+
+  if (accommodation.isActive && accommodation.bedId) {
+    await Property.updateOne(
+      { _id: reading.propertyId },
+      {
+        $inc: { 'rooms.$[room].beds.$[bed].pendingDues': bill.amount },
+        $set: {
+          'rooms.$[room].beds.$[bed].electricityBill': {
+            lastReading: reading.previousReading,
+            currentReading: reading.reading,
+            unitsConsumed: share.units,
+            ratePerUnit: reading.ratePerUnit,
+            billAmount: share.amount,
+            billDate: reading.readingDate,
+            dueDate: reading.dueDate,
+            isPaid: false
+          }
+        }
+      },
+      { arrayFilters: [{ 'room.roomId': reading.roomId }, { 'bed.bedId': accommodation.bedId }] }
+    );
+  }
+
+  return bill;
+};
+
+/**
+ * Record a new room meter reading and bill its occupants
+ * @returns {Promise<Object>} - { reading, bills } or { statusCode, error }
+ */
+const recordMeterReading = async (landlordId, propertyId, roomId, input, { recordedBy } = {}) => {
+  const prepared = await prepareMeterReading(landlordId, propertyId, roomId, input);
+  if (prepared.error) {
+    return prepared;
+  }
+
+  let reading;
+  try {
+    reading = await MeterReading.create({ ...prepared.entry, recordedBy });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { statusCode: 409, error: 'Another reading was recorded for this room at the same time, please refresh' };
+    }
+    throw error;
+  }
+
+  const bills = [];
+  for (const share of reading.shares) {
+    const occupant = prepared.occupants.find(o =>
+      o.localTenantId === share.localTenantId && o.tenantId === share.tenantId
+    );
+    const bill = await createMeterBill(occupant, reading, share);
+    if (!bill) continue;
+
+    share.billId = bill._id;
+    share.billNumber = bill.billNumber;
+    const creditApplied = await applyCreditToNewBills(occupant.tenantId, reading.landlordId, [bill._id]);
+    bills.push({ tenantId: occupant.tenantId, billId: bill._id, billNumber: bill.billNumber, amount: bill.amount, creditApplied });
+
+    await setCache(`tenant:${occupant.tenantId}`, null, 1);
+    await notifyUser({
+      userId: occupant.tenantId,
+      type: 'electricity_bill',
+      title: 'Electricity bill generated',
+      message: `Your electricity share for ${reading.propertyName || 'your room'} is ₹${bill.amount} (${share.units} units), due ${moment(bill.dueDate).format('DD MMM YYYY')}.`,
+      data: { billId: bill._id, meterReadingId: reading.readingId, amount: bill.amount },
+      mobile: occupant.tenant.mobile,
+      email: occupant.tenant.email
+    });
+  }
+  await reading.save();
+
+  if (bills.length > 0) {
+    await setCache(`landlord:tenants:${landlordId}`, null, 1);
+    await setCache(`property:tenants:${reading.propertyId}`, null, 1);
+  }
+
+  return { reading, bills };
+};
+
+/**
+ * Update a room's meter settings
+ * @param {Object} input - { meterNumber, ratePerUnit, splitMethod }
+ */
+const updateMeterSettings = async (landlordId, propertyId, roomId, { meterNumber, ratePerUnit, splitMethod }) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    return { statusCode: 400, error: 'Invalid property ID' };
+  }
+  if (splitMethod !== undefined && !SPLIT_METHODS.includes(splitMethod)) {
+    return { statusCode: 400, error: `Split method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  }
+  if (ratePerUnit !== undefined && (!Number.isFinite(Number(ratePerUnit)) || Number(ratePerUnit) < 0)) {
+    return { statusCode: 400, error: 'Rate per unit must be zero or more' };
+  }
+
+  const set = {};
+  if (meterNumber !== undefined) set['rooms.$[room].electricityMeter.meterNumber'] = meterNumber;
+  if (ratePerUnit !== undefined) set['rooms.$[room].electricityMeter.ratePerUnit'] = Number(ratePerUnit);
+  if (splitMethod !== undefined) set['rooms.$[room].electricityMeter.splitMethod'] = splitMethod;
+  if (Object.keys(set).length === 0) {
+    return { statusCode: 400, error: 'Nothing to update' };
+  }
+
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, landlordId, 'rooms.roomId': roomId },
+    { $set: set },
+    { arrayFilters: [{ 'room.roomId': roomId }], new: true }
+  ).select('rooms.roomId rooms.electricityMeter');
+  if (!property) {
+    return { statusCode: 404, error: 'Property or room not found' };
+  }
+
+  const room = property.rooms.find(r => r.roomId === roomId);
+  return { electricityMeter: room.electricityMeter };
+};
+
+module.exports = {
+  SPLIT_METHODS,
+  getDaysOccupied,
+  splitMeterCost,
+  findRoomOccupants,
+  getLastReading,
+  prepareMeterReading,
+  recordMeterReading,
+  updateMeterSettings
+};
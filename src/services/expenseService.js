@@ -0,0 +1,346 @@
+/**
+ * Expense Service
+ * Landlord expenses recorded against a property, with recurring expenses copied forward by a
+ * daily job, and a monthly profit and loss that sets those expenses against collected payments.
+ */
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const { FREQUENCY_MONTHS } = require('./rentBillingService');
+const { scheduleJob } = require('./jobScheduler');
+const { findCollectionEntries } = require('./paymentLedgerService');
+
+const EXPENSE_CATEGORIES = Expense.schema.path('category').enumValues;
+const RECURRENCE_FREQUENCIES = Object.keys(FREQUENCY_MONTHS);
+// Deposits are refundable and advances are held as the tenant's credit, so both are reported
+// beside income rather than as part of it (category => field of the month row)
+const NON_OPERATING_CATEGORIES = {
+  'Security Deposit': 'depositsCollected',
+  Advance: 'advancesCollected'
+};
+const RECURRING_EXPENSE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_MONTHS = 36;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Date of the first occurrence of a recurring expense after a given one
+ * Occurrences are counted from the expense's own date, so an expense on the 31st falls on the
+ * last day of shorter months and goes back to the 31st after them.
+ * @param {Date} startDate - Date of the recurring expense itself
+ * @param {String} frequency
+ * @param {Date} after - The occurrence to follow, the expense itself by default
+ * @returns {Date}
+ */
+const getNextOccurrence = (startDate, frequency, after = startDate) => {
+  const months = FREQUENCY_MONTHS[frequency];
+  let n = Math.max(1, Math.floor(moment(after).diff(moment(startDate), 'months') / months));
+  while (!moment(startDate).add(n * months, 'months').isAfter(after)) n += 1;
+  return moment(startDate).add(n * months, 'months').toDate();
+};
+
+/**
+ * Copy every recurring expense whose next date has arrived
+ * Missed occurrences are caught up one by one. The copy is created before nextDate moves on,
+ * and the unique (recurringSourceId, expenseDate) index keeps reruns from duplicating it.
+ * @param {Date} now
+ * @returns {Promise<Object>} - { processed, created }
+ */
+const generateRecurringExpenses = async (now = new Date()) => {
+  const summary = { processed: 0, created: 0 };
+  const sources = await Expense.find({
+    'recurrence.isActive': true,
+    'recurrence.nextDate': { $lte: now }
+  });
+
+  for (const source of sources) {
+    summary.processed += 1;
+    let { nextDate } = source.recurrence;
+    const { frequency, endDate } = source.recurrence;
+
+    try {
+      while (nextDate && nextDate <= now) {
+        if (endDate && nextDate > endDate) break;
+
+        try {
+          await Expense.create({
+            landlordId: source.landlordId,
+            propertyId: source.propertyId,
+            propertyName: source.propertyName,
+            roomId: source.roomId,
+            category: source.category,
+            description: source.description,
+            vendor: source.vendor,
+            amount: source.amount,
+            expenseDate: nextDate,
+            paymentMethod: source.paymentMethod,
+            notes: source.notes,
+            recurringSourceId: source.expenseId,
+            createdBy: source.createdBy
+          });
+          summary.created += 1;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+
+        const following = getNextOccurrence(source.expenseDate, frequency, nextDate);
+        const result = await Expense.updateOne(
+          { _id: source._id, 'recurrence.nextDate': nextDate },
+          { $set: { 'recurrence.nextDate': following } }
+        );
+        // Another instance has already moved this expense on
+        if (result.modifiedCount === 0) break;
+        nextDate = following;
+      }
+
+      if (endDate && nextDate > endDate) {
+        await Expense.updateOne({ _id: source._id }, { $set: { 'recurrence.isActive': false } });
+      }
+    } catch (error) {
+      console.error(`Recurring expense ${source.expenseId} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Split a payment into { category, amount } parts
+ * The breakdown is used when present; any amount it does not cover stays with the payment's category.
+ */
+const getPaymentParts = (payment) => {
+  const breakdown = (payment.paymentBreakdown || []).filter(part => part.amount > 0);
+  if (breakdown.length === 0) {
+    return [{ category: payment.category, amount: payment.amount || 0 }];
+  }
+
+  const parts = breakdown.map(part => ({ category: part.category || payment.category, amount: part.amount }));
+  const allocated = parts.reduce((sum, part) => sum + part.amount, 0);
+  if ((payment.amount || 0) - allocated > 0.009) {
+    parts.push({ category: payment.category, amount: payment.amount - allocated });
+  }
+  return parts;
+};
+
+/**
+ * Split a refund into negative { category, amount } parts
+ * Bills it reopened keep their category, credit it took back is an Advance and the rest stays
+ * with the payment's category.
+ */
+const getRefundParts = (payment, refund) => {
+  const categories = {};
+  (payment.paymentBreakdown || []).forEach(part => {
+    if (part.billId) categories[part.billId.toString()] = part.category;
+  });
+
+  const parts = (refund.bills || []).map(bill => ({
+    category: categories[bill.billId.toString()] || payment.category,
+    amount: -bill.amount
+  }));
+  if (refund.creditReversed > 0) parts.push({ category: 'Advance', amount: -refund.creditReversed });
+
+  const covered = parts.reduce((sum, part) => sum - part.amount, 0);
+  if ((refund.amount || 0) - covered > 0.009) {
+    parts.push({ category: payment.category, amount: -(refund.amount - covered) });
+  }
+  return parts;
+};
+
+const addToCategory = (byCategory, category, amount) => {
+  const key = category || 'Other';
+  byCategory[key] = roundAmount((byCategory[key] || 0) + amount);
+};
+
+const getMargin = (income, netOperatingIncome) =>
+  (income > 0 ? roundAmount((netOperatingIncome / income) * 100) : null);
+
+/**
+ * Average change per month of a series, by least squares over the months that have a value
+ */
+const getSlope = (values) => {
+  const points = values
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => point.y !== null);
+  if (points.length < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const numerator = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const denominator = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  return roundAmount(numerator / denominator);
+};
+
+const getDirection = (slope) => {
+  if (slope === null) return null;
+  if (slope > 0) return 'Improving';
+  if (slope < 0) return 'Declining';
+  return 'Flat';
+};
+
+/**
+ * Monthly profit and loss for a property
+ * Income is payments by payment date less refunds by refund date; expenses are by expense date.
+ * Bills paid from the tenant's credit write no Payment, so credit counts once, as an advance,
+ * and never as income.
+ * @param {Object} property - Property document owned by the landlord
+ * @param {Date} from - Start of the first month
+ * @param {Date} to - End of the last month
+ * @returns {Promise<Object>}
+ */
+const buildProfitAndLoss = async (property, from, to) => {
+  const [collections, expenses] = await Promise.all([
+    findCollectionEntries({ propertyId: property._id }, { from, to }),
+    Expense.find({
+      landlordId: property.landlordId,
+      propertyId: property._id,
+      expenseDate: { $gte: from, $lte: to }
+    }).select('amount category expenseDate').lean()
+  ]);
+
+  const months = [];
+  const monthMap = {};
+  for (let cursor = moment(from).startOf('month'); cursor.isSameOrBefore(to); cursor.add(1, 'month')) {
+    const row = {
+      month: cursor.format('YYYY-MM'),
+      label: cursor.format('MMMM YYYY'),
+      income: { total: 0, byCategory: {} },
+      depositsCollected: 0,
+      advancesCollected: 0,
+      expenses: { total: 0, byCategory: {} }
+    };
+    months.push(row);
+    monthMap[row.month] = row;
+  }
+
+  collections.forEach(({ payment, date, refund }) => {
+    const row = monthMap[moment(date).format('YYYY-MM')];
+    if (!row) return;
+    (refund ? getRefundParts(payment, refund) : getPaymentParts(payment)).forEach(part => {
+      const field = NON_OPERATING_CATEGORIES[part.category];
+      if (field) {
+        row[field] = roundAmount(row[field] + part.amount);
+        return;
+      }
+      addToCategory(row.income.byCategory, part.category, part.amount);
+      row.income.total = roundAmount(row.income.total + part.amount);
+    });
+  });
+
+  expenses.forEach(expense => {
+    const row = monthMap[moment(expense.expenseDate).format('YYYY-MM')];
+    if (!row) return;
+    addToCategory(row.expenses.byCategory, expense.category, expense.amount);
+    row.expenses.total = roundAmount(row.expenses.total + expense.amount);
+  });
+
+  const totals = {
+    income: 0,
+    depositsCollected: 0,
+    advancesCollected: 0,
+    expenses: 0,
+    incomeByCategory: {},
+    expensesByCategory: {}
+  };
+
+  months.forEach((row, index) => {
+    row.netOperatingIncome = roundAmount(row.income.total - row.expenses.total);
+    row.margin = getMargin(row.income.total, row.netOperatingIncome);
+
+    const previous = months[index - 1];
+    row.change = previous ? {
+      netOperatingIncome: roundAmount(row.netOperatingIncome - previous.netOperatingIncome),
+      margin: row.margin !== null && previous.margin !== null ? roundAmount(row.margin - previous.margin) : null
+    } : null;
+
+    totals.income = roundAmount(totals.income + row.income.total);
+    totals.depositsCollected = roundAmount(totals.depositsCollected + row.depositsCollected);
+    totals.advancesCollected = roundAmount(totals.advancesCollected + row.advancesCollected);
+    totals.expenses = roundAmount(totals.expenses + row.expenses.total);
+    Object.entries(row.income.byCategory).forEach(([category, amount]) =>
+      addToCategory(totals.incomeByCategory, category, amount));
+    Object.entries(row.expenses.byCategory).forEach(([category, amount]) =>
+      addToCategory(totals.expensesByCategory, category, amount));
+  });
+
+  totals.netOperatingIncome = roundAmount(totals.income - totals.expenses);
+  totals.margin = getMargin(totals.income, totals.netOperatingIncome);
+  totals.averageMonthlyNetOperatingIncome = roundAmount(totals.netOperatingIncome / months.length);
+
+  const noiSlope = getSlope(months.map(row => row.netOperatingIncome));
+  const marginSlope = getSlope(months.map(row => row.margin));
+
+  return {
+    property: {
+      id: property._id,
+      name: property.name
+    },
+    period: {
+      from,
+      to,
+      label: months.length === 1 ? months[0].label : `${months[0].label} - ${months[months.length - 1].label}`
+    },
+    months,
+    totals,
+    trend: {
+      netOperatingIncomeChangePerMonth: noiSlope,
+      marginChangePerMonth: marginSlope,
+      direction: getDirection(marginSlope !== null ? marginSlope : noiSlope)
+    }
+  };
+};
+
+/**
+ * Resolve the months a P&L report covers from query parameters
+ * Accepts month + year for a single month, or from / to as YYYY-MM; defaults to the last 6 months.
+ * @returns {Object} - { from, to } or { error }
+ */
+const resolveReportPeriod = ({ month, year, from, to }) => {
+  let start;
+  let end;
+
+  if (month && year) {
+    start = moment(`${year}-${month}`, 'YYYY-M', true);
+    end = start.clone();
+  } else if (from || to) {
+    end = to ? moment(to, 'YYYY-MM', true) : moment();
+    start = from ? moment(from, 'YYYY-MM', true) : end.clone().subtract(5, 'months');
+  } else if (year) {
+    start = moment(`${year}-01`, 'YYYY-MM', true);
+    end = start.clone().endOf('year');
+  } else {
+    end = moment();
+    start = end.clone().subtract(5, 'months');
+  }
+
+  if (!start.isValid() || !end.isValid()) {
+    return { error: 'Invalid period. Use month and year, or from and to as YYYY-MM' };
+  }
+  if (start.isAfter(end)) {
+    return { error: 'from must not be after to' };
+  }
+  if (end.diff(start, 'months') + 1 > MAX_REPORT_MONTHS) {
+    return { error: `A report can cover at most ${MAX_REPORT_MONTHS} months` };
+  }
+
+  return { from: start.startOf('month').toDate(), to: end.endOf('month').toDate() };
+};
+
+/**
+ * Set up the daily job that copies recurring expenses
+ */
+const setupRecurringExpenseScheduler = () => {
+  scheduleJob('recurring-expenses', RECURRING_EXPENSE_INTERVAL_MS, async () => {
+    const summary = await generateRecurringExpenses();
+    console.log(`Recurring expenses: ${summary.created} created from ${summary.processed} due`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  RECURRENCE_FREQUENCIES,
+  getNextOccurrence,
+  generateRecurringExpenses,
+  buildProfitAndLoss,
+  resolveReportPeriod,
+  setupRecurringExpenseScheduler
+};
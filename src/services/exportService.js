@@ -0,0 +1,666 @@
+/**
+ * Export Service
+ * CSV and XLSX exports of a landlord's tenants, dues, collections and payments, using the same
+ * filters as the JSON views. Rows come from database cursors and are written straight to the
+ * output stream. Exports over EXPORT_SYNC_ROW_LIMIT rows run as background jobs whose file is
+ * stored for download until it expires.
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const ExportJob = require('../models/ExportJob');
+const { getBillOutstanding, getBillPaymentStatus } = require('./paymentLedgerService');
+const { storeDocument, deleteDocument } = require('./documentStorageService');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+const EXPORT_SYNC_ROW_LIMIT = parseInt(process.env.EXPORT_SYNC_ROW_LIMIT, 10) || 5000;
+const EXPORT_FILE_TTL_DAYS = 7;
+const EXPORT_JOB_INTERVAL_MS = 60 * 1000;
+const EXPORT_JOB_STALE_MS = 30 * 60 * 1000; // Processing jobs older than this are assumed dead
+const EXPORT_JOB_MAX_ATTEMPTS = 3;
+const EXPORT_JOBS_PER_RUN = 3;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+const getDateRange = (filters) => {
+  const range = {};
+  if (filters.from) range.$gte = moment(filters.from).startOf('day').toDate();
+  if (filters.to) range.$lte = moment(filters.to).endOf('day').toDate();
+  return Object.keys(range).length ? range : null;
+};
+
+/**
+ * Room and bed names for the landlord's properties, keyed by property ID
+ */
+const buildPropertyLookup = async (landlordId) => {
+  const properties = await Property.find({ landlordId })
+    .select('name rooms.roomId rooms.name rooms.beds.bedId rooms.beds.name')
+    .lean();
+
+  const lookup = {};
+  properties.forEach(property => {
+    const rooms = {};
+    (property.rooms || []).forEach(room => {
+      const beds = {};
+      (room.beds || []).forEach(bed => { beds[bed.bedId] = bed.name; });
+      rooms[room.roomId] = { name: room.name, beds };
+    });
+    lookup[property._id.toString()] = { name: property.name, rooms };
+  });
+  return lookup;
+};
+
+const describeLocation = (lookup, propertyId, roomId, bedId) => {
+  const property = propertyId ? lookup[propertyId.toString()] : null;
+  const room = property && roomId ? property.rooms[roomId] : null;
+  return {
+    propertyName: property ? property.name : '',
+    roomName: room ? room.name || roomId : roomId || '',
+    bedName: room && bedId ? room.beds[bedId] || bedId : bedId || ''
+  };
+};
+
+/*
+ * Report definitions
+ * pipeline() builds the aggregation that yields one document per row (also used to count rows),
+ * toRow() turns that document into the row written out.
+ */
+
+const tenantsReport = {
+  title: 'Tenants',
+  columns: [
+    { key: 'tenantId', header: 'Tenant ID', width: 22 },
+    { key: 'localTenantId', header: 'Local Tenant ID', width: 18 },
+    { key: 'name', header: 'Name', width: 24 },
+    { key: 'mobile', header: 'Mobile', width: 15 },
+    { key: 'email', header: 'Email', width: 26 },
+    { key: 'gender', header: 'Gender', width: 9 },
+    { key: 'propertyName', header: 'Property', width: 24 },
+    { key: 'roomName', header: 'Room', width: 12 },
+    { key: 'bedName', header: 'Bed', width: 12 },
+    { key: 'moveInDate', header: 'Move-in Date', type: 'date' },
+    { key: 'moveOutDate', header: 'Move-out Date', type: 'date' },
+    { key: 'rentAmount', header: 'Rent', type: 'amount' },
+    { key: 'rentalFrequency', header: 'Rent Frequency', width: 14 },
+    { key: 'securityDeposit', header: 'Security Deposit', type: 'amount' },
+    { key: 'securityDepositStatus', header: 'Deposit Status', width: 16 },
+    { key: 'pendingDues', header: 'Pending Dues', type: 'amount' },
+    { key: 'status', header: 'Status', width: 10 }
+  ],
+  filterKeys: ['propertyId', 'status', 'from', 'to'],
+  pipeline: (landlordId, filters) => {
+    const match = { 'accommodations.landlordId': toObjectId(landlordId) };
+    if (filters.propertyId) match['accommodations.propertyId'] = toObjectId(filters.propertyId);
+    // Like the tenant list, only current tenants unless asked otherwise
+    if (filters.status !== 'all') match['accommodations.isActive'] = filters.status !== 'inactive';
+    const moveIn = getDateRange(filters);
+    if (moveIn) match['accommodations.moveInDate'] = moveIn;
+
+    return [
+      { $match: { 'accommodations.landlordId': toObjectId(landlordId) } },
+      { $unwind: '$accommodations' },
+      { $match: match },
+      { $sort: { 'accommodations.moveInDate': -1, _id: 1 } },
+      {
+        $project: {
+          tenantId: 1, name: 1, mobile: 1, email: 1, gender: 1,
+          'accommodations.localTenantId': 1, 'accommodations.propertyId': 1,
+          'accommodations.roomId': 1, 'accommodations.bedId': 1,
+          'accommodations.moveInDate': 1, 'accommodations.moveOutDate': 1,
+          'accommodations.rentAmount': 1, 'accommodations.rentalFrequency': 1,
+          'accommodations.securityDeposit': 1, 'accommodations.securityDepositStatus': 1,
+          'accommodations.pendingDues': 1, 'accommodations.isActive': 1
+        }
+      }
+    ];
+  },
+  model: Tenant,
+  toRow: (doc, lookup) => {
+    const acc = doc.accommodations;
+    return {
+      tenantId: doc.tenantId,
+      localTenantId: acc.localTenantId,
+      name: doc.name,
+      mobile: doc.mobile,
+      email: doc.email,
+      gender: doc.gender,
+      ...describeLocation(lookup, acc.propertyId, acc.roomId, acc.bedId),
+      moveInDate: acc.moveInDate,
+      moveOutDate: acc.moveOutDate,
+      rentAmount: acc.rentAmount,
+      rentalFrequency: acc.rentalFrequency,
+      securityDeposit: acc.securityDeposit,
+      securityDepositStatus: acc.securityDepositStatus,
+      pendingDues: acc.pendingDues,
+      status: acc.isActive ? 'Active' : 'Inactive'
+    };
+  }
+};
+
+const duesReport = {
+  title: 'Dues',
+  columns: [
+    { key: 'billNumber', header: 'Bill Number', width: 18 },
+    { key: 'tenantId', header: 'Tenant ID', width: 22 },
+    { key: 'tenantName', header: 'Tenant', width: 24 },
+    { key: 'mobile', header: 'Mobile', width: 15 },
+    { key: 'propertyName', header: 'Property', width: 24 },
+    { key: 'roomName', header: 'Room', width: 12 },
+    { key: 'bedName', header: 'Bed', width: 12 },
+    { key: 'type', header: 'Type', width: 16 },
+    { key: 'month', header: 'Month', width: 11 },
+    { key: 'year', header: 'Year', width: 7 },
+    { key: 'description', header: 'Description', width: 30 },
+    { key: 'dueDate', header: 'Due Date', type: 'date' },
+    { key: 'amount', header: 'Amount', type: 'amount' },
+    { key: 'lateFees', header: 'Late Fees', type: 'amount' },
+    { key: 'paidAmount', header: 'Paid', type: 'amount' },
+    { key: 'outstanding', header: 'Outstanding', type: 'amount' },
+    { key: 'paymentStatus', header: 'Status', width: 10 },
+    { key: 'paidDate', header: 'Paid Date', type: 'date' }
+  ],
+  filterKeys: ['propertyId', 'tenantId', 'dueType', 'month', 'year', 'isPaid', 'status', 'from', 'to'],
+  pipeline: (landlordId, filters) => {
+    const landlordObjectId = toObjectId(landlordId);
+    // Same tenants as the dues view: those with an active stay with this landlord
+    const tenantMatch = {
+      accommodations: { $elemMatch: { landlordId: landlordObjectId, isActive: true } }
+    };
+    if (filters.tenantId) {
+      if (filters.tenantId.startsWith('L-')) {
+        tenantMatch['accommodations.localTenantId'] = filters.tenantId;
+      } else {
+        tenantMatch.tenantId = filters.tenantId;
+      }
+    }
+
+    const billMatch = { 'bills.landlordId': landlordObjectId };
+    if (filters.propertyId) billMatch['bills.propertyId'] = toObjectId(filters.propertyId);
+    if (filters.dueType) billMatch['bills.type'] = filters.dueType;
+    if (filters.month) billMatch['bills.month'] = filters.month;
+    if (filters.year) billMatch['bills.year'] = filters.year;
+    if (filters.isPaid !== undefined) billMatch['bills.paid'] = filters.isPaid === 'true';
+    if (filters.status === 'paid') billMatch['bills.paid'] = true;
+    if (filters.status === 'partial') {
+      billMatch['bills.paid'] = { $ne: true };
+      billMatch['bills.paidAmount'] = { $gt: 0 };
+    }
+    if (filters.status === 'unpaid') {
+      billMatch['bills.paid'] = { $ne: true };
+      billMatch['bills.paidAmount'] = { $not: { $gt: 0 } };
+    }
+    const dueDate = getDateRange(filters);
+    if (dueDate) billMatch['bills.dueDate'] = dueDate;
+
+    return [
+      { $match: tenantMatch },
+      { $project: { tenantId: 1, name: 1, mobile: 1, bills: 1 } },
+      { $unwind: '$bills' },
+      { $match: billMatch },
+      { $sort: { 'bills.dueDate': -1, _id: 1 } }
+    ];
+  },
+  model: Tenant,
+  toRow: (doc, lookup) => {
+    const bill = doc.bills;
+    return {
+      billNumber: bill.billNumber,
+      tenantId: doc.tenantId,
+      tenantName: doc.name,
+      mobile: doc.mobile,
+      ...describeLocation(lookup, bill.propertyId, bill.roomId, bill.bedId),
+      type: bill.type,
+      month: bill.month,
+      year: bill.year,
+      description: bill.description,
+      dueDate: bill.dueDate,
+      amount: bill.amount,
+      lateFees: (bill.billDetails && bill.billDetails.lateFees) || 0,
+      paidAmount: (bill.amount || 0) - getBillOutstanding(bill),
+      outstanding: getBillOutstanding(bill),
+      paymentStatus: getBillPaymentStatus(bill),
+      paidDate: bill.paidDate
+    };
+  }
+};
+
+const paymentMatch = (landlordId, filters) => {
+  const match = { landlordId: toObjectId(landlordId) };
+  if (filters.propertyId) match.propertyId = toObjectId(filters.propertyId);
+  if (filters.tenantId) match.tenantId = filters.tenantId;
+  if (filters.method) match.method = filters.method;
+  if (filters.category) match.category = filters.category;
+  if (filters.status && filters.status !== 'all') match.status = filters.status;
+  const paymentDate = getDateRange(filters);
+  if (paymentDate) match.paymentDate = paymentDate;
+  return match;
+};
+
+const paymentsReport = {
+  title: 'Payments',
+  columns: [
+    { key: 'paymentId', header: 'Payment ID', width: 18 },
+    { key: 'receiptNumber', header: 'Receipt Number', width: 18 },
+    { key: 'paymentDate', header: 'Date', type: 'date' },
+    { key: 'tenantId', header: 'Tenant ID', width: 22 },
+    { key: 'tenantName', header: 'Tenant', width: 24 },
+    { key: 'propertyName', header: 'Property', width: 24 },
+    { key: 'roomName', header: 'Room', width: 12 },
+    { key: 'bedName', header: 'Bed', width: 12 },
+    { key: 'category', header: 'Category', width: 16 },
+    { key: 'method', header: 'Method', width: 14 },
+    { key: 'transactionId', header: 'Transaction ID', width: 22 },
+    { key: 'amount', header: 'Amount', type: 'amount' },
+    { key: 'status', header: 'Status', width: 11 },
+    { key: 'bills', header: 'Bills', width: 30 },
+    { key: 'note', header: 'Note', width: 30 }
+  ],
+  filterKeys: ['propertyId', 'tenantId', 'status', 'method', 'category', 'month', 'year', 'from', 'to'],
+  pipeline: (landlordId, filters) => [
+    { $match: paymentMatch(landlordId, filters) },
+    { $sort: { paymentDate: -1, _id: 1 } },
+    {
+      $lookup: {
+        from: 'tenants',
+        let: { tenantId: '$tenantId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$tenantId', '$$tenantId'] } } },
+          { $project: { _id: 0, name: 1 } }
+        ],
+        as: 'tenant'
+      }
+    }
+  ],
+  model: Payment,
+  toRow: (doc, lookup) => ({
+    paymentId: doc.paymentId,
+    receiptNumber: doc.receiptNumber,
+    paymentDate: doc.paymentDate,
+    tenantId: doc.tenantId,
+    tenantName: doc.tenant && doc.tenant[0] ? doc.tenant[0].name : '',
+    ...describeLocation(lookup, doc.propertyId, doc.roomId, doc.bedId),
+    category: doc.category,
+    method: doc.method,
+    transactionId: doc.transactionId,
+    amount: doc.amount,
+    status: doc.status,
+    bills: (doc.paymentBreakdown || []).map(part => part.billNumber).filter(Boolean).join(', '),
+    note: doc.note
+  })
+};
+
+const collectionsReport = {
+  title: 'Collections',
+  columns: [
+    { key: 'month', header: 'Month', width: 10 },
+    { key: 'propertyName', header: 'Property', width: 24 },
+    { key: 'category', header: 'Category', width: 16 },
+    { key: 'paymentCount', header: 'Payments', width: 10 },
+    { key: 'refunded', header: 'Refunded', type: 'amount' },
+    { key: 'amount', header: 'Collected', type: 'amount' }
+  ],
+  filterKeys: ['propertyId', 'month', 'year', 'from', 'to'],
+  // Payments count in the month they were made and refunds come off the month they were made in
+  pipeline: (landlordId, filters) => {
+    const range = getDateRange(filters);
+    const match = {
+      ...paymentMatch(landlordId, { propertyId: filters.propertyId }),
+      status: { $in: ['Completed', 'Refunded'] }
+    };
+    if (range) match.$or = [{ paymentDate: range }, { refunds: { $elemMatch: { refundedAt: range } } }];
+
+    return [
+      { $match: match },
+      {
+        $project: {
+          propertyId: 1,
+          category: 1,
+          entries: {
+            $concatArrays: [
+              [{ date: '$paymentDate', amount: '$amount', refunded: 0, count: 1 }],
+              {
+                $map: {
+                  input: {
+                    $filter: { input: { $ifNull: ['$refunds', []] }, as: 'refund', cond: { $not: ['$$refund.failedAt'] } }
+                  },
+                  as: 'refund',
+                  in: {
+                    date: '$$refund.refundedAt',
+                    amount: { $multiply: ['$$refund.amount', -1] },
+                    refunded: '$$refund.amount',
+                    count: 0
+                  }
+                }
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: '$entries' },
+      { $match: { 'entries.date': range || { $ne: null } } },
+      {
+        $group: {
+          _id: {
+            month: { $dateToString: { format: '%Y-%m', date: '$entries.date', timezone: moment().format('Z') } },
+            propertyId: '$propertyId',
+            category: '$category'
+          },
+          amount: { $sum: '$entries.amount' },
+          refunded: { $sum: '$entries.refunded' },
+          paymentCount: { $sum: '$entries.count' }
+        }
+      },
+      { $sort: { '_id.month': 1, '_id.propertyId': 1, '_id.category': 1 } }
+    ];
+  },
+  model: Payment,
+  toRow: (doc, lookup) => ({
+    month: doc._id.month,
+    propertyName: describeLocation(lookup, doc._id.propertyId).propertyName,
+    category: doc._id.category,
+    paymentCount: doc.paymentCount,
+    refunded: doc.refunded,
+    amount: doc.amount
+  })
+};
+
+const EXPORT_REPORTS = {
+  tenants: tenantsReport,
+  dues: duesReport,
+  collections: collectionsReport,
+  payments: paymentsReport
+};
+
+/**
+ * Validate a report's filters from query parameters
+ * month + year (or year alone) are turned into a from / to range like the JSON views do.
+ * @returns {Object} - { filters } or { error }
+ */
+const parseExportFilters = (reportName, query) => {
+  const report = EXPORT_REPORTS[reportName];
+  const filters = {};
+  report.filterKeys.forEach(key => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = String(query[key]);
+  });
+
+  if (filters.propertyId && !mongoose.Types.ObjectId.isValid(filters.propertyId)) {
+    return { error: 'Invalid property ID' };
+  }
+  for (const key of ['from', 'to']) {
+    if (filters[key] && !moment(filters[key]).isValid()) {
+      return { error: `Invalid ${key} date` };
+    }
+  }
+
+  // Dues keep month / year as bill fields; the other reports filter by date
+  if (reportName !== 'dues' && filters.year && !filters.from && !filters.to) {
+    const start = filters.month
+      ? moment(`${filters.year}-${filters.month}-01`, 'YYYY-M-DD', true)
+      : moment(`${filters.year}-01-01`, 'YYYY-MM-DD', true);
+    if (!start.isValid()) {
+      return { error: 'Invalid month or year' };
+    }
+    filters.from = start.format('YYYY-MM-DD');
+    filters.to = start.clone().endOf(filters.month ? 'month' : 'year').format('YYYY-MM-DD');
+  }
+  if (reportName !== 'dues') {
+    delete filters.month;
+    delete filters.year;
+  }
+
+  return { filters };
+};
+
+/**
+ * Number of rows an export would produce
+ */
+const countExportRows = async (reportName, landlordId, filters) => {
+  const report = EXPORT_REPORTS[reportName];
+  const [result] = await report.model.aggregate([...report.pipeline(landlordId, filters), { $count: 'rows' }])
+    .allowDiskUse(true);
+  return result ? result.rows : 0;
+};
+
+/*
+ * Writers
+ */
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+const toCsvCell = (value, column) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (column.type === 'date') return moment(value).format('YYYY-MM-DD');
+  if (column.type === 'amount') return roundAmount(value).toFixed(2);
+
+  let text = String(value);
+  // Keep spreadsheet apps from running text as a formula (phone numbers are left alone)
+  if (/^[=+\-@\t\r]/.test(text) && !/^\+?[\d\s-]+$/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+const toXlsxCell = (value, column) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (column.type === 'date') return moment(value).toDate();
+  if (column.type === 'amount') return roundAmount(value);
+  return value;
+};
+
+const createCsvWriter = (stream, columns) => {
+  const write = async (line) => {
+    if (!stream.write(`${line}\r\n`)) await once(stream, 'drain');
+  };
+  return {
+    // BOM so Excel opens the file as UTF-8
+    start: () => write(`\uFEFF${columns.map(c => toCsvCell(c.header, {})).join(',')}`),
+    addRow: (row) => write(columns.map(c => toCsvCell(row[c.key], c)).join(',')),
+    finish: async () => { stream.end(); }
+  };
+};
+
+const createXlsxWriter = (stream, columns, title) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet(title);
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || (column.type === 'date' ? 13 : 14),
+    style: column.type === 'date' ? { numFmt: 'dd-mmm-yyyy' }
+      : column.type === 'amount' ? { numFmt: '#,##0.00' } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  return {
+    start: async () => {},
+    addRow: async (row) => {
+      const values = {};
+      columns.forEach(column => { values[column.key] = toXlsxCell(row[column.key], column); });
+      worksheet.addRow(values).commit();
+    },
+    finish: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Write a report to a stream
+ * @param {stream.Writable} stream - HTTP response or file stream
+ * @param {String} reportName - tenants | dues | collections | payments
+ * @param {String} format - csv | xlsx
+ * @param {String} landlordId
+ * @param {Object} filters - From parseExportFilters
+ * @returns {Promise<Number>} - Rows written
+ */
+const writeExport = async (stream, reportName, format, landlordId, filters) => {
+  const report = EXPORT_REPORTS[reportName];
+  const lookup = await buildPropertyLookup(landlordId);
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(stream, report.columns, report.title)
+    : createCsvWriter(stream, report.columns);
+
+  let rows = 0;
+  await writer.start();
+  const cursor = report.model.aggregate(report.pipeline(landlordId, filters)).allowDiskUse(true).cursor();
+  for await (const doc of cursor) {
+    await writer.addRow(report.toRow(doc, lookup));
+    rows += 1;
+  }
+  await writer.finish();
+  return rows;
+};
+
+const getExportFileName = (reportName, format, date = new Date()) =>
+  `${reportName}-${moment(date).format('YYYYMMDD-HHmm')}.${format}`;
+
+/*
+ * Background jobs
+ */
+
+const claimExportJob = (filter) => ExportJob.findOneAndUpdate(
+  { ...filter, status: 'Queued' },
+  { $set: { status: 'Processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+  { new: true, sort: { createdAt: 1 } }
+);
+
+/**
+ * Build a claimed job's file, store it and notify the landlord
+ */
+const runExportJob = async (job) => {
+  const fileName = getExportFileName(job.report, job.format, job.createdAt);
+  const tempPath = path.join(os.tmpdir(), `${job.exportId}.${job.format}`);
+  let fileStream;
+
+  try {
+    fileStream = fs.createWriteStream(tempPath);
+    const closed = once(fileStream, 'close');
+    const rowCount = await writeExport(fileStream, job.report, job.format, job.landlordId.toString(), job.filters || {});
+    await closed;
+
+    const buffer = await fs.readFile(tempPath);
+    const stored = await storeDocument(buffer, `exports/${job.landlordId}`, fileName, EXPORT_FORMATS[job.format]);
+
+    job.set({
+      status: 'Completed',
+      rowCount,
+      fileName,
+      fileUrl: stored.url,
+      fileKey: stored.key,
+      error: undefined,
+      completedAt: new Date(),
+      expiresAt: moment().add(EXPORT_FILE_TTL_DAYS, 'days').toDate()
+    });
+    await job.save();
+
+    await notifyUser({
+      userId: job.landlordId,
+      type: 'export_ready',
+      title: 'Export ready',
+      message: `Your ${EXPORT_REPORTS[job.report].title.toLowerCase()} export (${rowCount} rows) is ready to download`,
+      data: { exportId: job.exportId, report: job.report, format: job.format }
+    });
+  } catch (error) {
+    console.error(`Export job ${job.exportId} failed:`, error);
+    job.set({
+      status: job.attempts < EXPORT_JOB_MAX_ATTEMPTS ? 'Queued' : 'Failed',
+      error: error.message
+    });
+    await job.save();
+  } finally {
+    if (fileStream && !fileStream.closed) fileStream.destroy();
+    await fs.remove(tempPath).catch(() => {});
+  }
+
+  return job;
+};
+
+/**
+ * Queue an export and start it on this instance; the scheduler picks it up if this one dies
+ */
+const queueExportJob = async (landlordId, reportName, format, filters) => {
+  const job = await ExportJob.create({ landlordId, report: reportName, format, filters });
+
+  setImmediate(async () => {
+    try {
+      const claimed = await claimExportJob({ _id: job._id });
+      if (claimed) await runExportJob(claimed);
+    } catch (error) {
+      console.error(`Error starting export job ${job.exportId}:`, error);
+    }
+  });
+
+  return job;
+};
+
+/**
+ * Run queued exports, retry stuck ones and delete expired files
+ */
+const processExportJobs = async (now = new Date()) => {
+  const summary = { requeued: 0, completed: 0, failed: 0, expired: 0 };
+
+  const stale = await ExportJob.updateMany(
+    { status: 'Processing', startedAt: { $lt: new Date(now.getTime() - EXPORT_JOB_STALE_MS) } },
+    { $set: { status: 'Queued' } }
+  );
+  summary.requeued = stale.modifiedCount;
+
+  for (let i = 0; i < EXPORT_JOBS_PER_RUN; i += 1) {
+    const job = await claimExportJob({});
+    if (!job) break;
+    const result = await runExportJob(job);
+    if (result.status === 'Completed') summary.completed += 1;
+    if (result.status === 'Failed') summary.failed += 1;
+  }
+
+  const expired = await ExportJob.find({ status: 'Completed', expiresAt: { $lte: now }, fileKey: { $exists: true } });
+  for (const job of expired) {
+    try {
+      await deleteDocument({ url: job.fileUrl, key: job.fileKey });
+      await ExportJob.updateOne({ _id: job._id }, { $unset: { fileUrl: 1, fileKey: 1 } });
+      summary.expired += 1;
+    } catch (error) {
+      console.error(`Error deleting expired export ${job.exportId}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Set up the job that runs queued exports
+ */
+const setupExportJobScheduler = () => {
+  scheduleJob('export-jobs', EXPORT_JOB_INTERVAL_MS, async () => {
+    const summary = await processExportJobs();
+    if (summary.requeued || summary.completed || summary.failed || summary.expired) {
+      console.log(`Exports: ${summary.completed} completed, ${summary.failed} failed, ${summary.requeued} requeued, ${summary.expired} expired`);
+    }
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_REPORTS,
+  EXPORT_SYNC_ROW_LIMIT,
+  parseExportFilters,
+  countExportRows,
+  writeExport,
+  getExportFileName,
+  queueExportJob,
+  processExportJobs,
+  setupExportJobScheduler
+};
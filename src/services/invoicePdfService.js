@@ -0,0 +1,201 @@
+/**
+ * Invoice PDF Service
+ * Renders invoices and receipts to PDF buffers with pdfkit. The layout is generic: callers pass
+ * the parties, line items and totals (see invoiceService for how they are built).
+ */
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const TABLE_COLUMNS = [
+  { key: 'description', label: 'Description', width: 265, align: 'left' },
+  { key: 'quantity', label: 'Qty', width: 60, align: 'right' },
+  { key: 'rate', label: 'Rate', width: 80, align: 'right' },
+  { key: 'amount', label: 'Amount (INR)', width: 110, align: 'right' }
+];
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Format an amount the Indian way (1,23,456.00)
+ */
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit', month: 'short', year: 'numeric'
+}) : '-');
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const threeDigitWords = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigitWords(rest) : '']
+    .filter(Boolean).join(' ');
+};
+
+/**
+ * Spell out a rupee amount using lakh/crore grouping
+ * @param {Number} value
+ * @returns {String} - e.g. 'Rupees Twelve Thousand Five Hundred and Fifty Paise Only'
+ */
+const amountInWords = (value) => {
+  const totalPaise = Math.round(Math.abs(value || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  const parts = [];
+  let remaining = rupees;
+  const crore = Math.floor(remaining / 10000000); remaining %= 10000000;
+  const lakh = Math.floor(remaining / 100000); remaining %= 100000;
+  const thousand = Math.floor(remaining / 1000); remaining %= 1000;
+
+  if (crore) parts.push(`${crore >= 1000 ? amountInWords(crore).replace(/^Rupees | Only$/g, '') : threeDigitWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (remaining) parts.push(threeDigitWords(remaining));
+
+  const rupeeWords = parts.length ? parts.join(' ') : 'Zero';
+  return `Rupees ${rupeeWords}${paise ? ` and ${twoDigitWords(paise)} Paise` : ''} Only`;
+};
+
+const drawParty = (doc, heading, party, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(heading, x, y, { width });
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(party.name || '-', { width });
+  doc.font('Helvetica').fontSize(9);
+
+  const lines = [
+    party.address,
+    party.state ? `State: ${party.state}` : null,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    party.pan ? `PAN: ${party.pan}` : null,
+    party.reference,
+    party.mobile ? `Phone: ${party.mobile}` : null,
+    party.email ? `Email: ${party.email}` : null
+  ].filter(Boolean);
+
+  lines.forEach(line => doc.text(line, { width }));
+  return doc.y;
+};
+
+const drawTableRow = (doc, row, y, { bold = false, shade = false } = {}) => {
+  let x = PAGE_MARGIN;
+  const height = Math.max(...TABLE_COLUMNS.map(column =>
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      .heightOfString(String(row[column.key] ?? ''), { width: column.width - 8 })
+  )) + 8;
+
+  if (shade) {
+    doc.rect(PAGE_MARGIN, y, TABLE_COLUMNS.reduce((sum, c) => sum + c.width, 0), height).fill('#f0f0f0');
+    doc.fillColor('#000000');
+  }
+
+  TABLE_COLUMNS.forEach(column => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      .text(String(row[column.key] ?? ''), x + 4, y + 4, { width: column.width - 8, align: column.align });
+    x += column.width;
+  });
+
+  return y + height;
+};
+
+const drawSummaryRow = (doc, row, y) => {
+  const labelWidth = TABLE_COLUMNS.slice(0, -1).reduce((sum, c) => sum + c.width, 0);
+  const amountColumn = TABLE_COLUMNS[TABLE_COLUMNS.length - 1];
+
+  doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  doc.text(row.label, PAGE_MARGIN, y + 3, { width: labelWidth - 4, align: 'right' });
+  doc.text(formatAmount(row.amount), PAGE_MARGIN + labelWidth + 4, y + 3, { width: amountColumn.width - 8, align: 'right' });
+
+  return y + 16;
+};
+
+/**
+ * Render an invoice or receipt
+ * @param {Object} data
+ * @param {String} data.title - e.g. 'TAX INVOICE', 'RECEIPT'
+ * @param {String} data.number - Document number
+ * @param {Array} data.meta - [[label, value]] shown under the number
+ * @param {Object} data.seller - { name, address, state, gstin, pan, mobile, email }
+ * @param {Object} data.buyer - { name, address, state, reference, mobile, email }
+ * @param {Array} data.items - [{ description, quantity, rate, amount }]
+ * @param {Array} data.summary - [{ label, amount, bold }] shown below the items
+ * @param {Number} data.total - Amount spelled out in words
+ * @param {Array} data.notes - Lines printed at the end
+ * @returns {Promise<Buffer>}
+ */
+const renderDocumentPdf = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `${data.title} ${data.number}`, Author: data.seller.name || '' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  // Title and document number
+  doc.font('Helvetica-Bold').fontSize(16).text(data.title, PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(9).text(`No: ${data.number}`, { width: pageWidth, align: 'right' });
+  (data.meta || []).forEach(([label, value]) => {
+    doc.text(`${label}: ${value ?? '-'}`, { width: pageWidth, align: 'right' });
+  });
+  const metaBottom = doc.y;
+
+  // Seller and buyer
+  const sellerBottom = drawParty(doc, 'FROM', data.seller, PAGE_MARGIN, PAGE_MARGIN, pageWidth / 2 - 10);
+  const partiesTop = Math.max(sellerBottom, metaBottom) + 15;
+  const buyerBottom = drawParty(doc, data.buyerHeading || 'BILL TO', data.buyer, PAGE_MARGIN, partiesTop, pageWidth);
+
+  // Line items
+  let y = buyerBottom + 15;
+  y = drawTableRow(doc, Object.fromEntries(TABLE_COLUMNS.map(c => [c.key, c.label])), y, { bold: true, shade: true });
+  data.items.forEach(item => {
+    if (y > doc.page.height - 160) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y = drawTableRow(doc, {
+      description: item.description,
+      quantity: item.quantity ?? '',
+      rate: item.rate !== undefined && item.rate !== null ? formatAmount(item.rate) : '',
+      amount: formatAmount(item.amount)
+    }, y);
+  });
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).strokeColor('#999999').stroke();
+
+  // Totals
+  y += 6;
+  (data.summary || []).forEach(row => {
+    y = drawSummaryRow(doc, row, y);
+  });
+
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#000000')
+    .text(amountInWords(data.total), PAGE_MARGIN, y + 10, { width: pageWidth });
+
+  if (data.notes && data.notes.length) {
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    data.notes.forEach(note => doc.text(note, { width: pageWidth }));
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#888888')
+    .text('This is a computer generated document and does not require a signature.',
+      PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 20, { width: pageWidth, align: 'center', lineBreak: false });
+
+  doc.end();
+});
+
+module.exports = {
+  formatAmount,
+  formatDate,
+  amountInWords,
+  renderDocumentPdf
+};
@@ -0,0 +1,499 @@
+/**
+ * Invoice Service
+ * Builds GST invoices for tenant bills and subscription purchases and receipts for payments.
+ * Documents are numbered per issuer and financial year (INV/2026-27/0001), rendered with
+ * invoicePdfService and stored through documentStorageService. Stored documents are reused
+ * until the bill amount changes.
+ */
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Payment = require('../models/Payment');
+const Landlord = require('../models/Landlord');
+const Property = require('../models/Property');
+const Subscription = require('../models/Subscription');
+const DocumentCounter = require('../models/DocumentCounter');
+const { renderDocumentPdf, formatDate } = require('./invoicePdfService');
+const { storeDocument, documentExists } = require('./documentStorageService');
+
+const DOCUMENT_SERIES = {
+  invoice: 'INV',
+  receipt: 'RCT',
+  subscription: 'SUB'
+};
+
+const PLATFORM_SCOPE = 'platform';
+
+// Subscription prices include GST at this rate
+const SUBSCRIPTION_GST_RATE = Number(process.env.SUBSCRIPTION_GST_RATE || 18);
+
+const AMOUNT_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Indian financial year (April to March) of a date
+ * @returns {String} - e.g. '2026-27'
+ */
+const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Thrown inside a numbering transaction to roll the counter back
+class NumberNotStoredError extends Error {}
+
+/**
+ * Take the next number in a document series
+ * Inside a transaction (session given) the number is only used up if the transaction commits;
+ * documents should be numbered through assignDocumentNumber or such a transaction so the
+ * series has no gaps.
+ * @param {String} scope - Landlord _id or 'platform'
+ * @param {String} series - 'INV' | 'RCT' | 'SUB'
+ * @param {Date} date - Document date, decides the financial year
+ * @param {Object} options - { session }
+ * @returns {Promise<String>} - e.g. 'INV/2026-27/0001'
+ */
+const nextDocumentNumber = async (scope, series, date = new Date(), { session } = {}) => {
+  const financialYear = getFinancialYear(date);
+  const filter = { scope: scope.toString(), series, financialYear };
+
+  let counter;
+  try {
+    counter = await DocumentCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { upsert: true, new: true, session });
+  } catch (error) {
+    // Two first-of-the-year numbers raced on the upsert; the counter exists now. A transaction
+    // is aborted by the error, so its caller retries instead.
+    if (error.code !== 11000 || session) throw error;
+    counter = await DocumentCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return `${series}/${financialYear}/${String(counter.seq).padStart(4, '0')}`;
+};
+
+/**
+ * Number a document in one transaction with the counter
+ * store writes the number and returns false when the document was numbered meanwhile; the
+ * counter is then rolled back, so a lost race leaves no gap in the series.
+ * @param {String} scope - Landlord _id or 'platform'
+ * @param {String} series - 'INV' | 'RCT' | 'SUB'
+ * @param {Date} date - Document date
+ * @param {Function} store - async (number, session) => Boolean
+ * @returns {Promise<String|null>} - The number stored, or null when store returned false
+ */
+const assignDocumentNumber = async (scope, series, date, store) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await mongoose.connection.transaction(async (session) => {
+        const number = await nextDocumentNumber(scope, series, date, { session });
+        if (!(await store(number, session))) throw new NumberNotStoredError();
+        return number;
+      });
+    } catch (error) {
+      if (error instanceof NumberNotStoredError) return null;
+      if (error.code === 11000 && attempt === 0) continue;
+      throw error;
+    }
+  }
+};
+
+const getDocumentFileName = (number) => `${number.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
+
+const sameState = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Split GST into CGST + SGST (supplier and place of supply in the same state) or IGST
+ * @returns {Array} - [{ label, amount }]
+ */
+const splitGst = (taxAmount, taxRate, supplierState, placeOfSupply) => {
+  if (!(taxAmount > 0)) return [];
+  if (sameState(supplierState, placeOfSupply) || !placeOfSupply) {
+    const half = roundAmount(taxAmount / 2);
+    return [
+      { label: `CGST @ ${taxRate / 2}%`, amount: half },
+      { label: `SGST @ ${taxRate / 2}%`, amount: roundAmount(taxAmount - half) }
+    ];
+  }
+  return [{ label: `IGST @ ${taxRate}%`, amount: roundAmount(taxAmount) }];
+};
+
+/**
+ * Break a bill into invoice line items
+ * Bill amounts are tax inclusive and include late fees and penalties, so the taxable value is
+ * worked back from the amount; metered units and fixed charges are itemised and anything they
+ * do not explain is shown as the bill's own charge.
+ * @param {Object} bill - Tenant bill
+ * @returns {Object} - { items, discount, taxableValue, taxRate, taxAmount, penalty, lateFees, total }
+ */
+const buildBillLineItems = (bill) => {
+  const details = bill.billDetails || {};
+  const total = roundAmount(bill.amount || 0);
+  const penalty = roundAmount(details.penaltyAmount || 0);
+  const lateFees = roundAmount(details.lateFees || 0);
+  const chargeable = roundAmount(Math.max(0, total - penalty - lateFees));
+
+  const taxRate = Number(details.taxPercentage) || 0;
+  const taxAmount = roundAmount(details.taxAmount ||
+    (taxRate > 0 ? chargeable - chargeable / (1 + taxRate / 100) : 0));
+  const taxableValue = roundAmount(chargeable - taxAmount);
+  const discount = roundAmount(details.discountAmount || 0);
+  const gross = roundAmount(taxableValue + discount);
+
+  let items = [];
+  if (details.units > 0 && details.ratePerUnit > 0) {
+    const readings = details.previousReading !== undefined && details.currentReading !== undefined &&
+      details.previousReading !== null && details.currentReading !== null
+      ? ` (reading ${details.previousReading} to ${details.currentReading})`
+      : '';
+    items.push({
+      description: `Electricity units consumed${readings}`,
+      quantity: details.units,
+      rate: details.ratePerUnit,
+      amount: roundAmount(details.units * details.ratePerUnit)
+    });
+  }
+  if (details.fixedCharges > 0) {
+    items.push({ description: 'Fixed charges', amount: roundAmount(details.fixedCharges) });
+  }
+
+  const billLabel = bill.description || `${bill.type} charges${bill.month ? ` for ${bill.month} ${bill.year || ''}`.trimEnd() : ''}`;
+  const explained = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+  if (explained > gross + AMOUNT_TOLERANCE) {
+    // Breakdown does not match the billed amount; bill it as a single line
+    items = [{ description: billLabel, amount: gross }];
+  } else if (gross - explained > AMOUNT_TOLERANCE || items.length === 0) {
+    items.unshift({ description: billLabel, amount: roundAmount(gross - explained) });
+  }
+
+  if (discount > 0) {
+    items.push({ description: `Discount${details.discountReason ? ` (${details.discountReason})` : ''}`, amount: -discount });
+  }
+
+  return { items, discount, taxableValue, taxRate, taxAmount, penalty, lateFees, total };
+};
+
+const getLandlordDetails = (landlordId) => Landlord.findById(landlordId)
+  .select('name mobile email address pinCode state panNumber gstNumber');
+
+const landlordParty = (landlord) => ({
+  name: landlord ? landlord.name : '-',
+  address: landlord ? [landlord.address, landlord.pinCode].filter(Boolean).join(' - ') : null,
+  state: landlord && landlord.state,
+  gstin: landlord && landlord.gstNumber,
+  pan: landlord && landlord.panNumber,
+  mobile: landlord && landlord.mobile,
+  email: landlord && landlord.email
+});
+
+const tenantParty = (tenant, accommodation) => ({
+  name: tenant.name,
+  address: tenant.permanentAddress,
+  reference: `Tenant ID: ${accommodation && accommodation.localTenantId ? accommodation.localTenantId : tenant.tenantId}`,
+  mobile: tenant.mobile,
+  email: tenant.email
+});
+
+const findAccommodation = (tenant, record) => tenant.accommodations.find(acc =>
+  acc.propertyId.toString() === record.propertyId.toString() &&
+  acc.roomId === record.roomId &&
+  (record.bedId ? acc.bedId === record.bedId : true)
+);
+
+const describeUnit = (record, property) => [
+  property ? property.name : record.propertyName,
+  record.roomId ? `Room ${record.roomId}` : null,
+  record.bedId ? `Bed ${record.bedId}` : null
+].filter(Boolean).join(', ');
+
+/**
+ * Render and store the invoice for a tenant bill, reusing the stored one when still current
+ * @param {Object} tenant - Tenant document
+ * @param {Object} bill - Bill subdocument of the tenant
+ * @returns {Promise<Object>} - { number, url, key, buffer } (buffer only when freshly rendered)
+ */
+const generateBillInvoice = async (tenant, bill) => {
+  const isCurrent = bill.invoiceNumber && bill.invoiceAmount === bill.amount &&
+    await documentExists({ url: bill.invoiceUrl, key: bill.invoiceKey });
+  if (isCurrent) {
+    return { number: bill.invoiceNumber, url: bill.invoiceUrl, key: bill.invoiceKey };
+  }
+
+  const invoiceDate = bill.createdAt || new Date();
+  let number = bill.invoiceNumber;
+  if (!number) {
+    number = await assignDocumentNumber(bill.landlordId, DOCUMENT_SERIES.invoice, invoiceDate, async (next, session) => {
+      const claimed = await Tenant.updateOne(
+        { _id: tenant._id, bills: { $elemMatch: { _id: bill._id, invoiceNumber: null } } },
+        { $set: { 'bills.$.invoiceNumber': next } },
+        { session }
+      );
+      return claimed.modifiedCount > 0;
+    });
+    if (!number) {
+      // A concurrent request numbered this bill first
+      const current = await Tenant.findOne({ _id: tenant._id }, { bills: { $elemMatch: { _id: bill._id } } });
+      number = current.bills[0].invoiceNumber;
+    }
+  }
+
+  const [landlord, property] = await Promise.all([
+    getLandlordDetails(bill.landlordId),
+    Property.findById(bill.propertyId).select('name address city state pinCode')
+  ]);
+  const placeOfSupply = property && property.state;
+  const lines = buildBillLineItems(bill);
+  const taxes = splitGst(lines.taxAmount, lines.taxRate, landlord && landlord.state, placeOfSupply);
+
+  const summary = [{ label: 'Taxable value', amount: lines.taxableValue }, ...taxes];
+  if (lines.lateFees > 0) summary.push({ label: 'Late fees', amount: lines.lateFees });
+  if (lines.penalty > 0) {
+    const reason = bill.billDetails && bill.billDetails.penaltyReason;
+    summary.push({ label: `Penalty${reason ? ` (${reason})` : ''}`, amount: lines.penalty });
+  }
+  summary.push({ label: 'Total amount payable', amount: lines.total, bold: true });
+
+  const notes = [];
+  if (!landlord || !landlord.gstNumber) {
+    notes.push('Supplier is not registered under GST; no tax is charged on this invoice.');
+  }
+  if (property) {
+    notes.push(`Property address: ${[property.address, property.city, property.state, property.pinCode].filter(Boolean).join(', ')}`);
+  }
+
+  const buffer = await renderDocumentPdf({
+    title: landlord && landlord.gstNumber ? 'TAX INVOICE' : 'INVOICE',
+    number,
+    meta: [
+      ['Invoice date', formatDate(invoiceDate)],
+      ['Due date', formatDate(bill.dueDate)],
+      ['Bill no', bill.billNumber],
+      ['Period', [bill.month, bill.year].filter(Boolean).join(' ') || '-'],
+      ['Place of supply', placeOfSupply || '-']
+    ],
+    seller: landlordParty(landlord),
+    buyer: {
+      ...tenantParty(tenant, findAccommodation(tenant, bill)),
+      address: [tenant.permanentAddress, describeUnit(bill, property)].filter(Boolean).join('\n')
+    },
+    items: lines.items,
+    summary,
+    total: lines.total,
+    notes
+  });
+
+  const stored = await storeDocument(buffer, `documents/invoices/${bill.landlordId}`, getDocumentFileName(number));
+  const generatedAt = new Date();
+  await Tenant.updateOne(
+    { _id: tenant._id, 'bills._id': bill._id },
+    {
+      $set: {
+        'bills.$.invoiceUrl': stored.url,
+        'bills.$.invoiceKey': stored.key,
+        'bills.$.invoiceAmount': bill.amount,
+        'bills.$.invoiceGeneratedAt': generatedAt
+      }
+    }
+  );
+
+  Object.assign(bill, {
+    invoiceNumber: number,
+    invoiceUrl: stored.url,
+    invoiceKey: stored.key,
+    invoiceAmount: bill.amount,
+    invoiceGeneratedAt: generatedAt
+  });
+
+  return { number, url: stored.url, key: stored.key, buffer };
+};
+
+/**
+ * Render and store the receipt for a payment, reusing the stored one when it exists
+ * @param {Object} payment - Payment document
+ * @param {Object} tenant - Tenant document (loaded when not given)
+ * @returns {Promise<Object>} - { number, url, key, buffer } (buffer only when freshly rendered)
+ */
+const generatePaymentReceipt = async (payment, tenant = null) => {
+  if (await documentExists({ url: payment.receiptUrl, key: payment.receiptKey })) {
+    return { number: payment.receiptNumber, url: payment.receiptUrl, key: payment.receiptKey };
+  }
+
+  let number = payment.receiptNumber;
+  if (!number) {
+    number = await assignDocumentNumber(payment.landlordId, DOCUMENT_SERIES.receipt, payment.paymentDate, async (next, session) => {
+      const claimed = await Payment.updateOne(
+        { _id: payment._id, receiptNumber: null },
+        { $set: { receiptNumber: next } },
+        { session }
+      );
+      return claimed.modifiedCount > 0;
+    });
+    if (!number) number = (await Payment.findById(payment._id)).receiptNumber;
+  }
+
+  const owner = tenant || await Tenant.findOne({ tenantId: payment.tenantId });
+  const [landlord, property] = await Promise.all([
+    getLandlordDetails(payment.landlordId),
+    Property.findById(payment.propertyId).select('name address city state pinCode')
+  ]);
+
+  const breakdown = payment.paymentBreakdown && payment.paymentBreakdown.length
+    ? payment.paymentBreakdown
+    : [{ category: payment.category, amount: payment.amount, month: payment.month, year: payment.year }];
+  const items = breakdown.map(entry => ({
+    description: [
+      entry.category,
+      entry.billNumber ? `bill ${entry.billNumber}` : null,
+      entry.month ? `${entry.month} ${entry.year || ''}`.trim() : null,
+      entry.billStatus === 'partial' ? 'part payment' : null
+    ].filter(Boolean).join(' - '),
+    amount: entry.amount
+  }));
+
+  const buffer = await renderDocumentPdf({
+    title: 'PAYMENT RECEIPT',
+    number,
+    meta: [
+      ['Receipt date', formatDate(payment.paymentDate)],
+      ['Payment mode', payment.method],
+      ['Transaction ID', payment.transactionId || '-'],
+      ['Payment ID', payment.paymentId]
+    ],
+    seller: landlordParty(landlord),
+    buyerHeading: 'RECEIVED FROM',
+    buyer: owner
+      ? { ...tenantParty(owner, findAccommodation(owner, payment)), address: describeUnit(payment, property) }
+      : { name: payment.tenantId, address: describeUnit(payment, property) },
+    items,
+    summary: [{ label: 'Total received', amount: payment.amount, bold: true }],
+    total: payment.amount,
+    notes: payment.note ? [`Note: ${payment.note}`] : []
+  });
+
+  const stored = await storeDocument(buffer, `documents/receipts/${payment.landlordId}`, getDocumentFileName(number));
+  const generatedAt = new Date();
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $set: { receiptUrl: stored.url, receiptKey: stored.key, receiptGeneratedAt: generatedAt } }
+  );
+
+  if (payment.billIds && payment.billIds.length) {
+    await Tenant.updateOne(
+      { tenantId: payment.tenantId },
+      { $set: { 'bills.$[bill].receiptUrl': stored.url } },
+      { arrayFilters: [{ 'bill._id': { $in: payment.billIds } }] }
+    );
+  }
+
+  Object.assign(payment, { receiptNumber: number, receiptUrl: stored.url, receiptKey: stored.key, receiptGeneratedAt: generatedAt });
+
+  return { number, url: stored.url, key: stored.key, buffer };
+};
+
+/**
+ * Seller details for subscription invoices, from INVOICE_COMPANY_* env variables
+ */
+const getPlatformParty = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || 'PG Rental Service',
+  address: process.env.INVOICE_COMPANY_ADDRESS,
+  state: process.env.INVOICE_COMPANY_STATE,
+  gstin: process.env.INVOICE_COMPANY_GSTIN,
+  pan: process.env.INVOICE_COMPANY_PAN,
+  email: process.env.INVOICE_COMPANY_EMAIL
+});
+
+/**
+ * Render and store the invoice for a successful subscription payment
+ * @param {Object} subscription - Subscription document
+ * @param {Object} entry - payment_history entry
+ * @returns {Promise<Object>} - { number, url, key, buffer } (buffer only when freshly rendered)
+ */
+const generateSubscriptionInvoice = async (subscription, entry) => {
+  if (await documentExists({ url: entry.invoice_url, key: entry.invoice_key })) {
+    return { number: entry.invoice_number, url: entry.invoice_url, key: entry.invoice_key };
+  }
+
+  const invoiceDate = entry.paid_at || entry.attempted_at || subscription.createdAt;
+  let number = entry.invoice_number;
+  if (!number) {
+    number = await assignDocumentNumber(PLATFORM_SCOPE, DOCUMENT_SERIES.subscription, invoiceDate, async (next, session) => {
+      const claimed = await Subscription.updateOne(
+        { _id: subscription._id, payment_history: { $elemMatch: { _id: entry._id, invoice_number: null } } },
+        { $set: { 'payment_history.$.invoice_number': next } },
+        { session }
+      );
+      return claimed.modifiedCount > 0;
+    });
+    if (!number) {
+      const current = await Subscription.findById(subscription._id);
+      number = current.payment_history.id(entry._id).invoice_number;
+    }
+  }
+
+  const landlord = await getLandlordDetails(subscription.landlordId);
+  const seller = getPlatformParty();
+  const total = roundAmount(entry.amount || 0);
+  const taxRate = seller.gstin ? SUBSCRIPTION_GST_RATE : 0;
+  const taxableValue = roundAmount(total / (1 + taxRate / 100));
+  const taxes = splitGst(roundAmount(total - taxableValue), taxRate, seller.state, landlord && landlord.state);
+
+  // Plan changes are billed at the new plan's price less the credit for unused days,
+  // and a coupon comes off whatever was left to pay
+  const proration = entry.proration;
+  const coupon = entry.coupon;
+  const taxFactor = 1 + taxRate / 100;
+  const adjustments = [];
+  if (proration && proration.credit > 0) {
+    const credit = roundAmount(Math.min(proration.credit, proration.newPrice) / taxFactor);
+    adjustments.push({ description: `Credit for ${proration.remainingDays} unused days of the previous plan`, amount: -credit });
+  }
+  if (coupon && coupon.discount_amount > 0) {
+    adjustments.push({ description: `Coupon ${coupon.code}`, amount: -roundAmount(coupon.discount_amount / taxFactor) });
+  }
+  const planLine = `${entry.plan_name} plan - ${entry.billing_cycle} ${entry.type || 'purchase'}`;
+  const planAmount = roundAmount(adjustments.reduce((sum, item) => sum - item.amount, taxableValue));
+  const items = [{ description: planLine, quantity: 1, amount: planAmount }, ...adjustments];
+
+  const buffer = await renderDocumentPdf({
+    title: seller.gstin ? 'TAX INVOICE' : 'INVOICE',
+    number,
+    meta: [
+      ['Invoice date', formatDate(invoiceDate)],
+      ['Subscription', subscription._id.toString()],
+      ['Payment ID', (entry.payment && entry.payment.payment_id) || '-'],
+      ['Place of supply', (landlord && landlord.state) || '-']
+    ],
+    seller,
+    buyer: landlordParty(landlord),
+    items,
+    summary: [{ label: 'Taxable value', amount: taxableValue }, ...taxes, { label: 'Total', amount: total, bold: true }],
+    total,
+    notes: seller.gstin ? [] : ['Supplier is not registered under GST; no tax is charged on this invoice.']
+  });
+
+  const stored = await storeDocument(buffer, `documents/subscription-invoices/${subscription.landlordId}`, getDocumentFileName(number));
+  const generatedAt = new Date();
+  await Subscription.updateOne(
+    { _id: subscription._id, 'payment_history._id': entry._id },
+    {
+      $set: {
+        'payment_history.$.invoice_url': stored.url,
+        'payment_history.$.invoice_key': stored.key,
+        'payment_history.$.invoice_generated_at': generatedAt
+      }
+    }
+  );
+
+  return { number, url: stored.url, key: stored.key, buffer };
+};
+
+module.exports = {
+  DOCUMENT_SERIES,
+  getFinancialYear,
+  nextDocumentNumber,
+  assignDocumentNumber,
+  getDocumentFileName,
+  buildBillLineItems,
+  generateBillInvoice,
+  generatePaymentReceipt,
+  generateSubscriptionInvoice
+};
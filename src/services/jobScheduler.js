@@ -0,0 +1,107 @@
+/**
+ * Background Job Scheduler
+ * Runs periodic jobs with setInterval. When Redis is available a short-lived lock
+ * makes sure only one app instance (PM2 cluster) runs a given job per interval.
+ */
+
+const { redisClient } = require('../config/database');
+
+const registeredJobs = {};
+
+/**
+ * Try to acquire a lock for a job run
+ * @param {String} name - Job name
+ * @param {Number} ttlSeconds - Lock lifetime in seconds
+ * @returns {Promise<boolean>} - true if this instance should run the job
+ */
+const acquireJobLock = async (name, ttlSeconds) => {
+  try {
+    if (!redisClient || !redisClient.isReady) {
+      // Without Redis every instance runs the job; jobs are written to be idempotent
+      return true;
+    }
+
+    const result = await redisClient.set(`job:lock:${name}`, `${process.pid}`, {
+      NX: true,
+      EX: Math.max(1, ttlSeconds)
+    });
+    return result === 'OK';
+  } catch (error) {
+    console.error(`Error acquiring lock for job ${name}:`, error);
+    return true;
+  }
+};
+
+/**
+ * Run a job once, guarded by the job lock
+ * @param {String} name - Job name
+ * @param {Function} handler - Async function to run
+ * @param {Number} lockSeconds - Lock lifetime in seconds
+ */
+const runJob = async (name, handler, lockSeconds = 60) => {
+  const job = registeredJobs[name];
+  if (job && job.running) {
+    console.log(`[JOB ${name}] Previous run still in progress, skipping`);
+    return null;
+  }
+
+  const hasLock = await acquireJobLock(name, lockSeconds);
+  if (!hasLock) {
+    return null;
+  }
+
+  if (job) job.running = true;
+  const startTime = Date.now();
+
+  try {
+    const result = await handler();
+    console.log(`[JOB ${name}] Completed in ${Date.now() - startTime}ms`);
+    return result;
+  } catch (error) {
+    console.error(`[JOB ${name}] Failed:`, error);
+    return null;
+  } finally {
+    if (job) {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+};
+
+/**
+ * Schedule a job to run every intervalMs
+ * @param {String} name - Unique job name
+ * @param {Number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function to run
+ * @param {Object} options - { runOnStart: boolean, startDelayMs: number }
+ */
+const scheduleJob = (name, intervalMs, handler, options = {}) => {
+  if (registeredJobs[name]) {
+    return registeredJobs[name];
+  }
+
+  // Hold the lock for most of the interval so other instances skip this run
+  const lockSeconds = Math.floor((intervalMs * 0.9) / 1000);
+
+  const job = {
+    name,
+    intervalMs,
+    running: false,
+    lastRunAt: null,
+    timer: setInterval(() => runJob(name, handler, lockSeconds), intervalMs)
+  };
+  registeredJobs[name] = job;
+
+  if (options.runOnStart) {
+    // Give database connections a moment to come up
+    setTimeout(() => runJob(name, handler, lockSeconds), options.startDelayMs || 30 * 1000);
+  }
+
+  console.log(`[JOB ${name}] Scheduled every ${Math.round(intervalMs / 60000)} minutes`);
+  return job;
+};
+
+module.exports = {
+  scheduleJob,
+  runJob
+};
@@ -0,0 +1,293 @@
+/**
+ * Late Fee Service
+ * Accrues late fees onto unpaid bills past their due date using the
+ * lateFeePolicy configured on each property, and records waivers.
+ * Late fees are included in bill.amount so dues totals stay consistent.
+ */
+
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const { setCache } = require('../utils/redis');
+const { scheduleJob } = require('./jobScheduler');
+
+const LATE_FEE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const LATE_FEE_TYPES = ['flat_per_day', 'percentage'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Bill amount before late fees and penalties
+ * @param {Object} bill - Tenant bill
+ * @returns {Number}
+ */
+const getLateFeeBaseAmount = (bill) => {
+  const details = bill.billDetails || {};
+  return Math.max(0, (bill.amount || 0) - (details.lateFees || 0) - (details.penaltyAmount || 0));
+};
+
+/**
+ * Number of whole days a bill is overdue as of a date
+ * @param {Object} bill - Tenant bill
+ * @param {Date} asOf - Reference date
+ * @returns {Number}
+ */
+const getDaysOverdue = (bill, asOf = new Date()) => {
+  if (!bill.dueDate) return 0;
+  return Math.max(0, moment(asOf).startOf('day').diff(moment(bill.dueDate).startOf('day'), 'days'));
+};
+
+/**
+ * Check whether a property's policy covers a bill
+ * @param {Object} policy - Property lateFeePolicy
+ * @param {Object} bill - Tenant bill
+ * @returns {Boolean}
+ */
+const isPolicyApplicable = (policy, bill) => {
+  if (!policy || !policy.enabled) return false;
+  if (bill.paid || !bill.dueDate) return false;
+  if (bill.billDetails && bill.billDetails.lateFeeExempt) return false;
+  if (bill.type === 'Security Deposit') return false;
+
+  const billTypes = policy.billTypes || [];
+  return billTypes.length === 0 || billTypes.includes(bill.type);
+};
+
+/**
+ * Calculate the total late fee a bill has earned under a policy, before waivers
+ * @param {Object} policy - Property lateFeePolicy
+ * @param {Object} bill - Tenant bill
+ * @param {Date} asOf - Reference date
+ * @returns {Number}
+ */
+const calculateLateFee = (policy, bill, asOf = new Date()) => {
+  if (!isPolicyApplicable(policy, bill)) return 0;
+
+  const chargeableDays = getDaysOverdue(bill, asOf) - (policy.graceDays || 0);
+  if (chargeableDays <= 0) return 0;
+
+  let fee = 0;
+  if (policy.type === 'percentage') {
+    fee = getLateFeeBaseAmount(bill) * (policy.percentage || 0) / 100;
+  } else {
+    fee = (policy.amount || 0) * chargeableDays;
+  }
+
+  if (policy.maxAmount > 0) {
+    fee = Math.min(fee, policy.maxAmount);
+  }
+
+  return roundAmount(fee);
+};
+
+/**
+ * Atomically change the late fees on a bill and the matching pendingDues counters.
+ * The update only applies if the bill's late fees have not changed since it was read.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} bill - Bill as read from the tenant
+ * @param {Object} change - { delta, set, push }
+ * @returns {Promise<boolean>} - true if the bill was updated
+ */
+const adjustBillLateFees = async (tenant, bill, { delta, set = {}, push }) => {
+  const currentLateFees = (bill.billDetails && bill.billDetails.lateFees) || 0;
+
+  const update = {
+    $inc: {
+      'bills.$[bill].amount': delta,
+      'accommodations.$[acc].pendingDues': delta
+    },
+    $set: { ...set, updatedAt: new Date() }
+  };
+  if (push) {
+    update.$push = push;
+  }
+
+  const accFilter = {
+    'acc.propertyId': bill.propertyId,
+    'acc.roomId': bill.roomId,
+    'acc.isActive': true
+  };
+  if (bill.bedId) {
+    accFilter['acc.bedId'] = bill.bedId;
+  }
+
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      bills: {
+        $elemMatch: {
+          _id: bill._id,
+          paid: false,
+          'billDetails.lateFees': currentLateFees === 0 ? { $in: [0, null] } : currentLateFees
+        }
+      }
+    },
+    update,
+    { arrayFilters: [{ 'bill._id': bill._id }, accFilter] }
+  );
+
+  if (!result.modifiedCount) {
+    return false;
+  }
+
+  if (bill.bedId) {
+    await Property.updateOne(
+      { _id: bill.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': delta } },
+      { arrayFilters: [{ 'room.roomId': bill.roomId }, { 'bed.bedId': bill.bedId }] }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Accrue late fees for one bill
+ * @returns {Promise<Number>} - Amount added to the bill
+ */
+const accrueBillLateFee = async (tenant, bill, policy, asOf) => {
+  const details = bill.billDetails || {};
+  const earned = calculateLateFee(policy, bill, asOf);
+  const net = roundAmount(Math.max(0, earned - (details.lateFeesWaived || 0)));
+  const delta = roundAmount(net - (details.lateFees || 0));
+
+  // Fees only grow through accrual; reductions go through waivers
+  if (delta <= 0) {
+    return 0;
+  }
+
+  const updated = await adjustBillLateFees(tenant, bill, {
+    delta,
+    set: {
+      'bills.$[bill].billDetails.lateFees': net,
+      'bills.$[bill].billDetails.lateFeesApplicable': true,
+      'bills.$[bill].billDetails.lateFeeAccruedAt': asOf
+    }
+  });
+
+  return updated ? delta : 0;
+};
+
+/**
+ * Accrue late fees on all overdue unpaid bills of properties with an enabled policy
+ * @param {Object} options - { landlordId, propertyId, asOf }
+ * @returns {Promise<Object>} - { billsUpdated, totalAccrued }
+ */
+const accrueLateFees = async ({ landlordId, propertyId, asOf = new Date() } = {}) => {
+  const summary = { billsUpdated: 0, totalAccrued: 0 };
+  const landlordsToClear = new Set();
+
+  const propertyQuery = { 'lateFeePolicy.enabled': true };
+  if (landlordId) propertyQuery.landlordId = landlordId;
+  if (propertyId) propertyQuery._id = propertyId;
+
+  const properties = await Property.find(propertyQuery).select('_id landlordId lateFeePolicy');
+
+  for (const property of properties) {
+    const policy = property.lateFeePolicy;
+    const cursor = Tenant.find({
+      bills: { $elemMatch: { propertyId: property._id, paid: false, dueDate: { $lt: asOf } } }
+    }).cursor();
+
+    for (let tenant = await cursor.next(); tenant != null; tenant = await cursor.next()) {
+      for (const bill of tenant.bills) {
+        if (bill.propertyId.toString() !== property._id.toString()) continue;
+
+        const added = await accrueBillLateFee(tenant, bill, policy, asOf);
+        if (added > 0) {
+          summary.billsUpdated++;
+          summary.totalAccrued = roundAmount(summary.totalAccrued + added);
+          landlordsToClear.add(bill.landlordId.toString());
+        }
+      }
+    }
+  }
+
+  for (const id of landlordsToClear) {
+    await setCache(`landlord:tenants:${id}`, null, 1);
+  }
+
+  return summary;
+};
+
+/**
+ * Waive late fees on an unpaid bill
+ * @param {Object} tenant - Tenant document
+ * @param {String} billId - Bill _id
+ * @param {Object} options - { amount, reason, stopAccrual, grantedBy: { id, role, name } }
+ * @returns {Promise<Object>} - { bill, waived } or { error, statusCode }
+ */
+const waiveLateFee = async (tenant, billId, { amount, reason, stopAccrual = false, grantedBy = {} }) => {
+  const bill = tenant.bills.id(billId);
+  if (!bill) {
+    return { statusCode: 404, error: 'Bill not found' };
+  }
+  if (bill.paid) {
+    return { statusCode: 400, error: 'Late fees cannot be waived on a paid bill' };
+  }
+
+  const details = bill.billDetails || {};
+  const currentLateFees = details.lateFees || 0;
+  const waived = roundAmount(amount === undefined || amount === null
+    ? currentLateFees
+    : Math.min(Number(amount), currentLateFees));
+
+  if (!(waived > 0) && !stopAccrual) {
+    return { statusCode: 400, error: 'No late fees to waive on this bill' };
+  }
+
+  const waiver = {
+    amount: Math.max(0, waived),
+    reason,
+    waivedBy: grantedBy.id,
+    waivedByRole: grantedBy.role,
+    waivedByName: grantedBy.name,
+    stopAccrual,
+    waivedAt: new Date()
+  };
+
+  const set = {
+    'bills.$[bill].billDetails.lateFees': roundAmount(currentLateFees - waiver.amount),
+    'bills.$[bill].billDetails.lateFeesWaived': roundAmount((details.lateFeesWaived || 0) + waiver.amount)
+  };
+  if (stopAccrual) {
+    set['bills.$[bill].billDetails.lateFeeExempt'] = true;
+  }
+
+  const updated = await adjustBillLateFees(tenant, bill, {
+    delta: -waiver.amount,
+    set,
+    push: { 'bills.$[bill].billDetails.lateFeeWaivers': waiver }
+  });
+
+  if (!updated) {
+    return { statusCode: 409, error: 'Bill changed while applying the waiver, please retry' };
+  }
+
+  await setCache(`landlord:tenants:${bill.landlordId}`, null, 1);
+
+  const refreshed = await Tenant.findById(tenant._id);
+  return { bill: refreshed.bills.id(billId), waived: waiver.amount };
+};
+
+/**
+ * Schedule the daily late-fee accrual job
+ */
+const setupLateFeeScheduler = () => {
+  scheduleJob('late-fee-accrual', LATE_FEE_INTERVAL_MS, async () => {
+    const summary = await accrueLateFees();
+    console.log(`Late fee accrual: ${summary.billsUpdated} bills updated, ${summary.totalAccrued} accrued`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  LATE_FEE_TYPES,
+  getLateFeeBaseAmount,
+  getDaysOverdue,
+  calculateLateFee,
+  accrueLateFees,
+  waiveLateFee,
+  setupLateFeeScheduler
+};
@@ -0,0 +1,486 @@
+/**
+ * Move-out Notice Service
+ * Tenants give notice with the date they intend to move out, which must respect the
+ * accommodation's notice period. The landlord approves it or proposes another date, which
+ * the tenant accepts or counters. An approved notice marks the bed as available from the
+ * move-out date, ending the tenant's stay on the bed's reservation calendar so the bed can be
+ * booked from then, and a daily job flips those beds to Available once the date arrives.
+ */
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Landlord = require('../models/Landlord');
+const { setCache } = require('../utils/redis');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const { setOccupancyEnd } = require('./bedReservationService');
+const { notifyWaitlist } = require('./waitlistService');
+
+const NOTICE_STATUSES = ['Pending', 'Negotiating', 'Approved', 'Withdrawn'];
+const OPEN_NOTICE_STATUSES = ['Pending', 'Negotiating', 'Approved'];
+const DEFAULT_NOTICE_PERIOD = 30;
+const BED_RELEASE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => moment(date).format('DD MMM YYYY');
+
+/**
+ * Notice period (days) that applies to an accommodation
+ * The accommodation's own period wins, then the room's, then the default.
+ */
+const getNoticePeriod = (accommodation, room) => {
+  if (accommodation.noticePeriod) return accommodation.noticePeriod;
+  if (room && room.noticePeriod) return room.noticePeriod;
+  return DEFAULT_NOTICE_PERIOD;
+};
+
+/**
+ * Earliest move-out date for notice given on a date
+ */
+const getEarliestMoveOutDate = (givenAt, noticePeriod) =>
+  moment(givenAt).startOf('day').add(noticePeriod, 'days').toDate();
+
+/**
+ * Parse a move-out date and check it against the notice period
+ * @returns {Object} - { date } or { error }
+ */
+const validateMoveOutDate = (value, givenAt, noticePeriod) => {
+  if (!value) {
+    return { error: 'Move-out date is required' };
+  }
+  const date = moment(value).startOf('day');
+  if (!date.isValid()) {
+    return { error: 'Invalid move-out date' };
+  }
+
+  const earliest = getEarliestMoveOutDate(givenAt, noticePeriod);
+  if (date.isBefore(earliest)) {
+    return {
+      error: `Move-out date must be at least ${noticePeriod} days after notice is given (on or after ${formatDate(earliest)})`,
+      earliestMoveOutDate: earliest
+    };
+  }
+  return { date: date.toDate() };
+};
+
+/**
+ * Find the accommodation a notice belongs to
+ */
+const findNotice = async (noticeId, filter = {}) => {
+  const tenant = await Tenant.findOne({ ...filter, 'accommodations.notice.noticeId': noticeId });
+  if (!tenant) return {};
+
+  const accommodation = tenant.accommodations.find(acc =>
+    acc.notice && acc.notice.noticeId === noticeId
+  );
+  return { tenant, accommodation };
+};
+
+/**
+ * Update a notice only if it is still in one of the expected statuses
+ * @returns {Promise<Boolean>} - false if another request changed it first
+ */
+const updateNotice = async (tenant, noticeId, expectedStatuses, set) => {
+  const prefixed = Object.fromEntries(Object.entries(set).map(([key, value]) => [`accommodations.$[acc].${key}`, value]));
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      accommodations: {
+        $elemMatch: { 'notice.noticeId': noticeId, 'notice.status': { $in: expectedStatuses } }
+      }
+    },
+    { $set: prefixed },
+    { arrayFilters: [{ 'acc.notice.noticeId': noticeId }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Set or clear the date a bed becomes available
+ */
+const setBedAvailableFrom = async (accommodation, availableFrom) => {
+  if (!accommodation.bedId) return false;
+
+  const update = availableFrom
+    ? { $set: { 'rooms.$[room].beds.$[bed].availableFrom': availableFrom } }
+    : { $unset: { 'rooms.$[room].beds.$[bed].availableFrom': '' } };
+
+  const result = await Property.updateOne(
+    { _id: accommodation.propertyId },
+    update,
+    { arrayFilters: [{ 'room.roomId': accommodation.roomId }, { 'bed.bedId': accommodation.bedId }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+const bedOf = (accommodation) => ({
+  propertyId: accommodation.propertyId,
+  roomId: accommodation.roomId,
+  bedId: accommodation.bedId
+});
+
+const invalidateTenantCaches = async (tenant, accommodation) => {
+  await setCache(`landlord:tenants:${accommodation.landlordId}`, null, 1);
+  await setCache(`property:tenants:${accommodation.propertyId}`, null, 1);
+  await setCache(`tenant:${tenant.tenantId}`, null, 1);
+};
+
+const notifyLandlord = async (accommodation, notification) => {
+  const landlord = await Landlord.findById(accommodation.landlordId).select('mobile email');
+  if (!landlord) return;
+  await notifyUser({ userId: landlord._id, mobile: landlord.mobile, ...notification });
+};
+
+const notifyTenant = (tenant, notification) => notifyUser({
+  userId: tenant.tenantId,
+  mobile: tenant.mobile,
+  email: tenant.email,
+  ...notification
+});
+
+/**
+ * Approve a notice for a move-out date and mark the bed as available from then
+ */
+const approveNotice = async (tenant, accommodation, moveOutDate, expectedStatuses, extra = {}) => {
+  const noticeId = accommodation.notice.noticeId;
+  const now = new Date();
+  const set = {
+    'notice.status': 'Approved',
+    'notice.approvedMoveOutDate': moveOutDate,
+    'notice.approvedAt': now,
+    moveOutDate,
+    ...extra
+  };
+
+  const updated = await updateNotice(tenant, noticeId, expectedStatuses, set);
+  if (!updated) return null;
+
+  await setBedAvailableFrom(accommodation, moveOutDate);
+  if (accommodation.bedId) {
+    await setOccupancyEnd({ ...bedOf(accommodation), tenantId: tenant.tenantId, endDate: moveOutDate });
+    await notifyWaitlist(accommodation.propertyId, bedOf(accommodation));
+  }
+  await invalidateTenantCaches(tenant, accommodation);
+
+  return { ...accommodation.toObject().notice, status: 'Approved', approvedMoveOutDate: moveOutDate, approvedAt: now };
+};
+
+/**
+ * Tenant gives notice to move out
+ * @param {String} tenantId - Global tenant ID
+ * @param {Object} input - { moveOutDate, reason, propertyId, roomId, bedId }
+ */
+const submitNotice = async (tenantId, input) => {
+  const tenant = await Tenant.findOne({ tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Tenant not found' };
+  }
+
+  const candidates = tenant.accommodations.filter(acc =>
+    acc.isActive &&
+    (input.propertyId ? acc.propertyId.toString() === input.propertyId.toString() : true) &&
+    (input.roomId ? acc.roomId === input.roomId : true) &&
+    (input.bedId ? acc.bedId === input.bedId : true)
+  );
+  if (candidates.length === 0) {
+    return { statusCode: 404, error: 'No active accommodation found' };
+  }
+  if (candidates.length > 1) {
+    return { statusCode: 400, error: 'You have more than one active accommodation, please specify propertyId, roomId and bedId' };
+  }
+
+  const accommodation = candidates[0];
+  if (accommodation.notice && OPEN_NOTICE_STATUSES.includes(accommodation.notice.status)) {
+    return { statusCode: 409, error: `Notice has already been given for this accommodation (${accommodation.notice.status})` };
+  }
+
+  const property = await Property.findById(accommodation.propertyId).select('name rooms.roomId rooms.noticePeriod');
+  const room = property ? property.rooms.find(r => r.roomId === accommodation.roomId) : null;
+
+  const now = new Date();
+  const noticePeriod = getNoticePeriod(accommodation, room);
+  const checked = validateMoveOutDate(input.moveOutDate, now, noticePeriod);
+  if (checked.error) {
+    return { statusCode: 400, error: checked.error, earliestMoveOutDate: checked.earliestMoveOutDate };
+  }
+
+  const notice = {
+    noticeId: `NOT-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'Pending',
+    givenAt: now,
+    noticePeriod,
+    requestedMoveOutDate: checked.date,
+    reason: input.reason || undefined
+  };
+
+  // Guard against a second notice submitted at the same time
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      accommodations: {
+        $elemMatch: {
+          localTenantId: accommodation.localTenantId,
+          isActive: true,
+          'notice.status': { $nin: OPEN_NOTICE_STATUSES }
+        }
+      }
+    },
+    { $set: { 'accommodations.$[acc].notice': notice } },
+    { arrayFilters: [{ 'acc.localTenantId': accommodation.localTenantId }] }
+  );
+  if (result.modifiedCount === 0) {
+    return { statusCode: 409, error: 'Notice has already been given for this accommodation' };
+  }
+
+  await notifyLandlord(accommodation, {
+    type: 'move_out_notice',
+    title: 'Move-out notice received',
+    message: `${tenant.name} has given notice to move out of ${accommodation.propertyName || 'your property'} on ${formatDate(checked.date)}.`,
+    data: { noticeId: notice.noticeId, tenantId, moveOutDate: checked.date }
+  });
+
+  return { tenant, accommodation, notice };
+};
+
+/**
+ * Landlord approves a notice or proposes a different move-out date
+ * @param {String} landlordId
+ * @param {String} noticeId
+ * @param {Object} input - { action: 'approve' | 'negotiate', moveOutDate, note }
+ */
+const respondToNotice = async (landlordId, noticeId, { action, moveOutDate, note }) => {
+  if (!['approve', 'negotiate'].includes(action)) {
+    return { statusCode: 400, error: "Action must be 'approve' or 'negotiate'" };
+  }
+
+  const { tenant, accommodation } = await findNotice(noticeId, { 'accommodations.landlordId': landlordId });
+  if (!tenant || accommodation.landlordId.toString() !== landlordId.toString()) {
+    return { statusCode: 404, error: 'Notice not found or you do not have access' };
+  }
+  if (accommodation.notice.status !== 'Pending') {
+    return { statusCode: 409, error: `Only pending notices can be answered (this one is ${accommodation.notice.status})` };
+  }
+
+  const now = new Date();
+
+  if (action === 'approve') {
+    const approvedDate = accommodation.notice.requestedMoveOutDate;
+    const extra = { 'notice.respondedAt': now };
+    if (note) extra['notice.landlordNote'] = note;
+    const notice = await approveNotice(tenant, accommodation, approvedDate, ['Pending'], extra);
+    if (!notice) {
+      return { statusCode: 409, error: 'Notice was changed by another request, please refresh' };
+    }
+
+    await notifyTenant(tenant, {
+      type: 'move_out_notice_approved',
+      title: 'Move-out notice approved',
+      message: `Your landlord approved your move-out from ${accommodation.propertyName || 'your accommodation'} on ${formatDate(approvedDate)}.`,
+      data: { noticeId, moveOutDate: approvedDate }
+    });
+
+    return { notice: { ...notice, landlordNote: note, respondedAt: now } };
+  }
+
+  if (!moveOutDate) {
+    return { statusCode: 400, error: 'Please propose a move-out date' };
+  }
+  const proposed = moment(moveOutDate).startOf('day');
+  if (!proposed.isValid()) {
+    return { statusCode: 400, error: 'Invalid move-out date' };
+  }
+  if (proposed.isBefore(moment().startOf('day'))) {
+    return { statusCode: 400, error: 'Proposed move-out date cannot be in the past' };
+  }
+
+  const set = {
+    'notice.status': 'Negotiating',
+    'notice.proposedMoveOutDate': proposed.toDate(),
+    'notice.respondedAt': now
+  };
+  if (note) set['notice.landlordNote'] = note;
+  const updated = await updateNotice(tenant, noticeId, ['Pending'], set);
+  if (!updated) {
+    return { statusCode: 409, error: 'Notice was changed by another request, please refresh' };
+  }
+
+  await notifyTenant(tenant, {
+    type: 'move_out_notice_negotiation',
+    title: 'New move-out date proposed',
+    message: `Your landlord proposed ${formatDate(proposed)} as your move-out date from ${accommodation.propertyName || 'your accommodation'}.${note ? ` Note: ${note}` : ''}`,
+    data: { noticeId, proposedMoveOutDate: proposed.toDate() }
+  });
+
+  return {
+    notice: {
+      ...accommodation.toObject().notice,
+      status: 'Negotiating',
+      proposedMoveOutDate: proposed.toDate(),
+      landlordNote: note,
+      respondedAt: now
+    }
+  };
+};
+
+/**
+ * Tenant accepts the landlord's proposed date or counters with another one
+ * @param {String} tenantId
+ * @param {String} noticeId
+ * @param {Object} input - { action: 'accept' | 'counter', moveOutDate, reason }
+ */
+const respondToProposal = async (tenantId, noticeId, { action, moveOutDate, reason }) => {
+  if (!['accept', 'counter'].includes(action)) {
+    return { statusCode: 400, error: "Action must be 'accept' or 'counter'" };
+  }
+
+  const { tenant, accommodation } = await findNotice(noticeId, { tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Notice not found' };
+  }
+  if (accommodation.notice.status !== 'Negotiating') {
+    return { statusCode: 409, error: `There is no proposed date to respond to (notice is ${accommodation.notice.status})` };
+  }
+
+  if (action === 'accept') {
+    const approvedDate = accommodation.notice.proposedMoveOutDate;
+    const notice = await approveNotice(tenant, accommodation, approvedDate, ['Negotiating']);
+    if (!notice) {
+      return { statusCode: 409, error: 'Notice was changed by another request, please refresh' };
+    }
+
+    await notifyLandlord(accommodation, {
+      type: 'move_out_notice_approved',
+      title: 'Move-out date agreed',
+      message: `${tenant.name} accepted ${formatDate(approvedDate)} as the move-out date from ${accommodation.propertyName || 'your property'}.`,
+      data: { noticeId, tenantId, moveOutDate: approvedDate }
+    });
+
+    return { notice };
+  }
+
+  // A counter date is checked against the notice period from when notice was first given
+  const checked = validateMoveOutDate(moveOutDate, accommodation.notice.givenAt, accommodation.notice.noticePeriod);
+  if (checked.error) {
+    return { statusCode: 400, error: checked.error, earliestMoveOutDate: checked.earliestMoveOutDate };
+  }
+
+  const set = {
+    'notice.status': 'Pending',
+    'notice.requestedMoveOutDate': checked.date
+  };
+  if (reason) set['notice.reason'] = reason;
+
+  const updated = await updateNotice(tenant, noticeId, ['Negotiating'], set);
+  if (!updated) {
+    return { statusCode: 409, error: 'Notice was changed by another request, please refresh' };
+  }
+
+  await notifyLandlord(accommodation, {
+    type: 'move_out_notice',
+    title: 'Move-out date countered',
+    message: `${tenant.name} asked to move out of ${accommodation.propertyName || 'your property'} on ${formatDate(checked.date)} instead.`,
+    data: { noticeId, tenantId, moveOutDate: checked.date }
+  });
+
+  return {
+    notice: {
+      ...accommodation.toObject().notice,
+      status: 'Pending',
+      requestedMoveOutDate: checked.date,
+      reason: reason || accommodation.notice.reason
+    }
+  };
+};
+
+/**
+ * Tenant withdraws their notice before the move-out date
+ */
+const withdrawNotice = async (tenantId, noticeId) => {
+  const { tenant, accommodation } = await findNotice(noticeId, { tenantId });
+  if (!tenant) {
+    return { statusCode: 404, error: 'Notice not found' };
+  }
+
+  const { notice } = accommodation;
+  if (!OPEN_NOTICE_STATUSES.includes(notice.status)) {
+    return { statusCode: 409, error: `Notice is already ${notice.status}` };
+  }
+  if (notice.status === 'Approved' && moment().isSameOrAfter(notice.approvedMoveOutDate, 'day')) {
+    return { statusCode: 400, error: 'The approved move-out date has arrived, please contact your landlord' };
+  }
+
+  const now = new Date();
+  const set = { 'notice.status': 'Withdrawn', 'notice.withdrawnAt': now };
+  if (notice.status === 'Approved') set.moveOutDate = null;
+
+  // Staying on is only possible while nobody has booked the bed from the move-out date
+  const reopensStay = notice.status === 'Approved' && Boolean(accommodation.bedId);
+  if (reopensStay) {
+    const extended = await setOccupancyEnd({ ...bedOf(accommodation), tenantId, endDate: null });
+    if (extended.error) {
+      return { statusCode: extended.statusCode, error: `${extended.error}, please contact your landlord` };
+    }
+  }
+
+  const updated = await updateNotice(tenant, noticeId, OPEN_NOTICE_STATUSES, set);
+  if (!updated) {
+    if (reopensStay) {
+      await setOccupancyEnd({ ...bedOf(accommodation), tenantId, endDate: notice.approvedMoveOutDate });
+    }
+    return { statusCode: 409, error: 'Notice was changed by another request, please refresh' };
+  }
+
+  if (notice.status === 'Approved') {
+    await setBedAvailableFrom(accommodation, null);
+    await invalidateTenantCaches(tenant, accommodation);
+  }
+
+  await notifyLandlord(accommodation, {
+    type: 'move_out_notice_withdrawn',
+    title: 'Move-out notice withdrawn',
+    message: `${tenant.name} withdrew their notice to move out of ${accommodation.propertyName || 'your property'}.`,
+    data: { noticeId, tenantId }
+  });
+
+  return { notice: { ...accommodation.toObject().notice, status: 'Withdrawn', withdrawnAt: now } };
+};
+
+/**
+ * Mark beds Available once their approved move-out date has arrived
+ * The tenant stays on the bed until the landlord settles the move-out. availableFrom is
+ * cleared so the next tenant assigned to the bed is not released by a stale date.
+ * @returns {Promise<Object>} - { propertiesUpdated }
+ */
+const releaseNoticedBeds = async (now = new Date()) => {
+  const due = { $lte: now };
+  const result = await Property.updateMany(
+    { 'rooms.beds': { $elemMatch: { availableFrom: due, status: 'Not Available', 'tenants.1': { $exists: false } } } },
+    {
+      $set: { 'rooms.$[].beds.$[bed].status': 'Available' },
+      $unset: { 'rooms.$[].beds.$[bed].availableFrom': '' }
+    },
+    // A bed that already has its next tenant assigned stays Not Available
+    { arrayFilters: [{ 'bed.availableFrom': due, 'bed.status': 'Not Available', 'bed.tenants.1': { $exists: false } }] }
+  );
+  return { propertiesUpdated: result.modifiedCount };
+};
+
+const setupNoticeScheduler = () => {
+  scheduleJob('notice-bed-release', BED_RELEASE_INTERVAL_MS, async () => {
+    const summary = await releaseNoticedBeds();
+    console.log(`Move-out notices: beds released in ${summary.propertiesUpdated} properties`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  NOTICE_STATUSES,
+  getNoticePeriod,
+  getEarliestMoveOutDate,
+  findNotice,
+  submitNotice,
+  respondToNotice,
+  respondToProposal,
+  withdrawNotice,
+  releaseNoticedBeds,
+  setupNoticeScheduler
+};
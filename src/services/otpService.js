@@ -17,8 +17,8 @@ const generateOtp = () => {
  */
 const saveOtp = async (mobile, otp, purpose = 'login') => {
   try {
-    // Delete any existing OTPs for this mobile number
-    await Otp.deleteMany({ mobile });
+    // Delete any existing OTPs for this mobile number and purpose, others stay valid
+    await Otp.deleteMany({ mobile, purpose });
     
     // Create new OTP record
     const otpRecord = new Otp({
@@ -77,16 +77,18 @@ const sendOtp = async (mobile, otp) => {
 
 /**
  * Verify OTP
+ * Pass a purpose to only accept OTPs issued for it
  */
 
-const verifyOtp = async (mobile, otp) => {
+const verifyOtp = async (mobile, otp, purpose) => {
   try {
     // Find the OTP record
     const otpRecord = await Otp.findOne({
       mobile,
       otp,
       isVerified: false,
-      createdAt: { $gt: new Date(Date.now() - 10 * 60 * 1000) } // OTP not older than 10 minutes
+      createdAt: { $gt: new Date(Date.now() - 10 * 60 * 1000) }, // OTP not older than 10 minutes
+      ...(purpose ? { purpose } : {})
     });
 
     if (!otpRecord) {
@@ -0,0 +1,866 @@
+/**
+ * Payment Ledger Service
+ * Allocates tenant payments across bills (oldest-first or explicit), keeps bill
+ * payment states in sync and writes one Payment document per transaction.
+ * Amounts paid beyond the open bills go to the tenant's credit balance, which is
+ * applied to bills later without a new Payment.
+ * Statements are computed from bills (charges) and the amounts applied to them (credits).
+ */
+
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const { DOCUMENT_SERIES, nextDocumentNumber } = require('./invoiceService');
+const { creditTenant, debitTenant, getCreditBalance, getCreditBalances } = require('./tenantCreditService');
+
+const PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Card', 'Other'];
+
+// Payments within this much of the outstanding amount settle the bill
+const AMOUNT_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount still owed on a bill
+ * @param {Object} bill - Tenant bill
+ * @returns {Number}
+ */
+const getBillOutstanding = (bill) => {
+  if (bill.paid) return 0;
+  return roundAmount(Math.max(0, (bill.amount || 0) - (bill.paidAmount || 0)));
+};
+
+/**
+ * Payment state of a bill
+ * @param {Object} bill - Tenant bill
+ * @returns {String} - 'unpaid' | 'partial' | 'paid'
+ */
+const getBillPaymentStatus = (bill) => {
+  if (bill.paid) return 'paid';
+  return (bill.paidAmount || 0) > 0 ? 'partial' : 'unpaid';
+};
+
+const getBillDate = (bill) => bill.dueDate || bill.createdAt || new Date(0);
+
+/**
+ * Split a payment across bills
+ * With explicit allocations each { billId, amount } is applied as given, otherwise
+ * the amount is spread oldest-first over the open bills (restricted to billIds if given).
+ * @param {Array} bills - Candidate bills
+ * @param {Number} amount - Payment amount
+ * @param {Object} options - { billIds, allocations, allowExcess }
+ *   allowExcess lets explicit allocations add up to less than the amount
+ * @returns {Object} - { allocations: [{ bill, amount }], unallocated, error }
+ */
+const allocatePayment = (bills, amount, { billIds, allocations, allowExcess = false } = {}) => {
+  const result = { allocations: [], unallocated: roundAmount(amount), error: null };
+
+  if (Array.isArray(allocations) && allocations.length > 0) {
+    for (const entry of allocations) {
+      const bill = bills.find(b => b._id.toString() === String(entry.billId));
+      const allocationAmount = roundAmount(Number(entry.amount));
+
+      if (!bill) {
+        result.error = `Bill ${entry.billId} not found`;
+        return result;
+      }
+      if (!(allocationAmount > 0)) {
+        result.error = `Allocation for bill ${entry.billId} must be a positive amount`;
+        return result;
+      }
+      if (allocationAmount > getBillOutstanding(bill) + AMOUNT_TOLERANCE) {
+        result.error = `Allocation for bill ${bill.billNumber} exceeds its outstanding amount of ${getBillOutstanding(bill)}`;
+        return result;
+      }
+
+      result.allocations.push({ bill, amount: allocationAmount });
+      result.unallocated = roundAmount(result.unallocated - allocationAmount);
+    }
+
+    if (result.unallocated < -AMOUNT_TOLERANCE || (!allowExcess && result.unallocated > AMOUNT_TOLERANCE)) {
+      result.error = 'Allocations must add up to the payment amount';
+    }
+    return result;
+  }
+
+  let candidates = bills.filter(bill => getBillOutstanding(bill) > 0);
+  if (Array.isArray(billIds) && billIds.length > 0) {
+    const ids = billIds.map(String);
+    candidates = candidates.filter(bill => ids.includes(bill._id.toString()));
+  }
+
+  candidates.sort((a, b) => getBillDate(a) - getBillDate(b));
+
+  for (const bill of candidates) {
+    if (result.unallocated <= 0) break;
+
+    const allocationAmount = roundAmount(Math.min(getBillOutstanding(bill), result.unallocated));
+    result.allocations.push({ bill, amount: allocationAmount });
+    result.unallocated = roundAmount(result.unallocated - allocationAmount);
+  }
+
+  return result;
+};
+
+/**
+ * Apply an allocated amount to a bill in memory
+ */
+const applyBillPayment = (bill, amount, { paymentId, paymentDate, method, transactionId }) => {
+  bill.paidAmount = roundAmount((bill.paidAmount || 0) + amount);
+
+  if (bill.paidAmount >= (bill.amount || 0) - AMOUNT_TOLERANCE) {
+    bill.paid = true;
+    bill.paidDate = paymentDate;
+  }
+  bill.paymentStatus = getBillPaymentStatus(bill);
+  bill.paymentMethod = method;
+  if (transactionId) bill.transactionId = transactionId;
+
+  bill.payments.push({ paymentId, amount, paidAt: paymentDate });
+};
+
+/**
+ * Active accommodation a bill belongs to
+ */
+const findBillAccommodation = (tenant, bill) => tenant.accommodations.find(acc =>
+  acc.propertyId.toString() === bill.propertyId.toString() &&
+  acc.roomId === bill.roomId &&
+  (bill.bedId ? acc.bedId === bill.bedId : true) &&
+  acc.isActive
+);
+
+/**
+ * Write amounts applied to (or taken back from) bills in one guarded update
+ * The bills were changed in memory; their fields are written only if each bill still has the
+ * amount and paidAmount it was read with. Accommodation counters move with $inc so concurrent
+ * writers (rent bills, late fees, meter bills) are not overwritten.
+ * @param {Object} tenant - Tenant document holding the bills
+ * @param {Array} changes - [{ bill, previousPaidAmount, amount }], amount is negative when taken back
+ * @param {Object} options - { collected: also move monthlyCollection, session }
+ * @returns {Promise<Boolean>} - false when a bill changed since it was read
+ */
+const saveBillChanges = async (tenant, changes, { collected = true, session } = {}) => {
+  const filter = { _id: tenant._id, $and: [] };
+  const update = { $set: { updatedAt: new Date() }, $unset: {}, $push: {}, $inc: {} };
+  const arrayFilters = [];
+  const accommodationFilters = new Map();
+
+  // A bill allocated more than once is written once, with all its new payment entries
+  const byBill = new Map();
+  for (const change of changes) {
+    const key = change.bill._id.toString();
+    if (byBill.has(key)) {
+      byBill.get(key).amount = roundAmount(byBill.get(key).amount + change.amount);
+      byBill.get(key).entries += 1;
+    } else {
+      byBill.set(key, { ...change, entries: 1 });
+    }
+  }
+
+  [...byBill.values()].forEach(({ bill, previousPaidAmount, amount, entries }, index) => {
+    filter.$and.push({
+      bills: { $elemMatch: { _id: bill._id, amount: bill.amount, paidAmount: previousPaidAmount || { $in: [0, null] } } }
+    });
+
+    const path = `bills.$[bill${index}]`;
+    Object.assign(update.$set, {
+      [`${path}.paidAmount`]: bill.paidAmount,
+      [`${path}.paid`]: bill.paid,
+      [`${path}.paymentStatus`]: bill.paymentStatus
+    });
+    if (bill.paidDate) update.$set[`${path}.paidDate`] = bill.paidDate;
+    else update.$unset[`${path}.paidDate`] = '';
+    if (bill.paymentMethod) update.$set[`${path}.paymentMethod`] = bill.paymentMethod;
+    if (bill.transactionId) update.$set[`${path}.transactionId`] = bill.transactionId;
+    update.$push[`${path}.payments`] = { $each: bill.payments.slice(-entries).map(entry => entry.toObject()) };
+    arrayFilters.push({ [`bill${index}._id`]: bill._id });
+
+    const accommodation = findBillAccommodation(tenant, bill);
+    if (!accommodation) return;
+    const key = accommodation.localTenantId;
+    if (!accommodationFilters.has(key)) {
+      const name = `acc${accommodationFilters.size}`;
+      accommodationFilters.set(key, accommodationFilters.size);
+      arrayFilters.push({ [`${name}.localTenantId`]: key, [`${name}.isActive`]: true });
+    }
+    const accPath = `accommodations.$[acc${accommodationFilters.get(key)}]`;
+    update.$inc[`${accPath}.pendingDues`] = roundAmount((update.$inc[`${accPath}.pendingDues`] || 0) - amount);
+    if (collected) {
+      update.$inc[`${accPath}.monthlyCollection`] = roundAmount((update.$inc[`${accPath}.monthlyCollection`] || 0) + amount);
+    }
+  });
+
+  ['$unset', '$push', '$inc'].forEach(operator => {
+    if (Object.keys(update[operator]).length === 0) delete update[operator];
+  });
+
+  const result = await Tenant.updateOne(filter, update, { arrayFilters, session });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Insert a numbered Payment unless it is already stored under its receipt number
+ * The insert is retried once, which is safe when the first attempt was written but not acknowledged.
+ * @param {Object} payment - Unsaved Payment document with receiptNumber set
+ * @returns {Promise<Object>} - The stored Payment document
+ */
+const storePayment = async (payment) => {
+  const filter = { landlordId: payment.landlordId, receiptNumber: payment.receiptNumber };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await Payment.updateOne(filter, { $setOnInsert: payment.toObject() }, { upsert: true });
+      break;
+    } catch (error) {
+      if (attempt > 0) throw error;
+    }
+  }
+  return Payment.findOne(filter);
+};
+
+/**
+ * Reverse amounts a payment applied to bills when the payment itself could not be stored
+ * Each bill keeps the payment entry and gets an offsetting one, like a refund reopening it.
+ * @param {Object} tenant - Tenant document holding the bills
+ * @param {Array} changes - The changes saveBillChanges wrote for the payment
+ * @param {String} paymentId
+ */
+const takeBackBillChanges = async (tenant, changes, paymentId) => {
+  if (changes.length === 0) return;
+  const now = new Date();
+  const reversals = changes.map(({ bill, amount }) => {
+    const reversal = { bill, previousPaidAmount: bill.paidAmount, amount: -amount };
+    bill.paidAmount = roundAmount(Math.max(0, (bill.paidAmount || 0) - amount));
+    if ((bill.amount || 0) - bill.paidAmount > AMOUNT_TOLERANCE) {
+      bill.paid = false;
+      bill.paidDate = undefined;
+    }
+    bill.paymentStatus = getBillPaymentStatus(bill);
+    bill.payments.push({ paymentId, amount: -amount, paidAt: now });
+    return reversal;
+  });
+  if (!(await saveBillChanges(tenant, reversals))) {
+    throw new Error('Bills changed before they could be reopened');
+  }
+};
+
+/**
+ * Record a payment against a tenant's bills with one landlord
+ * With creditExcess, whatever is left after the bills (or the whole amount when nothing
+ * is open) is added to the tenant's credit balance instead of being refused.
+ * A stay ({ propertyId, propertyName, roomId, bedId } of a booking) makes the whole amount an
+ * advance filed under it, e.g. a booking token paid before the tenant has moved in.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} options - { landlordId, amount, billIds, allocations, propertyId, method, paymentDate, transactionId, note, collectedBy, creditExcess, stay }
+ * @returns {Promise<Object>} - { payment, allocations, creditedAmount, creditBalance } or { error, statusCode, outstanding }
+ */
+const recordPayment = async (tenant, options) => {
+  const {
+    landlordId, billIds, allocations, propertyId,
+    method = 'Cash', transactionId, note, collectedBy, stay
+  } = options;
+  const creditExcess = Boolean(options.creditExcess || stay);
+  const amount = roundAmount(Number(options.amount));
+  const paymentDate = options.paymentDate ? new Date(options.paymentDate) : new Date();
+
+  if (!(amount > 0)) {
+    return { statusCode: 400, error: 'Payment amount must be a positive number' };
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { statusCode: 400, error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  const landlordBills = stay ? [] : tenant.bills.filter(bill =>
+    bill.landlordId.toString() === landlordId.toString() &&
+    (propertyId ? bill.propertyId.toString() === propertyId.toString() : true)
+  );
+
+  const allocation = allocatePayment(landlordBills, amount, { billIds, allocations, allowExcess: creditExcess });
+  if (allocation.error) {
+    return { statusCode: 400, error: allocation.error };
+  }
+  if (allocation.allocations.length === 0 && !creditExcess) {
+    return { statusCode: 400, error: 'No outstanding bills to apply this payment to' };
+  }
+  if (allocation.unallocated > AMOUNT_TOLERANCE && !creditExcess) {
+    const outstanding = roundAmount(amount - allocation.unallocated);
+    return {
+      statusCode: 400,
+      error: `Payment exceeds the outstanding amount of ${outstanding} on the selected bills`,
+      outstanding
+    };
+  }
+
+  const propertyIds = new Set(allocation.allocations.map(a => a.bill.propertyId.toString()));
+  if (propertyIds.size > 1) {
+    return { statusCode: 400, error: 'Payment covers bills from more than one property, please specify propertyId' };
+  }
+
+  const excess = allocation.unallocated > AMOUNT_TOLERANCE ? allocation.unallocated : 0;
+
+  // An advance with no bills is filed under the booked or current stay with the landlord
+  const firstBill = allocation.allocations.length > 0
+    ? allocation.allocations[0].bill
+    : stay || tenant.accommodations.find(acc =>
+      acc.landlordId.toString() === landlordId.toString() && acc.isActive &&
+      (propertyId ? acc.propertyId.toString() === propertyId.toString() : true));
+  if (!firstBill) {
+    return { statusCode: 400, error: 'Tenant has no active stay to hold this advance against' };
+  }
+
+  let payment = new Payment({
+    tenantId: tenant.tenantId,
+    landlordId,
+    propertyId: firstBill.propertyId,
+    propertyName: firstBill.propertyName,
+    roomId: firstBill.roomId,
+    bedId: firstBill.bedId,
+    amount,
+    creditedAmount: excess,
+    paymentDate,
+    method,
+    status: 'Completed',
+    transactionId,
+    note,
+    collectedBy: collectedBy ? collectedBy.toString() : undefined
+  });
+
+  // Apply allocations to the bills in memory; saveBillChanges writes them and the accommodation counters
+  const bedUpdates = new Map();
+  const changes = [];
+  for (const { bill, amount: allocated } of allocation.allocations) {
+    changes.push({ bill, previousPaidAmount: bill.paidAmount, amount: allocated });
+    applyBillPayment(bill, allocated, { paymentId: payment.paymentId, paymentDate, method, transactionId });
+
+    payment.billIds.push(bill._id);
+    payment.paymentBreakdown.push({
+      category: bill.type,
+      amount: allocated,
+      billId: bill._id,
+      billNumber: bill.billNumber,
+      month: bill.month,
+      year: bill.year,
+      billStatus: bill.paymentStatus
+    });
+
+    if (bill.bedId) {
+      const key = `${bill.roomId}|${bill.bedId}`;
+      bedUpdates.set(key, roundAmount((bedUpdates.get(key) || 0) + allocated));
+    }
+  }
+
+  if (excess > 0) {
+    payment.paymentBreakdown.push({ category: 'Advance', amount: excess });
+  }
+
+  const categories = new Set(payment.paymentBreakdown.map(b => b.category));
+  payment.category = categories.size === 1 ? payment.paymentBreakdown[0].category : 'Other';
+  const periods = new Set(payment.paymentBreakdown.map(b => `${b.month} ${b.year}`));
+  if (periods.size === 1) {
+    payment.month = firstBill.month;
+    payment.year = firstBill.year;
+  }
+
+  // Written without a transaction, which a standalone mongod does not support: the bills are
+  // updated in one guarded write, then the Payment is upserted under its receipt number so a
+  // retried write cannot store it twice. If the Payment cannot be stored the bills are taken
+  // back, so a bill is never left paid without a Payment behind it.
+  await payment.validate();
+  if (changes.length > 0 && !(await saveBillChanges(tenant, changes))) {
+    return { statusCode: 409, error: 'Bills changed while recording the payment, please retry' };
+  }
+
+  try {
+    payment.receiptNumber = await nextDocumentNumber(landlordId, DOCUMENT_SERIES.receipt, paymentDate);
+    payment = await storePayment(payment);
+  } catch (error) {
+    await takeBackBillChanges(tenant, changes, payment.paymentId).catch(takeBackError => {
+      console.error(`Bills paid by unsaved payment ${payment.paymentId} could not be reopened:`, takeBackError);
+    });
+    throw error;
+  }
+
+  await decrementBedDues(firstBill.propertyId, bedUpdates);
+
+  let creditBalance;
+  if (excess > 0) {
+    const credit = await creditTenant({
+      tenantId: tenant.tenantId,
+      landlordId,
+      amount: excess,
+      source: allocation.allocations.length > 0 ? 'Overpayment' : 'Advance',
+      paymentId: payment.paymentId,
+      propertyId: payment.propertyId,
+      note: note || `Payment ${payment.receiptNumber || payment.paymentId}`,
+      createdBy: collectedBy ? collectedBy.toString() : undefined
+    });
+    if (credit.error) {
+      // The Payment records the amount, so the credit can be added by hand
+      console.error(`Credit for payment ${payment.paymentId} failed: ${credit.error}`);
+    }
+    creditBalance = credit.balance;
+  }
+
+  return { payment, allocations: allocation.allocations, creditedAmount: excess, creditBalance };
+};
+
+/**
+ * Reduce bed pendingDues after amounts were applied to bills
+ * @param {String} propertyId
+ * @param {Map} bedUpdates - 'roomId|bedId' => amount
+ */
+const decrementBedDues = async (propertyId, bedUpdates) => {
+  for (const [key, allocated] of bedUpdates) {
+    const [roomId, bedId] = key.split('|');
+    await Property.updateOne(
+      { _id: propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': -allocated } },
+      { arrayFilters: [{ 'room.roomId': roomId }, { 'bed.bedId': bedId }] }
+    );
+  }
+};
+
+/**
+ * Pay a tenant's open bills with one landlord from their credit balance (oldest-first)
+ * Each bill applied is a Debit in the credit ledger; no Payment is written as the money
+ * was already received when the credit was added.
+ * @param {Object} tenant - Tenant document
+ * @param {String} landlordId
+ * @param {Object} options - { billIds, amount, createdBy }
+ * @returns {Promise<Object>} - { applied, creditBalance, allocations } or { statusCode, error }
+ */
+const applyTenantCredit = async (tenant, landlordId, { billIds, amount, createdBy = 'system' } = {}) => {
+  const balance = await getCreditBalance(tenant.tenantId, landlordId);
+  const available = amount !== undefined ? Math.min(roundAmount(Number(amount)), balance) : balance;
+  if (!(available > 0)) {
+    return { applied: 0, creditBalance: balance, allocations: [] };
+  }
+
+  const landlordBills = tenant.bills.filter(bill => bill.landlordId.toString() === landlordId.toString());
+  const allocation = allocatePayment(landlordBills, available, { billIds });
+
+  const debits = [];
+  const applied = [];
+  let creditBalance = balance;
+  for (const { bill, amount: allocated } of allocation.allocations) {
+    const debit = await debitTenant({
+      tenantId: tenant.tenantId,
+      landlordId,
+      amount: allocated,
+      source: 'Bill Applied',
+      billId: bill._id,
+      billNumber: bill.billNumber,
+      propertyId: bill.propertyId,
+      note: bill.description,
+      createdBy: createdBy.toString()
+    });
+    // Balance was used elsewhere meanwhile; apply what was taken so far
+    if (debit.error) break;
+
+    debits.push(debit.entry);
+    applied.push({ bill, amount: allocated, entryId: debit.entry.entryId });
+    creditBalance = debit.balance;
+  }
+  if (applied.length === 0) {
+    return { applied: 0, creditBalance, allocations: [] };
+  }
+
+  const bedUpdates = new Map();
+  const changes = [];
+  const paymentDate = new Date();
+  for (const { bill, amount: allocated, entryId } of applied) {
+    changes.push({ bill, previousPaidAmount: bill.paidAmount, amount: allocated });
+    applyBillPayment(bill, allocated, { paymentId: entryId, paymentDate, method: 'Credit' });
+
+    if (bill.bedId) {
+      const key = `${bill.propertyId}|${bill.roomId}|${bill.bedId}`;
+      bedUpdates.set(key, roundAmount((bedUpdates.get(key) || 0) + allocated));
+    }
+  }
+
+  let saved = false;
+  try {
+    // Credit is not collected money, so monthlyCollection stays as it is
+    saved = await saveBillChanges(tenant, changes, { collected: false });
+  } finally {
+    // Put the credit back so nothing is lost when the bills could not be updated
+    if (!saved) {
+      for (const entry of debits) {
+        await creditTenant({
+          tenantId: tenant.tenantId,
+          landlordId,
+          amount: entry.amount,
+          source: 'Reversal',
+          billId: entry.billId,
+          billNumber: entry.billNumber,
+          propertyId: entry.propertyId,
+          note: `Reverses ${entry.entryId}, bill could not be updated`,
+          createdBy: 'system'
+        });
+      }
+    }
+  }
+  if (!saved) {
+    return { statusCode: 409, error: 'Bills changed while applying credit, please retry' };
+  }
+
+  const byProperty = new Map();
+  for (const [key, allocated] of bedUpdates) {
+    const [billPropertyId, roomId, bedId] = key.split('|');
+    if (!byProperty.has(billPropertyId)) byProperty.set(billPropertyId, new Map());
+    byProperty.get(billPropertyId).set(`${roomId}|${bedId}`, allocated);
+  }
+  for (const [billPropertyId, updates] of byProperty) {
+    await decrementBedDues(billPropertyId, updates);
+  }
+
+  return {
+    applied: roundAmount(applied.reduce((sum, a) => sum + a.amount, 0)),
+    creditBalance,
+    allocations: applied
+  };
+};
+
+/**
+ * Apply any credit balance to bills that were just created
+ * Never throws, bill creation does not depend on it.
+ * @param {String} tenantId - Tenant ID
+ * @param {String} landlordId
+ * @param {Array} billIds - IDs of the new bills
+ * @returns {Promise<Number>} - Amount applied
+ */
+const applyCreditToNewBills = async (tenantId, landlordId, billIds) => {
+  try {
+    if (!(await getCreditBalance(tenantId, landlordId) > 0)) return 0;
+
+    // Retry when the tenant document changes underneath us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const tenant = await Tenant.findOne({ tenantId });
+      if (!tenant) return 0;
+
+      const result = await applyTenantCredit(tenant, landlordId, { billIds: billIds.map(String) });
+      if (result.statusCode !== 409) return result.applied || 0;
+    }
+  } catch (error) {
+    console.error(`Applying credit for tenant ${tenantId} failed:`, error.message);
+  }
+  return 0;
+};
+
+/**
+ * Where an amount applied to (or taken back from) a bill came from
+ * @param {Object} line - Amounts of one payment, credit application or refund across the bills
+ * @param {Object} payment - Payment document the line belongs to, if any
+ * @returns {Object} - { type, description, reference }
+ */
+const describeBillEntries = (line, payment) => {
+  if (line.refundId) {
+    const receipt = payment ? payment.receiptNumber || payment.paymentId : 'a payment';
+    // Bills paid again when the gateway failed the refund
+    return line.amount < 0
+      ? { type: 'refund', description: `Refund of ${receipt}`, reference: line.refundId }
+      : { type: 'payment', description: `Failed refund of ${receipt} reversed`, reference: line.refundId };
+  }
+  if (payment) {
+    return { type: 'payment', description: `Payment via ${payment.method}`, reference: payment.receiptNumber || payment.paymentId };
+  }
+  // Bills paid from the credit balance carry the id of the credit ledger entry
+  if (line.paymentId && line.paymentId.startsWith('CRE-')) {
+    return { type: 'credit', description: 'Paid from credit balance', reference: line.paymentId };
+  }
+  // and bills adjusted against the security deposit at move-out the id of the settlement
+  if (line.paymentId && line.paymentId.startsWith('SET-')) {
+    return line.amount < 0
+      ? { type: 'reversal', description: 'Security deposit adjustment reversed', reference: line.paymentId }
+      : { type: 'deposit', description: 'Adjusted from security deposit', reference: line.paymentId };
+  }
+  return line.amount < 0
+    ? { type: 'reversal', description: 'Payment taken back', reference: line.paymentId }
+    : { type: 'payment', description: 'Payment', reference: line.paymentId };
+};
+
+/**
+ * Build a tenant statement from bills (charges) and the amounts applied to them (credits)
+ * Every amount applied to or taken back from a bill is on the bill, whether it came from a
+ * Payment, the credit balance or was refunded, so the closing balance is what the bills still
+ * owe (as getTenantDues reports). Money held as credit is reported beside it, not in it.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} options - { landlordId, propertyId, from, to }
+ * @returns {Promise<Object>}
+ */
+const buildTenantStatement = async (tenant, { landlordId, propertyId, from, to } = {}) => {
+  const fromDate = from ? moment(from).startOf('day').toDate() : null;
+  const toDate = to ? moment(to).endOf('day').toDate() : new Date();
+
+  const bills = tenant.bills.filter(bill =>
+    (landlordId ? bill.landlordId.toString() === landlordId.toString() : true) &&
+    (propertyId ? bill.propertyId.toString() === propertyId.toString() : true)
+  );
+
+  const paymentQuery = { tenantId: tenant.tenantId, status: { $in: ['Completed', 'Refunded'] } };
+  if (landlordId) paymentQuery.landlordId = landlordId;
+  if (propertyId) paymentQuery.propertyId = propertyId;
+  const [payments, creditBalance] = await Promise.all([
+    Payment.find(paymentQuery).sort({ paymentDate: 1 }),
+    landlordId
+      ? getCreditBalance(tenant.tenantId, landlordId)
+      : getCreditBalances(tenant.tenantId).then(balances => balances.reduce((sum, b) => sum + b.balance, 0))
+  ]);
+  const paymentsById = new Map(payments.map(payment => [payment.paymentId, payment]));
+  const paymentsByRefund = new Map();
+  payments.forEach(payment => (payment.refunds || []).forEach(refund => paymentsByRefund.set(refund.refundId, payment)));
+
+  const entries = [];
+  // One line per payment, credit application or refund, across all the bills it touched
+  const lines = new Map();
+  for (const bill of bills) {
+    entries.push({
+      date: bill.createdAt || bill.dueDate,
+      type: 'charge',
+      description: bill.description || `${bill.type} ${bill.month || ''} ${bill.year || ''}`.trim(),
+      reference: bill.billNumber,
+      billId: bill._id,
+      category: bill.type,
+      propertyId: bill.propertyId,
+      debit: bill.amount || 0,
+      credit: 0
+    });
+
+    let recorded = 0;
+    for (const entry of bill.payments || []) {
+      const amount = entry.amount || 0;
+      const key = `${entry.paymentId}|${amount < 0 ? 'back' : 'in'}`;
+      if (!lines.has(key)) {
+        lines.set(key, {
+          paymentId: entry.paymentId,
+          refundId: entry.refundId,
+          date: entry.paidAt,
+          propertyId: bill.propertyId,
+          amount: 0,
+          breakdown: []
+        });
+      }
+      const line = lines.get(key);
+      line.amount = roundAmount(line.amount + amount);
+      line.breakdown.push({ billId: bill._id, billNumber: bill.billNumber, category: bill.type, amount });
+      recorded = roundAmount(recorded + amount);
+    }
+
+    // Bills marked paid before amounts were recorded against them
+    const unrecorded = roundAmount((bill.amount || 0) - getBillOutstanding(bill) - recorded);
+    if (unrecorded > AMOUNT_TOLERANCE) {
+      entries.push({
+        date: bill.paidDate || bill.updatedAt || bill.createdAt,
+        type: 'payment',
+        description: `Marked paid${bill.paymentMethod ? ` via ${bill.paymentMethod}` : ''}`,
+        reference: bill.billNumber,
+        billId: bill._id,
+        category: bill.type,
+        propertyId: bill.propertyId,
+        debit: 0,
+        credit: unrecorded
+      });
+    }
+  }
+
+  for (const line of lines.values()) {
+    const payment = line.refundId ? paymentsByRefund.get(line.refundId) : paymentsById.get(line.paymentId);
+    const categories = new Set(line.breakdown.map(b => b.category));
+    entries.push({
+      date: line.date,
+      ...describeBillEntries(line, payment),
+      paymentId: payment ? payment.paymentId : undefined,
+      category: categories.size === 1 ? line.breakdown[0].category : 'Other',
+      propertyId: line.propertyId,
+      debit: line.amount < 0 ? -line.amount : 0,
+      credit: line.amount > 0 ? line.amount : 0,
+      heldAsCredit: !line.refundId && payment && payment.creditedAmount > 0 ? payment.creditedAmount : undefined,
+      breakdown: line.breakdown
+    });
+  }
+
+  // Payments held whole as credit (advances) paid no bill; listed without moving the balance
+  const onBills = new Set([...lines.values()].map(line => line.paymentId));
+  payments.filter(payment => !onBills.has(payment.paymentId) && payment.creditedAmount > 0).forEach(payment => entries.push({
+    date: payment.paymentDate,
+    type: 'advance',
+    description: `Advance via ${payment.method}, held as credit`,
+    reference: payment.receiptNumber || payment.paymentId,
+    paymentId: payment.paymentId,
+    category: 'Advance',
+    propertyId: payment.propertyId,
+    debit: 0,
+    credit: 0,
+    heldAsCredit: payment.creditedAmount
+  }));
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const statementLines = [];
+  let totalCharges = 0;
+  let totalPayments = 0;
+
+  for (const entry of entries) {
+    const entryDate = new Date(entry.date);
+    if (entryDate > toDate) continue;
+
+    if (fromDate && entryDate < fromDate) {
+      openingBalance = roundAmount(openingBalance + entry.debit - entry.credit);
+      balance = openingBalance;
+      continue;
+    }
+
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    totalCharges = roundAmount(totalCharges + entry.debit);
+    totalPayments = roundAmount(totalPayments + entry.credit);
+    statementLines.push({ ...entry, balance });
+  }
+
+  return {
+    tenantId: tenant.tenantId,
+    tenantName: tenant.name,
+    from: fromDate,
+    to: toDate,
+    openingBalance,
+    totalCharges,
+    totalPayments,
+    closingBalance: balance,
+    creditBalance: roundAmount(creditBalance),
+    entries: statementLines
+  };
+};
+
+/**
+ * Money collected in a period: each payment on its payment date and each of its refunds,
+ * as a negative amount, on the date the refund was made, so a refund never rewrites a past month
+ * @param {Object} query - Payment filter without status or dates, e.g. { landlordId } or { propertyId }
+ * @param {Object} period - { from, to }, either may be left out
+ * @returns {Promise<Array>} - [{ payment, date, amount, refund }] oldest first, refund set on refund entries
+ */
+const findCollectionEntries = async (query, { from, to } = {}) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const dated = Object.keys(range).length > 0;
+
+  const payments = await Payment.find({
+    ...query,
+    status: { $in: ['Completed', 'Refunded'] },
+    ...(dated ? { $or: [{ paymentDate: range }, { refunds: { $elemMatch: { refundedAt: range } } }] } : {})
+  }).lean();
+
+  const inPeriod = (date) => (!from || date >= from) && (!to || date <= to);
+  const entries = [];
+  for (const payment of payments) {
+    if (inPeriod(payment.paymentDate)) {
+      entries.push({ payment, date: payment.paymentDate, amount: payment.amount || 0 });
+    }
+    for (const refund of payment.refunds || []) {
+      if (refund.refundedAt && !refund.failedAt && inPeriod(refund.refundedAt)) {
+        entries.push({ payment, date: refund.refundedAt, amount: -(refund.amount || 0), refund });
+      }
+    }
+  }
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Build a landlord statement: billed vs collected per month and property
+ * @param {Object} options - { landlordId, propertyId, from, to }
+ * @returns {Promise<Object>}
+ */
+const buildLandlordStatement = async ({ landlordId, propertyId, from, to } = {}) => {
+  const fromDate = from ? moment(from).startOf('day').toDate() : moment().subtract(11, 'months').startOf('month').toDate();
+  const toDate = to ? moment(to).endOf('day').toDate() : new Date();
+
+  const paymentQuery = { landlordId };
+  if (propertyId) paymentQuery.propertyId = propertyId;
+
+  const tenantQuery = { 'bills.landlordId': landlordId };
+  if (propertyId) tenantQuery['bills.propertyId'] = propertyId;
+
+  const [collections, tenants] = await Promise.all([
+    findCollectionEntries(paymentQuery, { from: fromDate, to: toDate }),
+    Tenant.find(tenantQuery).select('tenantId name bills')
+  ]);
+
+  const months = {};
+  const properties = {};
+  const ensure = (map, key, init) => {
+    if (!map[key]) map[key] = { ...init, billed: 0, collected: 0, paymentCount: 0 };
+    return map[key];
+  };
+
+  let totalOutstanding = 0;
+  for (const tenant of tenants) {
+    for (const bill of tenant.bills) {
+      if (bill.landlordId.toString() !== landlordId.toString()) continue;
+      if (propertyId && bill.propertyId.toString() !== propertyId.toString()) continue;
+
+      totalOutstanding = roundAmount(totalOutstanding + getBillOutstanding(bill));
+
+      const billDate = bill.createdAt || bill.dueDate;
+      if (!billDate || billDate < fromDate || billDate > toDate) continue;
+
+      const monthKey = moment(billDate).format('YYYY-MM');
+      ensure(months, monthKey, { month: monthKey }).billed += bill.amount || 0;
+      ensure(properties, bill.propertyId.toString(), {
+        propertyId: bill.propertyId,
+        propertyName: bill.propertyName
+      }).billed += bill.amount || 0;
+    }
+  }
+
+  // Refunds come off what was collected in the month they were made
+  for (const { payment, date, amount, refund } of collections) {
+    const monthKey = moment(date).format('YYYY-MM');
+    const monthEntry = ensure(months, monthKey, { month: monthKey });
+    monthEntry.collected += amount;
+    if (!refund) monthEntry.paymentCount++;
+
+    const propertyEntry = ensure(properties, payment.propertyId.toString(), {
+      propertyId: payment.propertyId,
+      propertyName: payment.propertyName
+    });
+    propertyEntry.collected += amount;
+    if (!refund) propertyEntry.paymentCount++;
+  }
+
+  const finalize = (entry) => ({
+    ...entry,
+    billed: roundAmount(entry.billed),
+    collected: roundAmount(entry.collected)
+  });
+
+  const byMonth = Object.values(months).map(finalize).sort((a, b) => a.month.localeCompare(b.month));
+  const byProperty = Object.values(properties).map(finalize);
+
+  return {
+    from: fromDate,
+    to: toDate,
+    totalBilled: roundAmount(byMonth.reduce((sum, m) => sum + m.billed, 0)),
+    totalCollected: roundAmount(byMonth.reduce((sum, m) => sum + m.collected, 0)),
+    totalOutstanding,
+    byMonth,
+    byProperty,
+    payments: collections.filter(entry => !entry.refund).map(entry => entry.payment)
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  getBillOutstanding,
+  getBillPaymentStatus,
+  allocatePayment,
+  applyBillPayment,
+  findBillAccommodation,
+  saveBillChanges,
+  recordPayment,
+  applyTenantCredit,
+  applyCreditToNewBills,
+  findCollectionEntries,
+  buildTenantStatement,
+  buildLandlordStatement
+};
@@ -0,0 +1,55 @@
+/**
+ * Razorpay Client
+ * Lazily creates the Razorpay SDK client so the app can start without keys.
+ * RAZORPAY_API_URL points the SDK at another host (e.g. scripts/razorpay-stub-server.js),
+ * and setRazorpayClient swaps in any object with the same orders/payments/refunds API.
+ */
+
+const Razorpay = require('razorpay');
+
+let client = null;
+
+/**
+ * Build a Razorpay SDK client from environment settings
+ * @returns {Razorpay}
+ */
+const createRazorpayClient = () => {
+  if (!process.env.RAZORPAY_KEY_ID) {
+    throw new Error('RAZORPAY_KEY_ID is not configured');
+  }
+
+  const instance = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+
+  if (process.env.RAZORPAY_API_URL) {
+    instance.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL;
+  }
+
+  return instance;
+};
+
+/**
+ * Get the shared Razorpay client
+ * @returns {Object}
+ */
+const getRazorpayClient = () => {
+  if (!client) {
+    client = createRazorpayClient();
+  }
+  return client;
+};
+
+/**
+ * Replace the shared client, or reset it with null
+ * @param {Object|null} replacement
+ */
+const setRazorpayClient = (replacement) => {
+  client = replacement;
+};
+
+module.exports = {
+  getRazorpayClient,
+  setRazorpayClient
+};
@@ -0,0 +1,472 @@
+/**
+ * Razorpay Payment Service
+ * Creates Razorpay orders for tenant bills and booking tokens, verifies and processes webhooks, and
+ * reconciles orders whose webhooks never arrived. Settlement is idempotent: an order
+ * is claimed once and the ledger Payment is keyed by the Razorpay payment id.
+ */
+
+const crypto = require('crypto');
+const Tenant = require('../models/Tenant');
+const Payment = require('../models/Payment');
+const PaymentOrder = require('../models/PaymentOrder');
+const { setCache } = require('../utils/redis');
+const { getRazorpayClient } = require('./razorpayClient');
+const { getBillOutstanding, recordPayment } = require('./paymentLedgerService');
+const { handleRefundEvent } = require('./refundService');
+const { placeTokenHold } = require('./bookingHoldService');
+const { scheduleJob } = require('./jobScheduler');
+
+const ORDER_EXPIRY_HOURS = parseInt(process.env.PAYMENT_ORDER_EXPIRY_HOURS, 10) || 24;
+
+// Orders younger than this are left to the webhook
+const RECONCILE_AFTER_MS = 10 * 60 * 1000;
+// Orders older than this are no longer checked
+const RECONCILE_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const RECONCILE_INTERVAL_MS = 15 * 60 * 1000;
+const RECONCILE_BATCH_SIZE = 100;
+
+// Razorpay payment method -> ledger payment method
+const METHOD_MAP = {
+  card: 'Card',
+  upi: 'UPI',
+  netbanking: 'Bank Transfer',
+  emi: 'Card'
+};
+
+const toPaise = (amount) => Math.round(amount * 100);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Verify a Razorpay webhook signature
+ * @param {Buffer|String} rawBody - Request body exactly as received
+ * @param {String} signature - X-Razorpay-Signature header
+ * @param {String} secret - Webhook secret
+ * @returns {Boolean}
+ */
+const verifyWebhookSignature = (rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Create (or reuse) a Razorpay order for a tenant's bills
+ * @param {Object} tenant - Tenant document
+ * @param {Array} billIds - Bill _ids to pay
+ * @returns {Promise<Object>} - { order, reused } or { error, statusCode }
+ */
+const createOrderForBills = async (tenant, billIds) => {
+  const ids = [...new Set(billIds.map(String))];
+  const bills = [];
+
+  for (const billId of ids) {
+    const bill = tenant.bills.find(b => b._id.toString() === billId);
+    if (!bill) {
+      return { statusCode: 404, error: `Bill ${billId} not found` };
+    }
+    if (getBillOutstanding(bill) <= 0) {
+      return { statusCode: 400, error: `Bill ${bill.billNumber} is already paid` };
+    }
+    bills.push(bill);
+  }
+
+  const landlordIds = new Set(bills.map(b => b.landlordId.toString()));
+  const propertyIds = new Set(bills.map(b => b.propertyId.toString()));
+  if (landlordIds.size > 1 || propertyIds.size > 1) {
+    return { statusCode: 400, error: 'All bills in an order must belong to the same property' };
+  }
+
+  const orderBills = bills.map(bill => ({
+    billId: bill._id,
+    billNumber: bill.billNumber,
+    type: bill.type,
+    amount: getBillOutstanding(bill)
+  }));
+  const amount = roundAmount(orderBills.reduce((sum, b) => sum + b.amount, 0));
+
+  // Reuse an open order for exactly the same bills and amount
+  const openOrders = await PaymentOrder.find({
+    tenantId: tenant.tenantId,
+    status: 'created',
+    amount,
+    expiresAt: { $gt: new Date() },
+    'bills.billId': { $all: bills.map(b => b._id) }
+  });
+  const reusable = openOrders.find(order => order.bills.length === orderBills.length);
+  if (reusable) {
+    return { order: reusable, reused: true };
+  }
+
+  const receipt = `RENT-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  const razorpayOrder = await getRazorpayClient().orders.create({
+    amount: toPaise(amount),
+    currency: 'INR',
+    receipt,
+    notes: {
+      tenantId: tenant.tenantId,
+      landlordId: bills[0].landlordId.toString(),
+      propertyId: bills[0].propertyId.toString()
+    }
+  });
+
+  const order = await PaymentOrder.create({
+    orderId: razorpayOrder.id,
+    receipt,
+    tenantId: tenant.tenantId,
+    landlordId: bills[0].landlordId,
+    propertyId: bills[0].propertyId,
+    bills: orderBills,
+    amount,
+    currency: 'INR',
+    expiresAt: new Date(Date.now() + ORDER_EXPIRY_HOURS * 60 * 60 * 1000)
+  });
+
+  return { order, reused: false };
+};
+
+/**
+ * Create (or reuse) a Razorpay order for the token advance of a booking request
+ * @param {Object} tenant - Tenant document
+ * @param {Object} bookingRequest - Pending booking request waiting for its token
+ * @returns {Promise<Object>} - { order, reused } or { error, statusCode }
+ */
+const createBookingTokenOrder = async (tenant, bookingRequest) => {
+  const hold = bookingRequest.hold;
+  if (bookingRequest.status !== 'Pending') {
+    return { statusCode: 400, error: `Booking request is already ${bookingRequest.status.toLowerCase()}` };
+  }
+  if (!hold || hold.status !== 'Awaiting Token' || !(hold.tokenAmount > 0)) {
+    return { statusCode: 400, error: 'No token payment is due for this booking request' };
+  }
+
+  const amount = roundAmount(hold.tokenAmount);
+  const reusable = await PaymentOrder.findOne({
+    tenantId: tenant.tenantId,
+    purpose: 'Booking Token',
+    bookingRequestId: bookingRequest.requestId,
+    status: 'created',
+    amount,
+    expiresAt: { $gt: new Date() }
+  });
+  if (reusable) {
+    return { order: reusable, reused: true };
+  }
+
+  const receipt = `TOKEN-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  const razorpayOrder = await getRazorpayClient().orders.create({
+    amount: toPaise(amount),
+    currency: 'INR',
+    receipt,
+    notes: {
+      tenantId: tenant.tenantId,
+      landlordId: bookingRequest.landlordId.toString(),
+      propertyId: bookingRequest.propertyId.toString(),
+      bookingRequestId: bookingRequest.requestId
+    }
+  });
+
+  const order = await PaymentOrder.create({
+    orderId: razorpayOrder.id,
+    receipt,
+    purpose: 'Booking Token',
+    bookingRequestId: bookingRequest.requestId,
+    tenantId: tenant.tenantId,
+    landlordId: bookingRequest.landlordId,
+    propertyId: bookingRequest.propertyId,
+    bills: [],
+    amount,
+    currency: 'INR',
+    expiresAt: new Date(Date.now() + ORDER_EXPIRY_HOURS * 60 * 60 * 1000)
+  });
+
+  await Tenant.updateOne(
+    { tenantId: tenant.tenantId },
+    { $set: { 'bookingRequests.$[req].hold.tokenOrderId': order.orderId } },
+    { arrayFilters: [{ 'req.requestId': bookingRequest.requestId }] }
+  );
+
+  return { order, reused: false };
+};
+
+/**
+ * Write the ledger Payment for a claimed order and mark it paid
+ * Whatever is no longer owed on the order's bills is kept as tenant credit.
+ * Safe to call again for an order stuck in 'settling'
+ * @param {Object} order - PaymentOrder in 'settling' state
+ * @returns {Promise<Object>} - Updated order
+ */
+const completeSettlement = async (order) => {
+  const existing = await Payment.findOne({ transactionId: order.razorpayPaymentId });
+  if (existing) {
+    if (order.purpose === 'Booking Token') {
+      await placeTokenHold(order.tenantId, order.bookingRequestId, existing.paymentId);
+    }
+    return PaymentOrder.findOneAndUpdate(
+      { _id: order._id, status: 'settling' },
+      { $set: { status: 'paid', paymentId: existing.paymentId, paidAt: existing.paymentDate } },
+      { new: true }
+    );
+  }
+
+  let result = null;
+  let applied = 0;
+
+  // Retry when the tenant document changes underneath us
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const tenant = await Tenant.findOne({ tenantId: order.tenantId });
+    if (!tenant) {
+      result = { error: 'Tenant not found' };
+      break;
+    }
+
+    if (order.purpose === 'Booking Token') {
+      const bookingRequest = tenant.bookingRequests.find(r => r.requestId === order.bookingRequestId);
+      // The token is kept as tenant credit until the first bills of the stay
+      result = await recordPayment(tenant, {
+        landlordId: order.landlordId,
+        amount: order.amount,
+        propertyId: order.propertyId,
+        method: METHOD_MAP[order.razorpayMethod] || 'Other',
+        paymentDate: new Date(),
+        transactionId: order.razorpayPaymentId,
+        note: `Booking token for ${order.bookingRequestId}, Razorpay order ${order.orderId}`,
+        collectedBy: 'razorpay',
+        stay: {
+          propertyId: order.propertyId,
+          propertyName: bookingRequest && bookingRequest.propertyName,
+          roomId: bookingRequest && bookingRequest.roomId,
+          bedId: bookingRequest && bookingRequest.bedId
+        }
+      });
+      if (result.statusCode !== 409) break;
+      continue;
+    }
+
+    // Bills may have been partly paid offline since the order was created
+    const allocations = [];
+    for (const orderBill of order.bills) {
+      const bill = tenant.bills.id(orderBill.billId);
+      const amount = bill ? Math.min(orderBill.amount, getBillOutstanding(bill)) : 0;
+      if (amount > 0) {
+        allocations.push({ billId: orderBill.billId, amount });
+      }
+    }
+    applied = roundAmount(allocations.reduce((sum, a) => sum + a.amount, 0));
+
+    result = await recordPayment(tenant, {
+      landlordId: order.landlordId,
+      amount: order.amount,
+      // Nothing left to pay on the order's bills makes the whole amount an advance
+      allocations: allocations.length > 0 ? allocations : undefined,
+      billIds: order.bills.map(orderBill => orderBill.billId),
+      propertyId: order.propertyId,
+      method: METHOD_MAP[order.razorpayMethod] || 'Other',
+      paymentDate: new Date(),
+      transactionId: order.razorpayPaymentId,
+      note: `Razorpay order ${order.orderId}`,
+      collectedBy: 'razorpay',
+      creditExcess: true
+    });
+
+    if (result.statusCode !== 409) break;
+  }
+
+  const update = { status: 'paid', paidAt: new Date() };
+  if (result && result.payment) {
+    update.paymentId = result.payment.paymentId;
+    update.unappliedAmount = roundAmount(order.amount - applied);
+    update.creditedAmount = result.creditedAmount || 0;
+  } else {
+    // Money was received but could not be applied; keep it visible for manual review
+    update.unappliedAmount = order.amount;
+    update.failureReason = (result && result.error) || 'Payment could not be applied to bills';
+    console.error(`Razorpay order ${order.orderId} paid but not applied: ${update.failureReason}`);
+  }
+
+  const settled = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: 'settling' },
+    { $set: update },
+    { new: true }
+  );
+
+  if (settled && order.purpose === 'Booking Token' && update.paymentId) {
+    const placed = await placeTokenHold(order.tenantId, order.bookingRequestId, update.paymentId);
+    if (!placed.placed) {
+      console.error(`Booking token ${order.orderId} paid but bed not held: ${placed.error}`);
+    }
+  }
+
+  await setCache(`landlord:tenants:${order.landlordId}`, null, 1);
+
+  return settled;
+};
+
+/**
+ * Settle an order from a captured Razorpay payment (idempotent)
+ * @param {Object} order - PaymentOrder
+ * @param {Object} razorpayPayment - Razorpay payment entity
+ * @param {String} via - 'webhook' | 'reconciliation'
+ * @returns {Promise<Object>} - { order, alreadyProcessed }
+ */
+const settleOrder = async (order, razorpayPayment, via) => {
+  if (razorpayPayment.amount < toPaise(order.amount)) {
+    console.error(`Razorpay payment ${razorpayPayment.id} amount does not match order ${order.orderId}`);
+    return { order, alreadyProcessed: false, error: 'Payment amount does not match order amount' };
+  }
+
+  // Only one caller can move the order out of an open state
+  const claimed = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['created', 'failed', 'expired'] } },
+    {
+      $set: {
+        status: 'settling',
+        razorpayPaymentId: razorpayPayment.id,
+        razorpayMethod: razorpayPayment.method,
+        settledVia: via,
+        failureReason: null
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { order: await PaymentOrder.findById(order._id), alreadyProcessed: true };
+  }
+
+  return { order: await completeSettlement(claimed), alreadyProcessed: false };
+};
+
+/**
+ * Process a verified Razorpay webhook event
+ * refund.* events are handed to the refund service.
+ * @param {Object} event - Parsed webhook body
+ * @param {String} eventId - X-Razorpay-Event-Id header
+ * @returns {Promise<Object>} - { handled, duplicate, ignored, order }
+ */
+const handleWebhookEvent = async (event, eventId) => {
+  if (typeof event.event === 'string' && event.event.startsWith('refund.')) {
+    return handleRefundEvent(event);
+  }
+
+  const paymentEntity = event.payload && event.payload.payment && event.payload.payment.entity;
+  if (!paymentEntity || !paymentEntity.order_id) {
+    return { ignored: true };
+  }
+
+  const order = await PaymentOrder.findOne({ orderId: paymentEntity.order_id });
+  if (!order) {
+    // Not a rent order (e.g. a subscription payment)
+    return { ignored: true };
+  }
+
+  if (eventId && order.processedEvents.includes(eventId)) {
+    return { duplicate: true, order };
+  }
+
+  let result = { order };
+  if (event.event === 'payment.captured' || event.event === 'order.paid') {
+    result = await settleOrder(order, paymentEntity, 'webhook');
+  } else if (event.event === 'payment.failed') {
+    await PaymentOrder.updateOne(
+      { _id: order._id, status: 'created' },
+      { $set: { status: 'failed', failureReason: paymentEntity.error_description || 'Payment failed' } }
+    );
+  } else {
+    return { ignored: true, order };
+  }
+
+  if (eventId) {
+    await PaymentOrder.updateOne({ _id: order._id }, { $addToSet: { processedEvents: eventId } });
+  }
+
+  return { handled: true, ...result };
+};
+
+/**
+ * Check open orders against Razorpay and settle any captured payments the webhook missed
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { checked, settled, expired, retried }
+ */
+const reconcileOrders = async ({ now = new Date() } = {}) => {
+  const summary = { checked: 0, settled: 0, expired: 0, retried: 0 };
+  const client = getRazorpayClient();
+
+  const openOrders = await PaymentOrder.find({
+    status: { $in: ['created', 'failed'] },
+    createdAt: {
+      $lt: new Date(now.getTime() - RECONCILE_AFTER_MS),
+      $gt: new Date(now.getTime() - RECONCILE_WINDOW_MS)
+    }
+  }).sort({ createdAt: 1 }).limit(RECONCILE_BATCH_SIZE);
+
+  for (const order of openOrders) {
+    summary.checked++;
+    try {
+      const payments = await client.orders.fetchPayments(order.orderId);
+      const captured = (payments.items || []).find(p => p.status === 'captured');
+
+      if (captured) {
+        const result = await settleOrder(order, captured, 'reconciliation');
+        if (!result.alreadyProcessed && !result.error) summary.settled++;
+        continue;
+      }
+
+      const update = { lastCheckedAt: now };
+      if (order.status === 'created' && order.expiresAt && order.expiresAt < now) {
+        update.status = 'expired';
+        summary.expired++;
+      }
+      await PaymentOrder.updateOne({ _id: order._id, status: order.status }, { $set: update });
+    } catch (error) {
+      console.error(`Error reconciling Razorpay order ${order.orderId}:`, error.error || error.message);
+    }
+  }
+
+  // Orders claimed by a process that died before writing the ledger entry
+  const stuckOrders = await PaymentOrder.find({
+    status: 'settling',
+    updatedAt: { $lt: new Date(now.getTime() - RECONCILE_AFTER_MS) }
+  }).limit(RECONCILE_BATCH_SIZE);
+
+  for (const order of stuckOrders) {
+    try {
+      await completeSettlement(order);
+      summary.retried++;
+    } catch (error) {
+      console.error(`Error completing settlement for Razorpay order ${order.orderId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Schedule the Razorpay reconciliation job
+ */
+const setupPaymentReconciliationScheduler = () => {
+  if (!process.env.RAZORPAY_KEY_ID) {
+    console.log('Razorpay is not configured, payment reconciliation disabled');
+    return;
+  }
+
+  scheduleJob('razorpay-reconciliation', RECONCILE_INTERVAL_MS, async () => {
+    const summary = await reconcileOrders();
+    console.log(`Razorpay reconciliation: ${summary.checked} checked, ${summary.settled} settled, ${summary.expired} expired, ${summary.retried} retried`);
+    return summary;
+  });
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  createOrderForBills,
+  createBookingTokenOrder,
+  settleOrder,
+  handleWebhookEvent,
+  reconcileOrders,
+  setupPaymentReconciliationScheduler
+};
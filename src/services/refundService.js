@@ -0,0 +1,666 @@
+/**
+ * Refund Service
+ * Refunds tenant payments (by the landlord) and subscription payments (by an admin), in full or
+ * in part. Online payments are refunded through the Razorpay client first; the ledger is only
+ * changed once the gateway accepts the refund. A tenant payment refund takes back any part of the
+ * payment still held as tenant credit, then reopens the bills it paid (latest first). When Razorpay
+ * fails a refund it had accepted, that reversal is undone again.
+ */
+
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Subscription = require('../models/Subscription');
+const { setCache } = require('../utils/redis');
+const { getRazorpayClient } = require('./razorpayClient');
+const { getBillOutstanding, getBillPaymentStatus, saveBillChanges } = require('./paymentLedgerService');
+const { creditTenant, debitTenant, getCreditBalance } = require('./tenantCreditService');
+const { notifyUser } = require('./userNotificationService');
+
+const REFUND_METHODS = Refund.schema.path('method').enumValues;
+
+// Amounts within this much are treated as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const toPaise = (amount) => Math.round(amount * 100);
+
+const GATEWAY_STATUS_MAP = {
+  processed: 'Processed',
+  pending: 'Pending',
+  failed: 'Failed'
+};
+
+/**
+ * Refund money through Razorpay
+ * @returns {Promise<Object>} - { razorpayRefundId, status } or { error }
+ */
+const refundThroughGateway = async (razorpayPaymentId, amount, notes) => {
+  try {
+    const refund = await getRazorpayClient().payments.refund(razorpayPaymentId, {
+      amount: toPaise(amount),
+      notes
+    });
+    return { razorpayRefundId: refund.id, status: GATEWAY_STATUS_MAP[refund.status] || 'Pending' };
+  } catch (error) {
+    const description = (error.error && error.error.description) || error.message;
+    return { error: `Razorpay refund failed: ${description}` };
+  }
+};
+
+// Refunds Razorpay failed were undone and no longer reverse anything
+const activeRefunds = (payment) => (payment.refunds || []).filter(refund => !refund.failedAt);
+
+/**
+ * Amount of a payment's bill allocations that can still be reversed, latest bill first
+ * @param {Object} payment - Payment document
+ * @returns {Array} - [{ billId, billNumber, category, reversible }]
+ */
+const getReversibleBills = (payment) => {
+  const reversed = {};
+  activeRefunds(payment).forEach(refund => (refund.bills || []).forEach(bill => {
+    const key = bill.billId.toString();
+    reversed[key] = (reversed[key] || 0) + bill.amount;
+  }));
+
+  return (payment.paymentBreakdown || [])
+    .filter(line => line.billId)
+    .map(line => ({
+      billId: line.billId,
+      billNumber: line.billNumber,
+      category: line.category,
+      reversible: roundAmount(line.amount - (reversed[line.billId.toString()] || 0))
+    }))
+    .filter(line => line.reversible > 0)
+    .reverse();
+};
+
+/**
+ * Split a refund between the payment's unspent credit and its bills
+ * @param {Object} payment - Payment document
+ * @param {Number} amount - Refund amount
+ * @param {Number} creditBalance - Tenant's current credit balance with the landlord
+ * @param {Array} allocations - Optional explicit [{ billId, amount }] for the bill part
+ * @returns {Object} - { creditReversed, bills: [{ billId, billNumber, amount }] } or { error }
+ */
+const planPaymentReversal = (payment, amount, creditBalance, allocations) => {
+  const creditRefunded = activeRefunds(payment).reduce((sum, refund) => sum + (refund.creditReversed || 0), 0);
+  const creditLeft = Math.max(0, Math.min(roundAmount((payment.creditedAmount || 0) - creditRefunded), creditBalance));
+  const bills = getReversibleBills(payment);
+
+  let remaining = amount;
+  const plan = { creditReversed: 0, bills: [] };
+
+  if (Array.isArray(allocations) && allocations.length > 0) {
+    for (const entry of allocations) {
+      const bill = bills.find(b => b.billId.toString() === String(entry.billId));
+      const value = roundAmount(Number(entry.amount));
+      if (!bill) {
+        return { error: `Bill ${entry.billId} was not paid by this payment or is already refunded` };
+      }
+      if (!(value > 0) || value > bill.reversible + AMOUNT_TOLERANCE) {
+        return { error: `Refund for bill ${bill.billNumber} must be between 0 and ${bill.reversible}` };
+      }
+      plan.bills.push({ billId: bill.billId, billNumber: bill.billNumber, amount: value });
+      remaining = roundAmount(remaining - value);
+    }
+    if (remaining < -AMOUNT_TOLERANCE) {
+      return { error: 'Bill allocations add up to more than the refund amount' };
+    }
+    // Whatever is not allocated to bills comes out of the payment's credit
+    if (remaining > creditLeft + AMOUNT_TOLERANCE) {
+      return { error: `Only ${creditLeft} of this payment is still held as credit, allocate the rest to bills` };
+    }
+    plan.creditReversed = Math.max(0, remaining);
+    return plan;
+  }
+
+  plan.creditReversed = roundAmount(Math.min(creditLeft, remaining));
+  remaining = roundAmount(remaining - plan.creditReversed);
+
+  for (const bill of bills) {
+    if (remaining <= 0) break;
+    const value = roundAmount(Math.min(bill.reversible, remaining));
+    plan.bills.push({ billId: bill.billId, billNumber: bill.billNumber, amount: value });
+    remaining = roundAmount(remaining - value);
+  }
+
+  if (remaining > AMOUNT_TOLERANCE) {
+    return {
+      error: `Only ${roundAmount(amount - remaining)} of this payment can be refunded; the rest of its credit was already used on other bills`
+    };
+  }
+  return plan;
+};
+
+/**
+ * Reopen the planned bills of a tenant
+ * @returns {Promise<Object>} - { bills, bedUpdates } or { statusCode: 409 }
+ */
+const reopenBills = async (tenant, plannedBills, refundId) => {
+  const now = new Date();
+  const bills = [];
+  const bedUpdates = [];
+  const changes = [];
+
+  for (const planned of plannedBills) {
+    const bill = tenant.bills.id(planned.billId);
+    if (!bill) continue;
+
+    changes.push({ bill, previousPaidAmount: bill.paidAmount, amount: -planned.amount });
+    bill.paidAmount = roundAmount(Math.max(0, (bill.paidAmount || 0) - planned.amount));
+    if ((bill.amount || 0) - bill.paidAmount > AMOUNT_TOLERANCE) {
+      bill.paid = false;
+      bill.paidDate = undefined;
+    }
+    bill.paymentStatus = getBillPaymentStatus(bill);
+    bill.payments.push({ paymentId: refundId, amount: -planned.amount, paidAt: now, refundId });
+
+    if (bill.bedId) {
+      bedUpdates.push({ propertyId: bill.propertyId, roomId: bill.roomId, bedId: bill.bedId, amount: planned.amount });
+    }
+
+    bills.push({
+      billId: bill._id,
+      billNumber: bill.billNumber,
+      type: bill.type,
+      amount: planned.amount,
+      billStatus: bill.paymentStatus,
+      outstanding: getBillOutstanding(bill)
+    });
+  }
+
+  if (changes.length > 0 && !(await saveBillChanges(tenant, changes))) {
+    return { statusCode: 409 };
+  }
+
+  return { bills, bedUpdates };
+};
+
+/**
+ * Pay the bills a failed refund reopened again
+ * A bill is paid back only up to what it still owes; the rest is returned as excess.
+ * @returns {Promise<Object>} - { bills, bedUpdates, excess } or { statusCode: 409 }
+ */
+const repayBills = async (tenant, reopenedBills, refundId) => {
+  const now = new Date();
+  const bills = [];
+  const bedUpdates = [];
+  const changes = [];
+  let excess = 0;
+
+  for (const reopened of reopenedBills) {
+    const bill = tenant.bills.id(reopened.billId);
+    const value = bill ? roundAmount(Math.min(reopened.amount, getBillOutstanding(bill))) : 0;
+    excess = roundAmount(excess + reopened.amount - value);
+    if (!(value > 0)) continue;
+
+    changes.push({ bill, previousPaidAmount: bill.paidAmount, amount: value });
+    bill.paidAmount = roundAmount((bill.paidAmount || 0) + value);
+    if (bill.paidAmount >= (bill.amount || 0) - AMOUNT_TOLERANCE) {
+      bill.paid = true;
+      bill.paidDate = now;
+    }
+    bill.paymentStatus = getBillPaymentStatus(bill);
+    bill.payments.push({ paymentId: refundId, amount: value, paidAt: now, refundId });
+
+    if (bill.bedId) {
+      bedUpdates.push({ propertyId: bill.propertyId, roomId: bill.roomId, bedId: bill.bedId, amount: -value });
+    }
+    bills.push({ billId: bill._id, billNumber: bill.billNumber, amount: value });
+  }
+
+  if (changes.length > 0 && !(await saveBillChanges(tenant, changes))) {
+    return { statusCode: 409 };
+  }
+
+  return { bills, bedUpdates, excess };
+};
+
+/**
+ * Undo a tenant payment refund that Razorpay failed after accepting it
+ * The payment's refunded amount is released, the bills the refund reopened are paid again and
+ * the credit it took back is returned, along with any part of the bills paid meanwhile.
+ * @param {Object} refund - Refund document, already marked Failed
+ * @returns {Promise<Object>} - { bills, credited, error }
+ */
+const restoreFailedRefund = async (refund) => {
+  const now = new Date();
+  const payment = await Payment.findOneAndUpdate(
+    { paymentId: refund.paymentId, refunds: { $elemMatch: { refundId: refund.refundId, failedAt: null } } },
+    {
+      $inc: { refundedAmount: -refund.amount },
+      $set: { status: 'Completed', 'refunds.$[refund].failedAt': now }
+    },
+    { arrayFilters: [{ 'refund.refundId': refund.refundId }], new: true }
+  );
+  if (!payment) {
+    return { bills: [], credited: 0, error: 'Payment not found or already restored' };
+  }
+
+  const errors = [];
+  let credited = roundAmount(refund.reversal.creditReversed || 0);
+  let repaid = { bills: [], bedUpdates: [], excess: 0 };
+  if (refund.reversal.bills.length > 0) {
+    // Retry when the tenant document changes underneath us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const tenant = await Tenant.findOne({ tenantId: refund.tenantId });
+      if (!tenant) {
+        repaid = { error: 'Tenant not found' };
+        break;
+      }
+      repaid = await repayBills(tenant, refund.reversal.bills, refund.refundId);
+      if (repaid.statusCode !== 409) break;
+    }
+    if (repaid.error || repaid.statusCode) {
+      errors.push(`Bills not paid again: ${repaid.error || 'tenant kept changing'}`);
+      repaid = { bills: [], bedUpdates: [], excess: 0 };
+    }
+    credited = roundAmount(credited + repaid.excess);
+  }
+
+  for (const update of repaid.bedUpdates) {
+    await Property.updateOne(
+      { _id: update.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': update.amount } },
+      { arrayFilters: [{ 'room.roomId': update.roomId }, { 'bed.bedId': update.bedId }] }
+    );
+  }
+
+  if (credited > 0) {
+    const credit = await creditTenant({
+      tenantId: refund.tenantId,
+      landlordId: refund.landlordId,
+      amount: credited,
+      source: 'Reversal',
+      paymentId: payment.paymentId,
+      propertyId: payment.propertyId,
+      note: `Refund ${refund.refundId} failed`,
+      createdBy: 'system'
+    });
+    if (credit.error) {
+      errors.push(`Credit not returned: ${credit.error}`);
+      credited = 0;
+    }
+  }
+
+  await setCache(`landlord:tenants:${refund.landlordId}`, null, 1);
+  await setCache(`tenant:${refund.tenantId}`, null, 1);
+
+  return { bills: repaid.bills, credited, error: errors.length > 0 ? errors.join('; ') : undefined };
+};
+
+/**
+ * Refund a tenant payment, fully or in part
+ * @param {String} landlordId
+ * @param {String} paymentId - Payment.paymentId
+ * @param {Object} options - { amount, reason, method, allocations, initiatedBy }
+ *   method defaults to Razorpay for online payments; any other method records a refund paid outside the app
+ * @returns {Promise<Object>} - { refund, payment } or { statusCode, error }
+ */
+const refundTenantPayment = async (landlordId, paymentId, { amount, reason, method, allocations, initiatedBy } = {}) => {
+  const payment = await Payment.findOne({ paymentId, landlordId });
+  if (!payment) {
+    return { statusCode: 404, error: 'Payment not found' };
+  }
+  if (payment.status !== 'Completed') {
+    return { statusCode: 400, error: `A ${payment.status.toLowerCase()} payment cannot be refunded` };
+  }
+
+  const alreadyRefunded = payment.refundedAmount || 0;
+  const refundable = roundAmount(payment.amount - alreadyRefunded);
+  const value = amount === undefined || amount === null ? refundable : roundAmount(Number(amount));
+  if (!(value > 0) || value > refundable + AMOUNT_TOLERANCE) {
+    return { statusCode: 400, error: `Refund amount must be between 0 and ${refundable}` };
+  }
+
+  const isOnline = payment.collectedBy === 'razorpay' && !!payment.transactionId;
+  const refundMethod = method || (isOnline ? 'Razorpay' : undefined);
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    return { statusCode: 400, error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` };
+  }
+  if (refundMethod === 'Razorpay' && !isOnline) {
+    return { statusCode: 400, error: 'Only payments made online can be refunded through Razorpay' };
+  }
+
+  const creditBalance = await getCreditBalance(payment.tenantId, landlordId);
+  const plan = planPaymentReversal(payment, value, creditBalance, allocations);
+  if (plan.error) {
+    return { statusCode: 400, error: plan.error };
+  }
+
+  // Claim the amount on the payment so two refunds cannot exceed it
+  const refund = new Refund({
+    type: 'Tenant Payment',
+    landlordId,
+    tenantId: payment.tenantId,
+    paymentId: payment.paymentId,
+    amount: value,
+    reason,
+    method: refundMethod,
+    razorpayPaymentId: refundMethod === 'Razorpay' ? payment.transactionId : undefined,
+    initiatedBy: initiatedBy ? initiatedBy.toString() : undefined,
+    initiatedByRole: 'landlord'
+  });
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'Completed', refundedAmount: alreadyRefunded || { $in: [0, null] } },
+    {
+      $set: { refundedAmount: roundAmount(alreadyRefunded + value) },
+      $push: {
+        refunds: {
+          refundId: refund.refundId,
+          amount: value,
+          creditReversed: plan.creditReversed,
+          bills: plan.bills.map(b => ({ billId: b.billId, amount: b.amount })),
+          refundedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { statusCode: 409, error: 'This payment changed while refunding, please retry' };
+  }
+
+  if (refundMethod === 'Razorpay') {
+    const gateway = await refundThroughGateway(payment.transactionId, value, {
+      refundId: refund.refundId,
+      paymentId: payment.paymentId
+    });
+    if (gateway.error) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: -value }, $pull: { refunds: { refundId: refund.refundId } } }
+      );
+      refund.status = 'Failed';
+      refund.failureReason = gateway.error;
+      await refund.save();
+      return { statusCode: 502, error: gateway.error, refund };
+    }
+    refund.razorpayRefundId = gateway.razorpayRefundId;
+    refund.status = gateway.status;
+  } else {
+    refund.status = 'Processed';
+  }
+  if (refund.status === 'Processed') refund.processedAt = new Date();
+
+  // Money has gone back; from here the ledger must follow
+  if (plan.creditReversed > 0) {
+    const debit = await debitTenant({
+      tenantId: payment.tenantId,
+      landlordId,
+      amount: plan.creditReversed,
+      source: 'Refund',
+      paymentId: payment.paymentId,
+      propertyId: payment.propertyId,
+      note: `Refund ${refund.refundId}${reason ? `: ${reason}` : ''}`,
+      createdBy: refund.initiatedBy
+    });
+    refund.reversal.creditReversed = debit.error ? 0 : plan.creditReversed;
+    if (debit.error) refund.reversal.error = `Credit not reversed: ${debit.error}`;
+  }
+
+  let reopened = { bills: [], bedUpdates: [] };
+  if (plan.bills.length > 0) {
+    // Retry when the tenant document changes underneath us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const tenant = await Tenant.findOne({ tenantId: payment.tenantId });
+      if (!tenant) {
+        reopened = { error: 'Tenant not found' };
+        break;
+      }
+      reopened = await reopenBills(tenant, plan.bills, refund.refundId);
+      if (reopened.statusCode !== 409) break;
+    }
+    if (reopened.error || reopened.statusCode) {
+      refund.reversal.error = `Bills not reopened: ${reopened.error || 'tenant kept changing'}`;
+      console.error(`Refund ${refund.refundId} bills not reopened: ${refund.reversal.error}`);
+      reopened = { bills: [], bedUpdates: [] };
+    }
+  }
+
+  for (const update of reopened.bedUpdates) {
+    await Property.updateOne(
+      { _id: update.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': update.amount } },
+      { arrayFilters: [{ 'room.roomId': update.roomId }, { 'bed.bedId': update.bedId }] }
+    );
+  }
+
+  refund.reversal.bills = reopened.bills;
+  refund.reversal.appliedAt = new Date();
+  await refund.save();
+
+  const fullyRefunded = claimed.refundedAmount >= claimed.amount - AMOUNT_TOLERANCE;
+  const updatedPayment = fullyRefunded
+    ? await Payment.findOneAndUpdate({ _id: payment._id }, { $set: { status: 'Refunded' } }, { new: true })
+    : claimed;
+
+  await setCache(`landlord:tenants:${landlordId}`, null, 1);
+  await setCache(`tenant:${payment.tenantId}`, null, 1);
+
+  notifyUser({
+    userId: payment.tenantId,
+    type: 'payment_refunded',
+    title: 'Payment refunded',
+    message: `₹${value} of your payment ${payment.receiptNumber || payment.paymentId} has been refunded`
+      + `${refundMethod === 'Razorpay' ? ' to your original payment method' : ` by ${refundMethod}`}.`
+      + `${reopened.bills.length > 0 ? ` ${reopened.bills.length} bill(s) are due again.` : ''}`,
+    data: { refundId: refund.refundId, paymentId: payment.paymentId, amount: value }
+  }).catch(error => console.error('Error sending refund notification:', error.message));
+
+  return { refund, payment: updatedPayment, reopenedBills: reopened.bills };
+};
+
+/**
+ * Refund a subscription payment, fully or in part
+ * @param {String} subscriptionId
+ * @param {String} entryId - payment_history entry
+ * @param {Object} options - { amount, reason, method, cancelSubscription, initiatedBy }
+ * @returns {Promise<Object>} - { refund, subscription } or { statusCode, error }
+ */
+const refundSubscriptionPayment = async (subscriptionId, entryId, { amount, reason, method, cancelSubscription = false, initiatedBy } = {}) => {
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) {
+    return { statusCode: 404, error: 'Subscription not found' };
+  }
+  const entry = subscription.payment_history.id(entryId);
+  if (!entry) {
+    return { statusCode: 404, error: 'Payment not found on this subscription' };
+  }
+  if (entry.status !== 'success') {
+    return { statusCode: 400, error: `A ${entry.status || 'pending'} payment cannot be refunded` };
+  }
+
+  const alreadyRefunded = entry.refunded_amount || 0;
+  const refundable = roundAmount((entry.amount || 0) - alreadyRefunded);
+  const value = amount === undefined || amount === null ? refundable : roundAmount(Number(amount));
+  if (!(value > 0) || value > refundable + AMOUNT_TOLERANCE) {
+    return { statusCode: 400, error: `Refund amount must be between 0 and ${refundable}` };
+  }
+
+  const razorpayPaymentId = entry.payment && entry.payment.payment_id;
+  const refundMethod = method || (razorpayPaymentId ? 'Razorpay' : undefined);
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    return { statusCode: 400, error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` };
+  }
+  if (refundMethod === 'Razorpay' && !razorpayPaymentId) {
+    return { statusCode: 400, error: 'This payment has no Razorpay payment ID to refund' };
+  }
+
+  const refund = new Refund({
+    type: 'Subscription',
+    landlordId: subscription.landlordId,
+    subscriptionId: subscription._id,
+    historyEntryId: entry._id,
+    amount: value,
+    reason,
+    method: refundMethod,
+    razorpayPaymentId: refundMethod === 'Razorpay' ? razorpayPaymentId : undefined,
+    initiatedBy: initiatedBy ? initiatedBy.toString() : undefined,
+    initiatedByRole: 'admin'
+  });
+
+  const newRefunded = roundAmount(alreadyRefunded + value);
+  const claimed = await Subscription.updateOne(
+    {
+      _id: subscription._id,
+      payment_history: { $elemMatch: { _id: entry._id, refunded_amount: alreadyRefunded || { $in: [0, null] } } }
+    },
+    {
+      $set: { 'payment_history.$[entry].refunded_amount': newRefunded },
+      $push: {
+        'payment_history.$[entry].refunds': {
+          refund_id: refund.refundId,
+          amount: value,
+          reason,
+          refunded_at: new Date()
+        }
+      }
+    },
+    { arrayFilters: [{ 'entry._id': entry._id }] }
+  );
+  if (!claimed.modifiedCount) {
+    return { statusCode: 409, error: 'This payment changed while refunding, please retry' };
+  }
+
+  if (refundMethod === 'Razorpay') {
+    const gateway = await refundThroughGateway(razorpayPaymentId, value, {
+      refundId: refund.refundId,
+      subscriptionId: subscription._id.toString()
+    });
+    if (gateway.error) {
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        {
+          $inc: { 'payment_history.$[entry].refunded_amount': -value },
+          $pull: { 'payment_history.$[entry].refunds': { refund_id: refund.refundId } }
+        },
+        { arrayFilters: [{ 'entry._id': entry._id }] }
+      );
+      refund.status = 'Failed';
+      refund.failureReason = gateway.error;
+      await refund.save();
+      return { statusCode: 502, error: gateway.error, refund };
+    }
+    refund.razorpayRefundId = gateway.razorpayRefundId;
+    refund.status = gateway.status;
+  } else {
+    refund.status = 'Processed';
+  }
+  if (refund.status === 'Processed') refund.processedAt = new Date();
+
+  const update = {};
+  if (newRefunded >= (entry.amount || 0) - AMOUNT_TOLERANCE) {
+    update['payment_history.$[entry].status'] = 'refunded';
+  }
+  if (cancelSubscription && subscription.status === 'active') {
+    Object.assign(update, {
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      auto_renew: false,
+      metadata: { ...subscription.metadata, cancellation_reason: reason || 'Refunded', refund_id: refund.refundId }
+    });
+    refund.reversal.subscriptionCancelled = true;
+  }
+  if (Object.keys(update).length > 0) {
+    await Subscription.updateOne({ _id: subscription._id }, { $set: update }, { arrayFilters: [{ 'entry._id': entry._id }] });
+  }
+
+  refund.reversal.appliedAt = new Date();
+  await refund.save();
+
+  notifyUser({
+    userId: subscription.landlordId.toString(),
+    type: 'subscription_refunded',
+    title: 'Subscription payment refunded',
+    message: `₹${value} of your ${entry.plan_name || subscription.plan_name} subscription payment has been refunded`
+      + `${refund.reversal.subscriptionCancelled ? ' and the subscription has been cancelled' : ''}.`,
+    data: { refundId: refund.refundId, subscriptionId: subscription._id.toString(), amount: value }
+  }).catch(error => console.error('Error sending refund notification:', error.message));
+
+  return { refund, subscription: await Subscription.findById(subscription._id) };
+};
+
+/**
+ * Update a refund from a Razorpay refund.* webhook event
+ * @param {Object} event - Parsed webhook body
+ * @returns {Promise<Object>} - { handled, refund } or { ignored }
+ */
+const handleRefundEvent = async (event) => {
+  const refundEntity = event.payload && event.payload.refund && event.payload.refund.entity;
+  if (!refundEntity) {
+    return { ignored: true };
+  }
+
+  const status = GATEWAY_STATUS_MAP[refundEntity.status];
+  if (!status || status === 'Pending') {
+    return { ignored: true };
+  }
+
+  const now = new Date();
+  const update = { status };
+  if (status === 'Processed') update.processedAt = now;
+  if (status === 'Failed') {
+    update.failureReason = 'Razorpay reported the refund as failed';
+    update.needsReconciliation = true;
+  }
+
+  const refund = await Refund.findOneAndUpdate(
+    { razorpayRefundId: refundEntity.id, status: 'Pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!refund) {
+    return { ignored: true };
+  }
+
+  if (status === 'Failed') {
+    // The money never went back, so the ledger is put back as it was before the refund; the
+    // refund stays flagged for settling by hand only if that could not be done in full
+    console.error(`Razorpay refund ${refundEntity.id} (${refund.refundId}) failed after being accepted`);
+    let restored = { error: 'Subscription refunds are settled by hand' };
+    if (refund.type === 'Tenant Payment') {
+      restored = await restoreFailedRefund(refund);
+      refund.reversal.restoredAt = now;
+      refund.reversal.restoredBills = restored.bills;
+      refund.reversal.creditRestored = restored.credited;
+      refund.reversal.error = restored.error;
+      refund.needsReconciliation = Boolean(restored.error);
+      if (restored.error) {
+        console.error(`Refund ${refund.refundId} not fully restored: ${restored.error}`);
+      }
+      await refund.save();
+    }
+
+    notifyUser({
+      userId: refund.landlordId.toString(),
+      type: 'refund_failed',
+      title: 'Refund failed',
+      message: `Razorpay could not complete refund ${refund.refundId} of ₹${refund.amount}. `
+        + (restored.error
+          ? 'The amount was not returned, please refund it another way or restore the payment.'
+          : 'The amount was not returned and the payment has been restored, please refund it another way.'),
+      data: { refundId: refund.refundId, paymentId: refund.paymentId, amount: refund.amount }
+    }).catch(error => console.error('Error sending refund failure notification:', error.message));
+  }
+
+  return { handled: true, refund };
+};
+
+/**
+ * Refunds of one payment or subscription, newest first
+ * @param {Object} filter - { landlordId, paymentId, subscriptionId, tenantId }
+ */
+const listRefunds = (filter) => Refund.find(filter).sort({ createdAt: -1 }).limit(200);
+
+module.exports = {
+  REFUND_METHODS,
+  planPaymentReversal,
+  refundTenantPayment,
+  refundSubscriptionPayment,
+  handleRefundEvent,
+  restoreFailedRefund,
+  listRefunds
+};
@@ -0,0 +1,454 @@
+/**
+ * Rent Billing Service
+ * Generates recurring Rent bills for active accommodations based on their
+ * rent in force (see rentRevisionService), rentDateOption, rentOnDate and rentalFrequency settings
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const { setCache } = require('../utils/redis');
+const { scheduleJob } = require('./jobScheduler');
+const { applyCreditToNewBills } = require('./paymentLedgerService');
+const { postOpeningBalance } = require('./tenantCreditService');
+const { getRentForDate } = require('./rentRevisionService');
+
+// Number of months covered by one bill for each rental frequency
+const FREQUENCY_MONTHS = {
+  Monthly: 1,
+  Quarterly: 3,
+  'Half-Yearly': 6,
+  Yearly: 12
+};
+
+// Bills are generated this many days before their due date
+const RENT_BILL_LEAD_DAYS = parseInt(process.env.RENT_BILL_LEAD_DAYS, 10) || 5;
+
+// How often the generator runs (idempotent, so running often is safe)
+const RENT_BILL_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the regular due date in a given month from the accommodation's rent date settings
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {moment.Moment} month - Any date inside the month
+ * @returns {Date}
+ */
+const getScheduledDueDate = (accommodation, month) => {
+  const start = moment(month).startOf('month');
+  const daysInMonth = start.daysInMonth();
+  let day;
+
+  if (accommodation.rentDateOption === 'month_end') {
+    day = daysInMonth;
+  } else if (accommodation.rentDateOption === 'joining') {
+    day = moment(accommodation.moveInDate || undefined).date();
+  } else {
+    day = accommodation.rentOnDate || 1;
+  }
+
+  return start.date(Math.min(day, daysInMonth)).toDate();
+};
+
+/**
+ * Check whether the tenant moved in after the regular due date of their move-in month
+ * The first cycle of such a stay is due on the move-in date and charged only from then.
+ * @param {Object} accommodation - Tenant accommodation
+ * @returns {Boolean}
+ */
+const movedInMidCycle = (accommodation) => {
+  if (!accommodation.moveInDate) return false;
+  const moveIn = moment(accommodation.moveInDate).startOf('day');
+  return moment(getScheduledDueDate(accommodation, moveIn)).isBefore(moveIn);
+};
+
+/**
+ * Get the due date of the rent cycle that falls in a given month
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {moment.Moment} month - Any date inside the billing month
+ * @returns {Date}
+ */
+const getCycleDueDate = (accommodation, month) => {
+  if (movedInMidCycle(accommodation) && moment(month).isSame(accommodation.moveInDate, 'month')) {
+    return moment(accommodation.moveInDate).startOf('day').toDate();
+  }
+  return getScheduledDueDate(accommodation, month);
+};
+
+/**
+ * Share of the first month's rent owed by a tenant who moved in after that month's due date
+ * Counted in days from the move-in date to the next regular due date.
+ * @param {Object} accommodation - Tenant accommodation
+ * @returns {Number} - 1 for a full month
+ */
+const getFirstMonthShare = (accommodation) => {
+  if (!movedInMidCycle(accommodation)) return 1;
+  const moveIn = moment(accommodation.moveInDate).startOf('day');
+  const scheduled = moment(getScheduledDueDate(accommodation, moveIn));
+  const next = moment(getScheduledDueDate(accommodation, moment(moveIn).add(1, 'months')));
+  return next.diff(moveIn, 'days') / next.diff(scheduled, 'days');
+};
+
+/**
+ * Check whether a rent cycle starts in the given month for this accommodation
+ * Cycles are counted from the move-in month
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {moment.Moment} month - Any date inside the month
+ * @returns {Boolean}
+ */
+const isBillingMonth = (accommodation, month) => {
+  const interval = FREQUENCY_MONTHS[accommodation.rentalFrequency] || 1;
+  const moveInMonth = moment(accommodation.moveInDate || undefined).startOf('month');
+  const diff = moment(month).startOf('month').diff(moveInMonth, 'months');
+
+  return diff >= 0 && diff % interval === 0;
+};
+
+/**
+ * Check whether a Rent bill already exists for an accommodation and billing month
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {String} month - Month name (e.g. "October")
+ * @param {String} year - Year (e.g. "2026")
+ * @returns {Boolean}
+ */
+const hasRentBill = (tenant, accommodation, month, year) => {
+  return (tenant.bills || []).some(bill =>
+    bill.type === 'Rent' &&
+    bill.propertyId.toString() === accommodation.propertyId.toString() &&
+    bill.roomId === accommodation.roomId &&
+    (accommodation.bedId ? bill.bedId === accommodation.bedId : true) &&
+    bill.month === month &&
+    bill.year === year
+  );
+};
+
+/**
+ * Build a Rent bill for the cycle due on dueDate
+ * Each month of the cycle is charged at the rent in force on that month's due day. A first
+ * cycle that starts mid-month (see movedInMidCycle) charges its first month pro rata.
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Date} dueDate - Due date of the cycle
+ * @returns {Object} - Bill object matching billSchema
+ */
+const buildRentBill = (accommodation, dueDate) => {
+  const frequency = accommodation.rentalFrequency || 'Monthly';
+  const months = FREQUENCY_MONTHS[frequency] || 1;
+  const firstCycle = accommodation.moveInDate && moment(dueDate).isSame(accommodation.moveInDate, 'day');
+  const firstShare = firstCycle ? getFirstMonthShare(accommodation) : 1;
+  let amount = 0;
+  for (let i = 0; i < months; i++) {
+    const rent = getRentForDate(accommodation, moment(dueDate).add(i, 'months').toDate());
+    amount += i === 0 ? rent * firstShare : rent;
+  }
+  amount = roundAmount(amount);
+  const due = moment(dueDate);
+  const periodEnd = moment(due).startOf('month').add(months - 1, 'months');
+  const period = months === 1
+    ? due.format('MMMM YYYY')
+    : `${due.format('MMMM YYYY')} - ${periodEnd.format('MMMM YYYY')}`;
+
+  return {
+    landlordId: accommodation.landlordId,
+    propertyId: accommodation.propertyId,
+    propertyName: accommodation.propertyName,
+    roomId: accommodation.roomId,
+    bedId: accommodation.bedId,
+    type: 'Rent',
+    billNumber: `RE-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+    month: due.format('MMMM'),
+    year: due.format('YYYY'),
+    amount,
+    dueDate,
+    paid: false,
+    isRecurring: true,
+    recurringFrequency: frequency,
+    description: firstShare < 1
+      ? `${frequency} rent for ${period} (from ${moment(dueDate).format('DD MMM')})`
+      : `${frequency} rent for ${period}`,
+    billDetails: {
+      dueAmount: amount
+    }
+  };
+};
+
+/**
+ * Check whether an accommodation should be billed for a cycle due on dueDate
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Date} dueDate - Due date of the cycle
+ * @returns {Boolean}
+ */
+const isBillable = (accommodation, dueDate) => {
+  if (!accommodation.isActive || !getRentForDate(accommodation, dueDate)) {
+    return false;
+  }
+
+  // Nothing is due before the tenant moves in or after they have moved out
+  if (accommodation.moveInDate && moment(dueDate).isBefore(moment(accommodation.moveInDate).startOf('day'))) {
+    return false;
+  }
+  if (accommodation.moveOutDate && moment(dueDate).isAfter(accommodation.moveOutDate)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Get the rent cycles that are ready to be billed as of a given date
+ * A cycle is ready from RENT_BILL_LEAD_DAYS before its due date until the end of its month
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Date} asOf - Reference date
+ * @returns {Array<Date>} - Due dates of ready cycles
+ */
+const getReadyCycles = (accommodation, asOf) => {
+  const today = moment(asOf);
+  const candidates = [moment(today).startOf('month'), moment(today).startOf('month').add(1, 'months')];
+
+  return candidates
+    .filter(month => isBillingMonth(accommodation, month))
+    .map(month => getCycleDueDate(accommodation, month))
+    .filter(dueDate => moment(dueDate).subtract(RENT_BILL_LEAD_DAYS, 'days').isSameOrBefore(today, 'day'))
+    .filter(dueDate => isBillable(accommodation, dueDate));
+};
+
+/**
+ * Get the next rent cycle that has not been billed yet
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Date} fromDate - Start searching from this date's month
+ * @returns {Date|null} - Due date of the next unbilled cycle
+ */
+const getNextUnbilledCycle = (tenant, accommodation, fromDate) => {
+  const interval = FREQUENCY_MONTHS[accommodation.rentalFrequency] || 1;
+  const month = moment(fromDate).startOf('month');
+
+  // Look far enough ahead to cover two yearly cycles
+  for (let i = 0; i <= interval * 2; i++) {
+    if (isBillingMonth(accommodation, month)) {
+      const dueDate = getCycleDueDate(accommodation, month);
+      const due = moment(dueDate);
+      if (!isBillable(accommodation, dueDate)) {
+        if (accommodation.moveOutDate && due.isAfter(accommodation.moveOutDate)) {
+          return null;
+        }
+      } else if (!hasRentBill(tenant, accommodation, due.format('MMMM'), due.format('YYYY'))) {
+        return dueDate;
+      }
+    }
+    month.add(1, 'months');
+  }
+
+  return null;
+};
+
+/**
+ * Atomically add a Rent bill to a tenant if it does not already exist
+ * and increase pendingDues on the accommodation and bed
+ * Any credit balance the tenant holds is applied to the new bill.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Object} bill - Bill built by buildRentBill
+ * @returns {Promise<Boolean>} - true if the bill was created
+ */
+const createRentBill = async (tenant, accommodation, bill) => {
+  bill._id = bill._id || new mongoose.Types.ObjectId();
+  const duplicateMatch = {
+    type: 'Rent',
+    propertyId: accommodation.propertyId,
+    roomId: accommodation.roomId,
+    month: bill.month,
+    year: bill.year
+  };
+  if (accommodation.bedId) {
+    duplicateMatch.bedId = accommodation.bedId;
+  }
+
+  const result = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      bills: { $not: { $elemMatch: duplicateMatch } }
+    },
+    {
+      $push: { bills: bill },
+      $inc: { 'accommodations.$[acc].pendingDues': bill.amount },
+      $set: { updatedAt: new Date() }
+    },
+    {
+      arrayFilters: [{ 'acc.localTenantId': accommodation.localTenantId, 'acc.isActive': true }]
+    }
+  );
+
+  if (!result.modifiedCount) {
+    return false;
+  }
+
+  if (accommodation.bedId) {
+    await Property.updateOne(
+      { _id: accommodation.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': bill.amount } },
+      { arrayFilters: [{ 'room.roomId': accommodation.roomId }, { 'bed.bedId': accommodation.bedId }] }
+    );
+  }
+
+  bill.creditApplied = await applyCreditToNewBills(tenant.tenantId, accommodation.landlordId, [bill._id]);
+
+  return true;
+};
+
+/**
+ * Build the query for tenants with active accommodations
+ * @param {String} landlordId - Optional landlord filter
+ * @param {String} propertyId - Optional property filter
+ */
+const buildTenantQuery = (landlordId, propertyId) => {
+  const match = { isActive: true };
+  if (landlordId) match.landlordId = landlordId;
+  if (propertyId) match.propertyId = propertyId;
+  return { accommodations: { $elemMatch: match } };
+};
+
+/**
+ * Accommodation filter matching buildTenantQuery
+ */
+const matchesFilter = (accommodation, landlordId, propertyId) => {
+  return accommodation.isActive &&
+    (landlordId ? accommodation.landlordId.toString() === landlordId.toString() : true) &&
+    (propertyId ? accommodation.propertyId.toString() === propertyId.toString() : true);
+};
+
+/**
+ * Generate Rent bills for all cycles that are ready as of a given date
+ * Unposted opening balances are brought forward first so advance credit covers the new bills.
+ * @param {Object} options - { landlordId, propertyId, asOf }
+ * @returns {Promise<Object>} - { generated, skipped, openingBalancesPosted, bills }
+ */
+const generateRentBills = async ({ landlordId, propertyId, asOf = new Date() } = {}) => {
+  const summary = { generated: 0, skipped: 0, openingBalancesPosted: 0, bills: [] };
+  const landlordsToClear = new Set();
+
+  const cursor = Tenant.find(buildTenantQuery(landlordId, propertyId)).cursor();
+
+  for (let tenant = await cursor.next(); tenant != null; tenant = await cursor.next()) {
+    for (const accommodation of tenant.accommodations) {
+      if (!matchesFilter(accommodation, landlordId, propertyId)) continue;
+
+      const posted = await postOpeningBalance(tenant, accommodation);
+      if (posted) {
+        summary.openingBalancesPosted += 1;
+        if (posted.bill) {
+          await applyCreditToNewBills(tenant.tenantId, accommodation.landlordId, [posted.bill._id]);
+        }
+        landlordsToClear.add(accommodation.landlordId.toString());
+      }
+
+      for (const dueDate of getReadyCycles(accommodation, asOf)) {
+        const bill = buildRentBill(accommodation, dueDate);
+
+        if (hasRentBill(tenant, accommodation, bill.month, bill.year)) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        const created = await createRentBill(tenant, accommodation, bill);
+        if (!created) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        summary.generated += 1;
+        summary.bills.push({
+          tenantId: tenant.tenantId,
+          localTenantId: accommodation.localTenantId,
+          billNumber: bill.billNumber,
+          propertyId: bill.propertyId,
+          roomId: bill.roomId,
+          bedId: bill.bedId,
+          month: bill.month,
+          year: bill.year,
+          amount: bill.amount,
+          creditApplied: bill.creditApplied,
+          dueDate: bill.dueDate
+        });
+        landlordsToClear.add(accommodation.landlordId.toString());
+      }
+    }
+  }
+
+  for (const id of landlordsToClear) {
+    await setCache(`landlord:tenants:${id}`, null, 1);
+  }
+
+  return summary;
+};
+
+/**
+ * Preview the next unbilled rent cycle for each active accommodation (dry run)
+ * @param {Object} options - { landlordId, propertyId, fromDate }
+ * @returns {Promise<Object>} - { totalAmount, count, bills }
+ */
+const previewNextRentBills = async ({ landlordId, propertyId, fromDate = new Date() } = {}) => {
+  const tenants = await Tenant.find(buildTenantQuery(landlordId, propertyId))
+    .select('tenantId name mobile accommodations bills');
+
+  const bills = [];
+
+  for (const tenant of tenants) {
+    for (const accommodation of tenant.accommodations) {
+      if (!matchesFilter(accommodation, landlordId, propertyId)) continue;
+
+      const dueDate = getNextUnbilledCycle(tenant, accommodation, fromDate);
+      if (!dueDate) continue;
+
+      const bill = buildRentBill(accommodation, dueDate);
+      bills.push({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.name,
+        tenantMobile: tenant.mobile,
+        localTenantId: accommodation.localTenantId,
+        propertyId: bill.propertyId,
+        propertyName: bill.propertyName,
+        roomId: bill.roomId,
+        bedId: bill.bedId,
+        month: bill.month,
+        year: bill.year,
+        amount: bill.amount,
+        dueDate: bill.dueDate,
+        generatesOn: moment(dueDate).subtract(RENT_BILL_LEAD_DAYS, 'days').startOf('day').toDate(),
+        rentalFrequency: bill.recurringFrequency,
+        description: bill.description
+      });
+    }
+  }
+
+  bills.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  return {
+    count: bills.length,
+    totalAmount: bills.reduce((sum, bill) => sum + bill.amount, 0),
+    bills
+  };
+};
+
+/**
+ * Schedule the rent bill generator
+ */
+const setupRentBillScheduler = () => {
+  scheduleJob('rent-bill-generation', RENT_BILL_INTERVAL_MS, async () => {
+    const summary = await generateRentBills();
+    console.log(`Rent bill generation: ${summary.generated} generated, ${summary.skipped} skipped, ${summary.openingBalancesPosted} opening balances posted`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  FREQUENCY_MONTHS,
+  getCycleDueDate,
+  isBillingMonth,
+  buildRentBill,
+  generateRentBills,
+  previewNextRentBills,
+  setupRentBillScheduler
+};
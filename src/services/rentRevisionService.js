@@ -0,0 +1,471 @@
+/**
+ * Rent Revision Service
+ * Keeps the rent history of an accommodation as effective-dated revisions instead of overwriting
+ * rentAmount. Scheduled escalations (e.g. +5% every 11 months) are turned into revisions ahead of
+ * time so the tenant is told before they take effect; revisions are applied once their date comes.
+ * Billing and forecasts read the rent in force on a date through getRentForDate.
+ */
+
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const { setCache } = require('../utils/redis');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const { formatAmount, formatDate } = require('./invoicePdfService');
+
+const RENT_CHANGE_TYPES = ['Amount', 'Percentage'];
+const DEFAULT_ESCALATION_NOTICE_DAYS = 30;
+const RENT_REVISION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Escalations materialised per accommodation in one run, in case of a very stale schedule
+const MAX_ESCALATIONS_PER_RUN = 12;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Revisions that count, oldest first
+ * @param {Object} accommodation - Tenant accommodation
+ * @returns {Array}
+ */
+const getActiveRevisions = (accommodation) => (accommodation.rentRevisions || [])
+  .filter(revision => revision.status !== 'Cancelled')
+  .sort((a, b) => new Date(a.effectiveDate) - new Date(b.effectiveDate));
+
+/**
+ * Apply a rent change to an amount
+ * @param {Number} rent - Rent before the change
+ * @param {Object} change - { changeType, value, roundTo }
+ * @returns {Number}
+ */
+const calculateRevisedRent = (rent, { changeType, value, roundTo = 1 }) => {
+  const revised = changeType === 'Percentage'
+    ? rent * (1 + value / 100)
+    : rent + value;
+  const step = roundTo > 0 ? roundTo : 1;
+  return Math.max(0, roundAmount(Math.round(revised / step) * step));
+};
+
+/**
+ * Rent in force on a date
+ * Uses the latest revision effective on or before the date, the rent before the first revision
+ * for earlier dates, and projects escalations not yet turned into revisions. A projected escalation
+ * raises the rent in force on its date, so a later revision replaces it and one on the same day
+ * takes its place.
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Date} date
+ * @returns {Number} - Monthly rent
+ */
+const getRentForDate = (accommodation, date = new Date()) => {
+  const revisions = getActiveRevisions(accommodation);
+  const target = moment(date).endOf('day');
+
+  // rentAmount only moves when a revision is applied; until then it is the rent before them all.
+  // A scheduled revision's previousRent may already include projected escalations.
+  let rent = accommodation.rentAmount || 0;
+  const first = revisions[0];
+  if (first && first.status === 'Applied' && first.previousRent !== undefined && first.previousRent !== null) {
+    rent = first.previousRent;
+  }
+
+  const changes = revisions
+    .filter(revision => moment(revision.effectiveDate).isSameOrBefore(target))
+    .map(revision => ({ date: moment(revision.effectiveDate).startOf('day'), revision }));
+
+  const escalation = accommodation.rentEscalation;
+  if (escalation && escalation.enabled && escalation.nextEffectiveDate && escalation.everyMonths > 0) {
+    const next = moment(escalation.nextEffectiveDate).startOf('day');
+    for (let i = 0; next.isSameOrBefore(target) && i < 120; i++) {
+      if (!revisions.some(revision => moment(revision.effectiveDate).isSame(next, 'day'))) {
+        changes.push({ date: next.clone() });
+      }
+      next.add(escalation.everyMonths, 'months');
+    }
+  }
+
+  changes
+    .sort((a, b) => a.date - b.date)
+    .forEach(({ revision }) => {
+      rent = revision ? revision.newRent : calculateRevisedRent(rent, escalation);
+    });
+
+  return rent;
+};
+
+/**
+ * First escalation date after a reference date, counting whole intervals from a start date
+ * @param {Date} startDate - Usually the move-in date
+ * @param {Number} everyMonths
+ * @param {Date} asOf
+ * @returns {Date}
+ */
+const getNextEscalationDate = (startDate, everyMonths, asOf = new Date()) => {
+  const next = moment(startDate).startOf('day').add(everyMonths, 'months');
+  while (next.isSameOrBefore(moment(asOf), 'day')) {
+    next.add(everyMonths, 'months');
+  }
+  return next.toDate();
+};
+
+/**
+ * Refresh scheduled revisions after the list changed
+ * Percentage changes and escalations are recalculated on the new previous rent; fixed amounts stay.
+ * Applied revisions keep their history as recorded.
+ */
+const refreshScheduledRevisions = (accommodation) => {
+  let rent = null;
+  for (const revision of getActiveRevisions(accommodation)) {
+    if (revision.status === 'Scheduled' && rent !== null && rent !== revision.previousRent) {
+      revision.previousRent = rent;
+      if (revision.changeType === 'Percentage' || revision.source === 'Escalation') {
+        const roundTo = revision.source === 'Escalation' && accommodation.rentEscalation
+          ? accommodation.rentEscalation.roundTo
+          : undefined;
+        revision.newRent = calculateRevisedRent(rent, { changeType: revision.changeType, value: revision.changeValue, roundTo });
+      }
+    }
+    rent = revision.newRent;
+  }
+};
+
+/**
+ * Mark revisions whose date has come as applied and update rentAmount (in memory, caller saves)
+ * @returns {Array} - Revisions applied now
+ */
+const applyDueRevisions = (accommodation, asOf = new Date()) => {
+  const applied = [];
+  for (const revision of accommodation.rentRevisions || []) {
+    if (revision.status === 'Scheduled' && moment(revision.effectiveDate).isSameOrBefore(moment(asOf), 'day')) {
+      revision.status = 'Applied';
+      revision.appliedAt = asOf;
+      applied.push(revision);
+    }
+  }
+  if (applied.length > 0) {
+    accommodation.rentAmount = getRentForDate(accommodation, asOf);
+  }
+  return applied;
+};
+
+/**
+ * Add a revision to an accommodation (in memory, caller saves)
+ * A revision dated today or earlier is applied at once; bills already raised are not changed.
+ * With replaceSameDay a revision already taking effect that day is revised instead of refused.
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Object} options - { effectiveDate, newRent, changeType, changeValue, roundTo, reason, source, createdBy, replaceSameDay, asOf }
+ * @returns {Object} - { revision } or { statusCode, error }
+ */
+const addRentRevision = (accommodation, {
+  effectiveDate,
+  newRent,
+  changeType,
+  changeValue,
+  roundTo,
+  reason,
+  source = 'Manual',
+  createdBy,
+  replaceSameDay = false,
+  asOf = new Date()
+}) => {
+  const effective = moment(effectiveDate).startOf('day');
+  if (!effectiveDate || !effective.isValid()) {
+    return { statusCode: 400, error: 'A valid effectiveDate is required' };
+  }
+  if (accommodation.moveInDate && effective.isBefore(moment(accommodation.moveInDate).startOf('day'))) {
+    return { statusCode: 400, error: 'A rent revision cannot take effect before the move-in date' };
+  }
+  const sameDay = getActiveRevisions(accommodation).find(r => moment(r.effectiveDate).isSame(effective, 'day'));
+  if (sameDay && !replaceSameDay) {
+    return { statusCode: 409, error: `A rent revision already takes effect on ${formatDate(effective)}; cancel it first` };
+  }
+
+  const previousRent = getRentForDate(accommodation, moment(effective).subtract(1, 'day'));
+  let rent = newRent !== undefined && newRent !== null ? roundAmount(Number(newRent)) : null;
+  if (rent === null) {
+    if (!RENT_CHANGE_TYPES.includes(changeType) || isNaN(Number(changeValue))) {
+      return { statusCode: 400, error: `Give newRent, or changeType (${RENT_CHANGE_TYPES.join(', ')}) and changeValue` };
+    }
+    rent = calculateRevisedRent(previousRent, { changeType, value: Number(changeValue), roundTo });
+  }
+  if (!(rent > 0)) {
+    return { statusCode: 400, error: 'The revised rent must be a positive amount' };
+  }
+
+  const change = {
+    previousRent,
+    newRent: rent,
+    changeType: newRent !== undefined && newRent !== null ? 'Amount' : changeType,
+    changeValue: newRent !== undefined && newRent !== null ? roundAmount(rent - previousRent) : Number(changeValue),
+    source,
+    reason,
+    createdBy: createdBy ? createdBy.toString() : undefined
+  };
+
+  if (sameDay) {
+    // The tenant is told again about the revised amount
+    Object.assign(sameDay, change, { notifiedAt: undefined });
+    refreshScheduledRevisions(accommodation);
+    if (sameDay.status === 'Applied') accommodation.rentAmount = getRentForDate(accommodation, asOf);
+    applyDueRevisions(accommodation, asOf);
+    return { revision: sameDay };
+  }
+
+  const revision = {
+    revisionId: `RRV-${Math.random().toString(36).substr(2, 9)}`,
+    effectiveDate: effective.toDate(),
+    ...change,
+    status: 'Scheduled',
+    createdAt: asOf
+  };
+
+  if (!accommodation.rentRevisions) accommodation.rentRevisions = [];
+  accommodation.rentRevisions.push(revision);
+  refreshScheduledRevisions(accommodation);
+  applyDueRevisions(accommodation, asOf);
+
+  return { revision: accommodation.rentRevisions[accommodation.rentRevisions.length - 1] };
+};
+
+/**
+ * Cancel a revision that has not taken effect yet (in memory, caller saves)
+ * @returns {Object} - { revision } or { statusCode, error }
+ */
+const cancelRentRevision = (accommodation, revisionId, asOf = new Date()) => {
+  const revision = (accommodation.rentRevisions || []).find(r => r.revisionId === revisionId);
+  if (!revision) {
+    return { statusCode: 404, error: 'Rent revision not found' };
+  }
+  if (revision.status !== 'Scheduled') {
+    return { statusCode: 400, error: `An ${revision.status.toLowerCase()} revision cannot be cancelled` };
+  }
+
+  revision.status = 'Cancelled';
+  revision.cancelledAt = asOf;
+  refreshScheduledRevisions(accommodation);
+  return { revision };
+};
+
+/**
+ * Turn escalations due within their notice window into scheduled revisions (in memory, caller saves)
+ * @returns {Array} - Revisions created
+ */
+const materializeEscalations = (accommodation, asOf = new Date()) => {
+  const escalation = accommodation.rentEscalation;
+  const created = [];
+  if (!escalation || !escalation.enabled || !escalation.nextEffectiveDate || !(escalation.everyMonths > 0)) {
+    return created;
+  }
+
+  const noticeDays = escalation.noticeDays !== undefined && escalation.noticeDays !== null
+    ? escalation.noticeDays
+    : DEFAULT_ESCALATION_NOTICE_DAYS;
+
+  for (let i = 0; i < MAX_ESCALATIONS_PER_RUN; i++) {
+    const effective = moment(escalation.nextEffectiveDate).startOf('day');
+    if (effective.clone().subtract(noticeDays, 'days').isAfter(moment(asOf), 'day')) break;
+    if (accommodation.moveOutDate && effective.isAfter(accommodation.moveOutDate)) break;
+
+    // Move the schedule on first so getRentForDate does not project this escalation twice
+    escalation.nextEffectiveDate = effective.clone().add(escalation.everyMonths, 'months').toDate();
+
+    const alreadyRevised = getActiveRevisions(accommodation).some(r => moment(r.effectiveDate).isSame(effective, 'day'));
+    if (alreadyRevised) continue;
+
+    const result = addRentRevision(accommodation, {
+      effectiveDate: effective.toDate(),
+      changeType: escalation.changeType,
+      changeValue: escalation.value,
+      roundTo: escalation.roundTo,
+      reason: `Scheduled escalation of ${escalation.changeType === 'Percentage' ? `${escalation.value}%` : formatAmount(escalation.value)} every ${escalation.everyMonths} months`,
+      source: 'Escalation',
+      createdBy: 'system',
+      asOf
+    });
+    if (result.revision) created.push(result.revision);
+  }
+
+  return created;
+};
+
+/**
+ * Tell the tenant about an upcoming (or just applied) rent revision
+ */
+const notifyRentRevision = async (tenant, accommodation, revision, asOf = new Date()) => {
+  const upcoming = moment(revision.effectiveDate).isAfter(moment(asOf), 'day');
+  await notifyUser({
+    userId: tenant.tenantId,
+    mobile: tenant.mobile,
+    email: tenant.email,
+    type: 'rent_revision',
+    title: upcoming ? 'Upcoming rent revision' : 'Rent revised',
+    message: `Your rent at ${accommodation.propertyName || 'your property'} ${upcoming ? 'will change' : 'has changed'} `
+      + `from ${formatAmount(revision.previousRent)} to ${formatAmount(revision.newRent)} `
+      + `${upcoming ? 'from' : 'with effect from'} ${formatDate(revision.effectiveDate)}.`
+      + `${revision.reason ? ` Reason: ${revision.reason}` : ''}`,
+    data: {
+      revisionId: revision.revisionId,
+      propertyId: accommodation.propertyId,
+      localTenantId: accommodation.localTenantId,
+      effectiveDate: revision.effectiveDate,
+      previousRent: revision.previousRent,
+      newRent: revision.newRent
+    }
+  });
+};
+
+/**
+ * Notify the tenant of a revision that is already saved and record that they were told
+ */
+const notifySavedRevision = async (tenant, accommodation, revision, asOf = new Date()) => {
+  try {
+    await notifyRentRevision(tenant, accommodation, revision, asOf);
+    await Tenant.updateOne(
+      { _id: tenant._id },
+      { $set: { 'accommodations.$[acc].rentRevisions.$[rev].notifiedAt': asOf } },
+      { arrayFilters: [{ 'acc.localTenantId': accommodation.localTenantId }, { 'rev.revisionId': revision.revisionId }] }
+    );
+  } catch (error) {
+    // The daily run retries revisions without notifiedAt
+    console.error(`Error notifying rent revision ${revision.revisionId}:`, error.message);
+  }
+};
+
+/**
+ * Notify the tenant of revisions they have not been told about yet (in memory, caller saves)
+ * @returns {Promise<Number>} - Notifications sent
+ */
+const notifyPendingRevisions = async (tenant, accommodation, asOf = new Date()) => {
+  let sent = 0;
+  for (const revision of accommodation.rentRevisions || []) {
+    if (revision.status !== 'Scheduled' || revision.notifiedAt) continue;
+    try {
+      await notifyRentRevision(tenant, accommodation, revision, asOf);
+      revision.notifiedAt = asOf;
+      sent++;
+    } catch (error) {
+      console.error(`Error notifying rent revision ${revision.revisionId}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Rent history and upcoming changes of an accommodation
+ * @param {Object} accommodation - Tenant accommodation
+ * @param {Object} options - { months } - How far ahead to project escalations, default 24
+ * @returns {Object}
+ */
+const getRentSchedule = (accommodation, { months = 24, asOf = new Date() } = {}) => {
+  const revisions = (accommodation.rentRevisions || [])
+    .slice()
+    .sort((a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate));
+
+  const projected = [];
+  const escalation = accommodation.rentEscalation;
+  if (escalation && escalation.enabled && escalation.nextEffectiveDate && escalation.everyMonths > 0) {
+    const until = moment(asOf).add(months, 'months');
+    const next = moment(escalation.nextEffectiveDate);
+    while (next.isSameOrBefore(until) && (!accommodation.moveOutDate || next.isSameOrBefore(accommodation.moveOutDate))) {
+      projected.push({
+        effectiveDate: next.toDate(),
+        previousRent: getRentForDate(accommodation, moment(next).subtract(1, 'day')),
+        newRent: getRentForDate(accommodation, next)
+      });
+      next.add(escalation.everyMonths, 'months');
+    }
+  }
+
+  return {
+    localTenantId: accommodation.localTenantId,
+    propertyId: accommodation.propertyId,
+    propertyName: accommodation.propertyName,
+    currentRent: getRentForDate(accommodation, asOf),
+    escalation: escalation && escalation.enabled ? escalation : null,
+    upcoming: revisions.filter(r => r.status === 'Scheduled').reverse(),
+    projectedEscalations: projected,
+    history: revisions
+  };
+};
+
+/**
+ * Materialise escalations, notify tenants and apply revisions that have come into force
+ * @param {Object} options - { asOf }
+ * @returns {Promise<Object>} - { tenants, escalations, applied, notified, conflicts }
+ */
+const runRentRevisions = async ({ asOf = new Date() } = {}) => {
+  const summary = { tenants: 0, escalations: 0, applied: 0, notified: 0, conflicts: 0 };
+  const landlordsToClear = new Set();
+
+  const cursor = Tenant.find({
+    accommodations: {
+      $elemMatch: {
+        isActive: true,
+        $or: [{ 'rentEscalation.enabled': true }, { 'rentRevisions.status': 'Scheduled' }]
+      }
+    }
+  }).cursor();
+
+  for (let tenant = await cursor.next(); tenant != null; tenant = await cursor.next()) {
+    let changed = false;
+    for (const accommodation of tenant.accommodations) {
+      if (!accommodation.isActive) continue;
+
+      const escalations = materializeEscalations(accommodation, asOf);
+      const notified = await notifyPendingRevisions(tenant, accommodation, asOf);
+      const applied = applyDueRevisions(accommodation, asOf);
+
+      if (escalations.length || applied.length || notified) {
+        summary.escalations += escalations.length;
+        summary.applied += applied.length;
+        summary.notified += notified;
+        landlordsToClear.add(accommodation.landlordId.toString());
+        changed = true;
+      }
+    }
+    if (!changed) continue;
+
+    try {
+      tenant.increment();
+      await tenant.save();
+      summary.tenants++;
+      await setCache(`tenant:${tenant.tenantId}`, null, 1);
+    } catch (error) {
+      // Changed by a landlord meanwhile; the next run picks it up again
+      if (error.name !== 'VersionError') throw error;
+      summary.conflicts++;
+    }
+  }
+
+  for (const id of landlordsToClear) {
+    await setCache(`landlord:tenants:${id}`, null, 1);
+  }
+
+  return summary;
+};
+
+/**
+ * Schedule the daily rent revision run
+ */
+const setupRentRevisionScheduler = () => {
+  scheduleJob('rent-revisions', RENT_REVISION_INTERVAL_MS, async () => {
+    const summary = await runRentRevisions();
+    console.log(`Rent revisions: ${summary.escalations} escalations scheduled, ${summary.applied} applied, ${summary.notified} tenants notified`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  RENT_CHANGE_TYPES,
+  DEFAULT_ESCALATION_NOTICE_DAYS,
+  calculateRevisedRent,
+  getRentForDate,
+  getNextEscalationDate,
+  addRentRevision,
+  cancelRentRevision,
+  applyDueRevisions,
+  materializeEscalations,
+  notifyPendingRevisions,
+  notifySavedRevision,
+  getRentSchedule,
+  runRentRevisions,
+  setupRentRevisionScheduler
+};
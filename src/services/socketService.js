@@ -263,5 +263,6 @@ const sendReelNotification = async (notification) => {
 
 module.exports = {
   initializeSocketIO,
+  sendNotification,
   sendReelNotification
 };
@@ -0,0 +1,192 @@
+/**
+ * Subscription Change Service
+ * Prorates plan upgrades and downgrades by the days left in the current period,
+ * and schedules downgrades that do not fit current usage for the end of the period.
+ */
+
+const moment = require('moment');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { getLandlordUsage } = require('./subscriptionQuotaService');
+
+const CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add one billing cycle to a date
+ * @param {Date} date
+ * @param {String} cycle - 'monthly' | 'quarterly' | 'yearly'
+ * @returns {Date}
+ */
+const addBillingCycle = (date, cycle) => moment(date).add(CYCLE_MONTHS[cycle] || 1, 'months').toDate();
+
+/**
+ * Decide whether moving to a plan is an upgrade or a downgrade
+ * Price decides; equal prices fall back to the property limit
+ * @returns {String} - 'upgrade' | 'downgrade'
+ */
+const getChangeType = (currentPlan, newPlan) => {
+  if (!currentPlan) return 'upgrade';
+  if (newPlan.price !== currentPlan.price) {
+    return newPlan.price > currentPlan.price ? 'upgrade' : 'downgrade';
+  }
+  return newPlan.property_limit >= currentPlan.property_limit ? 'upgrade' : 'downgrade';
+};
+
+/**
+ * Prorate a plan change
+ * The unused days of the current period are credited at the current plan's price; the credit
+ * is taken off the new plan's price, and any credit left over extends the new period.
+ * @param {Object} subscription - Active subscription
+ * @param {Object} currentPlan - Current SubscriptionPlan (may be null if deleted)
+ * @param {Object} newPlan - Target SubscriptionPlan
+ * @param {String} billingCycle - Billing cycle for the new plan
+ * @param {Date} now
+ * @returns {Object}
+ */
+const calculateProration = (subscription, currentPlan, newPlan, billingCycle, now = new Date()) => {
+  const endDate = subscription.end_date;
+  const remainingDays = Math.max(0, Math.ceil((endDate - now) / DAY_MS));
+  const periodStart = moment(endDate).subtract(CYCLE_MONTHS[subscription.billing_cycle] || 1, 'months');
+  const periodDays = Math.max(1, moment(endDate).diff(periodStart, 'days'));
+
+  const currentPrice = currentPlan ? currentPlan.price : subscription.amount;
+  const credit = roundAmount(currentPrice * remainingDays / periodDays);
+  const amountDue = roundAmount(Math.max(0, newPlan.price - credit));
+  const unusedCredit = roundAmount(Math.max(0, credit - newPlan.price));
+
+  const cycleEnd = addBillingCycle(now, billingCycle);
+  const newPeriodDays = Math.max(1, Math.round((cycleEnd - now) / DAY_MS));
+  const bonusDays = unusedCredit > 0 && newPlan.price > 0
+    ? Math.floor(unusedCredit / newPlan.price * newPeriodDays)
+    : 0;
+
+  return {
+    remainingDays,
+    periodDays,
+    currentPrice,
+    credit,
+    newPrice: newPlan.price,
+    amountDue,
+    unusedCredit,
+    bonusDays,
+    newStartDate: now,
+    newEndDate: moment(cycleEnd).add(bonusDays, 'days').toDate()
+  };
+};
+
+/**
+ * Limits a subscription has on a new plan
+ * Capacity bought as top-ups (the subscription's limits beyond its current plan's own) is
+ * carried over on top of the new plan's limits. Without the current plan nothing is carried.
+ * @param {Object} subscription - Subscription being changed
+ * @param {Object} currentPlan - Current SubscriptionPlan (may be null if deleted)
+ * @param {Object} newPlan - Target SubscriptionPlan
+ * @returns {Object} - { property_limit, reel_limit }
+ */
+const getPlanLimits = (subscription, currentPlan, newPlan) => {
+  const extra = (field) => (currentPlan ? Math.max(0, (subscription[field] || 0) - (currentPlan[field] || 0)) : 0);
+  return {
+    property_limit: newPlan.property_limit + extra('property_limit'),
+    reel_limit: (newPlan.reel_limit || 0) + extra('reel_limit')
+  };
+};
+
+/**
+ * Check whether the landlord's current usage fits a plan's limits
+ * @param {String} landlordId
+ * @param {Object} plan - SubscriptionPlan
+ * @param {Object} limits - { property_limit, reel_limit } to check instead of the plan's own, see getPlanLimits
+ * @returns {Promise<Object>} - { fits, properties: { used, limit }, reels: { used, limit } }
+ */
+const checkUsageFitsPlan = async (landlordId, plan, limits = plan) => {
+  const usage = await getLandlordUsage(landlordId);
+  const properties = { used: usage.properties.used, limit: limits.property_limit };
+  const reels = { used: usage.reels.used, limit: limits.reel_limit };
+
+  return {
+    fits: properties.used <= properties.limit && reels.used <= reels.limit,
+    properties,
+    reels
+  };
+};
+
+/**
+ * Switch a subscription to a new plan now (in memory, caller saves)
+ * @param {Object} subscription - Subscription document
+ * @param {Object} newPlan - Target SubscriptionPlan
+ * @param {Object} options - { type, billingCycle, proration, payment, coupon, currentPlan, now }
+ *   coupon is { code, original_amount, discount_amount, final_amount } when a coupon was applied to the amount due;
+ *   currentPlan is the plan being left, used to carry top-up capacity over
+ */
+const applyPlanChange = (subscription, newPlan, { type, billingCycle, proration, payment = {}, coupon, currentPlan, now = new Date() }) => {
+  const amountCharged = coupon ? coupon.final_amount : proration.amountDue;
+  const limits = getPlanLimits(subscription, currentPlan, newPlan);
+
+  subscription.plan_id = newPlan._id;
+  subscription.plan_name = newPlan.name;
+  subscription.property_limit = limits.property_limit;
+  subscription.reel_limit = limits.reel_limit;
+  subscription.billing_cycle = billingCycle;
+  subscription.start_date = proration.newStartDate;
+  subscription.end_date = proration.newEndDate;
+  subscription.amount = roundAmount((subscription.amount || 0) + amountCharged);
+  subscription.scheduled_change = undefined;
+  subscription.reminders_sent = [];
+
+  subscription.payment_history.push({
+    plan_id: newPlan._id,
+    plan_name: newPlan.name,
+    amount: amountCharged,
+    billing_cycle: billingCycle,
+    paid_at: now,
+    payment,
+    type,
+    status: 'success',
+    proration,
+    coupon: coupon
+      ? { code: coupon.code, original_amount: coupon.original_amount, discount_amount: coupon.discount_amount }
+      : undefined
+  });
+};
+
+/**
+ * Record a downgrade to take effect when the current period ends (in memory, caller saves)
+ */
+const scheduleDowngrade = (subscription, newPlan, billingCycle, now = new Date()) => {
+  subscription.scheduled_change = {
+    plan_id: newPlan._id,
+    plan_name: newPlan.name,
+    billing_cycle: billingCycle,
+    effective_at: subscription.end_date,
+    requested_at: now
+  };
+};
+
+/**
+ * Load the plan a scheduled change points to, if any
+ * @returns {Promise<Object|null>}
+ */
+const getScheduledPlan = async (subscription) => {
+  if (!subscription.scheduled_change || !subscription.scheduled_change.plan_id) {
+    return null;
+  }
+  return SubscriptionPlan.findById(subscription.scheduled_change.plan_id);
+};
+
+module.exports = {
+  addBillingCycle,
+  getChangeType,
+  calculateProration,
+  getPlanLimits,
+  checkUsageFitsPlan,
+  applyPlanChange,
+  scheduleDowngrade,
+  getScheduledPlan
+};
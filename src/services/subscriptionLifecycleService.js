@@ -0,0 +1,464 @@
+/**
+ * Subscription Lifecycle Service
+ * Sends expiry reminders, attempts auto-renewal, expires subscriptions past end_date
+ * and, after a grace period, deactivates properties beyond the landlord's quota.
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const Landlord = require('../models/Landlord');
+const Property = require('../models/Property');
+const { getRazorpayClient } = require('./razorpayClient');
+const { resolveActiveSubscription, getResourceLimit } = require('./subscriptionQuotaService');
+const { addBillingCycle, getScheduledPlan, getPlanLimits } = require('./subscriptionChangeService');
+const { notifyUser } = require('./userNotificationService');
+const { scheduleJob } = require('./jobScheduler');
+
+// Days before end_date when reminders go out
+const REMINDER_DAYS = [7, 3, 1];
+
+// Days after expiry before properties over quota are deactivated
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 7;
+
+// Properties a landlord keeps without an active subscription
+const FREE_PROPERTY_LIMIT = parseInt(process.env.SUBSCRIPTION_FREE_PROPERTY_LIMIT, 10) || 0;
+
+// Auto-renewal starts this long before end_date and is retried once a day
+const RENEWAL_LEAD_HOURS = 24;
+const RENEWAL_RETRY_HOURS = 24;
+const RENEWAL_MAX_ATTEMPTS = 3;
+
+const LIFECYCLE_INTERVAL_MS = 60 * 60 * 1000;
+
+const QUOTA_DEACTIVATION_REASON = 'subscription_quota';
+
+const sameDate = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+const getLandlordContact = (landlordId) => Landlord.findById(landlordId).select('name mobile email');
+
+/**
+ * Notify a landlord about their subscription
+ */
+const notifyLandlord = async (landlord, type, title, message, data = {}) => {
+  if (!landlord) return null;
+  return notifyUser({
+    userId: landlord._id,
+    type,
+    title,
+    message,
+    data,
+    mobile: landlord.mobile,
+    email: landlord.email
+  });
+};
+
+/**
+ * Send 7/3/1-day expiry reminders for active subscriptions
+ * Only the closest pending reminder is sent, so a late first run does not send all three
+ * @param {Date} now
+ * @returns {Promise<Number>} - Reminders sent
+ */
+const sendExpiryReminders = async (now) => {
+  let sent = 0;
+  const windowEnd = moment(now).add(Math.max(...REMINDER_DAYS), 'days').toDate();
+
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    end_date: { $gt: now, $lte: windowEnd }
+  });
+
+  for (const subscription of subscriptions) {
+    const daysLeft = Math.ceil((subscription.end_date - now) / (24 * 60 * 60 * 1000));
+    const due = REMINDER_DAYS.filter(days => daysLeft <= days);
+    const alreadySent = subscription.reminders_sent
+      .filter(r => sameDate(r.end_date, subscription.end_date))
+      .map(r => r.days_before);
+
+    const pending = due.filter(days => !alreadySent.includes(days));
+    if (pending.length === 0) continue;
+
+    // Claim the reminders first so a concurrent run cannot send them twice
+    const claimed = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        reminders_sent: { $not: { $elemMatch: { days_before: Math.min(...pending), end_date: subscription.end_date } } }
+      },
+      {
+        $push: {
+          reminders_sent: {
+            $each: pending.map(days => ({ days_before: days, end_date: subscription.end_date, sent_at: now }))
+          }
+        }
+      }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const landlord = await getLandlordContact(subscription.landlordId);
+    const endDate = moment(subscription.end_date).format('DD MMM YYYY');
+    const message = subscription.auto_renew
+      ? `Your ${subscription.plan_name} subscription will auto-renew on ${endDate} (${daysLeft} day${daysLeft === 1 ? '' : 's'} left).`
+      : `Your ${subscription.plan_name} subscription expires on ${endDate} (${daysLeft} day${daysLeft === 1 ? '' : 's'} left). Renew to keep your properties listed.`;
+
+    await notifyLandlord(landlord, 'subscription_expiring', 'Subscription expiring soon', message, {
+      subscriptionId: subscription._id,
+      endDate: subscription.end_date,
+      daysLeft,
+      autoRenew: subscription.auto_renew
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Charge a renewal through the saved Razorpay mandate
+ * @returns {Promise<Object>} - { status, payment, reason }
+ */
+const chargeRenewal = async (subscription, plan, landlord) => {
+  const { customer_id: customerId, token_id: tokenId } = subscription.payment || {};
+  if (!customerId || !tokenId) {
+    return { status: 'failed', reason: 'No saved payment method for auto-renewal' };
+  }
+
+  try {
+    const client = getRazorpayClient();
+    const amount = Math.round(plan.price * 100);
+
+    const order = await client.orders.create({
+      amount,
+      currency: plan.currency || 'INR',
+      receipt: `SUB-${subscription._id.toString().slice(-8)}-${Date.now().toString(36)}`.toUpperCase(),
+      payment_capture: 1,
+      notes: { subscriptionId: subscription._id.toString(), type: 'renewal' }
+    });
+
+    // Recurring payments on an auto-capture order are captured by Razorpay
+    const result = await client.payments.createRecurringPayment({
+      email: landlord && landlord.email,
+      contact: landlord && landlord.mobile,
+      amount,
+      currency: plan.currency || 'INR',
+      order_id: order.id,
+      customer_id: customerId,
+      token: tokenId,
+      recurring: '1',
+      description: `${plan.name} subscription renewal`
+    });
+
+    return {
+      status: 'success',
+      payment: {
+        provider: 'razorpay',
+        order_id: order.id,
+        payment_id: result.razorpay_payment_id,
+        payment_status: 'success'
+      }
+    };
+  } catch (error) {
+    const reason = (error.error && error.error.description) || error.message || 'Renewal payment failed';
+    return { status: 'failed', reason };
+  }
+};
+
+/**
+ * Attempt auto-renewal for subscriptions ending within RENEWAL_LEAD_HOURS or expired
+ * within the grace period. Each attempt is recorded in payment_history, as pending before
+ * the mandate is charged so only one instance charges a period. An attempt left pending
+ * (the process stopped mid-charge) is not retried and has to be checked against Razorpay.
+ * @param {Date} now
+ * @returns {Promise<Object>} - { attempted, renewed, failed }
+ */
+const attemptAutoRenewals = async (now) => {
+  const summary = { attempted: 0, renewed: 0, failed: 0 };
+
+  const subscriptions = await Subscription.find({
+    auto_renew: true,
+    status: { $in: ['active', 'expired'] },
+    end_date: {
+      $lte: moment(now).add(RENEWAL_LEAD_HOURS, 'hours').toDate(),
+      $gte: moment(now).subtract(GRACE_PERIOD_DAYS, 'days').toDate()
+    }
+  });
+
+  for (const subscription of subscriptions) {
+    const attempts = subscription.payment_history.filter(entry =>
+      entry.type === 'renewal' && sameDate(entry.period_end, subscription.end_date)
+    );
+    if (attempts.some(entry => ['success', 'pending'].includes(entry.status))) continue;
+    if (attempts.length >= RENEWAL_MAX_ATTEMPTS) continue;
+
+    const lastAttempt = attempts[attempts.length - 1];
+    if (lastAttempt && moment(now).diff(lastAttempt.attempted_at, 'hours') < RENEWAL_RETRY_HOURS) continue;
+
+    // A scheduled downgrade takes effect with the renewal
+    const scheduledPlan = await getScheduledPlan(subscription);
+    const currentPlan = await SubscriptionPlan.findById(subscription.plan_id);
+    const plan = scheduledPlan || currentPlan;
+    // Top-up capacity is kept across the downgrade
+    const scheduledLimits = scheduledPlan ? getPlanLimits(subscription, currentPlan, scheduledPlan) : null;
+    const billingCycle = scheduledPlan
+      ? subscription.scheduled_change.billing_cycle || subscription.billing_cycle
+      : subscription.billing_cycle;
+    const landlord = await getLandlordContact(subscription.landlordId);
+
+    const periodEnd = subscription.end_date;
+    const attempt = {
+      _id: new mongoose.Types.ObjectId(),
+      plan_id: plan ? plan._id : subscription.plan_id,
+      plan_name: plan ? plan.name : subscription.plan_name,
+      amount: plan ? plan.price : subscription.amount,
+      billing_cycle: billingCycle,
+      payment: null,
+      type: 'renewal',
+      status: 'pending',
+      attempted_at: now,
+      period_end: periodEnd
+    };
+
+    // Claim the attempt before charging so two instances cannot charge the same period
+    const claimed = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        end_date: periodEnd,
+        payment_history: {
+          $not: {
+            $elemMatch: {
+              type: 'renewal',
+              period_end: periodEnd,
+              $or: [
+                { status: { $in: ['success', 'pending'] } },
+                { attempted_at: { $gt: moment(now).subtract(RENEWAL_RETRY_HOURS, 'hours').toDate() } }
+              ]
+            }
+          }
+        }
+      },
+      { $push: { payment_history: attempt } }
+    );
+    if (!claimed.modifiedCount) continue;
+    summary.attempted++;
+
+    const result = plan && plan.is_active
+      ? await chargeRenewal(subscription, plan, landlord)
+      : { status: 'failed', reason: 'Subscription plan is no longer available' };
+
+    const update = {
+      $set: {
+        'payment_history.$[attempt].status': result.status,
+        'payment_history.$[attempt].payment': result.payment || null,
+        'payment_history.$[attempt].failure_reason': result.reason
+      }
+    };
+    const options = { arrayFilters: [{ 'attempt._id': attempt._id }] };
+    if (result.status === 'success') {
+      Object.assign(update.$set, {
+        'payment_history.$[attempt].paid_at': now,
+        status: 'active',
+        end_date: addBillingCycle(periodEnd > now ? periodEnd : now, billingCycle),
+        'payment.order_id': result.payment.order_id,
+        'payment.payment_id': result.payment.payment_id,
+        'payment.payment_status': 'success',
+        'payment.paid_at': now,
+        expired_at: null,
+        quota_enforced_at: null
+      });
+      if (scheduledPlan) {
+        Object.assign(update.$set, {
+          plan_id: scheduledPlan._id,
+          plan_name: scheduledPlan.name,
+          property_limit: scheduledLimits.property_limit,
+          reel_limit: scheduledLimits.reel_limit,
+          billing_cycle: billingCycle
+        });
+        update.$unset = { scheduled_change: 1 };
+      }
+    }
+
+    const filter = result.status === 'success' ? { _id: subscription._id, end_date: periodEnd } : { _id: subscription._id };
+    const applied = await Subscription.updateOne(filter, update, options);
+    if (!applied.modifiedCount && result.status === 'success') {
+      // The end date moved during the charge (e.g. a manual renewal); the charge still buys a cycle
+      const current = await Subscription.findById(subscription._id).select('end_date');
+      update.$set.end_date = addBillingCycle(current.end_date > now ? current.end_date : now, billingCycle);
+      await Subscription.updateOne({ _id: subscription._id }, update, options);
+    }
+
+    if (result.status === 'success') {
+      summary.renewed++;
+      if (scheduledPlan) {
+        // The landlord was told at scheduling time that extra properties would be hidden
+        await deactivatePropertiesOverQuota(subscription.landlordId, scheduledLimits.property_limit, now);
+      }
+      await notifyLandlord(landlord, 'subscription_renewed', 'Subscription renewed',
+        `Your ${attempt.plan_name} subscription has been renewed until ${moment(update.$set.end_date).format('DD MMM YYYY')}.`,
+        { subscriptionId: subscription._id, endDate: update.$set.end_date });
+    } else {
+      summary.failed++;
+      await notifyLandlord(landlord, 'subscription_renewal_failed', 'Subscription renewal failed',
+        `We could not renew your ${subscription.plan_name} subscription: ${result.reason}. Please renew manually to avoid interruption.`,
+        { subscriptionId: subscription._id, reason: result.reason });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Mark active subscriptions past end_date as expired
+ * @param {Date} now
+ * @returns {Promise<Number>} - Subscriptions expired
+ */
+const expireSubscriptions = async (now) => {
+  let expired = 0;
+  const subscriptions = await Subscription.find({ status: 'active', end_date: { $lte: now } });
+
+  for (const subscription of subscriptions) {
+    const result = await Subscription.updateOne(
+      { _id: subscription._id, status: 'active', end_date: { $lte: now } },
+      // A scheduled downgrade lapses with the subscription
+      { $set: { status: 'expired', expired_at: now }, $unset: { scheduled_change: 1 } }
+    );
+    if (!result.modifiedCount) continue;
+    expired++;
+
+    const landlord = await getLandlordContact(subscription.landlordId);
+    const graceEnd = moment(now).add(GRACE_PERIOD_DAYS, 'days').format('DD MMM YYYY');
+    await notifyLandlord(landlord, 'subscription_expired', 'Subscription expired',
+      `Your ${subscription.plan_name} subscription has expired. Renew before ${graceEnd} to keep all your properties listed.`,
+      { subscriptionId: subscription._id, graceEndsAt: graceEnd });
+  }
+
+  return expired;
+};
+
+/**
+ * Deactivate a landlord's newest properties beyond a limit
+ * @returns {Promise<Array>} - Deactivated properties
+ */
+const deactivatePropertiesOverQuota = async (landlordId, limit, now) => {
+  const activeProperties = await Property.find({ landlordId, isActive: { $ne: false } })
+    .sort({ createdAt: 1 })
+    .select('_id name');
+
+  const excess = activeProperties.slice(Math.max(0, limit));
+  if (excess.length === 0) return [];
+
+  await Property.updateMany(
+    { _id: { $in: excess.map(p => p._id) } },
+    { $set: { isActive: false, deactivatedReason: QUOTA_DEACTIVATION_REASON, deactivatedAt: now } }
+  );
+
+  return excess;
+};
+
+/**
+ * Deactivate properties over quota for subscriptions whose grace period has ended
+ * @param {Date} now
+ * @returns {Promise<Number>} - Properties deactivated
+ */
+const enforceExpiredQuotas = async (now) => {
+  let deactivated = 0;
+  const graceCutoff = moment(now).subtract(GRACE_PERIOD_DAYS, 'days').toDate();
+
+  const subscriptions = await Subscription.find({
+    status: 'expired',
+    expired_at: { $lte: graceCutoff },
+    quota_enforced_at: null
+  });
+
+  for (const subscription of subscriptions) {
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, quota_enforced_at: null },
+      { $set: { quota_enforced_at: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    // A newer subscription keeps its own limits
+    if (await resolveActiveSubscription(subscription.landlordId)) continue;
+
+    const properties = await deactivatePropertiesOverQuota(subscription.landlordId, FREE_PROPERTY_LIMIT, now);
+    if (properties.length === 0) continue;
+    deactivated += properties.length;
+
+    const landlord = await getLandlordContact(subscription.landlordId);
+    await notifyLandlord(landlord, 'subscription_properties_hidden', 'Properties hidden',
+      `${properties.length} of your properties have been hidden because your subscription expired. Renew to list them again.`,
+      { subscriptionId: subscription._id, propertyIds: properties.map(p => p._id) });
+  }
+
+  return deactivated;
+};
+
+/**
+ * Reactivate properties hidden by the quota job once the landlord has room again
+ * @param {String} landlordId - Optional, limit to one landlord
+ * @returns {Promise<Number>} - Properties reactivated
+ */
+const restoreQuotaProperties = async (landlordId) => {
+  let restored = 0;
+  const landlordIds = landlordId
+    ? [landlordId]
+    : await Property.distinct('landlordId', { deactivatedReason: QUOTA_DEACTIVATION_REASON });
+
+  for (const id of landlordIds) {
+    const subscription = await resolveActiveSubscription(id);
+    if (!subscription) continue;
+
+    const limit = getResourceLimit(subscription, 'property');
+    const activeCount = await Property.countDocuments({ landlordId: id, isActive: { $ne: false } });
+    const room = limit - activeCount;
+    if (room <= 0) continue;
+
+    const hidden = await Property.find({ landlordId: id, isActive: false, deactivatedReason: QUOTA_DEACTIVATION_REASON })
+      .sort({ createdAt: 1 })
+      .limit(room)
+      .select('_id');
+    if (hidden.length === 0) continue;
+
+    await Property.updateMany(
+      { _id: { $in: hidden.map(p => p._id) } },
+      { $set: { isActive: true, deactivatedReason: null, deactivatedAt: null } }
+    );
+    restored += hidden.length;
+  }
+
+  return restored;
+};
+
+/**
+ * Run all lifecycle steps once
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>}
+ */
+const runSubscriptionLifecycle = async ({ now = new Date() } = {}) => {
+  const reminders = await sendExpiryReminders(now);
+  const renewals = await attemptAutoRenewals(now);
+  const expired = await expireSubscriptions(now);
+  const deactivated = await enforceExpiredQuotas(now);
+  const restored = await restoreQuotaProperties();
+
+  return { reminders, renewals, expired, deactivated, restored };
+};
+
+/**
+ * Schedule the hourly subscription lifecycle job
+ */
+const setupSubscriptionLifecycleScheduler = () => {
+  scheduleJob('subscription-lifecycle', LIFECYCLE_INTERVAL_MS, async () => {
+    const summary = await runSubscriptionLifecycle();
+    console.log(`Subscription lifecycle: ${summary.reminders} reminders, ${summary.renewals.renewed}/${summary.renewals.attempted} renewed, ${summary.expired} expired, ${summary.deactivated} properties hidden, ${summary.restored} restored`);
+    return summary;
+  }, { runOnStart: true });
+};
+
+module.exports = {
+  REMINDER_DAYS,
+  GRACE_PERIOD_DAYS,
+  addBillingCycle,
+  runSubscriptionLifecycle,
+  restoreQuotaProperties,
+  setupSubscriptionLifecycleScheduler
+};
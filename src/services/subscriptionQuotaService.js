@@ -0,0 +1,160 @@
+/**
+ * Subscription Quota Service
+ * Resolves a landlord's active subscription and checks property/reel usage against the plan limits
+ */
+
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Property = require('../models/Property');
+const { Reel } = require('../models/Reel');
+
+// Resource types that are limited by a subscription plan
+const QUOTA_RESOURCES = {
+  property: {
+    limitField: 'property_limit',
+    label: 'properties',
+    countUsage: (landlordId) => Property.countDocuments({
+      landlordId,
+      isActive: { $ne: false }
+    })
+  },
+  reel: {
+    limitField: 'reel_limit',
+    label: 'reels',
+    countUsage: (landlordId) => Reel.countDocuments({
+      landlordId,
+      status: { $in: ['active', 'processing'] }
+    })
+  }
+};
+
+const UPGRADE_PLANS_URL = '/api/subscription-plans/public/available';
+
+/**
+ * Find the active, non-expired subscription for a landlord
+ * @param {String} landlordId - The ID of the landlord
+ * @returns {Promise<Object|null>} - Subscription document with plan populated, or null
+ */
+const resolveActiveSubscription = async (landlordId) => {
+  if (!mongoose.Types.ObjectId.isValid(landlordId)) {
+    return null;
+  }
+
+  return Subscription.findOne({
+    landlordId,
+    status: 'active',
+    end_date: { $gt: new Date() }
+  })
+    .populate('plan_id')
+    .sort({ end_date: -1 });
+};
+
+/**
+ * Get the limit for a resource from a subscription
+ * Falls back to the plan limit for subscriptions created before the limit was stored on the subscription
+ * @param {Object} subscription - Subscription document
+ * @param {String} resource - 'property' or 'reel'
+ * @returns {Number}
+ */
+const getResourceLimit = (subscription, resource) => {
+  const { limitField } = QUOTA_RESOURCES[resource];
+
+  if (subscription[limitField]) {
+    return subscription[limitField];
+  }
+
+  const plan = subscription.plan_id;
+  return plan && plan[limitField] ? plan[limitField] : 0;
+};
+
+/**
+ * Get current usage and limits for all limited resources
+ * @param {String} landlordId - The ID of the landlord
+ * @returns {Promise<Object>} - { subscription, properties: { used, limit, remaining }, reels: { ... } }
+ */
+const getLandlordUsage = async (landlordId) => {
+  const subscription = await resolveActiveSubscription(landlordId);
+
+  const usage = {
+    hasActiveSubscription: !!subscription,
+    subscription: subscription ? {
+      id: subscription._id,
+      planId: subscription.plan_id ? subscription.plan_id._id || subscription.plan_id : null,
+      planName: subscription.plan_name,
+      billingCycle: subscription.billing_cycle,
+      endDate: subscription.end_date
+    } : null
+  };
+
+  for (const resource of Object.keys(QUOTA_RESOURCES)) {
+    const { label, countUsage } = QUOTA_RESOURCES[resource];
+    const used = await countUsage(landlordId);
+    const limit = subscription ? getResourceLimit(subscription, resource) : 0;
+
+    usage[label] = {
+      used,
+      limit,
+      remaining: Math.max(0, limit - used)
+    };
+  }
+
+  return usage;
+};
+
+/**
+ * Check whether a landlord can create one more of the given resource
+ * @param {String} landlordId - The ID of the landlord
+ * @param {String} resource - 'property' or 'reel'
+ * @returns {Promise<Object>} - { allowed: boolean, statusCode?: number, body?: object }
+ */
+const checkQuota = async (landlordId, resource) => {
+  const { label, countUsage } = QUOTA_RESOURCES[resource];
+  const subscription = await resolveActiveSubscription(landlordId);
+
+  if (!subscription) {
+    return {
+      allowed: false,
+      statusCode: 402,
+      body: {
+        success: false,
+        message: `An active subscription is required to add ${label}`,
+        error: 'SUBSCRIPTION_REQUIRED',
+        quota: { resource, used: await countUsage(landlordId), limit: 0 },
+        upgrade: {
+          message: 'Purchase a subscription plan to continue',
+          plansUrl: UPGRADE_PLANS_URL
+        }
+      }
+    };
+  }
+
+  const used = await countUsage(landlordId);
+  const limit = getResourceLimit(subscription, resource);
+
+  if (used >= limit) {
+    return {
+      allowed: false,
+      statusCode: 403,
+      body: {
+        success: false,
+        message: `You have used ${used} of ${limit} ${label} allowed on the ${subscription.plan_name} plan`,
+        error: 'QUOTA_EXCEEDED',
+        quota: { resource, used, limit, planName: subscription.plan_name },
+        upgrade: {
+          message: `Upgrade your subscription plan to add more ${label}`,
+          plansUrl: UPGRADE_PLANS_URL
+        }
+      }
+    };
+  }
+
+  return { allowed: true, used, limit };
+};
+
+module.exports = {
+  QUOTA_RESOURCES,
+  resolveActiveSubscription,
+  getResourceLimit,
+  getLandlordUsage,
+  checkQuota
+};
@@ -0,0 +1,304 @@
+/**
+ * Tenant Credit Service
+ * Keeps the advance credit a tenant holds with each landlord (overpayments, advances and
+ * negative opening balances); a security deposit adjusted at move-out passes through it on its
+ * way to the bills. The balance only changes together with a ledger entry, using a guarded
+ * update on the previous balance so concurrent movements never overdraw it.
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const TenantCredit = require('../models/TenantCredit');
+
+const CREDIT_SOURCES = TenantCredit.schema.path('entries').schema.path('source').enumValues;
+
+// Attempts at a guarded balance update before giving up
+const MAX_BALANCE_RETRIES = 5;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Credit balance a tenant holds with a landlord
+ * @param {String} tenantId
+ * @param {String} landlordId
+ * @returns {Promise<Number>}
+ */
+const getCreditBalance = async (tenantId, landlordId) => {
+  const wallet = await TenantCredit.findOne({ tenantId, landlordId }).select('balance');
+  return wallet ? wallet.balance : 0;
+};
+
+/**
+ * Credit balances a tenant holds with each landlord
+ * @param {String} tenantId
+ * @returns {Promise<Array>} - [{ landlordId, balance, updatedAt }]
+ */
+const getCreditBalances = async (tenantId) => {
+  const wallets = await TenantCredit.find({ tenantId, balance: { $gt: 0 } }).select('landlordId balance updatedAt');
+  return wallets.map(wallet => ({
+    landlordId: wallet.landlordId,
+    balance: wallet.balance,
+    updatedAt: wallet.updatedAt
+  }));
+};
+
+/**
+ * Move a tenant's credit balance and log the movements together
+ * The balance may not go below zero after any of the movements.
+ * @param {Object} options - { tenantId, landlordId, movements: [{ type: 'Credit' | 'Debit', amount, source, ...entry fields }] }
+ * @returns {Promise<Object>} - { balance, entries } or { statusCode, error, balance }
+ */
+const moveCreditEntries = async ({ tenantId, landlordId, movements }) => {
+  const prepared = [];
+  for (const { type, amount, ...details } of movements) {
+    const value = roundAmount(Number(amount));
+    if (!(value > 0)) {
+      return { statusCode: 400, error: 'Credit amount must be a positive number' };
+    }
+    if (!CREDIT_SOURCES.includes(details.source)) {
+      return { statusCode: 400, error: `Credit source must be one of: ${CREDIT_SOURCES.join(', ')}` };
+    }
+    prepared.push({ ...details, type, amount: value });
+  }
+
+  for (let attempt = 0; attempt < MAX_BALANCE_RETRIES; attempt++) {
+    let wallet = await TenantCredit.findOne({ tenantId, landlordId }).select('balance');
+    if (!wallet) {
+      if (prepared[0].type === 'Debit') {
+        return { statusCode: 400, error: 'Tenant has no credit balance', balance: 0 };
+      }
+      try {
+        wallet = await TenantCredit.create({ tenantId, landlordId, balance: 0 });
+      } catch (error) {
+        // Created by a concurrent movement, read it again
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    let balanceAfter = wallet.balance;
+    const entries = [];
+    for (const movement of prepared) {
+      balanceAfter = roundAmount(movement.type === 'Credit' ? balanceAfter + movement.amount : balanceAfter - movement.amount);
+      if (balanceAfter < 0) {
+        return {
+          statusCode: 400,
+          error: `Amount exceeds the available credit of ${wallet.balance}`,
+          balance: wallet.balance
+        };
+      }
+      entries.push({ ...movement, balanceAfter, createdAt: new Date() });
+    }
+
+    const updated = await TenantCredit.findOneAndUpdate(
+      { _id: wallet._id, balance: wallet.balance },
+      { $set: { balance: balanceAfter }, $push: { entries: { $each: entries } } },
+      { new: true, projection: { balance: 1, entries: { $slice: -entries.length } } }
+    );
+    if (updated) {
+      return { balance: updated.balance, entries: updated.entries };
+    }
+  }
+
+  return { statusCode: 409, error: 'Credit balance is changing, please retry' };
+};
+
+/**
+ * Move a tenant's credit balance and log the movement
+ * @param {Object} options - { tenantId, landlordId, type: 'Credit' | 'Debit', amount, source, ...entry fields }
+ * @returns {Promise<Object>} - { balance, entry } or { statusCode, error, balance }
+ */
+const moveCredit = async ({ tenantId, landlordId, ...movement }) => {
+  const result = await moveCreditEntries({ tenantId, landlordId, movements: [movement] });
+  return result.error ? result : { balance: result.balance, entry: result.entries[0] };
+};
+
+/**
+ * Add to a tenant's credit balance
+ * @param {Object} options - { tenantId, landlordId, amount, source, paymentId, propertyId, localTenantId, note, createdBy }
+ */
+const creditTenant = (options) => moveCredit({ ...options, type: 'Credit' });
+
+/**
+ * Take from a tenant's credit balance, never below zero
+ * @param {Object} options - { tenantId, landlordId, amount, source, billId, billNumber, propertyId, note, createdBy }
+ */
+const debitTenant = (options) => moveCredit({ ...options, type: 'Debit' });
+
+/**
+ * Credit ledger of a tenant with a landlord, newest first
+ * @param {String} tenantId
+ * @param {String} landlordId
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Object>} - { balance, totalCredited, totalDebited, entries }
+ */
+const getCreditLedger = async (tenantId, landlordId, { from, to, limit = 100 } = {}) => {
+  const wallet = await TenantCredit.findOne({ tenantId, landlordId });
+  const entries = wallet ? wallet.entries.slice() : [];
+
+  const fromDate = from ? moment(from).startOf('day') : null;
+  const toDate = to ? moment(to).endOf('day') : null;
+  const inRange = entries.filter(entry =>
+    (!fromDate || moment(entry.createdAt).isSameOrAfter(fromDate)) &&
+    (!toDate || moment(entry.createdAt).isSameOrBefore(toDate))
+  );
+
+  return {
+    tenantId,
+    landlordId,
+    balance: wallet ? wallet.balance : 0,
+    totalCredited: roundAmount(inRange.filter(e => e.type === 'Credit').reduce((sum, e) => sum + e.amount, 0)),
+    totalDebited: roundAmount(inRange.filter(e => e.type === 'Debit').reduce((sum, e) => sum + e.amount, 0)),
+    count: inRange.length,
+    entries: inRange.reverse().slice(0, limit)
+  };
+};
+
+/**
+ * Part of an accommodation's opening balance not yet posted to bills or credit
+ * Positive opening balances are dues brought forward, negative ones are advance already held.
+ * @param {Object} accommodation - Tenant accommodation
+ * @returns {Number}
+ */
+const getUnpostedOpeningBalance = (accommodation) => {
+  if (!accommodation.isActive || !accommodation.openingBalance) return 0;
+  const amount = accommodation.openingBalance.amount || 0;
+  return roundAmount(amount - (accommodation.openingBalance.postedAmount || 0));
+};
+
+/**
+ * Opening balance totals of a tenant's active accommodations
+ * @param {Array} accommodations - Tenant accommodations, already filtered to a landlord if needed
+ * @returns {Object} - { total, posted, unposted, accommodations: [...] }
+ */
+const summarizeOpeningBalances = (accommodations) => {
+  const withBalance = accommodations.filter(acc =>
+    acc.isActive && acc.openingBalance && (acc.openingBalance.amount || acc.openingBalance.postedAmount));
+
+  const lines = withBalance.map(acc => ({
+    landlordId: acc.landlordId,
+    localTenantId: acc.localTenantId,
+    propertyId: acc.propertyId,
+    propertyName: acc.propertyName,
+    amount: acc.openingBalance.amount || 0,
+    posted: acc.openingBalance.postedAmount || 0,
+    unposted: getUnpostedOpeningBalance(acc),
+    startDate: acc.openingBalance.startDate,
+    endDate: acc.openingBalance.endDate,
+    postedAt: acc.openingBalance.postedAt
+  }));
+
+  return {
+    total: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+    posted: roundAmount(lines.reduce((sum, line) => sum + line.posted, 0)),
+    unposted: roundAmount(lines.reduce((sum, line) => sum + line.unposted, 0)),
+    accommodations: lines
+  };
+};
+
+/**
+ * Post the unposted part of an accommodation's opening balance
+ * Dues brought forward become an 'Other' bill; advance held becomes tenant credit.
+ * The posted amount is claimed with a guarded update so the balance is only posted once.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} accommodation - Active tenant accommodation
+ * @returns {Promise<Object|null>} - { amount, bill } | { amount, credit } | null when nothing was posted
+ */
+const postOpeningBalance = async (tenant, accommodation) => {
+  const delta = getUnpostedOpeningBalance(accommodation);
+  if (delta === 0) return null;
+
+  const previousPosted = accommodation.openingBalance.postedAmount || 0;
+  const postedAmount = accommodation.openingBalance.amount || 0;
+  const now = new Date();
+  const claim = {
+    _id: tenant._id,
+    accommodations: {
+      $elemMatch: {
+        localTenantId: accommodation.localTenantId,
+        isActive: true,
+        'openingBalance.postedAmount': previousPosted || { $in: [0, null] }
+      }
+    }
+  };
+  const arrayFilters = [{ 'acc.localTenantId': accommodation.localTenantId, 'acc.isActive': true }];
+  const markPosted = {
+    'accommodations.$[acc].openingBalance.postedAmount': postedAmount,
+    'accommodations.$[acc].openingBalance.postedAt': now,
+    updatedAt: now
+  };
+
+  if (delta < 0) {
+    const result = await Tenant.updateOne(claim, { $set: markPosted }, { arrayFilters });
+    if (!result.modifiedCount) return null;
+
+    const credit = await creditTenant({
+      tenantId: tenant.tenantId,
+      landlordId: accommodation.landlordId,
+      amount: -delta,
+      source: 'Opening Balance',
+      propertyId: accommodation.propertyId,
+      localTenantId: accommodation.localTenantId,
+      note: 'Advance held before the tenant was added',
+      createdBy: 'system'
+    });
+    if (credit.error) {
+      console.error(`Opening balance credit for ${accommodation.localTenantId} failed: ${credit.error}`);
+    }
+    return { amount: delta, credit: credit.entry };
+  }
+
+  const { startDate, endDate } = accommodation.openingBalance;
+  const period = startDate && endDate
+    ? ` (${moment(startDate).format('DD MMM YYYY')} - ${moment(endDate).format('DD MMM YYYY')})`
+    : '';
+  const bill = {
+    _id: new mongoose.Types.ObjectId(),
+    landlordId: accommodation.landlordId,
+    propertyId: accommodation.propertyId,
+    propertyName: accommodation.propertyName,
+    roomId: accommodation.roomId,
+    bedId: accommodation.bedId,
+    type: 'Other',
+    billNumber: `OB-${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+    month: moment(now).format('MMMM'),
+    year: moment(now).format('YYYY'),
+    amount: delta,
+    dueDate: now,
+    paid: false,
+    description: `Opening balance brought forward${period}`,
+    billDetails: { dueAmount: delta }
+  };
+
+  const result = await Tenant.updateOne(claim, {
+    $push: { bills: bill },
+    $inc: { 'accommodations.$[acc].pendingDues': delta },
+    $set: markPosted
+  }, { arrayFilters });
+  if (!result.modifiedCount) return null;
+
+  if (accommodation.bedId) {
+    await Property.updateOne(
+      { _id: accommodation.propertyId },
+      { $inc: { 'rooms.$[room].beds.$[bed].pendingDues': delta } },
+      { arrayFilters: [{ 'room.roomId': accommodation.roomId }, { 'bed.bedId': accommodation.bedId }] }
+    );
+  }
+
+  return { amount: delta, bill };
+};
+
+module.exports = {
+  CREDIT_SOURCES,
+  getCreditBalance,
+  getCreditBalances,
+  creditTenant,
+  debitTenant,
+  moveCreditEntries,
+  getCreditLedger,
+  getUnpostedOpeningBalance,
+  summarizeOpeningBalances,
+  postOpeningBalance
+};
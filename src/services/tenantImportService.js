@@ -0,0 +1,671 @@
+/**
+ * Tenant Import Service
+ * Bulk onboarding from a CSV or XLSX sheet. Columns are mapped to tenant and accommodation
+ * fields (automatically by header, or by an explicit mapping), every row is validated against
+ * the landlord's properties and bed availability, and a dry run returns the per-row errors.
+ * Committing creates or reuses the tenants and assigns them to their beds in one transaction,
+ * so either every row is imported or none is.
+ */
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const Tenant = require('../models/Tenant');
+const Property = require('../models/Property');
+const { validateBedAvailability, validateRoomCapacity } = require('../utils/bedValidation');
+const { setCache } = require('../utils/redis');
+
+const MAX_IMPORT_ROWS = 500;
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD/MM/YYYY', 'D/M/YYYY', 'D-M-YYYY', 'DD MMM YYYY', 'D MMM YYYY'];
+const RENTAL_FREQUENCIES = ['Monthly', 'Quarterly', 'Half-Yearly', 'Yearly'];
+
+/**
+ * Importable fields; aliases are other header names matched automatically
+ */
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['tenant name', 'full name'] },
+  { key: 'mobile', label: 'Mobile', type: 'mobile', required: true, aliases: ['phone', 'mobile number', 'contact'] },
+  { key: 'aadhaar', label: 'Aadhaar', type: 'aadhaar', required: true, aliases: ['aadhar', 'aadhaar number', 'aadhar number'] },
+  { key: 'email', label: 'Email', aliases: ['email id', 'e-mail'] },
+  { key: 'dob', label: 'Date of Birth', type: 'date', aliases: ['dob', 'birth date'] },
+  { key: 'permanentAddress', label: 'Permanent Address', aliases: ['address'] },
+  { key: 'work', label: 'Work', aliases: ['occupation', 'company'] },
+  { key: 'fatherName', label: 'Father Name', aliases: ["father's name"] },
+  { key: 'fatherMobile', label: 'Father Mobile', type: 'mobile', aliases: ["father's mobile"] },
+  { key: 'property', label: 'Property', aliases: ['property name', 'property id', 'propertyid'] },
+  { key: 'room', label: 'Room', required: true, aliases: ['room name', 'room number', 'room no', 'room id', 'roomid'] },
+  { key: 'bed', label: 'Bed', aliases: ['bed name', 'bed number', 'bed no', 'bed id', 'bedid'] },
+  { key: 'rentAmount', label: 'Rent Amount', type: 'amount', aliases: ['rent', 'monthly rent'] },
+  { key: 'securityDeposit', label: 'Security Deposit', type: 'amount', aliases: ['deposit'] },
+  { key: 'moveInDate', label: 'Move-in Date', type: 'date', aliases: ['move in date', 'joining date', 'check-in date'] },
+  { key: 'rentOnDate', label: 'Rent Due Day', type: 'day', aliases: ['rent day', 'rent on date', 'due day'] },
+  { key: 'rentalFrequency', label: 'Rent Frequency', type: 'enum', values: RENTAL_FREQUENCIES, aliases: ['rental frequency', 'frequency'] },
+  { key: 'noticePeriod', label: 'Notice Period', type: 'integer', aliases: ['notice period days', 'notice days'] },
+  { key: 'openingBalanceAmount', label: 'Opening Balance', type: 'amount', aliases: ['opening balance amount', 'previous dues', 'old dues'] },
+  { key: 'openingBalanceStartDate', label: 'Opening Balance From', type: 'date', aliases: ['opening balance start date'] },
+  { key: 'openingBalanceEndDate', label: 'Opening Balance To', type: 'date', aliases: ['opening balance end date'] },
+  { key: 'remarks', label: 'Remarks', aliases: ['notes', 'comments'] }
+];
+
+class ImportConflictError extends Error {
+  constructor(rows) {
+    super('Some rows are no longer valid, nothing was imported');
+    this.rows = rows;
+  }
+}
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[\s_]+/g, ' ');
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+/*
+ * File parsing
+ */
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line ends)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const getXlsxCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return getXlsxCellValue(value.result);
+    return '';
+  }
+  return value;
+};
+
+/**
+ * Read the uploaded sheet
+ * @param {Object} file - multer file (memory storage)
+ * @returns {Promise<Object>} - { headers, rows: [{ rowNumber, cells: { header: value } }] } or { error }
+ */
+const parseImportFile = async (file) => {
+  let table;
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return { error: 'The workbook has no sheets' };
+    }
+    table = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const cells = [];
+      for (let col = 1; col <= worksheet.columnCount; col += 1) {
+        cells.push(getXlsxCellValue(row.getCell(col).value));
+      }
+      table[rowNumber - 1] = cells;
+    });
+  } else {
+    table = parseCsv(file.buffer.toString('utf8'));
+  }
+
+  const [headerRow, ...dataRows] = table;
+  const headers = (headerRow || []).map(header => String(header || '').trim());
+  if (headers.filter(Boolean).length === 0) {
+    return { error: 'The first row must contain column headers' };
+  }
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    if (!cells || cells.every(cell => String(cell === null || cell === undefined ? '' : cell).trim() === '')) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cells[col];
+    });
+    rows.push({ rowNumber: index + 2, cells: values }); // Sheet row number, counting the header
+  });
+
+  if (rows.length === 0) {
+    return { error: 'The file has no data rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can have at most ${MAX_IMPORT_ROWS} rows, this one has ${rows.length}` };
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Map sheet headers to import fields
+ * @param {Array} headers
+ * @param {Object} overrides - { fieldKey: 'Header in the sheet' }, wins over automatic matching
+ * @returns {Object} - { mapping: { fieldKey: header }, unmappedHeaders } or { error }
+ */
+const buildColumnMapping = (headers, overrides = {}) => {
+  const mapping = {};
+  const byNormalized = {};
+  headers.forEach(header => { byNormalized[normalizeHeader(header)] = header; });
+
+  for (const [key, header] of Object.entries(overrides)) {
+    if (!IMPORT_FIELDS.some(field => field.key === key)) {
+      return { error: `Unknown field in mapping: ${key}` };
+    }
+    if (header && !headers.includes(header)) {
+      return { error: `Column "${header}" mapped to ${key} is not in the file` };
+    }
+    if (header) mapping[key] = header;
+  }
+
+  IMPORT_FIELDS.forEach(field => {
+    if (mapping[field.key] || overrides[field.key] === '') return;
+    const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+    const match = candidates.find(candidate => byNormalized[candidate]);
+    if (match) mapping[field.key] = byNormalized[match];
+  });
+
+  const used = new Set(Object.values(mapping));
+  return {
+    mapping,
+    unmappedHeaders: headers.filter(header => !used.has(header))
+  };
+};
+
+/*
+ * Row validation
+ */
+
+const parseDate = (value) => {
+  if (value instanceof Date) return moment(value);
+  const date = moment(String(value).trim(), DATE_FORMATS, true);
+  return date.isValid() ? date : null;
+};
+
+const parseField = (field, raw) => {
+  const text = raw instanceof Date ? raw : String(raw).trim();
+  switch (field.type) {
+    case 'mobile': {
+      const digits = text.replace(/[\s-]/g, '').replace(/^(\+91|91|0)(?=\d{10}$)/, '');
+      return /^[6-9]\d{9}$/.test(digits) ? { value: digits } : { error: `${field.label} must be a 10-digit mobile number` };
+    }
+    case 'aadhaar': {
+      const digits = text.replace(/[\s-]/g, '');
+      return /^\d{12}$/.test(digits) ? { value: digits } : { error: `${field.label} must be 12 digits` };
+    }
+    case 'amount': {
+      const amount = parseFloat(String(text).replace(/[₹,\s]/g, ''));
+      return Number.isNaN(amount) || amount < 0
+        ? { error: `${field.label} must be a number` }
+        : { value: Math.round(amount * 100) / 100 };
+    }
+    case 'integer':
+    case 'day': {
+      const number = Number(text);
+      if (!Number.isInteger(number) || number < 0 || (field.type === 'day' && (number < 1 || number > 31))) {
+        return { error: field.type === 'day' ? `${field.label} must be a day of the month (1-31)` : `${field.label} must be a whole number` };
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const date = parseDate(text);
+      return date ? { value: date.startOf('day').toDate() } : { error: `${field.label} is not a valid date (use YYYY-MM-DD or DD-MM-YYYY)` };
+    }
+    case 'enum': {
+      const value = field.values.find(v => normalizeName(v) === normalizeName(text));
+      return value ? { value } : { error: `${field.label} must be one of: ${field.values.join(', ')}` };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Landlord's properties indexed for matching sheet values by ID or name
+ */
+const indexProperties = (properties) => ({
+  list: properties,
+  find: (value) => {
+    const wanted = normalizeName(value);
+    const byId = properties.find(p => p._id.toString() === String(value).trim());
+    if (byId) return { property: byId };
+    const byName = properties.filter(p => normalizeName(p.name) === wanted);
+    if (byName.length > 1) return { error: `More than one property is named "${value}", use the property ID` };
+    return byName.length ? { property: byName[0] } : { error: `Property "${value}" not found` };
+  }
+});
+
+const findRoom = (property, value) => {
+  const wanted = normalizeName(value);
+  const rooms = property.rooms.filter(r => r.roomId === String(value).trim() || normalizeName(r.name) === wanted);
+  if (rooms.length > 1) return { error: `More than one room in ${property.name} is named "${value}", use the room ID` };
+  return rooms.length ? { room: rooms[0] } : { error: `Room "${value}" not found in ${property.name}` };
+};
+
+const findBed = (room, value) => {
+  const wanted = normalizeName(value);
+  const beds = room.beds.filter(b => b.bedId === String(value).trim() || normalizeName(b.name) === wanted);
+  if (beds.length > 1) return { error: `More than one bed in room ${room.name || room.roomId} is named "${value}", use the bed ID` };
+  return beds.length ? { bed: beds[0] } : { error: `Bed "${value}" not found in room ${room.name || room.roomId}` };
+};
+
+/**
+ * Validate mapped rows against the landlord's properties and each other
+ * Beds taken by earlier rows of the same file count as occupied for later rows.
+ * @param {Array} properties - Landlord's property documents
+ * @param {Array} existingTenants - Tenants already registered with the sheet's Aadhaar numbers
+ * @returns {Array} - [{ rowNumber, errors, warnings, values, target }]
+ */
+const validateRows = (landlordId, rows, mapping, { properties, existingTenants, defaultPropertyId }) => {
+  const propertyIndex = indexProperties(properties);
+  const tenantsByAadhaar = {};
+  existingTenants.forEach(tenant => { tenantsByAadhaar[tenant.aadhaar] = tenant; });
+
+  const claimedBeds = {};
+  const roomAdditions = {};
+  const seenAadhaar = {};
+  const seenMobile = {};
+
+  return rows.map(({ rowNumber, cells }) => {
+    const errors = [];
+    const warnings = [];
+    const values = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      const header = mapping[field.key];
+      const raw = header ? cells[header] : undefined;
+      if (raw === undefined || raw === null || String(raw).trim() === '') {
+        if (field.required) errors.push(`${field.label} is required`);
+        return;
+      }
+      const parsed = parseField(field, raw);
+      if (parsed.error) errors.push(parsed.error);
+      else values[field.key] = parsed.value;
+    });
+
+    if (values.aadhaar) {
+      if (seenAadhaar[values.aadhaar]) errors.push(`Aadhaar is repeated from row ${seenAadhaar[values.aadhaar]}`);
+      else seenAadhaar[values.aadhaar] = rowNumber;
+    }
+    if (values.mobile) {
+      if (seenMobile[values.mobile]) warnings.push(`Mobile is repeated from row ${seenMobile[values.mobile]}`);
+      else seenMobile[values.mobile] = rowNumber;
+    }
+
+    const existing = values.aadhaar ? tenantsByAadhaar[values.aadhaar] : null;
+    if (existing) {
+      const activeStay = existing.accommodations.find(acc =>
+        acc.isActive && acc.landlordId && acc.landlordId.toString() === landlordId.toString());
+      if (activeStay) {
+        errors.push(`${existing.name} (${existing.tenantId}) is already staying in ${activeStay.propertyName || 'one of your properties'}`);
+      } else {
+        warnings.push(`Existing tenant ${existing.tenantId} will be reused; sheet contact details are ignored`);
+      }
+    }
+
+    // Location
+    let target = null;
+    const propertyValue = values.property || defaultPropertyId;
+    if (!propertyValue) {
+      errors.push('Property is required (add a Property column or choose a property for the import)');
+    } else {
+      const { property, error } = propertyIndex.find(propertyValue);
+      if (error) errors.push(error);
+      if (property && values.room) {
+        const roomResult = findRoom(property, values.room);
+        if (roomResult.error) errors.push(roomResult.error);
+        const { room } = roomResult;
+        let bed = null;
+        if (room && values.bed) {
+          const bedResult = findBed(room, values.bed);
+          if (bedResult.error) errors.push(bedResult.error);
+          bed = bedResult.bed || null;
+        }
+
+        if (room && (bed || !values.bed)) {
+          const roomKey = `${property._id}:${room.roomId}`;
+          if (bed) {
+            const bedKey = `${roomKey}:${bed.bedId}`;
+            const availability = validateBedAvailability(bed);
+            if (claimedBeds[bedKey]) {
+              errors.push(`Bed is already taken by row ${claimedBeds[bedKey]}`);
+            } else if (!availability.isAvailable) {
+              errors.push(availability.occupiedBy ? `${availability.message} (${availability.occupiedBy})` : availability.message);
+            }
+          }
+
+          // Count tenants added to the room by earlier rows
+          const pending = roomAdditions[roomKey] || [];
+          const capacity = validateRoomCapacity({ type: room.type, tenants: [...room.tenants, ...pending] });
+          if (!capacity.hasCapacity) errors.push(capacity.message);
+
+          if (errors.length === 0) {
+            if (bed) claimedBeds[`${roomKey}:${bed.bedId}`] = rowNumber;
+            roomAdditions[roomKey] = [...pending, { rowNumber }];
+          }
+
+          target = {
+            propertyId: property._id.toString(),
+            propertyName: property.name,
+            roomId: room.roomId,
+            roomName: room.name,
+            bedId: bed ? bed.bedId : undefined,
+            bedName: bed ? bed.name : undefined,
+            rentAmount: values.rentAmount !== undefined ? values.rentAmount : (bed ? bed.price : room.price)
+          };
+        }
+      }
+    }
+
+    if (values.moveInDate && moment(values.moveInDate).isAfter(moment().add(1, 'year'))) {
+      errors.push('Move-in date is more than a year away');
+    }
+    if (values.openingBalanceAmount && !values.openingBalanceStartDate) {
+      warnings.push('Opening balance has no start date');
+    }
+
+    return {
+      rowNumber,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      existingTenantId: existing ? existing.tenantId : undefined,
+      values,
+      target
+    };
+  });
+};
+
+/**
+ * Parse, map and validate an import file
+ * @param {String} landlordId
+ * @param {Object} file - multer file
+ * @param {Object} options - { mapping, propertyId }
+ * @returns {Promise<Object>} - { mapping, unmappedHeaders, rows, summary } or { statusCode, error }
+ */
+const prepareImport = async (landlordId, file, { mapping: overrides, propertyId } = {}) => {
+  const parsed = await parseImportFile(file);
+  if (parsed.error) {
+    return { statusCode: 400, error: parsed.error };
+  }
+
+  const columns = buildColumnMapping(parsed.headers, overrides);
+  if (columns.error) {
+    return { statusCode: 400, error: columns.error };
+  }
+  const missing = IMPORT_FIELDS.filter(field => field.required && !columns.mapping[field.key]);
+  if (missing.length > 0) {
+    return {
+      statusCode: 400,
+      error: `No column found for: ${missing.map(field => field.label).join(', ')}. Map them explicitly.`,
+      headers: parsed.headers,
+      mapping: columns.mapping
+    };
+  }
+
+  if (propertyId && !mongoose.Types.ObjectId.isValid(propertyId)) {
+    return { statusCode: 400, error: 'Invalid property ID' };
+  }
+
+  const properties = await Property.find({ landlordId });
+  if (propertyId && !properties.some(p => p._id.toString() === propertyId)) {
+    return { statusCode: 404, error: 'Property not found or you do not have access' };
+  }
+
+  const aadhaarNumbers = parsed.rows
+    .map(row => parseField(IMPORT_FIELDS.find(f => f.key === 'aadhaar'), row.cells[columns.mapping.aadhaar] || '').value)
+    .filter(Boolean);
+  const existingTenants = await Tenant.find({ aadhaar: { $in: aadhaarNumbers } })
+    .select('tenantId name aadhaar accommodations.landlordId accommodations.isActive accommodations.propertyName');
+
+  const rows = validateRows(landlordId, parsed.rows, columns.mapping, {
+    properties,
+    existingTenants,
+    defaultPropertyId: propertyId
+  });
+  const invalid = rows.filter(row => !row.valid).length;
+
+  return {
+    mapping: columns.mapping,
+    unmappedHeaders: columns.unmappedHeaders,
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      newTenants: rows.filter(row => row.valid && !row.existingTenantId).length,
+      existingTenants: rows.filter(row => row.valid && row.existingTenantId).length
+    }
+  };
+};
+
+/*
+ * Commit
+ */
+
+const generateLocalTenantId = (landlordId) =>
+  `L-${landlordId.toString().substr(-6)}-${crypto.randomBytes(3).toString('hex')}`;
+
+const buildStay = (values, target, moveInDate) => ({
+  moveInDate,
+  rentAmount: target.rentAmount || 0,
+  securityDeposit: values.securityDeposit || 0,
+  noticePeriod: values.noticePeriod || null,
+  rentOnDate: values.rentOnDate || null,
+  rentalFrequency: values.rentalFrequency || 'Monthly',
+  remarks: values.remarks || null,
+  openingBalance: {
+    startDate: values.openingBalanceStartDate || null,
+    endDate: values.openingBalanceEndDate || null,
+    amount: values.openingBalanceAmount || 0
+  }
+});
+
+/**
+ * Import every row or none
+ * The file is validated again inside a transaction, against the beds as they are now.
+ * @returns {Promise<Object>} - { imported: [...], summary } or { statusCode, error, rows }
+ */
+const commitImport = async (landlordId, file, options = {}) => {
+  const prepared = await prepareImport(landlordId, file, options);
+  if (prepared.error) return prepared;
+  if (prepared.summary.invalid > 0) {
+    return {
+      statusCode: 422,
+      error: `${prepared.summary.invalid} row(s) have errors, nothing was imported`,
+      rows: prepared.rows.filter(row => !row.valid),
+      summary: prepared.summary
+    };
+  }
+
+  let imported;
+  try {
+    imported = await mongoose.connection.transaction(async (session) => {
+      const properties = await Property.find({ landlordId }).session(session);
+      const aadhaarNumbers = prepared.rows.map(row => row.values.aadhaar);
+      const existingTenants = await Tenant.find({ aadhaar: { $in: aadhaarNumbers } }).session(session);
+
+      const parsed = await parseImportFile(file);
+      const rows = validateRows(landlordId, parsed.rows, prepared.mapping, {
+        properties,
+        existingTenants,
+        defaultPropertyId: options.propertyId
+      });
+      const conflicts = rows.filter(row => !row.valid);
+      if (conflicts.length > 0) throw new ImportConflictError(conflicts);
+
+      const propertiesById = {};
+      properties.forEach(property => { propertiesById[property._id.toString()] = property; });
+      const tenantsByAadhaar = {};
+      existingTenants.forEach(tenant => { tenantsByAadhaar[tenant.aadhaar] = tenant; });
+
+      const results = [];
+      const touchedProperties = new Set();
+
+      for (const row of rows) {
+        const { values, target } = row;
+        const property = propertiesById[target.propertyId];
+        const room = property.rooms.find(r => r.roomId === target.roomId);
+        const bed = target.bedId ? room.beds.find(b => b.bedId === target.bedId) : null;
+        const moveInDate = values.moveInDate || new Date();
+        const stay = buildStay(values, target, moveInDate);
+
+        let tenant = tenantsByAadhaar[values.aadhaar];
+        if (!tenant) {
+          tenant = new Tenant({
+            name: values.name,
+            email: values.email,
+            aadhaar: values.aadhaar,
+            mobile: values.mobile,
+            dob: values.dob,
+            permanentAddress: values.permanentAddress,
+            work: values.work,
+            fatherName: values.fatherName,
+            fatherMobile: values.fatherMobile,
+            electricityBill: [],
+            accommodations: []
+          });
+        }
+
+        const localTenantId = generateLocalTenantId(landlordId);
+        tenant.accommodations.push({
+          landlordId,
+          propertyId: property._id,
+          propertyName: property.name,
+          roomId: room.roomId,
+          bedId: bed ? bed.bedId : '',
+          localTenantId,
+          pendingDues: 0,
+          monthlyCollection: 0,
+          isActive: true,
+          securityDepositStatus: 'Pending',
+          securityDepositRefundAmount: 0,
+          ...stay
+        });
+
+        const tenantEntry = {
+          tenantId: tenant.tenantId,
+          name: tenant.name,
+          email: tenant.email,
+          aadhaar: tenant.aadhaar,
+          mobile: tenant.mobile,
+          roomId: room.roomId,
+          landlordId,
+          ...stay
+        };
+        if (bed) {
+          bed.status = 'Not Available';
+          bed.tenants.push({ ...tenantEntry, bedId: bed.bedId });
+        } else {
+          room.tenants.push(tenantEntry);
+        }
+        property.occupiedSpace = (property.occupiedSpace || 0) + 1;
+        touchedProperties.add(target.propertyId);
+
+        await tenant.save({ session });
+        tenantsByAadhaar[values.aadhaar] = tenant;
+
+        results.push({
+          rowNumber: row.rowNumber,
+          tenantId: tenant.tenantId,
+          localTenantId,
+          name: tenant.name,
+          isNewTenant: !row.existingTenantId,
+          propertyId: property._id,
+          propertyName: property.name,
+          roomId: room.roomId,
+          roomName: room.name,
+          bedId: bed ? bed.bedId : null,
+          bedName: bed ? bed.name : null,
+          rentAmount: stay.rentAmount
+        });
+      }
+
+      for (const propertyId of touchedProperties) {
+        await propertiesById[propertyId].save({ session });
+      }
+
+      return results;
+    });
+  } catch (error) {
+    if (error instanceof ImportConflictError) {
+      return { statusCode: 409, error: error.message, rows: error.rows };
+    }
+    throw error;
+  }
+
+  await setCache(`landlord:tenants:${landlordId}`, null, 1);
+  const propertyIds = [...new Set(imported.map(row => row.propertyId.toString()))];
+  await Promise.all(propertyIds.map(id => setCache(`property:tenants:${id}`, null, 1)));
+  await Promise.all(imported.map(row => setCache(`tenant:${row.tenantId}`, null, 1)));
+
+  return {
+    imported,
+    summary: {
+      total: imported.length,
+      newTenants: imported.filter(row => row.isNewTenant).length,
+      existingTenants: imported.filter(row => !row.isNewTenant).length,
+      properties: propertyIds.length
+    }
+  };
+};
+
+/**
+ * CSV template with a header row and one example row
+ */
+const buildImportTemplate = () => {
+  const example = {
+    name: 'Rahul Sharma', mobile: '9876543210', aadhaar: '123412341234', email: 'rahul@example.com',
+    property: 'My PG', room: '101', bed: 'A', rentAmount: '8000', securityDeposit: '16000',
+    moveInDate: moment().startOf('month').format('YYYY-MM-DD'), rentOnDate: '5', rentalFrequency: 'Monthly',
+    openingBalanceAmount: '0'
+  };
+  const header = IMPORT_FIELDS.map(field => field.label).join(',');
+  const row = IMPORT_FIELDS.map(field => example[field.key] || '').join(',');
+  return `${header}\r\n${row}\r\n`;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseImportFile,
+  buildColumnMapping,
+  prepareImport,
+  commitImport,
+  buildImportTemplate
+};
@@ -0,0 +1,81 @@
+/**
+ * User Notification Service - Delivers notifications to landlords and tenants
+ * Stores them in Redis (same keys as visit notifications), pushes them over Socket.IO
+ * and optionally sends SMS and email. Every channel is best-effort.
+ */
+const crypto = require('crypto');
+const { redisClient } = require('../config/database');
+const socketService = require('./socketService');
+const { sendSMS } = require('../utils/sms');
+const { sendEmail } = require('../utils/emailService');
+
+const NOTIFICATION_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+/**
+ * Send a notification
+ * @param {Object} options
+ * @param {String} options.userId - Landlord _id or tenantId
+ * @param {String} options.type - Notification type (e.g. 'subscription_expiring')
+ * @param {String} options.title - Short title, also used as the email subject
+ * @param {String} options.message - Notification text, also used for SMS and email
+ * @param {Object} options.data - Extra data for the client
+ * @param {String} options.mobile - Optional, send an SMS to this number
+ * @param {String} options.email - Optional, send an email to this address
+ * @returns {Promise<Object>} - { notification, channels: { inApp, sms, email } }
+ */
+const notifyUser = async ({ userId, type, title, message, data = {}, mobile, email }) => {
+  const notification = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    title,
+    message,
+    userId: userId ? userId.toString() : null,
+    data,
+    createdAt: new Date()
+  };
+  const channels = { inApp: false, sms: null, email: null };
+
+  if (notification.userId) {
+    try {
+      if (redisClient && redisClient.isReady) {
+        const notificationKey = `notification:${notification.userId}:${notification.id}`;
+        await redisClient.set(notificationKey, JSON.stringify(notification), { EX: NOTIFICATION_TTL_SECONDS });
+        await redisClient.sAdd(`notifications:${notification.userId}`, notificationKey);
+        channels.inApp = true;
+      }
+    } catch (redisError) {
+      console.error('Redis error storing notification:', redisError);
+    }
+
+    try {
+      socketService.sendNotification(notification.userId, notification);
+    } catch (socketError) {
+      console.error('Socket error sending notification:', socketError);
+    }
+  }
+
+  if (mobile) {
+    try {
+      await sendSMS(mobile, message);
+      channels.sms = true;
+    } catch (smsError) {
+      console.error(`SMS notification to ${mobile} failed:`, smsError.message);
+      channels.sms = false;
+    }
+  }
+
+  if (email) {
+    channels.email = await sendEmail({
+      to: email,
+      subject: title,
+      text: message,
+      html: `<p>${message}</p>`
+    });
+  }
+
+  return { notification, channels };
+};
+
+module.exports = {
+  notifyUser
+};
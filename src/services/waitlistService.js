@@ -0,0 +1,447 @@
+/**
+ * Waitlist Service
+ * Prospective tenants queue for a property, optionally only for some room types, sharing or
+ * gender, with the window in which they can move in. When a bed frees up (its status is set
+ * to Available, its tenant moves out or gives notice) the oldest matching entry gets a priority
+ * hold on it for a few hours; if they do not book it in time, it goes to the next in the queue.
+ * A job also expires lapsed offers and re-checks the queue for beds freed some other way.
+ */
+const moment = require('moment');
+const Property = require('../models/Property');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { scheduleJob } = require('./jobScheduler');
+const { notifyUser } = require('./userNotificationService');
+const {
+  getStayRange,
+  checkBedAvailability,
+  reserveBed,
+  releaseReservations,
+  markBedReserved,
+  clearBedReserved
+} = require('./bedReservationService');
+
+const ROOM_TYPES = Property.schema.path('rooms').schema.path('type').enumValues;
+const WAITLIST_GENDERS = WaitlistEntry.schema.path('gender').enumValues;
+const OPEN_WAITLIST_STATUSES = ['Waiting', 'Offered'];
+
+// How long a freed bed is held for the tenant it is offered to
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 24;
+const WAITLIST_INTERVAL_MS = 15 * 60 * 1000;
+const WAITLIST_BATCH_SIZE = 100;
+
+// Tenants per room implied by the room type, when the room does not set sharingType itself
+const SHARING_BY_ROOM_TYPE = {
+  'Single Sharing': 1,
+  'Double Sharing': 2,
+  'Triple Sharing': 3,
+  'Four Sharing': 4,
+  'Five Sharing': 5,
+  'Six Sharing': 6,
+  'Private Room': 1
+};
+
+// Gender a room admits, keyed by its propertySpecific.genderSpecific ('Unisex' admits both)
+const GENDER_BY_ROOM = {
+  Boys: 'Male',
+  Girls: 'Female'
+};
+
+const formatDateTime = (date) => moment(date).format('DD MMM YYYY, hh:mm A');
+
+const roomSpecifics = (room) => (room.facilities && room.facilities.propertySpecific) || {};
+
+/**
+ * Whether a room meets the filters of a waitlist entry
+ */
+const matchesRoom = (entry, room) => {
+  if (entry.roomType && room.type !== entry.roomType) return false;
+
+  if (entry.sharingType) {
+    const specific = roomSpecifics(room).sharingType;
+    const sharing = specific ? Number(specific) : SHARING_BY_ROOM_TYPE[room.type];
+    if (sharing !== entry.sharingType) return false;
+  }
+
+  if (entry.gender) {
+    const restricted = GENDER_BY_ROOM[roomSpecifics(room).genderSpecific];
+    if (restricted && restricted !== entry.gender) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Earliest stay inside the entry's move-in window during which the bed is free
+ * @returns {Object|null} - { startDate, endDate }
+ */
+const findStayForEntry = (entry, bed, now = new Date()) => {
+  const latest = entry.moveInTo ? moment(entry.moveInTo).endOf('day') : null;
+  let start = moment.max(moment(now).startOf('day'), moment(entry.moveInFrom).startOf('day'));
+
+  // The second pass checks the first free date found by the first
+  for (let pass = 0; pass < 2; pass++) {
+    if (latest && start.isAfter(latest)) return null;
+
+    const stay = getStayRange({ moveInDate: start.toDate(), duration: entry.duration || 1 });
+    if (stay.error) return null;
+
+    const check = checkBedAvailability(bed, stay);
+    if (check.isAvailable) return stay;
+    if (!check.nextAvailableFrom) return null;
+    start = moment(check.nextAvailableFrom).startOf('day');
+  }
+
+  return null;
+};
+
+/**
+ * Position of a waiting entry in its property's queue, 1 for the next in line
+ */
+const getQueuePosition = async (entry) => {
+  if (entry.status !== 'Waiting') return null;
+  const ahead = await WaitlistEntry.countDocuments({
+    propertyId: entry.propertyId,
+    status: 'Waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Waitlist entry as shown to the tenant and the landlord
+ */
+const describeEntry = async (entry, now = new Date()) => {
+  const plain = entry.toObject ? entry.toObject() : entry;
+  const offered = entry.status === 'Offered' && entry.offer && entry.offer.expiresAt;
+  return {
+    ...plain,
+    position: await getQueuePosition(entry),
+    offerRemainingSeconds: offered ? Math.max(0, Math.floor((entry.offer.expiresAt - now) / 1000)) : null
+  };
+};
+
+/**
+ * Add a tenant to a property's waitlist
+ * Refused while a bed matching the filters can be booked right away.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} input - { propertyId, roomType, sharingType, gender, moveInFrom, moveInTo, duration, note }
+ * @returns {Promise<Object>} - { entry } or { statusCode, error, availableBeds }
+ */
+const joinWaitlist = async (tenant, { propertyId, roomType, sharingType, gender, moveInFrom, moveInTo, duration, note }) => {
+  if (roomType && !ROOM_TYPES.includes(roomType)) {
+    return { statusCode: 400, error: `roomType must be one of: ${ROOM_TYPES.join(', ')}` };
+  }
+  if (sharingType !== undefined && (!Number.isInteger(Number(sharingType)) || Number(sharingType) < 1)) {
+    return { statusCode: 400, error: 'sharingType must be the number of tenants per room' };
+  }
+  if (gender && !WAITLIST_GENDERS.includes(gender)) {
+    return { statusCode: 400, error: `gender must be one of: ${WAITLIST_GENDERS.join(', ')}` };
+  }
+
+  const from = moment(moveInFrom || new Date()).startOf('day');
+  const to = moveInTo ? moment(moveInTo).startOf('day') : null;
+  if (!from.isValid() || (to && !to.isValid())) {
+    return { statusCode: 400, error: 'moveInFrom and moveInTo must be valid dates' };
+  }
+  if (to && (to.isBefore(from) || to.isBefore(moment().startOf('day')))) {
+    return { statusCode: 400, error: 'moveInTo must be on or after moveInFrom and not in the past' };
+  }
+  const stay = getStayRange({ moveInDate: from.toDate(), duration: duration || 1 });
+  if (stay.error) {
+    return { statusCode: stay.statusCode, error: stay.error };
+  }
+
+  const property = await Property.findOne({ _id: propertyId, isActive: { $ne: false } })
+    .select('name landlordId rooms.roomId rooms.type rooms.facilities.propertySpecific rooms.beds');
+  if (!property) {
+    return { statusCode: 404, error: 'Property not found' };
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    propertyId: property._id,
+    tenantId: tenant.tenantId,
+    status: { $in: OPEN_WAITLIST_STATUSES }
+  });
+  if (existing) {
+    return { statusCode: 400, error: 'You are already on the waitlist for this property', entry: existing };
+  }
+
+  const entry = new WaitlistEntry({
+    propertyId: property._id,
+    propertyName: property.name,
+    landlordId: property.landlordId,
+    tenantId: tenant.tenantId,
+    tenantName: tenant.name,
+    roomType: roomType || undefined,
+    sharingType: sharingType !== undefined ? Number(sharingType) : undefined,
+    gender: gender || undefined,
+    moveInFrom: from.toDate(),
+    moveInTo: to ? to.toDate() : undefined,
+    duration: duration ? Number(duration) : 1,
+    note
+  });
+
+  // No need to wait for a bed that is free from the first day the tenant can move in
+  const earliest = moment.max(moment().startOf('day'), from);
+  const availableBeds = [];
+  property.rooms.filter(room => matchesRoom(entry, room)).forEach(room => {
+    (room.beds || []).forEach(bed => {
+      const found = findStayForEntry(entry, bed);
+      if (found && moment(found.startDate).isSame(earliest, 'day')) {
+        availableBeds.push({ roomId: room.roomId, bedId: bed.bedId, availableFrom: found.startDate });
+      }
+    });
+  });
+  if (availableBeds.length > 0) {
+    return { statusCode: 409, error: 'A matching bed can be booked now, please send a booking request instead', availableBeds };
+  }
+
+  await entry.save();
+  return { entry };
+};
+
+/**
+ * Offer a bed to the first matching entry in the queue, with a priority hold on it
+ * @returns {Promise<Object|null>} - The entry the bed was offered to
+ */
+const offerBed = async (property, room, bed, now = new Date()) => {
+  const waiting = await WaitlistEntry.find({ propertyId: property._id, status: 'Waiting' })
+    .sort({ createdAt: 1 })
+    .limit(WAITLIST_BATCH_SIZE);
+
+  for (const entry of waiting) {
+    if (!matchesRoom(entry, room)) continue;
+    const stay = findStayForEntry(entry, bed, now);
+    if (!stay) continue;
+
+    const expiresAt = moment(now).add(WAITLIST_OFFER_HOURS, 'hours').toDate();
+    const claim = await reserveBed({
+      propertyId: property._id,
+      roomId: room.roomId,
+      bedId: bed.bedId,
+      type: 'Hold',
+      startDate: stay.startDate,
+      endDate: stay.endDate,
+      tenantId: entry.tenantId,
+      expiresAt,
+      note: `Waitlist priority hold ${entry.entryId}`
+    });
+    // Someone else took these dates meanwhile
+    if (claim.error) continue;
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'Waiting' },
+      {
+        $set: {
+          status: 'Offered',
+          offer: {
+            roomId: room.roomId,
+            bedId: bed.bedId,
+            reservationId: claim.reservation.reservationId,
+            startDate: stay.startDate,
+            offeredAt: now,
+            expiresAt
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!offered) {
+      // The tenant left the queue meanwhile
+      await releaseReservations({
+        propertyId: property._id, roomId: room.roomId, bedId: bed.bedId,
+        reservationId: claim.reservation.reservationId, reason: 'Waitlist entry closed'
+      });
+      continue;
+    }
+
+    await markBedReserved(property._id, room.roomId, bed.bedId);
+    await notifyUser({
+      userId: entry.tenantId,
+      type: 'waitlist_offer',
+      title: 'A bed is free for you',
+      message: `A bed at ${property.name || 'the property'} you are waiting for is free from `
+        + `${moment(stay.startDate).format('DD MMM YYYY')}. It is held for you until ${formatDateTime(expiresAt)}, `
+        + 'send a booking request to take it.',
+      data: { entryId: entry.entryId, propertyId: property._id, roomId: room.roomId, bedId: bed.bedId }
+    });
+    return offered;
+  }
+
+  return null;
+};
+
+/**
+ * Offer freed beds of a property to its waitlist
+ * Called after a bed is made Available, vacated or given notice on. Never throws, the change
+ * that freed the bed does not depend on it.
+ * @param {String} propertyId
+ * @param {Object} beds - { roomId, bedId } to check only one room or bed
+ * @returns {Promise<Number>} - Offers made
+ */
+const notifyWaitlist = async (propertyId, { roomId, bedId } = {}) => {
+  let offers = 0;
+  try {
+    if (!(await WaitlistEntry.exists({ propertyId, status: 'Waiting' }))) return 0;
+
+    const property = await Property.findById(propertyId)
+      .select('name landlordId rooms.roomId rooms.type rooms.facilities.propertySpecific rooms.beds');
+    if (!property) return 0;
+
+    for (const room of property.rooms) {
+      if (roomId && room.roomId !== roomId) continue;
+      for (const bed of room.beds || []) {
+        if (bedId && bed.bedId !== bedId) continue;
+        if (await offerBed(property, room, bed)) offers++;
+      }
+    }
+  } catch (error) {
+    console.error(`Offering freed beds of property ${propertyId} to the waitlist failed:`, error.message);
+  }
+  return offers;
+};
+
+/**
+ * Release the priority hold of an offered entry and pass the bed on
+ */
+const withdrawOffer = async (entry, reason) => {
+  const { roomId, bedId, reservationId } = entry.offer;
+  await releaseReservations({ propertyId: entry.propertyId, roomId, bedId, reservationId, reason });
+  await clearBedReserved(entry.propertyId, roomId, bedId);
+  await notifyWaitlist(entry.propertyId, { roomId, bedId });
+};
+
+/**
+ * Leave a waitlist; an offered bed goes to the next in the queue
+ * @returns {Promise<Object>} - { entry } or { statusCode, error }
+ */
+const cancelWaitlistEntry = async (tenantId, entryId) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { entryId, tenantId, status: { $in: OPEN_WAITLIST_STATUSES } },
+    { $set: { status: 'Cancelled', closedAt: new Date(), closeReason: 'Cancelled by tenant' } }
+  );
+  if (!entry) {
+    const closed = await WaitlistEntry.findOne({ entryId, tenantId });
+    return closed
+      ? { statusCode: 400, error: `Waitlist entry is already ${closed.status}` }
+      : { statusCode: 404, error: 'Waitlist entry not found' };
+  }
+
+  if (entry.status === 'Offered') {
+    await withdrawOffer(entry, 'Waitlist entry cancelled');
+  }
+
+  entry.status = 'Cancelled';
+  return { entry };
+};
+
+/**
+ * Take up a waitlist offer with a booking request for the offered bed
+ * The priority hold is tagged with the request, so rejecting or cancelling it frees the bed.
+ * @returns {Promise<Boolean>} - true if the request used an offer
+ */
+const claimWaitlistOffer = async (tenantId, { propertyId, roomId, bedId, requestId }) => {
+  if (!roomId || !bedId) return false;
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    {
+      tenantId,
+      propertyId,
+      status: 'Offered',
+      'offer.roomId': roomId,
+      'offer.bedId': bedId,
+      'offer.expiresAt': { $gt: new Date() }
+    },
+    {
+      $set: {
+        status: 'Booked',
+        'offer.bookingRequestId': requestId,
+        closedAt: new Date(),
+        closeReason: 'Booking request sent'
+      }
+    }
+  );
+  if (!entry) return false;
+
+  await Property.updateOne(
+    { _id: propertyId },
+    { $set: { 'rooms.$[room].beds.$[bed].reservations.$[res].bookingRequestId': requestId } },
+    {
+      arrayFilters: [
+        { 'room.roomId': roomId },
+        { 'bed.bedId': bedId },
+        { 'res.reservationId': entry.offer.reservationId, 'res.status': 'Active' }
+      ]
+    }
+  );
+  return true;
+};
+
+/**
+ * Expire lapsed offers and entries whose move-in window has passed, then offer beds that
+ * freed up without a hook (e.g. a booking hold running out) to properties with a queue
+ * @returns {Promise<Object>} - { offersExpired, entriesExpired, offersMade }
+ */
+const processWaitlists = async (now = new Date()) => {
+  const summary = { offersExpired: 0, entriesExpired: 0, offersMade: 0 };
+
+  const lapsed = await WaitlistEntry.find({ status: 'Offered', 'offer.expiresAt': { $lte: now } })
+    .limit(WAITLIST_BATCH_SIZE);
+  for (const entry of lapsed) {
+    try {
+      const expired = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'Offered' },
+        { $set: { status: 'Expired', closedAt: now, closeReason: 'Offer not taken up in time' } }
+      );
+      if (!expired) continue;
+      summary.offersExpired++;
+
+      await notifyUser({
+        userId: entry.tenantId,
+        type: 'waitlist_offer_expired',
+        title: 'Bed offer expired',
+        message: `The bed held for you at ${entry.propertyName || 'the property'} was not booked in time and has gone to the next person waiting.`,
+        data: { entryId: entry.entryId, propertyId: entry.propertyId }
+      });
+      await withdrawOffer(entry, 'Waitlist offer expired');
+    } catch (error) {
+      console.error(`Error expiring waitlist offer ${entry.entryId}:`, error);
+    }
+  }
+
+  const stale = await WaitlistEntry.updateMany(
+    { status: 'Waiting', moveInTo: { $lt: moment(now).startOf('day').toDate() } },
+    { $set: { status: 'Expired', closedAt: now, closeReason: 'Move-in window passed' } }
+  );
+  summary.entriesExpired = stale.modifiedCount;
+
+  const propertyIds = await WaitlistEntry.distinct('propertyId', { status: 'Waiting' });
+  for (const propertyId of propertyIds.slice(0, WAITLIST_BATCH_SIZE)) {
+    summary.offersMade += await notifyWaitlist(propertyId);
+  }
+
+  return summary;
+};
+
+const setupWaitlistScheduler = () => {
+  scheduleJob('waitlist', WAITLIST_INTERVAL_MS, async () => {
+    const summary = await processWaitlists();
+    console.log(`Waitlists: ${summary.offersExpired} offers expired, ${summary.entriesExpired} entries expired, ${summary.offersMade} offers made`);
+    return summary;
+  });
+};
+
+module.exports = {
+  ROOM_TYPES,
+  WAITLIST_GENDERS,
+  OPEN_WAITLIST_STATUSES,
+  WAITLIST_OFFER_HOURS,
+  matchesRoom,
+  describeEntry,
+  joinWaitlist,
+  notifyWaitlist,
+  cancelWaitlistEntry,
+  claimWaitlistOffer,
+  processWaitlists,
+  setupWaitlistScheduler
+};
@@ -101,7 +101,25 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Spreadsheet uploads (tenant imports) are kept in memory and parsed straight away
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.xlsx'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+    }
+  }
+});
+
 module.exports = { 
   upload,
+  spreadsheetUpload,
   handleMulterError 
 };
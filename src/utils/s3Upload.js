@@ -72,6 +72,25 @@ exports.upload = multer({
   fileFilter: fileFilter
 });
 
+// File filter for documents such as bills and receipts (images or PDF)
+const documentFileFilter = (req, file, cb) => {
+  if (!file.originalname.match(/\.(jpg|JPG|jpeg|JPEG|png|PNG|webp|WEBP|pdf|PDF)$/)) {
+    req.fileValidationError = 'Only image or PDF files are allowed!';
+    return cb(new Error('Only image or PDF files are allowed!'), false);
+  }
+  cb(null, true);
+};
+
+// Export multer configured for document uploads
+exports.documentUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: 5 // Max 5 files
+  },
+  fileFilter: documentFileFilter
+});
+
 // Upload a single file to S3
 exports.uploadFile = async (file, directory) => {
   const fileExtension = path.extname(file.originalname);